@@ -0,0 +1,126 @@
+-- Core schema: merchant category codes, merchants, transactions and their events,
+-- and the transaction_details / transaction_summary views the reporting code reads.
+--
+-- Every statement is idempotent, so this also runs cleanly against a Supabase
+-- project that was set up by hand before migrations existed.
+
+create table if not exists public.mcc_codes (
+  mcc_code text primary key,
+  description text not null,
+  category text
+);
+
+create table if not exists public.merchants (
+  id uuid primary key default gen_random_uuid(),
+  acceptor_id text,
+  descriptor text not null,
+  city text,
+  state text,
+  country text,
+  mcc text,
+  mcc_description text,
+  mcc_category text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists merchants_acceptor_id_idx on public.merchants (acceptor_id);
+create index if not exists merchants_descriptor_idx on public.merchants (descriptor);
+
+create table if not exists public.transactions (
+  token text primary key,
+  card_token text,
+  account_token text,
+  network text,
+  authorization_code text,
+  -- Amounts are in minor units of their currency (cents, yen, fils...)
+  cardholder_amount bigint not null default 0,
+  cardholder_currency text not null default 'USD',
+  conversion_rate numeric not null default 1,
+  merchant_amount bigint not null default 0,
+  merchant_currency text not null default 'USD',
+  result text,
+  retrieval_reference_number text,
+  network_type text,
+  network_transaction_id text,
+  status text,
+  created_at timestamptz,
+  raw_data jsonb,
+  inserted_at timestamptz not null default now()
+);
+
+create index if not exists transactions_created_at_idx on public.transactions (created_at desc);
+create index if not exists transactions_card_token_idx on public.transactions (card_token, created_at desc);
+create index if not exists transactions_status_idx on public.transactions (status);
+
+create table if not exists public.transaction_merchants (
+  transaction_token text not null references public.transactions (token) on delete cascade,
+  merchant_id uuid not null references public.merchants (id) on delete cascade,
+  primary key (transaction_token, merchant_id)
+);
+
+create index if not exists transaction_merchants_merchant_id_idx on public.transaction_merchants (merchant_id);
+
+-- Every Lithic event of a transaction (authorization, clearing, reversal, return...)
+create table if not exists public.transaction_events (
+  event_token text primary key,
+  transaction_token text not null references public.transactions (token) on delete cascade,
+  card_token text,
+  event_type text not null,
+  amount bigint not null default 0,
+  currency text not null default 'USD',
+  result text,
+  detailed_results jsonb not null default '[]'::jsonb,
+  created_at timestamptz
+);
+
+create index if not exists transaction_events_transaction_token_idx
+  on public.transaction_events (transaction_token, created_at);
+
+-- Transactions with their merchant. The *_amount_usd columns are the minor amount
+-- divided by 100; src/utils/money.js converts them back to minor units.
+create or replace view public.transaction_details as
+select
+  t.token,
+  t.card_token,
+  t.account_token,
+  t.network,
+  t.authorization_code,
+  t.cardholder_amount,
+  t.cardholder_currency,
+  t.cardholder_amount / 100.0 as cardholder_amount_usd,
+  t.conversion_rate,
+  t.merchant_amount,
+  t.merchant_currency,
+  t.merchant_amount / 100.0 as merchant_amount_usd,
+  t.result,
+  t.retrieval_reference_number,
+  t.network_type,
+  t.network_transaction_id,
+  t.status,
+  t.created_at,
+  t.raw_data,
+  m.id as merchant_id,
+  m.acceptor_id as merchant_acceptor_id,
+  m.descriptor as merchant_name,
+  m.city as merchant_city,
+  m.state as merchant_state,
+  m.country as merchant_country,
+  m.mcc as merchant_mcc_code,
+  m.mcc_description,
+  m.mcc_category
+from public.transactions t
+left join lateral (
+  select merchant.*
+  from public.transaction_merchants link
+  join public.merchants merchant on merchant.id = link.merchant_id
+  where link.transaction_token = t.token
+  limit 1
+) m on true;
+
+create or replace view public.transaction_summary as
+select
+  count(*) as total_transactions,
+  count(*) filter (where result = 'APPROVED') as approved_count,
+  count(*) filter (where result is distinct from 'APPROVED') as declined_count,
+  coalesce(sum(cardholder_amount), 0) / 100.0 as total_amount_usd
+from public.transactions;
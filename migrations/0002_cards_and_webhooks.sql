@@ -0,0 +1,128 @@
+-- Card registry, webhook event log, authorization stream access (ASA) rules and
+-- decisions, and the records kept from dispute, tokenization, 3DS and balance webhooks.
+
+create table if not exists public.cards (
+  token text primary key,
+  last_four text,
+  state text not null default 'UNKNOWN',
+  type text,
+  spend_limit bigint,
+  spend_limit_duration text,
+  memo text,
+  last_event_type text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.card_state_history (
+  id bigint generated by default as identity primary key,
+  card_token text not null,
+  event_type text not null,
+  previous_state text,
+  new_state text,
+  changes jsonb not null default '{}'::jsonb,
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists card_state_history_card_token_idx
+  on public.card_state_history (card_token, recorded_at desc);
+
+create table if not exists public.webhook_events (
+  webhook_id text primary key,
+  event_type text not null,
+  event_token text,
+  payload jsonb,
+  status text not null default 'received'
+    check (status in ('received', 'processing', 'processed', 'failed', 'dead_letter')),
+  attempts integer not null default 0,
+  last_error text,
+  received_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists webhook_events_status_idx on public.webhook_events (status, received_at);
+
+create table if not exists public.card_authorization_rules (
+  card_token text primary key,
+  rule_set jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.authorization_decisions (
+  transaction_token text primary key,
+  card_token text,
+  decision text not null,
+  result text,
+  rule_id text,
+  rule_source text,
+  reason text,
+  amount bigint,
+  currency text,
+  merchant_descriptor text,
+  mcc text,
+  country text,
+  request_payload jsonb,
+  decided_at timestamptz not null default now()
+);
+
+create index if not exists authorization_decisions_card_token_idx
+  on public.authorization_decisions (card_token, decided_at desc);
+
+create table if not exists public.disputes (
+  token text primary key,
+  transaction_token text,
+  status text not null,
+  reason text,
+  amount bigint,
+  resolution_reason text,
+  customer_filed_date timestamptz,
+  created_at timestamptz,
+  updated_at timestamptz not null default now(),
+  raw_data jsonb
+);
+
+-- Activation codes are stripped before insert and never stored
+create table if not exists public.tokenization_events (
+  id bigint generated by default as identity primary key,
+  event_type text not null,
+  tokenization_token text,
+  card_token text,
+  account_token text,
+  token_requestor text,
+  status text,
+  device_type text,
+  created_at timestamptz not null default now(),
+  raw_data jsonb
+);
+
+create index if not exists tokenization_events_card_token_idx on public.tokenization_events (card_token);
+
+create table if not exists public.three_ds_authentications (
+  token text primary key,
+  card_token text,
+  authentication_result text not null,
+  decision_made_by text,
+  channel text,
+  merchant_name text,
+  merchant_country text,
+  merchant_mcc text,
+  amount bigint,
+  currency text,
+  created_at timestamptz not null default now(),
+  raw_data jsonb
+);
+
+create table if not exists public.balance_snapshots (
+  id bigint generated by default as identity primary key,
+  financial_account_token text,
+  financial_account_type text,
+  currency text not null default 'USD',
+  available_amount bigint,
+  pending_amount bigint,
+  total_amount bigint,
+  last_transaction_token text,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists balance_snapshots_account_idx
+  on public.balance_snapshots (financial_account_token, updated_at desc);
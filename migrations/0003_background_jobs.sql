@@ -0,0 +1,60 @@
+-- State of background jobs: polling checkpoints, leader leases, historical
+-- backfills and reconciliation reports.
+
+create table if not exists public.polling_checkpoints (
+  name text primary key,
+  cursor_at timestamptz,
+  last_run_at timestamptz,
+  last_success_at timestamptz,
+  last_result jsonb,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.job_leases (
+  name text primary key,
+  holder_id text not null,
+  expires_at timestamptz not null,
+  acquired_at timestamptz not null default now(),
+  renewed_at timestamptz not null default now()
+);
+
+create table if not exists public.backfill_jobs (
+  id uuid primary key,
+  status text not null,
+  begin_at timestamptz not null,
+  end_at timestamptz not null,
+  card_token text,
+  window_ms bigint not null,
+  cursor_at timestamptz,
+  windows_total integer not null default 0,
+  windows_completed integer not null default 0,
+  fetched integer not null default 0,
+  inserted integer not null default 0,
+  updated integer not null default 0,
+  skipped integer not null default 0,
+  failed integer not null default 0,
+  last_error text,
+  started_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists backfill_jobs_created_at_idx on public.backfill_jobs (created_at desc);
+
+create table if not exists public.reconciliation_reports (
+  id uuid primary key,
+  status text not null,
+  trigger text not null,
+  repair boolean not null default false,
+  window_begin timestamptz not null,
+  window_end timestamptz not null,
+  started_at timestamptz not null,
+  completed_at timestamptz,
+  transactions jsonb,
+  cards jsonb,
+  errors jsonb not null default '[]'::jsonb
+);
+
+create index if not exists reconciliation_reports_started_at_idx
+  on public.reconciliation_reports (started_at desc);
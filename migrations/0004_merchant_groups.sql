@@ -0,0 +1,80 @@
+-- Merchant entity resolution: descriptor variants of the same business share a
+-- merchant group, with a history of automatic assignments, merges and splits.
+
+create table if not exists public.merchant_groups (
+  id uuid primary key default gen_random_uuid(),
+  canonical_name text not null,
+  normalized_descriptor text not null,
+  mcc text,
+  country text,
+  merged_into uuid references public.merchant_groups (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists merchant_groups_normalized_descriptor_idx
+  on public.merchant_groups (normalized_descriptor text_pattern_ops)
+  where merged_into is null;
+
+alter table public.merchants
+  add column if not exists merchant_group_id uuid references public.merchant_groups (id);
+
+create index if not exists merchants_merchant_group_id_idx on public.merchants (merchant_group_id);
+
+create table if not exists public.merchant_group_history (
+  id bigint generated by default as identity primary key,
+  action text not null check (action in ('create', 'assign', 'merge', 'split')),
+  group_id uuid not null references public.merchant_groups (id),
+  source_group_id uuid references public.merchant_groups (id),
+  merchant_ids uuid[] not null default '{}',
+  score numeric,
+  reason text,
+  performed_by text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists merchant_group_history_group_id_idx
+  on public.merchant_group_history (group_id, created_at desc);
+create index if not exists merchant_group_history_source_group_id_idx
+  on public.merchant_group_history (source_group_id);
+
+-- Expose the merchant group in transaction details (new columns go last)
+create or replace view public.transaction_details as
+select
+  t.token,
+  t.card_token,
+  t.account_token,
+  t.network,
+  t.authorization_code,
+  t.cardholder_amount,
+  t.cardholder_currency,
+  t.cardholder_amount / 100.0 as cardholder_amount_usd,
+  t.conversion_rate,
+  t.merchant_amount,
+  t.merchant_currency,
+  t.merchant_amount / 100.0 as merchant_amount_usd,
+  t.result,
+  t.retrieval_reference_number,
+  t.network_type,
+  t.network_transaction_id,
+  t.status,
+  t.created_at,
+  t.raw_data,
+  m.id as merchant_id,
+  m.acceptor_id as merchant_acceptor_id,
+  m.descriptor as merchant_name,
+  m.city as merchant_city,
+  m.state as merchant_state,
+  m.country as merchant_country,
+  m.mcc as merchant_mcc_code,
+  m.mcc_description,
+  m.mcc_category,
+  m.merchant_group_id
+from public.transactions t
+left join lateral (
+  select merchant.*
+  from public.transaction_merchants link
+  join public.merchants merchant on merchant.id = link.merchant_id
+  where link.transaction_token = t.token
+  limit 1
+) m on true;
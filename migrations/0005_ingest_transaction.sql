@@ -0,0 +1,170 @@
+-- Atomic transaction ingest.
+--
+-- saveTransaction used to make up to five separate Supabase calls (merchant select,
+-- merchant update or insert, transaction upsert, event upsert, merchant link). A
+-- failure between them left orphan merchants or unlinked transactions.
+-- ingest_transaction does the same work in one database transaction, so a
+-- transaction is saved completely or not at all.
+--
+-- p_transaction: parsed transaction row (parseTransactionDetails)
+-- p_events:      parsed transaction events (parseTransactionEvents)
+-- p_merchant:    parsed merchant, enriched with mcc_description and mcc_category
+--
+-- Returns {"merchant_id": ..., "merchant_action": "created" | "updated" | "matched" | "none"}.
+
+create or replace function public.ingest_transaction(
+  p_transaction jsonb,
+  p_events jsonb default '[]'::jsonb,
+  p_merchant jsonb default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_transaction public.transactions%rowtype;
+  v_incoming public.merchants%rowtype;
+  v_existing public.merchants%rowtype;
+  v_merchant_id public.merchants.id%type;
+  v_match_count integer;
+  v_merchant_action text := 'none';
+begin
+  v_transaction := jsonb_populate_record(null::public.transactions, p_transaction);
+  if v_transaction.token is null then
+    raise exception 'ingest_transaction: transaction token is required';
+  end if;
+
+  -- Merchant: match by acceptor_id, then by exact details; update or create
+  if p_merchant is not null then
+    v_incoming := jsonb_populate_record(null::public.merchants, p_merchant);
+
+    -- Serialize ingests of the same merchant so concurrent transactions cannot create it twice
+    perform pg_advisory_xact_lock(hashtext(coalesce(v_incoming.acceptor_id, v_incoming.descriptor, '')));
+
+    if v_incoming.acceptor_id is not null then
+      select * into v_existing
+        from public.merchants
+       where acceptor_id = v_incoming.acceptor_id
+       limit 1;
+      v_merchant_id := v_existing.id;
+    end if;
+
+    if v_merchant_id is null and v_incoming.descriptor is not null then
+      select count(*) into v_match_count
+        from public.merchants
+       where descriptor = v_incoming.descriptor
+         and city is not distinct from v_incoming.city
+         and state is not distinct from v_incoming.state
+         and country is not distinct from v_incoming.country
+         and mcc is not distinct from v_incoming.mcc;
+
+      -- Ambiguous matches get a new merchant, as in the JavaScript fallback
+      if v_match_count = 1 then
+        select * into v_existing
+          from public.merchants
+         where descriptor = v_incoming.descriptor
+           and city is not distinct from v_incoming.city
+           and state is not distinct from v_incoming.state
+           and country is not distinct from v_incoming.country
+           and mcc is not distinct from v_incoming.mcc;
+        v_merchant_id := v_existing.id;
+      end if;
+    end if;
+
+    if v_merchant_id is not null then
+      v_merchant_action := 'matched';
+      if v_existing.descriptor is distinct from v_incoming.descriptor
+         or v_existing.city is distinct from v_incoming.city
+         or v_existing.state is distinct from v_incoming.state
+         or v_existing.country is distinct from v_incoming.country
+         or v_existing.mcc is distinct from v_incoming.mcc then
+        update public.merchants
+           set descriptor = v_incoming.descriptor,
+               city = v_incoming.city,
+               state = v_incoming.state,
+               country = v_incoming.country,
+               mcc = v_incoming.mcc,
+               mcc_description = v_incoming.mcc_description,
+               mcc_category = v_incoming.mcc_category,
+               acceptor_id = coalesce(v_incoming.acceptor_id, acceptor_id)
+         where id = v_merchant_id;
+        v_merchant_action := 'updated';
+      end if;
+    elsif v_incoming.descriptor is not null then
+      insert into public.merchants (acceptor_id, descriptor, city, state, country, mcc, mcc_description, mcc_category)
+      values (
+        v_incoming.acceptor_id,
+        v_incoming.descriptor,
+        v_incoming.city,
+        v_incoming.state,
+        v_incoming.country,
+        v_incoming.mcc,
+        v_incoming.mcc_description,
+        v_incoming.mcc_category
+      )
+      returning id into v_merchant_id;
+      v_merchant_action := 'created';
+    end if;
+  end if;
+
+  -- Transaction
+  insert into public.transactions (
+    token, card_token, account_token, network, authorization_code,
+    cardholder_amount, cardholder_currency, conversion_rate,
+    merchant_amount, merchant_currency, result,
+    retrieval_reference_number, network_type, network_transaction_id,
+    status, created_at, raw_data
+  )
+  values (
+    v_transaction.token, v_transaction.card_token, v_transaction.account_token,
+    v_transaction.network, v_transaction.authorization_code,
+    v_transaction.cardholder_amount, v_transaction.cardholder_currency, v_transaction.conversion_rate,
+    v_transaction.merchant_amount, v_transaction.merchant_currency, v_transaction.result,
+    v_transaction.retrieval_reference_number, v_transaction.network_type, v_transaction.network_transaction_id,
+    v_transaction.status, v_transaction.created_at, v_transaction.raw_data
+  )
+  on conflict (token) do update set
+    card_token = excluded.card_token,
+    account_token = excluded.account_token,
+    network = excluded.network,
+    authorization_code = excluded.authorization_code,
+    cardholder_amount = excluded.cardholder_amount,
+    cardholder_currency = excluded.cardholder_currency,
+    conversion_rate = excluded.conversion_rate,
+    merchant_amount = excluded.merchant_amount,
+    merchant_currency = excluded.merchant_currency,
+    result = excluded.result,
+    retrieval_reference_number = excluded.retrieval_reference_number,
+    network_type = excluded.network_type,
+    network_transaction_id = excluded.network_transaction_id,
+    status = excluded.status,
+    created_at = excluded.created_at,
+    raw_data = excluded.raw_data;
+
+  -- Every event (authorization, clearing, reversal, return) of the transaction
+  insert into public.transaction_events (
+    event_token, transaction_token, card_token, event_type,
+    amount, currency, result, detailed_results, created_at
+  )
+  select event_token, transaction_token, card_token, event_type,
+         amount, currency, result, detailed_results, created_at
+    from jsonb_populate_recordset(null::public.transaction_events, coalesce(p_events, '[]'::jsonb))
+  on conflict (event_token) do update set
+    event_type = excluded.event_type,
+    amount = excluded.amount,
+    currency = excluded.currency,
+    result = excluded.result,
+    detailed_results = excluded.detailed_results,
+    created_at = excluded.created_at;
+
+  -- Merchant link
+  if v_merchant_id is not null then
+    insert into public.transaction_merchants (transaction_token, merchant_id)
+    values (v_transaction.token, v_merchant_id)
+    on conflict (transaction_token, merchant_id) do nothing;
+  end if;
+
+  return jsonb_build_object('merchant_id', v_merchant_id, 'merchant_action', v_merchant_action);
+end;
+$$;
+
+grant execute on function public.ingest_transaction(jsonb, jsonb, jsonb) to service_role;
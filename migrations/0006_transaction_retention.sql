@@ -0,0 +1,11 @@
+-- Data retention: raw Lithic payloads are redacted (marked with "_redacted") or pruned
+-- after RETENTION_RAW_DATA_DAYS, and old transactions are moved to archive files.
+
+-- Transactions restored from an archive are not archived again
+alter table public.transactions
+  add column if not exists restored_at timestamptz;
+
+-- Raw payloads still waiting to be redacted or pruned
+create index if not exists transactions_unredacted_raw_data_idx
+  on public.transactions (created_at)
+  where raw_data is not null and raw_data ->> '_redacted' is null;
@@ -0,0 +1,40 @@
+-- Scammer cases: investigations that link the cards, transactions, MCP sessions and
+-- conversations of one scammer, with analyst notes, a status and tags.
+
+create table if not exists public.cases (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  description text,
+  status text not null default 'open' check (status in ('open', 'investigating', 'closed')),
+  tags text[] not null default '{}',
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  closed_at timestamptz
+);
+
+create index if not exists cases_status_idx on public.cases (status, updated_at desc);
+create index if not exists cases_tags_idx on public.cases using gin (tags);
+
+create table if not exists public.case_links (
+  id bigint generated by default as identity primary key,
+  case_id uuid not null references public.cases (id) on delete cascade,
+  link_type text not null check (link_type in ('card', 'transaction', 'session', 'conversation')),
+  value text not null,
+  added_by text,
+  created_at timestamptz not null default now(),
+  unique (case_id, link_type, value)
+);
+
+-- Finding the cases of a card, transaction, session or conversation
+create index if not exists case_links_value_idx on public.case_links (link_type, value);
+
+create table if not exists public.case_notes (
+  id bigint generated by default as identity primary key,
+  case_id uuid not null references public.cases (id) on delete cascade,
+  author text,
+  body text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists case_notes_case_id_idx on public.case_notes (case_id, created_at);
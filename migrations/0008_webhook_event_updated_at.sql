@@ -0,0 +1,7 @@
+-- Time of the last status change of a webhook event, so startup recovery only takes
+-- over events that no live instance is still processing or about to retry.
+
+alter table public.webhook_events
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists webhook_events_status_updated_idx on public.webhook_events (status, updated_at);
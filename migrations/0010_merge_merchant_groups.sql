@@ -0,0 +1,89 @@
+-- Atomic merchant group merge.
+--
+-- Merging groups used to move the merchants, mark the source groups as merged and
+-- record the history with separate Supabase calls. A failure between them left
+-- merchants moved while their source group was still active, and every history row
+-- listed the merchants of all source groups. merge_merchant_groups does the same work
+-- in one database transaction and records, per source group, the merchants it moved.
+--
+-- p_target_group_id:  group the sources are merged into
+-- p_source_group_ids: groups merged into the target
+-- p_reason:           why the groups were merged
+-- p_performed_by:     who merged them
+--
+-- Returns {"merged": true, "sources": [{"group_id": ..., "merchant_ids": [...]}]}, or
+-- {"merged": false, "reason": ...} without changing anything when the target or a
+-- source group does not exist or was already merged.
+
+create or replace function public.merge_merchant_groups(
+  p_target_group_id uuid,
+  p_source_group_ids uuid[],
+  p_reason text default null,
+  p_performed_by text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_target public.merchant_groups%rowtype;
+  v_active_count integer;
+  v_source_group_id uuid;
+  v_merchant_ids uuid[];
+  v_sources jsonb := '[]'::jsonb;
+begin
+  -- Lock the target and the sources so concurrent merges of the same groups wait
+  select * into v_target
+  from public.merchant_groups
+  where id = p_target_group_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('merged', false, 'reason', 'Target group does not exist');
+  end if;
+  if v_target.merged_into is not null then
+    return jsonb_build_object('merged', false, 'reason', 'Target group was merged into ' || v_target.merged_into);
+  end if;
+  if p_target_group_id = any (p_source_group_ids) then
+    return jsonb_build_object('merged', false, 'reason', 'A group cannot be merged into itself');
+  end if;
+
+  perform 1
+  from public.merchant_groups
+  where id = any (p_source_group_ids)
+  order by id
+  for update;
+
+  select count(*) into v_active_count
+  from public.merchant_groups
+  where id = any (p_source_group_ids) and merged_into is null;
+
+  if v_active_count <> cardinality(array(select distinct unnest(p_source_group_ids))) then
+    return jsonb_build_object('merged', false, 'reason', 'Some source groups do not exist or were already merged');
+  end if;
+
+  foreach v_source_group_id in array array(select distinct unnest(p_source_group_ids)) loop
+    select coalesce(array_agg(id), '{}') into v_merchant_ids
+    from public.merchants
+    where merchant_group_id = v_source_group_id;
+
+    update public.merchants
+    set merchant_group_id = p_target_group_id
+    where merchant_group_id = v_source_group_id;
+
+    update public.merchant_groups
+    set merged_into = p_target_group_id, updated_at = now()
+    where id = v_source_group_id;
+
+    insert into public.merchant_group_history
+      (action, group_id, source_group_id, merchant_ids, score, reason, performed_by)
+    values
+      ('merge', p_target_group_id, v_source_group_id, v_merchant_ids, null, p_reason, p_performed_by);
+
+    v_sources := v_sources || jsonb_build_object('group_id', v_source_group_id, 'merchant_ids', to_jsonb(v_merchant_ids));
+  end loop;
+
+  return jsonb_build_object('merged', true, 'sources', v_sources);
+end;
+$$;
+
+grant execute on function public.merge_merchant_groups(uuid, uuid[], text, text) to service_role;
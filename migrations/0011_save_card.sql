@@ -0,0 +1,88 @@
+-- Atomic card registry save.
+--
+-- saveCard used to read the card, upsert it and insert its history entry with
+-- separate Supabase calls. Two webhooks for the same card could read the same
+-- previous state, and a failed history insert left the new card row stored, so the
+-- retry saw no change and the transition never reached the history. save_card does
+-- the same work in one database transaction and holds a per-card lock, so saves of
+-- one card run one after the other on every instance.
+--
+-- p_card:       parsed card details (parseCardDetails)
+-- p_event_type: what triggered the save (webhook type or operation)
+--
+-- Returns {"previous": <card row before the save, or null>, "changes": {<field>: {"from", "to"}}}.
+-- The tracked fields match TRACKED_CARD_FIELDS in src/utils/parsers.js.
+
+create or replace function public.save_card(
+  p_card jsonb,
+  p_event_type text
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_token text := p_card ->> 'token';
+  v_existing public.cards%rowtype;
+  v_found boolean;
+  v_field text;
+  v_from jsonb;
+  v_to jsonb;
+  v_changes jsonb := '{}'::jsonb;
+  v_now timestamptz := now();
+begin
+  -- Serialize saves of one card, including the first save of a new card
+  perform pg_advisory_xact_lock(hashtext('save_card:' || v_token));
+
+  select * into v_existing from public.cards where token = v_token;
+  v_found := found;
+
+  foreach v_field in array array['state', 'spend_limit', 'spend_limit_duration', 'memo'] loop
+    v_from := case when v_found then coalesce(to_jsonb(v_existing) -> v_field, 'null'::jsonb) else 'null'::jsonb end;
+    v_to := coalesce(p_card -> v_field, 'null'::jsonb);
+    if v_from is distinct from v_to then
+      v_changes := v_changes || jsonb_build_object(v_field, jsonb_build_object('from', v_from, 'to', v_to));
+    end if;
+  end loop;
+
+  insert into public.cards (
+    token, last_four, state, type, spend_limit, spend_limit_duration, memo,
+    last_event_type, created_at, updated_at
+  )
+  values (
+    v_token,
+    p_card ->> 'last_four',
+    coalesce(p_card ->> 'state', 'UNKNOWN'),
+    p_card ->> 'type',
+    (p_card ->> 'spend_limit')::bigint,
+    p_card ->> 'spend_limit_duration',
+    p_card ->> 'memo',
+    p_event_type,
+    coalesce((p_card ->> 'created_at')::timestamptz, v_existing.created_at, v_now),
+    v_now
+  )
+  on conflict (token) do update set
+    last_four = excluded.last_four,
+    state = excluded.state,
+    type = excluded.type,
+    spend_limit = excluded.spend_limit,
+    spend_limit_duration = excluded.spend_limit_duration,
+    memo = excluded.memo,
+    last_event_type = excluded.last_event_type,
+    created_at = excluded.created_at,
+    updated_at = excluded.updated_at;
+
+  if v_changes <> '{}'::jsonb then
+    insert into public.card_state_history
+      (card_token, event_type, previous_state, new_state, changes, recorded_at)
+    values
+      (v_token, p_event_type, case when v_found then v_existing.state end, p_card ->> 'state', v_changes, v_now);
+  end if;
+
+  return jsonb_build_object(
+    'previous', case when v_found then to_jsonb(v_existing) end,
+    'changes', v_changes
+  );
+end;
+$$;
+
+grant execute on function public.save_card(jsonb, text) to service_role;
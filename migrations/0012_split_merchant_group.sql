@@ -0,0 +1,85 @@
+-- Atomic merchant group split.
+--
+-- Splitting a group used to create the new group, move the merchants and record the
+-- history with separate Supabase calls. A failure between them left an empty group
+-- or moved merchants without a history entry. split_merchant_group does the same work
+-- in one database transaction.
+--
+-- p_group_id:              group the merchants are split out of
+-- p_merchant_ids:          merchants moved to the new group
+-- p_canonical_name:        display name of the new group
+-- p_normalized_descriptor: normalized descriptor of the new group
+-- p_mcc:                   MCC of the new group
+-- p_country:               country of the new group
+-- p_reason:                why the group was split
+-- p_performed_by:          who split it
+--
+-- Returns {"split": true, "group_id": <new group id>}, or {"split": false, "reason": ...}
+-- without changing anything when the group does not exist, a merchant is not in the
+-- group or no merchant would stay in it.
+
+create or replace function public.split_merchant_group(
+  p_group_id uuid,
+  p_merchant_ids uuid[],
+  p_canonical_name text,
+  p_normalized_descriptor text,
+  p_mcc text default null,
+  p_country text default null,
+  p_reason text default null,
+  p_performed_by text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_merchant_ids uuid[] := array(select distinct unnest(p_merchant_ids));
+  v_group_count integer;
+  v_split_count integer;
+  v_new_group_id uuid;
+begin
+  -- Lock the group and its merchants so concurrent merges and splits of it wait
+  perform 1
+  from public.merchant_groups
+  where id = p_group_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('split', false, 'reason', 'Group does not exist');
+  end if;
+
+  perform 1
+  from public.merchants
+  where merchant_group_id = p_group_id
+  order by id
+  for update;
+
+  select count(*), count(*) filter (where id = any (v_merchant_ids))
+  into v_group_count, v_split_count
+  from public.merchants
+  where merchant_group_id = p_group_id;
+
+  if v_split_count <> cardinality(v_merchant_ids) then
+    return jsonb_build_object('split', false, 'reason', 'Some merchants are not in this group');
+  end if;
+  if v_split_count >= v_group_count then
+    return jsonb_build_object('split', false, 'reason', 'At least one merchant must stay in the group');
+  end if;
+
+  insert into public.merchant_groups (canonical_name, normalized_descriptor, mcc, country)
+  values (p_canonical_name, p_normalized_descriptor, p_mcc, p_country)
+  returning id into v_new_group_id;
+
+  update public.merchants
+  set merchant_group_id = v_new_group_id
+  where id = any (v_merchant_ids);
+
+  insert into public.merchant_group_history
+    (action, group_id, source_group_id, merchant_ids, score, reason, performed_by)
+  values
+    ('split', v_new_group_id, p_group_id, v_merchant_ids, null, p_reason, p_performed_by);
+
+  return jsonb_build_object('split', true, 'group_id', v_new_group_id);
+end;
+$$;
+
+grant execute on function public.split_merchant_group(uuid, uuid[], text, text, text, text, text, text) to service_role;
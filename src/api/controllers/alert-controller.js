@@ -57,7 +57,7 @@ export async function establishSSEConnection(req, res) {
     }
 
     // Extract connection parameters
-    const { agentId, cardTokens, metadata } = authentication.agent;
+    const { agentId, cardTokens, token, metadata } = authentication.agent;
     
     // Validate required parameters
     if (!cardTokens || cardTokens.length === 0) {
@@ -74,26 +74,38 @@ export async function establishSSEConnection(req, res) {
       });
     }
 
-    // For now, we'll use the first card token for the connection
-    // TODO: Enhance to support multiple card tokens per connection
-    const primaryCardToken = cardTokens[0];
-
-    // Create connection through connection manager (it will set SSE headers)
+    // Create one connection for every card (the connection manager sets the SSE headers)
     const connectionInfo = await connectionManager.createConnection(
       req,
       res,
-      primaryCardToken,
+      cardTokens,
       {
         agentId,
         cardTokens,
         requestId,
         authenticatedAt: new Date(),
         ...metadata
-      }
+      },
+      // Changing the stream's cards or acknowledging its alerts needs the same token
+      { ownerToken: token }
     );
 
-    // Send welcome message
-    await sendWelcomeMessage(connectionInfo, res, agentId);
+    // The welcome message sets the client's resume position: the Last-Event-ID it sent, or the latest alert
+    const lastEventId = getLastEventId(req);
+    await sendWelcomeMessage(connectionInfo, res, agentId, lastEventId ?? alertService.lastEventId);
+
+    // Resend the alerts a reconnecting client missed (EventSource sends Last-Event-ID by itself)
+    if (lastEventId !== null) {
+      const replay = await alertService.replayAlerts(connectionInfo.sessionId, lastEventId);
+      connectionManager.sendEvent(res, {
+        type: 'replay',
+        data: {
+          sessionId: connectionInfo.sessionId,
+          ...replay,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
 
     // Set up client disconnect handlers
     handleClientDisconnect(req, res, connectionInfo.sessionId, requestId);
@@ -124,57 +136,78 @@ export async function establishSSEConnection(req, res) {
 }
 
 /**
- * Authenticates AI agent credentials and extracts connection parameters.
+ * Checks the agent's token: a Bearer Authorization header, or a `token` query parameter
+ * (web interface and EventSource).
  * 
  * @param {import('express').Request} req - The Express request object.
- * @returns {Promise<Object>} Authentication result with agent info.
+ * @returns {Promise<Object>} `{ success: true, token, authMethod }` or `{ success: false, reason }`.
  */
-export async function authenticateAgent(req) {
-  try {
-    let token = null;
-    let authMethod = 'header';
-
-    // Try to extract authentication token from Authorization header first
-    const authHeader = req.get('authorization');
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.substring(7);
-      authMethod = 'header';
-    } 
-    // Fallback to token from query parameter (for web interface and EventSource)
-    else if (req.query.token) {
-      token = req.query.token;
-      authMethod = 'query_param';
-    }
-    // No authentication found
-    else {
-      return {
-        success: false,
-        reason: 'missing_authentication'
-      };
-    }
+async function authenticateAgentToken(req) {
+  let token = null;
+  let authMethod = 'header';
+
+  // Try to extract authentication token from Authorization header first
+  const authHeader = req.get('authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    token = authHeader.substring(7);
+    authMethod = 'header';
+  } 
+  // Fallback to token from query parameter (for web interface and EventSource)
+  else if (req.query.token) {
+    token = req.query.token;
+    authMethod = 'query_param';
+  }
+  // No authentication found
+  else {
+    return {
+      success: false,
+      reason: 'missing_authentication'
+    };
+  }
+
+  if (!token || token.length === 0) {
+    return {
+      success: false,
+      reason: 'empty_token'
+    };
+  }
 
-    if (!token || token.length === 0) {
+  // For web interface tokens, use simplified validation
+  if (authMethod === 'query_param' && token.startsWith('web-interface-token-')) {
+    // Allow web interface tokens (simplified auth for demo purposes)
+    // In production, implement proper token validation
+  } else {
+    // Authenticate with connection manager for Bearer tokens
+    const authHeaderForValidation = authMethod === 'header' ? authHeader : `Bearer ${token}`;
+    const isValid = await connectionManager.authenticateConnection(authHeaderForValidation);
+    if (!isValid) {
       return {
         success: false,
-        reason: 'empty_token'
+        reason: 'invalid_token'
       };
     }
+  }
 
-    // For web interface tokens, use simplified validation
-    if (authMethod === 'query_param' && token.startsWith('web-interface-token-')) {
-      // Allow web interface tokens (simplified auth for demo purposes)
-      // In production, implement proper token validation
-    } else {
-      // Authenticate with connection manager for Bearer tokens
-      const authHeaderForValidation = authMethod === 'header' ? authHeader : `Bearer ${token}`;
-      const isValid = await connectionManager.authenticateConnection(authHeaderForValidation);
-      if (!isValid) {
-        return {
-          success: false,
-          reason: 'invalid_token'
-        };
-      }
+  return {
+    success: true,
+    token,
+    authMethod
+  };
+}
+
+/**
+ * Authenticates AI agent credentials and extracts connection parameters.
+ * 
+ * @param {import('express').Request} req - The Express request object.
+ * @returns {Promise<Object>} Authentication result with agent info.
+ */
+export async function authenticateAgent(req) {
+  try {
+    const tokenAuthentication = await authenticateAgentToken(req);
+    if (!tokenAuthentication.success) {
+      return tokenAuthentication;
     }
+    const { token, authMethod } = tokenAuthentication;
 
     // Extract agent parameters from query string or body
     const agentId = req.query.agentId || req.body?.agentId || `agent_${uuidv4().substr(0, 8)}`;
@@ -183,7 +216,7 @@ export async function authenticateAgent(req) {
     let cardTokens = [];
     if (req.query.cardTokens) {
       // Handle comma-separated card tokens in query string
-      cardTokens = req.query.cardTokens.split(',').map(token => token.trim());
+      cardTokens = req.query.cardTokens.split(',').map(token => token.trim()).filter(Boolean);
     } else if (req.body?.cardTokens && Array.isArray(req.body.cardTokens)) {
       cardTokens = req.body.cardTokens;
     } else if (req.query.cardToken) {
@@ -191,6 +224,11 @@ export async function authenticateAgent(req) {
       cardTokens = [req.query.cardToken];
     }
 
+    // The card in the stream path is monitored along with the listed cards
+    if (req.params?.cardToken) {
+      cardTokens = [...new Set([req.params.cardToken, ...cardTokens])];
+    }
+
     // For web interface tokens, automatically get all available cards if none specified
     if (cardTokens.length === 0 && authMethod === 'query_param' && token.startsWith('web-interface-token-')) {
       try {
@@ -255,6 +293,62 @@ export async function authenticateAgent(req) {
   }
 }
 
+/**
+ * Express middleware for requests about an open stream (`:sessionId` route parameter):
+ * only the agent that opened the stream, sending the same token, may change or acknowledge it.
+ * 
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - Express next function.
+ */
+export async function requireSessionOwner(req, res, next) {
+  const requestId = req.requestId || uuidv4();
+  const { sessionId } = req.params;
+
+  let reason;
+  try {
+    const authentication = await authenticateAgentToken(req);
+    if (!authentication.success) {
+      reason = authentication.reason;
+    } else if (!connectionManager.isSessionOwner(sessionId, authentication.token)) {
+      // Unknown sessions are refused the same way, so session ids cannot be probed
+      reason = 'session_not_owned';
+    }
+  } catch (error) {
+    logger.error({
+      requestId,
+      sessionId,
+      error: error.message
+    }, 'Session owner authentication error');
+    reason = 'authentication_error';
+  }
+
+  if (!reason) {
+    return next();
+  }
+
+  logger.warn({
+    requestId,
+    sessionId,
+    reason,
+    ip: req.ip
+  }, 'Session request authentication failed');
+
+  return handleAuthenticationError(reason, res, requestId);
+}
+
+/**
+ * Reads the last alert event id a reconnecting client received, from the Last-Event-ID
+ * header (sent by EventSource on reconnect) or the `lastEventId` query parameter.
+ * 
+ * @param {import('express').Request} req - The Express request object.
+ * @returns {number|null} Last event id, or null for a fresh connection.
+ */
+export function getLastEventId(req) {
+  const value = req.get('last-event-id') ?? req.query.lastEventId;
+  return /^\d+$/.test(String(value ?? '').trim()) ? Number(value) : null;
+}
+
 /**
  * Handles authentication errors with appropriate HTTP responses.
  * 
@@ -278,6 +372,7 @@ function handleAuthenticationError(reason, res, requestId) {
     empty_token: 'Authorization token cannot be empty',
     invalid_token: 'Invalid or expired authentication token',
     no_card_tokens: 'At least one card token must be provided for monitoring',
+    session_not_owned: 'Session not found or opened with a different token',
     authentication_error: 'Internal authentication error'
   };
 
@@ -287,6 +382,7 @@ function handleAuthenticationError(reason, res, requestId) {
     empty_token: 401,
     invalid_token: 401,
     no_card_tokens: 400,
+    session_not_owned: 403,
     authentication_error: 500
   };
 
@@ -294,7 +390,7 @@ function handleAuthenticationError(reason, res, requestId) {
   const statusCode = statusCodes[reason] || 401;
 
   return res.status(statusCode).json({
-    error: statusCode === 401 ? 'Unauthorized' : 'Authentication Error',
+    error: statusCode === 401 ? 'Unauthorized' : statusCode === 403 ? 'Forbidden' : 'Authentication Error',
     message,
     reason,
     timestamp: new Date().toISOString(),
@@ -308,30 +404,35 @@ function handleAuthenticationError(reason, res, requestId) {
  * @param {Object} connectionInfo - Connection information from connection manager.
  * @param {import('express').Response} res - The Express response object.
  * @param {string} agentId - Agent identifier.
+ * @param {number} eventId - Resume position, sent as the SSE `id` of the welcome event.
  */
-async function sendWelcomeMessage(connectionInfo, res, agentId) {
+async function sendWelcomeMessage(connectionInfo, res, agentId, eventId) {
   try {
     const welcomeData = {
       type: 'welcome',
       data: {
         sessionId: connectionInfo.sessionId,
         agentId,
-        cardToken: connectionInfo.cardToken,
+        cardTokens: connectionInfo.cardTokens,
         status: 'connected',
+        lastEventId: eventId,
+        ackRequired: alertService.ackRequired,
         timestamp: new Date().toISOString(),
         server: {
           version: '1.0.0',
           capabilities: [
             'real_time_alerts',
             'transaction_intelligence',
-            'connection_health_monitoring'
+            'connection_health_monitoring',
+            'alert_replay',
+            'alert_acknowledgement'
           ]
         }
       }
     };
 
     // Send SSE formatted message
-    const sseMessage = `event: welcome\ndata: ${JSON.stringify(welcomeData.data)}\n\n`;
+    const sseMessage = `id: ${eventId}\nevent: welcome\ndata: ${JSON.stringify(welcomeData.data)}\n\n`;
     res.write(sseMessage);
 
     logger.debug({
@@ -466,6 +567,111 @@ export function handleConnectionError(error, res, requestId) {
   });
 }
 
+/**
+ * Adds or removes cards on an open SSE connection.
+ * Lets one stream follow many cards, instead of one EventSource per card.
+ * 
+ * @param {import('express').Request} req - The Express request object (validated `{ add, remove }` body).
+ * @param {import('express').Response} res - The Express response object.
+ */
+export async function updateConnectionCards(req, res) {
+  const requestId = req.requestId || uuidv4();
+  const { sessionId } = req.params;
+  const { add, remove } = req.validatedData;
+
+  try {
+    const result = connectionManager.updateCards(sessionId, { add, remove });
+
+    if (!result) {
+      logger.warn({
+        requestId,
+        sessionId
+      }, 'Attempted to update cards of non-existent session');
+
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found or already disconnected',
+        sessionId,
+        timestamp: new Date().toISOString(),
+        requestId
+      });
+    }
+
+    res.status(200).json({
+      ...result,
+      timestamp: new Date().toISOString(),
+      requestId
+    });
+
+  } catch (error) {
+    logger.error({
+      requestId,
+      sessionId,
+      error: error.message
+    }, 'Failed to update connection cards');
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update connection cards',
+      timestamp: new Date().toISOString(),
+      requestId
+    });
+  }
+}
+
+/**
+ * Acknowledges alerts an agent has processed on an open stream.
+ * Unacknowledged alerts are redelivered with backoff under the same `alertId`.
+ * 
+ * @param {import('express').Request} req - The Express request object (validated `{ alertIds }` body).
+ * @param {import('express').Response} res - The Express response object.
+ */
+export async function acknowledgeAlerts(req, res) {
+  const requestId = req.requestId || uuidv4();
+  const { sessionId } = req.params;
+  const { alertIds } = req.validatedData;
+
+  try {
+    const result = alertService.acknowledgeAlerts(sessionId, alertIds);
+
+    if (!result) {
+      logger.warn({
+        requestId,
+        sessionId
+      }, 'Attempted to acknowledge alerts of non-existent session');
+
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found or already disconnected',
+        sessionId,
+        timestamp: new Date().toISOString(),
+        requestId
+      });
+    }
+
+    res.status(200).json({
+      sessionId,
+      ...result,
+      timestamp: new Date().toISOString(),
+      requestId
+    });
+
+  } catch (error) {
+    logger.error({
+      requestId,
+      sessionId,
+      error: error.message
+    }, 'Failed to acknowledge alerts');
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to acknowledge alerts',
+      timestamp: new Date().toISOString(),
+      requestId
+    });
+  }
+}
+
 /**
  * Health check endpoint for SSE service status.
  * 
@@ -556,7 +762,7 @@ export async function getConnectionStats(req, res) {
       connections: connections.map(conn => ({
         sessionId: conn.sessionId,
         agentId: conn.agentId,
-        cardToken: conn.cardToken,
+        cardTokens: conn.cardTokens,
         status: conn.status,
         establishedAt: conn.establishedAt,
         lastActivity: conn.lastActivity,
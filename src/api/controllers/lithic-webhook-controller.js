@@ -1,22 +1,140 @@
+import { v4 as uuidv4 } from "uuid";
 import { config } from "../../config/index.js";
-import { lithic_client } from "../../config/lithic-client.js";
-import * as lithic_service from "../../services/lithic-service.js";
-import * as supabase_service from "../../services/supabase-service.js";
+import * as webhook_service from "../../services/webhook-service.js";
+import * as authorization_service from "../../services/authorization-service.js";
+import { verifyWebhookSignature, getActiveSecrets, ReplayCache } from "../../utils/webhook-signature.js";
 import logger from "../../utils/logger.js";
 
+/**
+ * Verified deliveries seen recently. A delivery stays rejectable for as long as its
+ * timestamp could still pass the tolerance check in either direction.
+ */
+const seenDeliveries = new ReplayCache({
+  ttlMs: config.webhookVerification.toleranceSeconds * 2 * 1000,
+  maxEntries: config.webhookVerification.replayCacheMaxEntries,
+});
+
+/**
+ * Verifies the webhook signature and timestamp of a Lithic request and rejects replays.
+ * Runs when signature verification is enabled in config (on by default in production).
+ * @param {import('express').Request} req - The Express request object.
+ * @param {string} webhookId - The webhook-id of the delivery (for logging).
+ * @returns {Object|null} `{ status, body }` error response, or null if the request may proceed.
+ */
+function verifyRequestSignature(req, webhookId) {
+  if (!config.webhookVerification.enabled) {
+    return null;
+  }
+
+  const signature = req.headers["webhook-signature"];
+  const timestamp = req.headers["webhook-timestamp"];
+  const secrets = getActiveSecrets(
+    config.lithic.webhookSecrets,
+    config.lithic.webhookSecret,
+  );
+
+  if (!signature || secrets.length === 0) {
+    logger.error(
+      { webhookId },
+      "Webhook signature or secret is missing while signature verification is enabled.",
+    );
+    return {
+      status: 400,
+      body: { error: "Webhook signature or secret configuration missing." },
+    };
+  }
+
+  // The signature covers the exact bytes Lithic sent, captured before JSON parsing
+  const rawBody = req.rawBody || (Buffer.isBuffer(req.body) ? req.body : null);
+  if (!rawBody) {
+    logger.error(
+      { webhookId },
+      "Raw request body is not available, cannot verify signature. Ensure the JSON parser keeps req.rawBody for webhook routes.",
+    );
+    return {
+      status: 500,
+      body: {
+        error: "Internal server error: Invalid body for signature verification.",
+      },
+    };
+  }
+
+  const verification = verifyWebhookSignature({
+    payload: rawBody,
+    webhookId: req.headers["webhook-id"],
+    timestamp,
+    signatureHeader: signature,
+    secrets,
+    toleranceSeconds: config.webhookVerification.toleranceSeconds,
+  });
+
+  if (!verification.valid) {
+    logger.warn(
+      { webhookId, reason: verification.reason, timestamp, signatureReceived: signature },
+      "Invalid webhook signature.",
+    );
+    return { status: 401, body: { error: "Invalid signature", reason: verification.reason } };
+  }
+
+  // Lithic re-signs every retry with a new timestamp, so only an exact copy of a
+  // delivery we already accepted has the same webhook-id and timestamp
+  if (seenDeliveries.checkAndRemember(`${webhookId}.${timestamp}`)) {
+    logger.warn({ webhookId, timestamp }, "Replayed webhook delivery rejected.");
+    return { status: 409, body: { error: "Webhook delivery already received." } };
+  }
+
+  logger.info(
+    { webhookId, secretId: verification.secretId },
+    "Webhook signature verified successfully.",
+  );
+  return null;
+}
+
+/**
+ * Parses a Lithic request body that may arrive as a Buffer, a string or an object.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {string} webhookId - The webhook-id of the delivery (for logging).
+ * @returns {Object} `{ payload }` on success or `{ error: { status, body } }`.
+ */
+function parseRequestBody(req, webhookId) {
+  if (Buffer.isBuffer(req.body)) {
+    try {
+      return { payload: JSON.parse(req.body.toString()) };
+    } catch (parseError) {
+      logger.error(
+        { err: parseError, webhookId },
+        "Error parsing webhook JSON body after signature verification.",
+      );
+      return { error: { status: 400, body: { error: "Invalid JSON payload." } } };
+    }
+  }
+
+  if (typeof req.body === "string") {
+    try {
+      return { payload: JSON.parse(req.body) };
+    } catch (parseError) {
+      logger.error(
+        { err: parseError, webhookId },
+        "Error parsing webhook string body.",
+      );
+      return { error: { status: 400, body: { error: "Invalid JSON payload." } } };
+    }
+  }
+
+  return { payload: req.body };
+}
+
 /**
  * Handles incoming Lithic webhook events.
- * Verifies webhook signature in production.
- * Processes transaction and card events by saving/updating data via services.
+ * Verifies the webhook signature when verification is enabled.
+ * Records every event in the webhook_events log, de-duplicated by webhook-id,
+ * acknowledges it right away and hands it to the webhook processing queue.
  * @param {import('express').Request} req - The Express request object.
  * @param {import('express').Response} res - The Express response object.
  */
 export async function handleLithicEvent(req, res) {
-  const webhookId = req.headers["webhook-id"] || "unknown_webhook_id";
-  const eventType =
-    req.body && typeof req.body === "object" && req.body.type
-      ? req.body.type
-      : "unknown_event_type";
+  // Without a webhook-id the delivery cannot be de-duplicated, so give it a unique one
+  const webhookId = req.headers["webhook-id"] || `missing_${uuidv4()}`;
 
   logger.info(
     {
@@ -28,138 +146,39 @@ export async function handleLithicEvent(req, res) {
   );
 
   try {
-    // Verify webhook signature if in production
-    if (config.server.nodeEnv === "production") {
-      const signature = req.headers["webhook-signature"];
-      const webhookSecret = config.lithic.webhookSecret;
-
-      if (!signature || !webhookSecret) {
-        logger.error(
-          { webhookId },
-          "Webhook signature or secret is missing in production environment.",
-        );
-        return res
-          .status(400)
-          .json({
-            error: "Webhook signature or secret configuration missing.",
-          });
-      }
-
-      // Ensure req.body is the raw buffer/string for verification
-      if (!Buffer.isBuffer(req.body)) {
-        logger.error(
-          { webhookId },
-          "Request body is not a Buffer, cannot verify signature. Ensure express.raw middleware is correctly configured.",
-        );
-        return res
-          .status(500)
-          .json({
-            error:
-              "Internal server error: Invalid body for signature verification.",
-          });
-      }
-
-      try {
-        lithic_client.webhooks.verifySignature(
-          req.body,
-          signature,
-          webhookSecret,
-        );
-        logger.info({ webhookId }, "Webhook signature verified successfully.");
-      } catch (verificationError) {
-        logger.warn(
-          { err: verificationError, webhookId, signatureReceived: signature },
-          "Invalid webhook signature.",
-        );
-        return res.status(401).json({ error: "Invalid signature" });
-      }
+    const verificationError = verifyRequestSignature(req, webhookId);
+    if (verificationError) {
+      return res.status(verificationError.status).json(verificationError.body);
     }
 
     // Parse the webhook payload AFTER signature verification
-    let eventPayload;
-    if (Buffer.isBuffer(req.body)) {
-      try {
-        eventPayload = JSON.parse(req.body.toString());
-      } catch (parseError) {
-        logger.error(
-          { err: parseError, webhookId },
-          "Error parsing webhook JSON body after signature verification.",
-        );
-        return res.status(400).json({ error: "Invalid JSON payload." });
-      }
-    } else if (typeof req.body === "string") {
-      try {
-        eventPayload = JSON.parse(req.body);
-      } catch (parseError) {
-        logger.error(
-          { err: parseError, webhookId },
-          "Error parsing webhook string body.",
-        );
-        return res.status(400).json({ error: "Invalid JSON payload." });
-      }
-    } else {
-      eventPayload = req.body;
+    const { payload: eventPayload, error: parseError } = parseRequestBody(req, webhookId);
+    if (parseError) {
+      return res.status(parseError.status).json(parseError.body);
     }
 
-    const eventToken = eventPayload.payload?.token || "unknown_event_token";
-    logger.info(
-      { webhookId, eventType: eventPayload.type, eventToken },
-      `Processing webhook event.`,
-    );
+    const { event, isDuplicate, shouldProcess } =
+      await webhook_service.recordIncomingEvent(eventPayload, webhookId);
 
-    switch (eventPayload.type) {
-      case "transaction.created":
-      case "transaction.updated":
-        logger.info(
-          {
-            webhookId,
-            transactionToken: eventPayload.payload.token,
-            eventType: eventPayload.type,
-          },
-          "Transaction event received. Fetching details.",
-        );
-        // Fetch full transaction details using the token from the event payload
-        const transaction = await lithic_service.getTransaction(
-          eventPayload.payload.token,
-        );
-        // saveTransaction handles both database saving AND alert broadcasting with enriched data
-        await supabase_service.saveTransaction(transaction);
-        logger.info(
-          { webhookId, transactionToken: eventPayload.payload.token },
-          `Processed and saved transaction event.`,
-        );
-        break;
-
-      case "card.created":
-        logger.info(
-          { webhookId, cardToken: eventPayload.payload.token },
-          `Card created event received.`,
-        );
-        // Potential future action: Save card details to a 'cards' table in Supabase
-        // const cardDetails = await lithic_service.getCardDetails(eventPayload.payload.token);
-        // await supabase_service.saveCard(cardDetails); // Example
-        break;
-
-      case "card.updated":
-        logger.info(
-          { webhookId, cardToken: eventPayload.payload.token },
-          `Card updated event received.`,
-        );
-        // Potential future action: Update card details in Supabase
-        // const updatedCardDetails = await lithic_service.getCardDetails(eventPayload.payload.token);
-        // await supabase_service.updateCard(updatedCardDetails); // Example
-        break;
-
-      default:
-        logger.warn(
-          { webhookId, eventType: eventPayload.type },
-          `Unhandled event type received.`,
-        );
+    if (!shouldProcess) {
+      logger.info(
+        { webhookId, eventType: eventPayload.type, status: event.status },
+        "Duplicate webhook delivery ignored.",
+      );
+      return res.status(200).json({
+        received: true,
+        duplicate: true,
+        message: "Webhook already processed.",
+      });
     }
 
+    webhook_service.enqueueWebhookEvent(eventPayload, webhookId, {
+      previousAttempts: isDuplicate ? event.attempts || 0 : 0,
+    });
+
     res
       .status(200)
-      .json({ received: true, message: "Webhook processed successfully." });
+      .json({ received: true, queued: true, message: "Webhook accepted for processing." });
   } catch (error) {
     logger.error(
       { err: error, webhookId, eventType: req.body?.type },
@@ -170,3 +189,44 @@ export async function handleLithicEvent(req, res) {
       .json({ error: "Internal server error", details: error.message });
   }
 }
+
+/**
+ * Handles Lithic Auth Stream Access (ASA) authorization requests.
+ * Evaluates the card's rule set and answers APPROVED or a decline result code.
+ * Always answers 200 with a decision, falling back to the configured decision on errors
+ * or slow rule lookups. The decision is stored only after the answer is sent.
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ */
+export async function handleAuthorizationRequest(req, res) {
+  const webhookId = req.headers["webhook-id"] || `asa_${uuidv4()}`;
+
+  const verificationError = verifyRequestSignature(req, webhookId);
+  if (verificationError) {
+    return res.status(verificationError.status).json(verificationError.body);
+  }
+
+  const { payload: asaRequest, error: parseError } = parseRequestBody(req, webhookId);
+  if (parseError) {
+    return res.status(parseError.status).json(parseError.body);
+  }
+
+  if (!asaRequest?.token) {
+    logger.warn({ webhookId }, "Authorization request without transaction token.");
+    return res.status(400).json({ error: "Missing transaction token." });
+  }
+
+  logger.info(
+    { webhookId, transactionToken: asaRequest.token, amount: asaRequest.amount },
+    "Received authorization request.",
+  );
+
+  const decision = await authorization_service.decideAuthorization(asaRequest);
+
+  res.status(200).json({
+    token: decision.token,
+    result: decision.result,
+  });
+
+  await authorization_service.recordAuthorizationDecision(asaRequest, decision);
+}
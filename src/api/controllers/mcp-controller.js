@@ -29,10 +29,23 @@
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/logger.js';
 import alertService from '../../services/alert-service.js';
+import alertMailbox from '../../services/alert-mailbox.js';
 import connectionManager from '../../services/connection-manager.js';
 import * as reportingService from '../../services/reporting-service.js';
 import * as supabaseService from '../../services/supabase-service.js';
 import * as cardService from '../../services/card-service.js';
+import * as caseService from '../../services/case-service.js';
+import {
+  DEFAULT_CURRENCY,
+  createMoney,
+  fromMajorUnits,
+  toMajorUnits,
+  formatMoney,
+  getTransactionAmounts,
+  sumByCurrency,
+  averageByCurrency,
+  formatMoneyList
+} from '../../utils/money.js';
 
 
 
@@ -94,27 +107,15 @@ export async function subscribeToAlerts(req, res) {
       establishedAt: new Date(),
       capabilities: [
         'real_time_alerts',
+        'alert_mailbox',
         'transaction_queries',
         'scammer_verification',
         'merchant_intelligence'
       ]
     };
 
-    // Create enhanced mock connection for alert service registration
-    const enhancedConnection = {
-      sessionId,
-      agentId,
-      type: 'mcp_subscription',
-      write: (data) => {
-        logger.debug({ 
-          sessionId, 
-          agentId,
-          dataSize: data?.length || 0 
-        }, 'Alert data ready for MCP delivery');
-      },
-      isActive: () => true,
-      getMetadata: () => enhancedMetadata
-    };
+    // Alerts for this session are kept in a mailbox the agent drains with get_pending_alerts
+    const enhancedConnection = alertMailbox.open(sessionId, enhancedMetadata);
 
     // Track registration results for all card tokens
     const registrationResults = [];
@@ -167,6 +168,7 @@ export async function subscribeToAlerts(req, res) {
 
     // Check if at least one registration succeeded
     if (successfulRegistrations === 0) {
+      alertMailbox.close(sessionId);
       logger.error({
         requestId,
         sessionId,
@@ -190,35 +192,6 @@ export async function subscribeToAlerts(req, res) {
       });
     }
 
-    // Store subscription with enhanced connection manager
-    try {
-      const connectionInfo = await connectionManager.createConnection(req, res, cardTokens[0], {
-        sessionId,
-        agentId,
-        cardTokens,
-        connectionType,
-        subscriptionMetadata: enhancedMetadata,
-        mcpSubscription: true,
-        authenticatedAt: new Date(),
-        registrationResults
-      });
-
-      logger.debug({
-        requestId,
-        sessionId,
-        connectionInfo
-      }, 'Connection manager registration completed');
-
-    } catch (connectionError) {
-      logger.warn({
-        requestId,
-        sessionId,
-        error: connectionError.message
-      }, 'Connection manager registration failed, but alert service registration succeeded');
-      
-      // Continue since alert service registration succeeded
-    }
-
     const duration = Date.now() - startTime;
     
     logger.info({
@@ -268,6 +241,11 @@ export async function subscribeToAlerts(req, res) {
         status: 'subscribed',
         timestamp: new Date().toISOString(),
         capabilities: enhancedMetadata.capabilities,
+        delivery: {
+          mode: 'mailbox',
+          fetchTool: 'get_pending_alerts',
+          acknowledgeTool: 'acknowledge_alerts'
+        },
         subscriptionHealth: {
           totalCards: cardTokens.length,
           registeredCards: successfulRegistrations,
@@ -334,7 +312,7 @@ export async function unsubscribeFromAlerts(req, res) {
 
   try {
     // Enhanced session validation
-    const connectionHealth = connectionManager.getConnectionHealth(sessionId);
+    const connectionHealth = getSessionHealth(sessionId);
     if (!connectionHealth && !forceCleanup) {
       logger.warn({
         requestId,
@@ -488,7 +466,7 @@ export async function getSubscriptionStatus(req, res) {
 
   try {
     // Enhanced connection health check
-    const connectionHealth = connectionManager.getConnectionHealth(sessionId);
+    const connectionHealth = getSessionHealth(sessionId);
     if (!connectionHealth) {
       return res.status(404).json({
         jsonrpc: '2.0',
@@ -513,6 +491,8 @@ export async function getSubscriptionStatus(req, res) {
       conn => conn.sessionId === sessionId
     );
 
+    const mailboxStatus = alertMailbox.getStatus(sessionId);
+
     // Calculate enhanced health metrics
     const now = new Date();
     const timeSinceEstablished = connectionHealth.establishedAt ? 
@@ -546,9 +526,10 @@ export async function getSubscriptionStatus(req, res) {
       subscription: {
         establishedAt: connectionHealth.establishedAt,
         duration: timeSinceEstablished ? Math.round(timeSinceEstablished / 1000) : null,
-        monitoringCards: connectionDetail ? [connectionDetail.cardToken] : [],
-        alertsReceived: 0 // Would track this per session in enhanced version
+        monitoringCards: connectionDetail ? connectionDetail.cardTokens : [],
+        alertsReceived: mailboxStatus ? mailboxStatus.enqueued : 0
       },
+      ...(mailboxStatus && { mailbox: mailboxStatus }),
       timestamp: new Date().toISOString()
     };
 
@@ -622,6 +603,36 @@ export async function getSubscriptionStatus(req, res) {
   }
 }
 
+/**
+ * Health of a subscription. SSE sessions are tracked by the connection manager;
+ * sessions created through POST /subscribe are tracked by their alert mailbox.
+ * @private
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Connection health, or null if the session does not exist
+ */
+function getSessionHealth(sessionId) {
+  const connectionHealth = connectionManager.getConnectionHealth(sessionId);
+  if (connectionHealth) {
+    return connectionHealth;
+  }
+
+  const mailboxStatus = alertMailbox.getStatus(sessionId);
+  if (!mailboxStatus) {
+    return null;
+  }
+
+  return {
+    sessionId,
+    status: 'active',
+    establishedAt: mailboxStatus.openedAt,
+    lastActivity: mailboxStatus.lastFetchedAt || mailboxStatus.openedAt,
+    lastHeartbeat: null,
+    healthChecksPassed: 0,
+    healthChecksFailed: 0,
+    reconnectAttempts: 0
+  };
+}
+
 /**
  * Send welcome message to newly subscribed AI agent through alert system.
  * Provides initial connection confirmation and system status.
@@ -725,6 +736,15 @@ export async function processQuery(req, res) {
       case 'get_card_details':
         queryResult = await handleGetCardDetails(parameters, requestId);
         break;
+      case 'attach_to_case':
+        queryResult = await handleAttachToCase(parameters, requestId, req.get('mcp-session-id'));
+        break;
+      case 'get_pending_alerts':
+        queryResult = await handleGetPendingAlerts(parameters, requestId, req.get('mcp-session-id'));
+        break;
+      case 'acknowledge_alerts':
+        queryResult = handleAcknowledgeAlerts(parameters, requestId, req.get('mcp-session-id'));
+        break;
       default:
         throw new Error(`Unsupported tool: ${tool}`);
     }
@@ -1019,11 +1039,7 @@ async function handleGetTransaction(parameters, requestId) {
 async function handleMerchantInfo(parameters, requestId) {
   const { merchantId } = parameters;
   
-  // This would be enhanced with a dedicated merchant service
-  const transactions = await reportingService.getRecentTransactionsForAgent(20);
-  const merchantTransactions = transactions.filter(t => 
-    t.merchant.toLowerCase().includes(merchantId.toLowerCase())
-  );
+  const { group, transactions: merchantTransactions } = await findMerchantTransactions(merchantId, 20);
   
   if (merchantTransactions.length === 0) {
     return {
@@ -1037,7 +1053,9 @@ async function handleMerchantInfo(parameters, requestId) {
   return {
     queryType: 'merchant_info',
     found: true,
-    merchantName: merchantTransactions[0].merchant,
+    merchantName: group?.canonical_name || merchantTransactions[0].merchant,
+    merchantGroup: formatMerchantGroupForAI(group),
+    descriptorVariants: [...new Set(merchantTransactions.map(t => t.merchant))],
     transactionCount: merchantTransactions.length,
     averageAmount: calculateAverageAmount(merchantTransactions),
     locations: extractUniqueLocations(merchantTransactions),
@@ -1101,7 +1119,7 @@ async function handleCardInfo(parameters, requestId) {
         lastFour: cardDetails.last_four,
         state: cardDetails.state,
         type: cardDetails.type,
-        spendLimit: `$${(cardDetails.spend_limit / 100).toFixed(2)}`,
+        spendLimit: formatMoney(createMoney(cardDetails.spend_limit)),
         spendLimitDuration: cardDetails.spend_limit_duration,
         memo: cardDetails.memo,
         created: cardDetails.created,
@@ -1233,6 +1251,185 @@ async function handleGetCardDetails(parameters, requestId) {
   }
 }
 
+/**
+ * Handle attaching the current call to a scammer case.
+ * Links the call's MCP session, conversation and cards to the case, or opens a new
+ * case for the call when no caseId is given.
+ * @private
+ * @param {Object} parameters - Query parameters
+ * @param {string} requestId - Request ID for tracking
+ * @param {string} [headerSessionId] - MCP session id from the mcp-session-id header
+ * @returns {Promise<Object>} Attachment result with the case
+ */
+async function handleAttachToCase(parameters, requestId, headerSessionId) {
+  const { caseId, title, conversationId, cardToken, transactionId, note } = parameters;
+  const sessionId = parameters.sessionId || headerSessionId;
+
+  logger.info({
+    requestId,
+    caseId,
+    sessionId,
+    conversationId
+  }, 'Processing attach to case query');
+
+  try {
+    const result = await caseService.attachCallToCase({
+      caseId,
+      title,
+      sessionId,
+      conversationId,
+      cardTokens: cardToken ? [cardToken] : [],
+      transactionTokens: transactionId ? [transactionId] : [],
+      note
+    });
+
+    if (!result) {
+      return {
+        queryType: 'attach_to_case',
+        caseId,
+        attached: false,
+        error: 'Case not found'
+      };
+    }
+
+    return {
+      queryType: 'attach_to_case',
+      caseId: result.case.id,
+      attached: true,
+      caseCreated: result.created,
+      case: {
+        id: result.case.id,
+        title: result.case.title,
+        status: result.case.status,
+        tags: result.case.tags,
+        links: result.case.links,
+        noteCount: result.case.notes.length
+      }
+    };
+  } catch (error) {
+    logger.error({
+      requestId,
+      caseId,
+      error: error.message
+    }, 'Error processing attach to case query');
+
+    return {
+      queryType: 'attach_to_case',
+      caseId,
+      attached: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Handle fetching the alerts waiting in the mailbox of an MCP subscription.
+ * With waitSeconds the call long-polls until an alert arrives.
+ * @private
+ * @param {Object} parameters - Query parameters (sessionId, limit, waitSeconds)
+ * @param {string} requestId - Request ID for tracking
+ * @param {string} [headerSessionId] - MCP session id from the mcp-session-id header
+ * @returns {Promise<Object>} Fetched alerts; each must be acknowledged with acknowledge_alerts
+ */
+async function handleGetPendingAlerts(parameters, requestId, headerSessionId) {
+  const sessionId = parameters.sessionId || headerSessionId;
+  const { limit, waitSeconds = 0 } = parameters;
+
+  if (!sessionId) {
+    return {
+      queryType: 'get_pending_alerts',
+      alerts: [],
+      error: 'sessionId is required (parameter or mcp-session-id header)'
+    };
+  }
+
+  const result = await alertMailbox.waitForAlerts(sessionId, { limit, waitMs: waitSeconds * 1000 });
+  if (!result) {
+    return {
+      queryType: 'get_pending_alerts',
+      sessionId,
+      alerts: [],
+      error: 'Subscription not found or already unsubscribed'
+    };
+  }
+
+  // Polling counts as activity, so an idle subscription is not removed as stale
+  alertService.recordActivity(sessionId);
+
+  logger.debug({
+    requestId,
+    sessionId,
+    fetched: result.alerts.length,
+    remaining: result.remaining
+  }, 'Mailbox alerts fetched');
+
+  return {
+    queryType: 'get_pending_alerts',
+    sessionId,
+    alerts: result.alerts,
+    remaining: result.remaining,
+    acknowledgeWith: 'acknowledge_alerts'
+  };
+}
+
+/**
+ * Handle acknowledging alerts fetched with get_pending_alerts.
+ * Alerts that are not acknowledged are handed out again until they expire.
+ * Only mailbox sessions are accepted: this tool needs no token, so alerts pushed on an
+ * SSE/WebSocket stream are acknowledged through the stream's own authenticated ack instead.
+ * @private
+ * @param {Object} parameters - Query parameters (sessionId, alertIds)
+ * @param {string} requestId - Request ID for tracking
+ * @param {string} [headerSessionId] - MCP session id from the mcp-session-id header
+ * @returns {Object} Acknowledged and unknown alert ids
+ */
+function handleAcknowledgeAlerts(parameters, requestId, headerSessionId) {
+  const sessionId = parameters.sessionId || headerSessionId;
+
+  if (!sessionId) {
+    return {
+      queryType: 'acknowledge_alerts',
+      acknowledged: [],
+      error: 'sessionId is required (parameter or mcp-session-id header)'
+    };
+  }
+
+  if (!alertMailbox.has(sessionId) && alertService.getSessionCards(sessionId)) {
+    return {
+      queryType: 'acknowledge_alerts',
+      sessionId,
+      acknowledged: [],
+      error: 'Streamed alerts are acknowledged with POST /alerts/connection/:sessionId/ack or an ack message on the WebSocket'
+    };
+  }
+
+  const result = alertMailbox.acknowledge(sessionId, parameters.alertIds);
+  if (!result) {
+    return {
+      queryType: 'acknowledge_alerts',
+      sessionId,
+      acknowledged: [],
+      error: 'Subscription not found or already unsubscribed'
+    };
+  }
+
+  alertService.recordActivity(sessionId);
+
+  logger.info({
+    requestId,
+    sessionId,
+    acknowledged: result.acknowledged.length,
+    unknown: result.unknown.length
+  }, 'Alerts acknowledged');
+
+  return {
+    queryType: 'acknowledge_alerts',
+    sessionId,
+    acknowledged: result.acknowledged,
+    unknown: result.unknown
+  };
+}
+
 // ========== Specific Endpoint Handlers ==========
 
 /**
@@ -1386,10 +1583,7 @@ export async function getTransactionsByMerchant(req, res) {
   } = req.query;
   
   try {
-    const allTransactions = await reportingService.getRecentTransactionsForAgent(100);
-    const merchantTransactions = allTransactions.filter(t =>
-      t.merchant.toLowerCase().includes(merchantName.toLowerCase())
-    ).slice(0, parseInt(limit));
+    const { group, transactions: merchantTransactions } = await findMerchantTransactions(merchantName, parseInt(limit));
     
     if (merchantTransactions.length === 0) {
       return res.status(404).json({
@@ -1405,9 +1599,11 @@ export async function getTransactionsByMerchant(req, res) {
     
     const result = {
       merchant: {
-        name: merchantTransactions[0].merchant,
+        name: group?.canonical_name || merchantTransactions[0].merchant,
         category: merchantTransactions[0].category,
-        transactionCount: merchantTransactions.length
+        transactionCount: merchantTransactions.length,
+        merchantGroup: formatMerchantGroupForAI(group),
+        descriptorVariants: [...new Set(merchantTransactions.map(t => t.merchant))]
       },
       transactions: merchantTransactions.map(formatTransactionForAI),
       intelligence: {
@@ -1932,7 +2128,36 @@ function formatDetailedTransactionForAI(transaction) {
           country: transaction.merchant_country
         }
       }
-    }
+    },
+    lifecycle: formatLifecycleForAI(transaction.lifecycle, transaction.events)
+  };
+}
+
+/**
+ * Format the lifecycle stage and event history of a transaction.
+ * @private
+ * @param {Object} lifecycle - Lifecycle from getTransactionLifecycle
+ * @param {Array} events - Transaction events
+ * @returns {Object|null} Lifecycle summary, or null if unavailable
+ */
+function formatLifecycleForAI(lifecycle, events = []) {
+  if (!lifecycle) {
+    return null;
+  }
+
+  return {
+    stage: lifecycle.stage,
+    isVoided: lifecycle.is_voided,
+    lastEvent: lifecycle.last_event_type,
+    lastEventAt: lifecycle.last_event_at,
+    amounts: lifecycle.amounts,
+    events: events.map(event => ({
+      type: event.event_type,
+      amount: event.amount,
+      currency: event.currency,
+      result: event.result,
+      timestamp: event.created_at
+    }))
   };
 }
 
@@ -1961,6 +2186,7 @@ function generateTransactionVerificationData(transaction) {
     },
     redFlags: [
       transaction.result !== 'APPROVED' ? 'Transaction was declined' : null,
+      transaction.lifecycle?.is_voided ? `Charge was voided after authorization (${transaction.lifecycle.stage})` : null,
       transaction.merchant_currency !== transaction.cardholder_currency ? 'Currency conversion involved' : null
     ].filter(Boolean)
   };
@@ -2001,7 +2227,7 @@ function generateVerificationSuggestions(transactions) {
     ],
     patterns: {
       frequentMerchants: findMostFrequentMerchant(transactions),
-      unusualAmounts: transactions.filter(t => parseFloat(t.amount.replace(/[^0-9.]/g, '')) > 100),
+      unusualAmounts: transactions.filter(t => getMajorAmount(t) > 100),
       recentActivity: `${transactions.length} transactions in recent period`
     }
   };
@@ -2009,36 +2235,53 @@ function generateVerificationSuggestions(transactions) {
 
 // Additional helper functions for calculations and analysis...
 
+/**
+ * Cardholder amount of a transaction as a money value.
+ * Transactions from the reporting service carry `money`; anything else is read from
+ * its amount fields, and a bare formatted string is taken to be USD.
+ * @private
+ * @param {Object} transaction - Transaction in any of the shapes used by this controller
+ * @returns {Object} `{ amount, currency }` in minor units
+ */
+function getTransactionMoney(transaction) {
+  if (transaction.money?.cardholder) {
+    return transaction.money.cardholder;
+  }
+  const formatted = transaction.amount ?? transaction.formatted_cardholder_amount;
+  if (typeof formatted === 'string') {
+    return fromMajorUnits(parseFloat(formatted.replace(/[^0-9.-]/g, '')) || 0, DEFAULT_CURRENCY);
+  }
+  return getTransactionAmounts(transaction).cardholder;
+}
+
+/**
+ * Cardholder amount of a transaction in major units (e.g. dollars), for thresholds and ratios.
+ * @private
+ * @param {Object} transaction - Transaction
+ * @returns {number} Amount in major units
+ */
+function getMajorAmount(transaction) {
+  return toMajorUnits(getTransactionMoney(transaction));
+}
+
 /**
  * Calculate average transaction amount.
  * @private
  * @param {Array} transactions - Array of transactions
- * @returns {string} Formatted average amount
+ * @returns {string} Formatted average amount, one per currency
  */
 function calculateAverageAmount(transactions) {
-  if (transactions.length === 0) return '$0.00';
-  
-  const total = transactions.reduce((sum, t) => {
-    const amount = parseFloat(t.amount.replace(/[^0-9.]/g, ''));
-    return sum + (isNaN(amount) ? 0 : amount);
-  }, 0);
-  
-  return `$${(total / transactions.length).toFixed(2)}`;
+  return formatMoneyList(averageByCurrency(transactions.map(getTransactionMoney)));
 }
 
 /**
  * Calculate total spent across transactions.
  * @private
  * @param {Array} transactions - Array of transactions
- * @returns {string} Formatted total amount
+ * @returns {string} Formatted total amount, one per currency
  */
 function calculateTotalSpent(transactions) {
-  const total = transactions.reduce((sum, t) => {
-    const amount = parseFloat(t.amount.replace(/[^0-9.]/g, ''));
-    return sum + (isNaN(amount) ? 0 : amount);
-  }, 0);
-  
-  return `$${total.toFixed(2)}`;
+  return formatMoneyList(sumByCurrency(transactions.map(getTransactionMoney)));
 }
 
 /**
@@ -2114,10 +2357,53 @@ function countUniqueMerchants(transactions) {
  * @returns {Promise<Array>} Filtered transactions
  */
 async function searchTransactionsByMerchant(merchantName, limit) {
-  const allTransactions = await reportingService.getRecentTransactionsForAgent(50);
-  return allTransactions
+  const { transactions } = await findMerchantTransactions(merchantName, limit);
+  return transactions;
+}
+
+/**
+ * Find a merchant's transactions through its merchant group, so every descriptor
+ * variant of the merchant is included ("AMZN MKTP US*2K3", "AMZN Mktp US*7Y1").
+ * Falls back to a substring match on recent transactions when no group matches.
+ * @private
+ * @param {string} merchantName - Merchant name or descriptor
+ * @param {number} limit - Result limit
+ * @returns {Promise<Object>} `{ group, transactions }` where group is the matched merchant group or null
+ */
+async function findMerchantTransactions(merchantName, limit) {
+  try {
+    const [group] = await supabaseService.findMerchantGroupsByName(merchantName, 1);
+    if (group) {
+      const tokens = await supabaseService.listMerchantGroupTransactionTokens(group.id);
+      const transactions = await reportingService.getTransactionsForAgentByTokens(tokens, limit);
+      if (transactions.length > 0) {
+        return { group, transactions };
+      }
+    }
+  } catch (error) {
+    logger.warn({ merchantName, error: error.message }, 'Merchant group lookup failed, falling back to name search');
+  }
+
+  const recentTransactions = await reportingService.getRecentTransactionsForAgent(100);
+  const transactions = recentTransactions
     .filter(t => t.merchant.toLowerCase().includes(merchantName.toLowerCase()))
     .slice(0, limit);
+  return { group: null, transactions };
+}
+
+/**
+ * Format a merchant group for AI consumption.
+ * @private
+ * @param {Object|null} group - Merchant group row
+ * @returns {Object|null} `{ groupId, canonicalName, matchScore }`, or null without a group
+ */
+function formatMerchantGroupForAI(group) {
+  if (!group) return null;
+  return {
+    groupId: group.id,
+    canonicalName: group.canonical_name,
+    matchScore: group.score ?? null
+  };
 }
 
 /**
@@ -2130,7 +2416,7 @@ function formatStatisticsForAI(stats) {
   return {
     totalTransactions: stats.total_transactions,
     approvalRate: stats.approval_rate,
-    totalAmount: `$${stats.total_amount_usd}`,
+    totalAmount: stats.total_amount,
     averageTransaction: stats.average_transaction,
     summary: `${stats.total_transactions} transactions with ${stats.approval_rate} approval rate`
   };
@@ -2139,14 +2425,12 @@ function formatStatisticsForAI(stats) {
 // Analysis function implementations
 async function generateMerchantIntelligence(transaction) {
   try {
-    // Get merchant-related transactions for comparison
-    const recentTransactions = await reportingService.getRecentTransactionsForAgent(100);
-    const merchantTransactions = recentTransactions.filter(t => 
-      t.merchant && t.merchant.toLowerCase() === transaction.merchant_name?.toLowerCase()
-    );
+    // Get merchant-related transactions for comparison, across all descriptor variants of the merchant
+    const { groupId, transactions: merchantTransactions } = await getMerchantGroupTransactions(transaction);
     
     const merchantInfo = {
       merchantName: transaction.merchant_name,
+      merchantGroupId: groupId,
       category: transaction.merchant_category,
       mccCode: transaction.merchant_mcc,
       location: `${transaction.merchant_city}, ${transaction.merchant_state}`,
@@ -2168,7 +2452,7 @@ async function generateMerchantIntelligence(transaction) {
         unusualLocation: false, // Would check against user's usual locations
         categoryMismatch: false, // Would check if MCC matches merchant type
         roundAmountPattern: merchantTransactions.filter(t => {
-          const amount = parseFloat(t.amount?.replace(/[^0-9.]/g, '') || '0');
+          const amount = getMajorAmount(t);
           return amount % 10 === 0;
         }).length > merchantTransactions.length * 0.8
       },
@@ -2190,6 +2474,38 @@ async function generateMerchantIntelligence(transaction) {
   }
 }
 
+/**
+ * Transactions at the merchant of a transaction. Uses the merchant group the
+ * transaction was resolved to, and an exact name match for unresolved transactions.
+ * @private
+ * @param {Object} transaction - Transaction details
+ * @returns {Promise<Object>} `{ groupId, transactions }` where groupId is null for unresolved transactions
+ */
+async function getMerchantGroupTransactions(transaction) {
+  let groupId = null;
+  let transactions = null;
+
+  try {
+    groupId = await supabaseService.getTransactionMerchantGroupId(transaction.token);
+    if (groupId) {
+      const tokens = await supabaseService.listMerchantGroupTransactionTokens(groupId);
+      transactions = await reportingService.getTransactionsForAgentByTokens(tokens, 100);
+    }
+  } catch (error) {
+    logger.warn({ token: transaction.token, error: error.message }, 'Merchant group lookup failed, falling back to name match');
+    groupId = null;
+  }
+
+  if (!transactions) {
+    const recentTransactions = await reportingService.getRecentTransactionsForAgent(100);
+    transactions = recentTransactions.filter(t =>
+      t.merchant && t.merchant.toLowerCase() === transaction.merchant_name?.toLowerCase()
+    );
+  }
+
+  return { groupId, transactions };
+}
+
 async function generatePatternAnalysis(transaction) {
   try {
     // Get comprehensive transaction data for pattern analysis
@@ -2199,9 +2515,7 @@ async function generatePatternAnalysis(transaction) {
     const patterns = await analyzeTransactionPatterns(allTransactions, 'comprehensive pattern analysis');
     
     // Add transaction-specific pattern insights
-    const transactionAmount = parseFloat(
-      transaction.formatted_cardholder_amount?.replace(/[^0-9.]/g, '') || '0'
-    );
+    const transactionAmount = getMajorAmount(transaction);
     
     const specificInsights = {
       currentTransaction: {
@@ -2325,10 +2639,7 @@ async function performFraudAnalysis(filters, options, requestId) {
     };
     
     // Analyze for fraud indicators
-    const amounts = filteredTransactions.map(t => {
-      const amountStr = t.amount || t.formatted_cardholder_amount || '0';
-      return parseFloat(amountStr.replace(/[^0-9.-]/g, ''));
-    }).filter(a => !isNaN(a));
+    const amounts = filteredTransactions.map(getMajorAmount);
     
     // Check for suspicious patterns
     const avgAmount = amounts.length > 0 ? amounts.reduce((a, b) => a + b, 0) / amounts.length : 0;
@@ -2418,17 +2729,14 @@ async function performMerchantVerification(filters, options, requestId) {
     });
     
     const merchantVerification = Object.entries(merchantGroups).map(([merchant, merchantTransactions]) => {
-      const amounts = merchantTransactions.map(t => {
-        const amountStr = t.amount || t.formatted_cardholder_amount || '0';
-        return parseFloat(amountStr.replace(/[^0-9.-]/g, ''));
-      }).filter(a => !isNaN(a));
+      const amounts = merchantTransactions.map(getMajorAmount);
       
       const avgAmount = amounts.length > 0 ? amounts.reduce((a, b) => a + b, 0) / amounts.length : 0;
       
       return {
         merchant,
         transactionCount: merchantTransactions.length,
-        averageAmount: `$${avgAmount.toFixed(2)}`,
+        averageAmount: calculateAverageAmount(merchantTransactions),
         category: merchantTransactions[0].category || 'Unknown',
         locations: [...new Set(merchantTransactions.map(t => t.location).filter(l => l))],
         verification: {
@@ -2481,10 +2789,7 @@ async function performHistoryAnalysis(filters, options, requestId) {
         new Date(Math.max(...transactions.map(t => new Date(t.timestamp || t.created_at)))) : null
     };
     
-    const amounts = transactions.map(t => {
-      const amountStr = t.amount || t.formatted_cardholder_amount || '0';
-      return parseFloat(amountStr.replace(/[^0-9.-]/g, ''));
-    }).filter(a => !isNaN(a));
+    const amounts = transactions.map(getMajorAmount);
     
     const historicalStats = {
       totalTransactions: transactions.length,
@@ -2511,7 +2816,7 @@ async function performHistoryAnalysis(filters, options, requestId) {
     // Generate insights
     const insights = [
       `Customer has been active for ${historicalStats.timeSpan?.days || 'unknown'} days`,
-      `Average transaction amount: $${historicalStats.averageAmount.toFixed(2)}`,
+      `Average transaction amount: ${calculateAverageAmount(transactions)}`,
       `Most frequent merchant: ${findMostFrequentMerchant(transactions)}`,
       `Preferred categories: ${trends.categoryPreferences.join(', ')}`,
       `Geographic spread: ${trends.locationPatterns.length} locations`
@@ -2616,10 +2921,7 @@ function calculateNewMerchantFrequency(transactions) {
 }
 
 function analyzeSpendingTiers(transactions) {
-  const amounts = transactions.map(t => {
-    const amountStr = t.amount || t.formatted_cardholder_amount || '0';
-    return parseFloat(amountStr.replace(/[^0-9.-]/g, ''));
-  }).filter(a => !isNaN(a));
+  const amounts = transactions.map(getMajorAmount);
   
   const small = amounts.filter(a => a < 10).length;
   const medium = amounts.filter(a => a >= 10 && a <= 100).length;
@@ -2629,10 +2931,7 @@ function analyzeSpendingTiers(transactions) {
 }
 
 function calculateRoundNumberFrequency(transactions) {
-  const amounts = transactions.map(t => {
-    const amountStr = t.amount || t.formatted_cardholder_amount || '0';
-    return parseFloat(amountStr.replace(/[^0-9.-]/g, ''));
-  }).filter(a => !isNaN(a));
+  const amounts = transactions.map(getMajorAmount);
   
   const roundAmounts = amounts.filter(a => a % 10 === 0).length;
   return {
@@ -2774,15 +3073,10 @@ function filterTransactionsByCategory(transactions, categoryFilter) {
  */
 async function generateEnhancedStatistics(transactions, query) {
   const totalCount = transactions.length;
-  const amounts = transactions.map(t => {
-    const amountStr = t.amount || t.formatted_cardholder_amount || '0';
-    return parseFloat(amountStr.replace(/[^0-9.-]/g, ''));
-  }).filter(a => !isNaN(a));
+  const amounts = transactions.map(getMajorAmount);
   
-  const totalAmount = amounts.reduce((sum, amount) => sum + amount, 0);
-  const averageAmount = totalCount > 0 ? totalAmount / totalCount : 0;
-  const maxAmount = amounts.length > 0 ? Math.max(...amounts) : 0;
-  const minAmount = amounts.length > 0 ? Math.min(...amounts) : 0;
+  const largest = transactions[amounts.indexOf(Math.max(...amounts))];
+  const smallest = transactions[amounts.indexOf(Math.min(...amounts))];
   
   // Categorize by amount ranges
   const smallTransactions = amounts.filter(a => a < 10).length;
@@ -2815,10 +3109,10 @@ async function generateEnhancedStatistics(transactions, query) {
   return {
     summary: {
       totalTransactions: totalCount,
-      totalAmount: `$${totalAmount.toFixed(2)}`,
-      averageAmount: `$${averageAmount.toFixed(2)}`,
-      maxAmount: `$${maxAmount.toFixed(2)}`,
-      minAmount: `$${minAmount.toFixed(2)}`
+      totalAmount: calculateTotalSpent(transactions),
+      averageAmount: calculateAverageAmount(transactions),
+      maxAmount: formatMoney(largest ? getTransactionMoney(largest) : createMoney(0)),
+      minAmount: formatMoney(smallest ? getTransactionMoney(smallest) : createMoney(0))
     },
     distribution: {
       smallTransactions: { count: smallTransactions, description: 'Under $10' },
@@ -3012,11 +3306,8 @@ async function performSecurityAnalysis(transactions, query, requestId) {
 function calculateSpendingVelocity(transactions) {
   if (transactions.length < 2) return 'insufficient data';
   
-  const amounts = transactions.map(t => parseFloat(t.amount?.replace(/[^0-9.-]/g, '') || '0'));
-  const totalSpent = amounts.reduce((sum, amount) => sum + amount, 0);
-  const timeSpan = transactions.length; // Simplified velocity calculation
-  
-  return `$${(totalSpent / timeSpan).toFixed(2)} per transaction`;
+  // Simplified velocity calculation
+  return `${calculateAverageAmount(transactions)} per transaction`;
 }
 
 function calculateMerchantDiversity(transactions) {
@@ -3064,7 +3355,7 @@ function calculateRiskScore(transactions) {
   // Risk factors
   const declinedCount = transactions.filter(t => t.status !== 'APPROVED').length;
   const largeTransactions = transactions.filter(t => {
-    const amount = parseFloat(t.amount?.replace(/[^0-9.-]/g, '') || '0');
+    const amount = getMajorAmount(t);
     return amount > 100;
   }).length;
   
@@ -3078,7 +3369,7 @@ function detectAnomalies(transactions) {
   const anomalies = [];
   
   // Detect unusual amounts
-  const amounts = transactions.map(t => parseFloat(t.amount?.replace(/[^0-9.-]/g, '') || '0'));
+  const amounts = transactions.map(getMajorAmount);
   const avgAmount = amounts.reduce((sum, amt) => sum + amt, 0) / amounts.length;
   
   transactions.forEach((transaction, index) => {
@@ -3087,7 +3378,7 @@ function detectAnomalies(transactions) {
       anomalies.push({
         type: 'unusual_amount',
         transaction: transaction.id,
-        description: `Amount $${amount} is ${Math.round(amount / avgAmount)}x higher than average`
+        description: `Amount ${formatMoney(getTransactionMoney(transaction))} is ${Math.round(amount / avgAmount)}x higher than average`
       });
     }
   });
@@ -3110,7 +3401,7 @@ function identifyFraudIndicators(transactions) {
   
   // Check for round number amounts (potential fraud indicator)
   const roundAmounts = transactions.filter(t => {
-    const amount = parseFloat(t.amount?.replace(/[^0-9.-]/g, '') || '0');
+    const amount = getMajorAmount(t);
     return amount % 10 === 0 && amount > 0;
   });
   
@@ -3160,14 +3451,14 @@ function calculateOverallFraudRisk(transactions) {
 
 function identifyHighRiskTransactions(transactions) {
   return transactions.filter(transaction => {
-    const amount = parseFloat(transaction.amount?.replace(/[^0-9.-]/g, '') || '0');
+    const amount = getMajorAmount(transaction);
     return amount > 100 || transaction.status !== 'APPROVED';
   }).map(t => ({
     id: t.id,
     amount: t.amount,
     merchant: t.merchant,
     riskFactors: [
-      parseFloat(t.amount?.replace(/[^0-9.-]/g, '') || '0') > 100 ? 'large_amount' : null,
+      getMajorAmount(t) > 100 ? 'large_amount' : null,
       t.status !== 'APPROVED' ? 'declined_transaction' : null
     ].filter(Boolean)
   }));
@@ -3214,7 +3505,7 @@ function identifyAlertTriggers(transactions) {
   
   // Large amount trigger
   const largeTransactions = transactions.filter(t => {
-    const amount = parseFloat(t.amount?.replace(/[^0-9.-]/g, '') || '0');
+    const amount = getMajorAmount(t);
     return amount > 500;
   });
   
@@ -3277,10 +3568,7 @@ async function analyzeTransactionPatterns(transactions, query) {
   }
   
   // Analyze amount patterns
-  const amounts = transactions.map(t => {
-    const amountStr = t.amount || t.formatted_cardholder_amount || '0';
-    return parseFloat(amountStr.replace(/[^0-9.-]/g, ''));
-  }).filter(a => !isNaN(a));
+  const amounts = transactions.map(getMajorAmount);
   
   // Check for round number amounts (potentially suspicious)
   const roundAmounts = amounts.filter(a => a % 10 === 0).length;
@@ -3317,8 +3605,7 @@ async function analyzeTransactionPatterns(transactions, query) {
   patterns.insights.push(`Found ${patterns.suspicious.length} potentially suspicious patterns`);
   
   if (amounts.length > 0) {
-    const avgAmount = amounts.reduce((sum, a) => sum + a, 0) / amounts.length;
-    patterns.insights.push(`Average transaction amount: $${avgAmount.toFixed(2)}`);
+    patterns.insights.push(`Average transaction amount: ${calculateAverageAmount(transactions)}`);
   }
   
   return {
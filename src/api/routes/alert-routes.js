@@ -11,6 +11,7 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import * as alertController from '../controllers/alert-controller.js';
+import { validateStreamCardsUpdate, validateAlertAck } from '../../middleware/validation.js';
 import logger from '../../utils/logger.js';
 
 const router = express.Router();
@@ -171,12 +172,13 @@ function validateRouteParams(req, res, next) {
  * GET /stream/:cardToken
  * 
  * Primary SSE endpoint for AI agents to connect and receive real-time transaction alerts.
- * Establishes a Server-Sent Events connection for the specified card token.
+ * Establishes one Server-Sent Events connection for the path card token and every card
+ * listed in `cardTokens`. Cards can be added or removed later with POST /connection/:sessionId/cards.
  * 
  * @route GET /api/alerts/stream/:cardToken
  * @param {string} cardToken.path.required - Card token to monitor for transactions
  * @param {string} agentId.query.required - Unique identifier for the AI agent
- * @param {string} [cardTokens].query - Comma-separated list of additional card tokens
+ * @param {string} [cardTokens].query - Comma-separated list of additional card tokens to monitor
  * @param {string} [connectionType=sse].query - Connection type (currently only 'sse' supported)
  * @param {string} [apiVersion=v1].query - API version for compatibility
  * @param {string} [sessionId].query - Optional session identifier for tracking
@@ -187,12 +189,12 @@ function validateRouteParams(req, res, next) {
  * @returns {Object} 500 - Internal server error response
  * 
  * @example
- * GET /api/alerts/stream/card_123?agentId=agent_456&apiVersion=v1
+ * GET /api/alerts/stream/card_123?cardTokens=card_456,card_789&agentId=agent_456&apiVersion=v1
  * Authorization: Bearer your_token_here
  * 
  * // SSE Response:
  * event: welcome
- * data: {"sessionId":"uuid","agentId":"agent_456","status":"connected"}
+ * data: {"sessionId":"uuid","agentId":"agent_456","cardTokens":["card_123","card_456","card_789"],"status":"connected"}
  * 
  * event: transaction
  * data: {"alertType":"NEW_TRANSACTION","transactionId":"txn_123",...}
@@ -203,6 +205,23 @@ router.get('/stream/:cardToken',
   alertController.establishSSEConnection
 );
 
+/**
+ * GET /stream
+ * 
+ * Same SSE stream as /stream/:cardToken, for the cards listed in `cardTokens`.
+ * 
+ * @route GET /api/alerts/stream
+ * @param {string} cardTokens.query.required - Comma-separated list of card tokens to monitor
+ * @returns {Stream} Server-Sent Events stream with transaction alerts
+ * 
+ * @example
+ * GET /api/alerts/stream?cardTokens=card_123,card_456&agentId=agent_456
+ */
+router.get('/stream',
+  alertRequestLogger,
+  alertController.establishSSEConnection
+);
+
 /**
  * GET /health
  * 
@@ -472,6 +491,84 @@ router.delete('/connection/:sessionId',
   }
 );
 
+/**
+ * POST /connection/:sessionId/cards
+ * 
+ * Adds or removes cards on an open SSE connection without reconnecting.
+ * The stream receives a `subscriptions` event listing the cards it now monitors.
+ * 
+ * @route POST /api/alerts/connection/:sessionId/cards
+ * @param {string} sessionId.path.required - Session ID from the welcome event (UUID format)
+ * @param {Array<string>} [add].body - Cards to start monitoring
+ * @param {Array<string>} [remove].body - Cards to stop monitoring
+ * @returns {Object} 200 - Cards monitored by the session after the change
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Missing or invalid token
+ * @returns {Object} 403 - Session unknown or opened with a different token
+ * @returns {Object} 500 - Internal server error response
+ * 
+ * @example
+ * POST /api/alerts/connection/550e8400-e29b-41d4-a716-446655440000/cards
+ * Authorization: Bearer <token the stream was opened with>
+ * Content-Type: application/json
+ * 
+ * { "add": ["card_789"], "remove": ["card_123"] }
+ * 
+ * // Response:
+ * {
+ *   "sessionId": "550e8400-e29b-41d4-a716-446655440000",
+ *   "cardTokens": ["card_456", "card_789"],
+ *   "added": ["card_789"],
+ *   "removed": ["card_123"],
+ *   "timestamp": "2024-01-15T10:30:00Z"
+ * }
+ */
+router.post('/connection/:sessionId/cards',
+  alertRequestLogger,
+  validateRouteParams,
+  alertController.requireSessionOwner,
+  validateStreamCardsUpdate,
+  alertController.updateConnectionCards
+);
+
+/**
+ * POST /connection/:sessionId/ack
+ * 
+ * Acknowledges alerts the agent has processed. Each alert pushed on a stream carries an
+ * `alertId`; alerts that are not acknowledged are redelivered with backoff under the same id.
+ * 
+ * @route POST /api/alerts/connection/:sessionId/ack
+ * @param {string} sessionId.path.required - Session ID from the welcome event (UUID format)
+ * @param {Array<string>} alertIds.body.required - Alert ids to acknowledge (1-50)
+ * @returns {Object} 200 - Acknowledged and unknown alert ids
+ * @returns {Object} 400 - Validation error
+ * @returns {Object} 401 - Missing or invalid token
+ * @returns {Object} 403 - Session unknown or opened with a different token
+ * @returns {Object} 500 - Internal server error response
+ * 
+ * @example
+ * POST /api/alerts/connection/550e8400-e29b-41d4-a716-446655440000/ack
+ * Authorization: Bearer <token the stream was opened with>
+ * Content-Type: application/json
+ * 
+ * { "alertIds": ["9b2f6c1e-4d0a-4b8e-9c57-2f1a7e3d5b40"] }
+ * 
+ * // Response:
+ * {
+ *   "sessionId": "550e8400-e29b-41d4-a716-446655440000",
+ *   "acknowledged": ["9b2f6c1e-4d0a-4b8e-9c57-2f1a7e3d5b40"],
+ *   "unknown": [],
+ *   "timestamp": "2024-01-15T10:30:00Z"
+ * }
+ */
+router.post('/connection/:sessionId/ack',
+  alertRequestLogger,
+  validateRouteParams,
+  alertController.requireSessionOwner,
+  validateAlertAck,
+  alertController.acknowledgeAlerts
+);
+
 // ========== Additional Utility Routes ==========
 
 /**
@@ -493,9 +590,12 @@ router.get('/metrics',
       // Import services
       const connectionManager = (await import('../../services/connection-manager.js')).default;
       const alertService = (await import('../../services/alert-service.js')).default;
+      const websocketManager = (await import('../../services/websocket-manager.js')).default;
 
       const connectionMetrics = connectionManager.getMetrics();
       const alertMetrics = alertService.getMetrics();
+      const websocketMetrics = websocketManager.getMetrics();
+      const ackMetrics = alertService.getAckMetrics();
 
       const metrics = {
         timestamp: new Date().toISOString(),
@@ -521,6 +621,14 @@ router.get('/metrics',
           messagesRetried: alertMetrics.messagesRetried || 0,
           messagesFailed: alertMetrics.messagesFailed || 0
         },
+        websockets: {
+          active: websocketMetrics.activeConnections,
+          total: websocketMetrics.totalConnections,
+          terminated: websocketMetrics.terminatedConnections,
+          alertsSent: websocketMetrics.alertsSent,
+          alertsAcknowledged: websocketMetrics.alertsAcknowledged
+        },
+        acknowledgements: ackMetrics,
         performance: {
           averageConnectionDuration: connectionMetrics.averageConnectionDuration || 0,
           averageMessageDeliveryTime: alertMetrics.averageDeliveryTime || 0,
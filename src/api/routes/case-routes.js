@@ -0,0 +1,320 @@
+/**
+ * Case Routes - Express routes for scammer case management
+ *
+ * A case groups the cards, transactions, MCP sessions and conversations of one
+ * scammer into an investigation, with analyst notes, a status and tags.
+ */
+
+import express from "express";
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../../utils/logger.js';
+import * as caseService from '../../services/case-service.js';
+import { CASE_LINK_TYPES } from '../../utils/cases.js';
+import {
+  validateCaseCreate,
+  validateCaseUpdate,
+  validateCaseLinks,
+  validateCaseNote
+} from '../../middleware/validation.js';
+
+const router = express.Router();
+
+const CASE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Query parameters that list the cases linked to a record, by link type
+ */
+const LINK_QUERY_PARAMS = {
+  card: 'cardToken',
+  transaction: 'transactionToken',
+  session: 'sessionId',
+  conversation: 'conversationId'
+};
+
+/**
+ * Case ids are UUIDs; anything else cannot be a case
+ */
+router.param('caseId', (req, res, next, caseId) => {
+  if (!CASE_ID_PATTERN.test(caseId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Case not found'
+    });
+  }
+  next();
+});
+
+/**
+ * List cases, optionally filtered by status, tag, title or a linked record
+ */
+router.get('/', async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { status, tag, search } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+  const linkType = CASE_LINK_TYPES.find((type) => req.query[LINK_QUERY_PARAMS[type]]);
+  const linkValue = linkType ? req.query[LINK_QUERY_PARAMS[linkType]] : undefined;
+
+  try {
+    const cases = await caseService.listCases({ status, tag, linkType, linkValue, search, limit });
+
+    res.json({
+      success: true,
+      count: cases.length,
+      cases
+    });
+
+  } catch (error) {
+    logger.error({ requestId, status, tag, error: error.message }, 'Error listing cases');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve cases'
+    });
+  }
+});
+
+/**
+ * Open a case
+ */
+router.post('/', validateCaseCreate, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { title, description, status, tags, note, createdBy, links } = req.validatedData;
+
+  try {
+    logger.info({ requestId, title, status }, 'Case creation requested');
+
+    const created = await caseService.createCase({
+      title,
+      description,
+      status,
+      tags,
+      note,
+      createdBy: createdBy || 'admin',
+      links
+    });
+
+    res.status(201).json({
+      success: true,
+      case: created
+    });
+
+  } catch (error) {
+    logger.error({ requestId, title, error: error.message }, 'Error creating case');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create case'
+    });
+  }
+});
+
+/**
+ * Get a case with its links and notes
+ */
+router.get('/:caseId', async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { caseId } = req.params;
+
+  try {
+    const found = await caseService.getCase(caseId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      case: found
+    });
+
+  } catch (error) {
+    logger.error({ requestId, caseId, error: error.message }, 'Error getting case');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve case'
+    });
+  }
+});
+
+/**
+ * Update the title, description, status or tags of a case
+ */
+router.patch('/:caseId', validateCaseUpdate, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { caseId } = req.params;
+
+  try {
+    logger.info({ requestId, caseId, fields: Object.keys(req.validatedData) }, 'Case update requested');
+
+    const updated = await caseService.updateCase(caseId, req.validatedData);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      case: updated
+    });
+
+  } catch (error) {
+    logger.error({ requestId, caseId, error: error.message }, 'Error updating case');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update case'
+    });
+  }
+});
+
+/**
+ * Delete a case with its links and notes
+ */
+router.delete('/:caseId', async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { caseId } = req.params;
+
+  try {
+    logger.info({ requestId, caseId }, 'Case deletion requested');
+
+    const deleted = await caseService.deleteCase(caseId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      caseId
+    });
+
+  } catch (error) {
+    logger.error({ requestId, caseId, error: error.message }, 'Error deleting case');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete case'
+    });
+  }
+});
+
+/**
+ * Link cards, transactions, sessions or conversations to a case
+ */
+router.post('/:caseId/links', validateCaseLinks, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { caseId } = req.params;
+  const { addedBy, ...links } = req.validatedData;
+
+  try {
+    logger.info({ requestId, caseId }, 'Case links requested');
+
+    const updated = await caseService.linkToCase(caseId, links, { addedBy: addedBy || 'admin' });
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      case: updated
+    });
+
+  } catch (error) {
+    logger.error({ requestId, caseId, error: error.message }, 'Error linking records to case');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to link records to case'
+    });
+  }
+});
+
+/**
+ * Remove a link from a case
+ */
+router.delete('/:caseId/links/:linkType/:value', async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { caseId, linkType, value } = req.params;
+
+  if (!CASE_LINK_TYPES.includes(linkType)) {
+    return res.status(400).json({
+      success: false,
+      error: `Link type must be one of: ${CASE_LINK_TYPES.join(', ')}`
+    });
+  }
+
+  try {
+    logger.info({ requestId, caseId, linkType }, 'Case link removal requested');
+
+    const result = await caseService.unlinkFromCase(caseId, linkType, value);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    if (!result.removed) {
+      return res.status(404).json({
+        success: false,
+        error: result.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      case: result.case
+    });
+
+  } catch (error) {
+    logger.error({ requestId, caseId, linkType, error: error.message }, 'Error removing case link');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove case link'
+    });
+  }
+});
+
+/**
+ * Add an analyst note to a case
+ */
+router.post('/:caseId/notes', validateCaseNote, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { caseId } = req.params;
+  const { body, author } = req.validatedData;
+
+  try {
+    const note = await caseService.addCaseNote(caseId, { body, author: author || 'admin' });
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        error: 'Case not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      note
+    });
+
+  } catch (error) {
+    logger.error({ requestId, caseId, error: error.message }, 'Error adding case note');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add case note'
+    });
+  }
+});
+
+export default router;
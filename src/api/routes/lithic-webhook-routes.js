@@ -1,6 +1,6 @@
 import express from "express";
 import { v4 as uuidv4 } from 'uuid';
-import { handleLithicEvent } from "../controllers/lithic-webhook-controller.js";
+import { handleLithicEvent, handleAuthorizationRequest } from "../controllers/lithic-webhook-controller.js";
 import * as lithicService from '../../services/lithic-service.js';
 import * as cardService from '../../services/card-service.js';
 import * as supabaseService from '../../services/supabase-service.js';
@@ -10,6 +10,9 @@ const router = express.Router();
 
 router.post("/lithic", handleLithicEvent);
 
+// Auth Stream Access: Lithic asks us to approve or decline before authorizing
+router.post("/lithic/asa", handleAuthorizationRequest);
+
 // New endpoint for real transaction simulation
 router.post('/simulate', async (req, res) => {
   const requestId = req.requestId || uuidv4();
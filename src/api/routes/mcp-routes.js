@@ -194,7 +194,8 @@ function validateMcpSession(req, res, next) {
  * POST /subscribe
  * 
  * Subscribe AI agent to real-time transaction alerts for specific card(s).
- * Establishes MCP connection for receiving real-time transaction notifications.
+ * Alerts are kept in a per-session mailbox that the agent drains with the
+ * `get_pending_alerts` tool and confirms with `acknowledge_alerts`.
  * 
  * @route POST /api/mcp/subscribe
  * @param {string} agentId.body.required - Unique identifier for the AI agent
@@ -227,7 +228,8 @@ function validateMcpSession(req, res, next) {
  *     "agentId": "agent_ai_123",
  *     "monitoringCards": ["card_token_abc", "card_token_def"],
  *     "connectionType": "sse",
- *     "status": "subscribed"
+ *     "status": "subscribed",
+ *     "delivery": { "mode": "mailbox", "fetchTool": "get_pending_alerts", "acknowledgeTool": "acknowledge_alerts" }
  *   },
  *   "id": null
  * }
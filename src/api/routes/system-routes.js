@@ -2,7 +2,24 @@ import express from "express";
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../utils/logger.js';
 import * as mccService from '../../services/mcc-service.js';
+import * as cardService from '../../services/card-service.js';
+import * as supabaseService from '../../services/supabase-service.js';
+import * as webhookService from '../../services/webhook-service.js';
+import * as authorizationService from '../../services/authorization-service.js';
+import { getPollingStatus } from '../../jobs/transaction-processor.js';
+import * as transactionBackfill from '../../jobs/transaction-backfill.js';
+import * as reconciliation from '../../jobs/reconciliation.js';
+import * as retention from '../../jobs/retention.js';
+import * as archiveService from '../../services/archive-service.js';
+import {
+  validateAuthorizationRules,
+  validateBackfillRequest,
+  validateReconciliationRequest,
+  validateMerchantGroupMerge,
+  validateMerchantGroupSplit
+} from '../../middleware/validation.js';
 import { config } from "../../config/index.js";
+import { requireAdmin } from '../../middleware/admin-auth.js';
 
 const router = express.Router();
 
@@ -32,7 +49,8 @@ router.get('/info', async (req, res) => {
           transactionIntelligence: true,
           frontendInterface: true
         },
-        mccData: mccStats
+        mccData: mccStats,
+        polling: getPollingStatus()
       }
     });
     
@@ -160,4 +178,738 @@ router.get('/mcc/:code', async (req, res) => {
   }
 });
 
+/**
+ * List cards from the card registry (no Lithic call)
+ */
+router.get('/cards', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  
+  try {
+    logger.debug({ requestId, state: req.query.state }, 'Card registry endpoint accessed');
+    
+    const cards = await cardService.listRegisteredCards({ state: req.query.state });
+    
+    res.json({
+      success: true,
+      totalCards: cards.length,
+      cards,
+      filters: {
+        state: req.query.state || null
+      }
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, error: error.message }, 'Error listing registered cards');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve card registry'
+    });
+  }
+});
+
+/**
+ * Get a card from the registry with its state history
+ */
+router.get('/cards/:cardToken', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { cardToken } = req.params;
+  
+  try {
+    logger.debug({ requestId, cardToken }, 'Card registry lookup endpoint accessed');
+    
+    const card = await cardService.getRegisteredCard(cardToken, { includeHistory: true });
+    
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: `Card ${cardToken} not found in registry`
+      });
+    }
+    
+    res.json({
+      success: true,
+      card
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, cardToken, error: error.message }, 'Error looking up registered card');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve card from registry'
+    });
+  }
+});
+
+/**
+ * List recorded webhook events from the durable event log
+ */
+router.get('/webhook-events', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { status, eventType } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  
+  try {
+    logger.debug({ requestId, status, eventType, limit }, 'Webhook events endpoint accessed');
+    
+    const events = await supabaseService.listWebhookEvents({ status, eventType, limit });
+    
+    res.json({
+      success: true,
+      totalEvents: events.length,
+      events,
+      filters: {
+        status: status || null,
+        eventType: eventType || null,
+        limit
+      }
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, error: error.message }, 'Error listing webhook events');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve webhook events'
+    });
+  }
+});
+
+/**
+ * Get a single recorded webhook event
+ */
+router.get('/webhook-events/:webhookId', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { webhookId } = req.params;
+  
+  try {
+    logger.debug({ requestId, webhookId }, 'Webhook event lookup endpoint accessed');
+    
+    const event = await supabaseService.getWebhookEvent(webhookId);
+    
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: `Webhook event ${webhookId} not found`
+      });
+    }
+    
+    res.json({
+      success: true,
+      event
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, webhookId, error: error.message }, 'Error looking up webhook event');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve webhook event'
+    });
+  }
+});
+
+/**
+ * Replay webhook events through the live webhook handler.
+ * Body: { webhookIds?: string[], status?: string, limit?: number }
+ * With webhookIds the chosen events are replayed whatever their status;
+ * otherwise every event with `status` (default "failed") is replayed.
+ */
+router.post('/webhook-events/replay', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { webhookIds, status = 'failed' } = req.body || {};
+  const limit = Math.min(parseInt(req.body?.limit, 10) || 50, 500);
+  
+  if (webhookIds !== undefined && (!Array.isArray(webhookIds) || webhookIds.some(id => typeof id !== 'string'))) {
+    return res.status(400).json({
+      success: false,
+      error: 'webhookIds must be an array of strings'
+    });
+  }
+  
+  try {
+    logger.info({ requestId, webhookIds, status, limit }, 'Webhook replay requested');
+    
+    const replay = await webhookService.replayWebhookEvents({ webhookIds, status, limit });
+    
+    res.json({
+      success: true,
+      replay
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, error: error.message }, 'Error replaying webhook events');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook events'
+    });
+  }
+});
+
+/**
+ * Get webhook processing queue statistics and its dead-letter store
+ */
+router.get('/webhook-queue', requireAdmin, (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  
+  logger.debug({ requestId }, 'Webhook queue endpoint accessed');
+  
+  res.json({
+    success: true,
+    queue: webhookService.webhookQueue.getStats(),
+    deadLetters: webhookService.webhookQueue.getDeadLetters()
+  });
+});
+
+/**
+ * Retry a dead-lettered webhook event with a fresh attempt budget
+ */
+router.post('/webhook-queue/dead-letters/:webhookId/retry', requireAdmin, (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { webhookId } = req.params;
+  
+  logger.info({ requestId, webhookId }, 'Dead-letter retry requested');
+  
+  const job = webhookService.webhookQueue.retryDeadLetter(webhookId);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Dead letter ${webhookId} not found`
+    });
+  }
+  
+  res.json({
+    success: true,
+    webhookId,
+    state: job.state
+  });
+});
+
+/**
+ * Discard a dead-lettered webhook event (it stays in the webhook_events log)
+ */
+router.delete('/webhook-queue/dead-letters/:webhookId', requireAdmin, (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { webhookId } = req.params;
+  
+  logger.info({ requestId, webhookId }, 'Dead-letter removal requested');
+  
+  if (!webhookService.webhookQueue.removeDeadLetter(webhookId)) {
+    return res.status(404).json({
+      success: false,
+      error: `Dead letter ${webhookId} not found`
+    });
+  }
+  
+  res.json({
+    success: true,
+    webhookId
+  });
+});
+
+/**
+ * Get the authorization (ASA) rule set that applies to a card
+ */
+router.get('/authorization-rules/:cardToken', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { cardToken } = req.params;
+  
+  try {
+    logger.debug({ requestId, cardToken }, 'Authorization rules endpoint accessed');
+    
+    const { ruleSet, source, updatedAt } = await authorizationService.getEffectiveRuleSet(cardToken);
+    
+    res.json({
+      success: true,
+      cardToken,
+      source,
+      updatedAt: updatedAt || null,
+      ruleSet
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, cardToken, error: error.message }, 'Error getting authorization rules');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve authorization rules'
+    });
+  }
+});
+
+/**
+ * Replace the authorization (ASA) rule set of a card
+ */
+router.put('/authorization-rules/:cardToken', requireAdmin, validateAuthorizationRules, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { cardToken } = req.params;
+  
+  try {
+    logger.info({ requestId, cardToken, ruleCount: req.validatedData.rules.length }, 'Authorization rules update requested');
+    
+    const stored = await authorizationService.setCardRuleSet(cardToken, req.validatedData);
+    
+    res.json({
+      success: true,
+      cardToken,
+      source: 'card',
+      updatedAt: stored.updated_at,
+      ruleSet: stored.rule_set
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, cardToken, error: error.message }, 'Error saving authorization rules');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save authorization rules'
+    });
+  }
+});
+
+/**
+ * List recent authorization (ASA) decisions
+ */
+router.get('/authorization-decisions', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { cardToken } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  
+  try {
+    logger.debug({ requestId, cardToken, limit }, 'Authorization decisions endpoint accessed');
+    
+    const decisions = await supabaseService.listAuthorizationDecisions({ cardToken, limit });
+    
+    res.json({
+      success: true,
+      totalDecisions: decisions.length,
+      decisions
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, error: error.message }, 'Error listing authorization decisions');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve authorization decisions'
+    });
+  }
+});
+
+/**
+ * Start a historical transaction backfill
+ */
+router.post('/backfill', requireAdmin, validateBackfillRequest, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { begin, end, cardToken, windowHours } = req.validatedData;
+  
+  try {
+    logger.info({ requestId, begin, end, cardToken }, 'Transaction backfill requested');
+    
+    const job = await transactionBackfill.startBackfill({
+      begin: begin.toISOString(),
+      end: end.toISOString(),
+      cardToken: cardToken || null,
+      windowHours
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Backfill started',
+      job
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, error: error.message }, 'Error starting transaction backfill');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start transaction backfill'
+    });
+  }
+});
+
+/**
+ * Get the progress of a transaction backfill
+ */
+router.get('/backfill/:jobId', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { jobId } = req.params;
+  
+  try {
+    const job = await transactionBackfill.getBackfillJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      job
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, jobId, error: error.message }, 'Error getting transaction backfill');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve transaction backfill'
+    });
+  }
+});
+
+/**
+ * Resume an interrupted or failed transaction backfill
+ */
+router.post('/backfill/:jobId/resume', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { jobId } = req.params;
+  
+  try {
+    logger.info({ requestId, jobId }, 'Transaction backfill resume requested');
+    
+    const result = await transactionBackfill.resumeBackfillJob(jobId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backfill job not found'
+      });
+    }
+    
+    if (!result.resumed) {
+      return res.status(409).json({
+        success: false,
+        error: result.reason,
+        job: result.job
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: 'Backfill resumed',
+      job: result.job
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, jobId, error: error.message }, 'Error resuming transaction backfill');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume transaction backfill'
+    });
+  }
+});
+
+/**
+ * Get the latest reconciliation report
+ */
+router.get('/reconciliation', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  
+  try {
+    const report = await reconciliation.getLatestReconciliationReport();
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'No reconciliation report found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      running: reconciliation.isReconciliationRunning(),
+      report
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, error: error.message }, 'Error getting reconciliation report');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve reconciliation report'
+    });
+  }
+});
+
+/**
+ * Run a reconciliation now and return its report
+ */
+router.post('/reconciliation', requireAdmin, validateReconciliationRequest, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { days, repair } = req.validatedData;
+  
+  try {
+    logger.info({ requestId, days, repair }, 'Reconciliation requested');
+    
+    const report = await reconciliation.runReconciliation({ days, repair });
+    
+    res.json({
+      success: true,
+      report
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, error: error.message }, 'Error running reconciliation');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run reconciliation'
+    });
+  }
+});
+
+/**
+ * Get the retention policy and the latest retention run
+ */
+router.get('/retention', requireAdmin, async (req, res) => {
+  const { rawDataDays, rawDataAction, archiveDays, intervalMs } = config.retention;
+
+  res.json({
+    success: true,
+    policy: { rawDataDays, rawDataAction, archiveDays, intervalMs },
+    running: retention.isRetentionRunning(),
+    latestRun: retention.getLatestRetentionRun()
+  });
+});
+
+/**
+ * Apply the retention policy now and return the run summary
+ */
+router.post('/retention', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  
+  try {
+    logger.info({ requestId }, 'Retention run requested');
+    
+    const run = await retention.runRetention();
+    
+    res.json({
+      success: true,
+      run
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, error: error.message }, 'Error running retention');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run retention'
+    });
+  }
+});
+
+/**
+ * List transaction archives, newest first
+ */
+router.get('/archives', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  
+  try {
+    const archives = await archiveService.listArchives();
+    
+    res.json({
+      success: true,
+      count: archives.length,
+      archives
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, error: error.message }, 'Error listing archives');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list archives'
+    });
+  }
+});
+
+/**
+ * Restore the transactions of an archive into the database
+ */
+router.post('/archives/:archiveId/restore', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { archiveId } = req.params;
+  
+  try {
+    logger.info({ requestId, archiveId }, 'Archive restore requested');
+    
+    const result = await retention.restoreArchive(archiveId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Archive not found'
+      });
+    }
+    
+    if (!result.restored) {
+      return res.status(409).json({
+        success: false,
+        error: 'Archive cannot be restored',
+        reason: result.reason
+      });
+    }
+    
+    res.json({
+      success: true,
+      transactions: result.transactions,
+      archive: result.manifest
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, archiveId, error: error.message }, 'Error restoring archive');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore archive'
+    });
+  }
+});
+
+/**
+ * List merchant groups, optionally filtered by name
+ */
+router.get('/merchant-groups', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { search } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  
+  try {
+    const groups = await supabaseService.listMerchantGroups({ search, limit });
+    
+    res.json({
+      success: true,
+      count: groups.length,
+      groups
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, search, error: error.message }, 'Error listing merchant groups');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve merchant groups'
+    });
+  }
+});
+
+/**
+ * Get a merchant group with its descriptor variants and history
+ */
+router.get('/merchant-groups/:groupId', requireAdmin, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { groupId } = req.params;
+  
+  try {
+    const group = await supabaseService.getMerchantGroup(groupId);
+    
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Merchant group not found'
+      });
+    }
+    
+    const history = await supabaseService.getMerchantGroupHistory(groupId);
+    
+    res.json({
+      success: true,
+      group,
+      history
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, groupId, error: error.message }, 'Error getting merchant group');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve merchant group'
+    });
+  }
+});
+
+/**
+ * Merge merchant groups into this group
+ */
+router.post('/merchant-groups/:groupId/merge', requireAdmin, validateMerchantGroupMerge, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { groupId } = req.params;
+  const { sourceGroupIds, reason } = req.validatedData;
+  
+  try {
+    logger.info({ requestId, groupId, sourceGroupIds }, 'Merchant group merge requested');
+    
+    const result = await supabaseService.mergeMerchantGroups(groupId, sourceGroupIds, {
+      reason,
+      performedBy: 'admin'
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Merchant group not found'
+      });
+    }
+    
+    if (!result.merged) {
+      return res.status(409).json({
+        success: false,
+        error: result.reason,
+        group: result.group
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Merchant groups merged',
+      group: result.group
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, groupId, error: error.message }, 'Error merging merchant groups');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge merchant groups'
+    });
+  }
+});
+
+/**
+ * Split merchants out of this group into a new group
+ */
+router.post('/merchant-groups/:groupId/split', requireAdmin, validateMerchantGroupSplit, async (req, res) => {
+  const requestId = req.requestId || uuidv4();
+  const { groupId } = req.params;
+  const { merchantIds, canonicalName, reason } = req.validatedData;
+  
+  try {
+    logger.info({ requestId, groupId, merchantIds }, 'Merchant group split requested');
+    
+    const result = await supabaseService.splitMerchantGroup(groupId, merchantIds, {
+      canonicalName,
+      reason,
+      performedBy: 'admin'
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Merchant group not found'
+      });
+    }
+    
+    if (!result.split) {
+      return res.status(409).json({
+        success: false,
+        error: result.reason,
+        group: result.group
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Merchant group split',
+      group: result.group,
+      newGroup: result.newGroup
+    });
+    
+  } catch (error) {
+    logger.error({ requestId, groupId, error: error.message }, 'Error splitting merchant group');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to split merchant group'
+    });
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -1,6 +1,6 @@
 import express from "express";
 import { config } from "../config/index.js";
-import { supabase_client } from "../config/supabase-client.js";
+import { storage } from "../storage/index.js";
 import logger from "../utils/logger.js";
 import os from "os";
 import path from "path";
@@ -11,6 +11,10 @@ import lithic_webhook_routes from "./routes/lithic-webhook-routes.js";
 import alert_routes from "./routes/alert-routes.js";
 import mcp_routes from "./routes/mcp-routes.js";
 import system_routes from "./routes/system-routes.js";
+import case_routes from "./routes/case-routes.js";
+import { attachWebSocketServer } from "./websocket-server.js";
+import { loadDefaultRuleSet } from "../services/authorization-service.js";
+import { requireAdmin } from "../middleware/admin-auth.js";
 
 // Import services for enhanced health check
 import alertService from "../services/alert-service.js";
@@ -125,7 +129,15 @@ const configureRealTimeMiddleware = (req, res, next) => {
 app.use(configureRealTimeMiddleware);
 
 // Middleware for parsing JSON request bodies for ALL routes (must come before route mounting)
-app.use(express.json({ limit: '10mb' }));
+// Webhook routes also keep the raw bytes, which their signatures are computed over
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Handle preflight requests for CORS
 app.options('*', (req, res) => {
@@ -154,7 +166,10 @@ app.use("/api/mcp", mcp_routes);
 // System information and data endpoints
 app.use("/system", system_routes);
 
-// Webhook routes with raw body parsing for signature verification
+// Scammer case management (admin token required)
+app.use("/cases", requireAdmin, case_routes);
+
+// Webhook routes; express.raw only applies to bodies the JSON parser skipped
 app.use(
   "/webhooks",
   express.raw({ type: "application/json" }),
@@ -169,10 +184,14 @@ app.get("/health", async (req, res) => {
   try {
     logger.debug({ requestId }, "Enhanced health check endpoint accessed");
     
-    // Existing database health check
-    const { data: dbTest, error: dbError } = await supabase_client
-      .from('transactions')
-      .select('count', { count: 'exact', head: true });
+    // Database health check through the configured storage
+    let dbSummary = null;
+    let dbError = null;
+    try {
+      dbSummary = await storage.transactions.getSummary();
+    } catch (error) {
+      dbError = error;
+    }
     
     // Import real-time services for health metrics
     const alertMetrics = alertService.getMetrics();
@@ -239,7 +258,8 @@ app.get("/health", async (req, res) => {
       services: {
         database: {
           status: dbError ? 'unhealthy' : 'healthy',
-          transactionCount: dbTest?.[0]?.count || 0,
+          adapter: storage.name,
+          transactionCount: dbSummary?.total_transactions || 0,
           error: dbError?.message || null
         },
         realtime: realtimeMetrics,
@@ -612,6 +632,9 @@ app.use((err, req, res, next) => {
 });
 
 export function startServer() {
+  // Fail fast on an invalid ASA_DEFAULT_RULES instead of falling back on every ASA request
+  loadDefaultRuleSet();
+
   // Configure server timeouts for real-time connections
   const server = app.listen(config.server.port, () => {
     logger.info(
@@ -637,6 +660,9 @@ export function startServer() {
     logger.info(`🎯 Real-time transaction monitoring system ready!`);
   });
 
+  // WebSocket alert streams share the HTTP server
+  attachWebSocketServer(server);
+
   // Configure timeouts for real-time connections
   server.keepAliveTimeout = 65000; // 65 seconds (longer than typical load balancer timeout)
   server.headersTimeout = 66000;   // Slightly longer than keepAliveTimeout
@@ -0,0 +1,159 @@
+import http from "http";
+import { WebSocketServer } from "ws";
+import { v4 as uuidv4 } from "uuid";
+import { config } from "../config/index.js";
+import logger from "../utils/logger.js";
+import { authenticateAgent, getLastEventId } from "./controllers/alert-controller.js";
+import { schemas } from "../middleware/validation.js";
+import alertService from "../services/alert-service.js";
+import websocketManager from "../services/websocket-manager.js";
+
+/**
+ * HTTP statuses for rejected upgrades, by authenticateAgent failure reason.
+ */
+const UPGRADE_STATUS_CODES = {
+  no_card_tokens: 400,
+  authentication_error: 500,
+};
+
+/**
+ * Express-like view of an upgrade request, so agents authenticate exactly as on the SSE stream
+ * (Bearer header or `token` query parameter, `cardTokens`/`cardToken` and `agentId` in the query).
+ * @param {import("http").IncomingMessage} request - Upgrade request.
+ * @param {URL} url - Parsed request URL.
+ * @returns {Object} Request with `get`, `query`, `params` and `ip`.
+ */
+function toAgentRequest(request, url) {
+  return {
+    query: { ...Object.fromEntries(url.searchParams), connectionType: "websocket" },
+    params: {},
+    ip: request.socket.remoteAddress,
+    get: (name) => request.headers[name.toLowerCase()],
+  };
+}
+
+/**
+ * Answer an upgrade request with an HTTP error and close the socket.
+ * @param {import("stream").Duplex} socket - Upgrade socket.
+ * @param {number} statusCode - HTTP status.
+ * @param {string} reason - Failure reason.
+ */
+function rejectUpgrade(socket, statusCode, reason) {
+  const statusText = http.STATUS_CODES[statusCode];
+  const body = JSON.stringify({ error: statusText, reason, timestamp: new Date().toISOString() });
+  socket.write(
+    `HTTP/1.1 ${statusCode} ${statusText}\r\n` +
+    "Content-Type: application/json\r\n" +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    "Connection: close\r\n\r\n" +
+    body,
+  );
+  socket.destroy();
+}
+
+/**
+ * Handle one client message: subscribe, unsubscribe, ack or ping.
+ * Every message gets a reply of the same type (or `error`) echoing its `requestId`.
+ * @param {string} sessionId - Session of the socket.
+ * @param {Buffer} data - Raw message.
+ */
+export function handleSocketMessage(sessionId, data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch {
+    return reply(sessionId, { type: "error", error: "Messages must be JSON" });
+  }
+
+  const { error, value } = schemas.alertSocketMessage.validate(message, { stripUnknown: true });
+  if (error) {
+    return reply(sessionId, { type: "error", requestId: message?.requestId, error: error.details[0].message });
+  }
+
+  const { type, requestId } = value;
+  let result;
+  switch (type) {
+    case "subscribe":
+      result = websocketManager.subscribe(sessionId, value.cardTokens);
+      break;
+    case "unsubscribe":
+      result = websocketManager.unsubscribe(sessionId, value.cardTokens);
+      break;
+    case "ack":
+      result = websocketManager.acknowledge(sessionId, value.alertIds);
+      break;
+    case "ping":
+      websocketManager.recordActivity(sessionId);
+      result = {};
+      break;
+  }
+
+  if (!result) {
+    return reply(sessionId, { type: "error", requestId, error: "Session not found or already disconnected" });
+  }
+  reply(sessionId, {
+    type: type === "ping" ? "pong" : type,
+    requestId,
+    ...result,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * @param {string} sessionId - Session of the socket.
+ * @param {Object} message - Reply.
+ */
+function reply(sessionId, message) {
+  try {
+    websocketManager.send(sessionId, message);
+  } catch (error) {
+    logger.debug({ sessionId, type: message.type, error: error.message }, "WebSocket reply not sent");
+  }
+}
+
+/**
+ * Accept agent alert streams over WebSocket on `config.websocket.path` (default /alerts/ws).
+ * @param {import("http").Server} server - HTTP server returned by app.listen.
+ * @returns {WebSocketServer} The WebSocket server.
+ */
+export function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: config.websocket.maxPayloadBytes });
+
+  server.on("upgrade", async (request, socket, head) => {
+    const requestId = uuidv4();
+    const url = new URL(request.url, "http://localhost");
+
+    if (url.pathname !== config.websocket.path) {
+      socket.destroy();
+      return;
+    }
+
+    const agentRequest = toAgentRequest(request, url);
+    const authentication = await authenticateAgent(agentRequest);
+    if (!authentication.success) {
+      logger.warn({ requestId, reason: authentication.reason, ip: request.socket.remoteAddress }, "WebSocket authentication failed");
+      rejectUpgrade(socket, UPGRADE_STATUS_CODES[authentication.reason] || 401, authentication.reason);
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, async (ws) => {
+      const sessionId = websocketManager.handleConnection(ws, authentication.agent);
+      if (!sessionId) {
+        return;
+      }
+      ws.on("message", (data) => handleSocketMessage(sessionId, data));
+
+      // A reconnecting client passes the eventId of the last alert it received as lastEventId
+      const lastEventId = getLastEventId(agentRequest);
+      if (lastEventId !== null) {
+        const replay = await alertService.replayAlerts(sessionId, lastEventId);
+        reply(sessionId, { type: "replay", ...replay, timestamp: new Date().toISOString() });
+      }
+    });
+  });
+
+  server.on("close", () => websocketManager.shutdown());
+
+  logger.info(`🔌 WebSocket alert streams on ${config.websocket.path}`);
+  return wss;
+}
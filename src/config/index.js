@@ -1,19 +1,174 @@
 import 'dotenv/config';
+import os from 'os';
+import { validateWebhookSecrets } from '../utils/webhook-signature.js';
+
+/**
+ * Read a JSON value from an environment variable.
+ * @param {string} name - Environment variable name
+ * @param {*} fallback - Value used when the variable is unset
+ * @returns {*} Parsed value or fallback
+ * @throws {Error} If the variable is not valid JSON, so a misconfiguration stops startup
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+}
 
 export const config = {
   lithic: {
     apiKey: process.env.LITHIC_API_KEY,
     environment: process.env.LITHIC_ENV || 'sandbox',
     webhookSecret: process.env.LITHIC_WEBHOOK_SECRET,
+    // Extra secrets for rotation: [{ "id": "2024-06", "secret": "whsec_...", "expiresAt": "2024-07-01T00:00:00Z" }]
+    webhookSecrets: validateWebhookSecrets(parseJsonEnv('LITHIC_WEBHOOK_SECRETS', [])),
   },
 
   supabase: {
     url: process.env.SUPABASE_URL,
     serviceKey: process.env.SUPABASE_SERVICE_KEY,
   },
+
+  storage: {
+    // "supabase", or "local" to keep transactions, merchants, cards and MCC codes in a JSON file
+    adapter: process.env.STORAGE_ADAPTER || 'supabase',
+    localPath: process.env.LOCAL_DB_PATH || 'data/local-db.json',
+  },
+
+  admin: {
+    // Bearer token for admin routes (/system mutations, /cases); unset refuses them all
+    apiToken: process.env.ADMIN_API_TOKEN,
+  },
+
+  database: {
+    // Direct Postgres connection string, used only by the migration runner (npm run migrate)
+    url: process.env.DATABASE_URL,
+  },
   
   server: {
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
+    // Identifies this process when several instances share the database
+    instanceId: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+  },
+
+  display: {
+    // Locale used to format money amounts in alerts, reports and AI responses
+    locale: process.env.DISPLAY_LOCALE || 'en-US',
+  },
+
+  webhookVerification: {
+    // Verify webhook signatures; on by default only in production
+    enabled: process.env.WEBHOOK_SIGNATURE_VERIFICATION
+      ? process.env.WEBHOOK_SIGNATURE_VERIFICATION === 'true'
+      : (process.env.NODE_ENV || 'development') === 'production',
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS, 10) || 300,
+    replayCacheMaxEntries: parseInt(process.env.WEBHOOK_REPLAY_CACHE_MAX_ENTRIES, 10) || 10000,
+  },
+
+  polling: {
+    // Re-read this much time before the checkpoint on every cycle
+    overlapMs: parseInt(process.env.POLLING_OVERLAP_MS, 10) || 10 * 60 * 1000,
+    // Stored PENDING transactions older than the window re-checked per cycle
+    pendingRecheckLimit: parseInt(process.env.POLLING_PENDING_RECHECK_LIMIT, 10) || 25,
+    // Cycles in a row a transaction may fail to save before the cursor moves past it
+    maxSaveFailures: parseInt(process.env.POLLING_MAX_SAVE_FAILURES, 10) || 5,
+    // Leader lease; only the instance holding it polls. Renewed every third of its length.
+    leaseMs: parseInt(process.env.POLLING_LEASE_MS, 10) || 90000,
+    // Adaptive schedule: fastest interval when webhooks fail or a card was just used,
+    // slowest once no transaction has been seen for quietAfterMs
+    minIntervalMs: parseInt(process.env.POLLING_MIN_INTERVAL_MS, 10) || 10000,
+    maxIntervalMs: parseInt(process.env.POLLING_MAX_INTERVAL_MS, 10) || 300000,
+    activityWindowMs: parseInt(process.env.POLLING_ACTIVITY_WINDOW_MS, 10) || 30 * 60 * 1000,
+    quietAfterMs: parseInt(process.env.POLLING_QUIET_AFTER_MS, 10) || 24 * 60 * 60 * 1000,
+    webhookFailureThreshold: parseInt(process.env.POLLING_WEBHOOK_FAILURE_THRESHOLD, 10) || 3,
+    webhookGraceMs: parseInt(process.env.POLLING_WEBHOOK_GRACE_MS, 10) || 2 * 60 * 1000,
+  },
+
+  backfill: {
+    // Lease of a running backfill job, renewed while it runs, so a job runs on one instance
+    // at a time and a job left "running" by a stopped instance can be resumed once it expires
+    leaseMs: parseInt(process.env.BACKFILL_LEASE_MS, 10) || 2 * 60 * 1000,
+  },
+
+  reconciliation: {
+    // Scheduled comparison of Lithic records with the database; 0 disables the schedule
+    intervalMs: process.env.RECONCILIATION_INTERVAL_MS !== undefined
+      ? parseInt(process.env.RECONCILIATION_INTERVAL_MS, 10) || 0
+      : 24 * 60 * 60 * 1000,
+    days: parseInt(process.env.RECONCILIATION_DAYS, 10) || 7,
+    // Save missing and out-of-date records from Lithic instead of only reporting them
+    repair: process.env.RECONCILIATION_REPAIR === 'true',
+  },
+
+  retention: {
+    // Retention is opt-in: scheduled run interval, 0 (default) disables the schedule
+    intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS, 10) || 0,
+    // Raw Lithic payloads older than this are redacted or pruned; 0 (default) keeps them
+    rawDataDays: parseInt(process.env.RETENTION_RAW_DATA_DAYS, 10) || 0,
+    // "redact" keeps a card-data-free summary of the payload, "prune" removes it
+    rawDataAction: process.env.RETENTION_RAW_DATA_ACTION === 'prune' ? 'prune' : 'redact',
+    // Transactions older than this are moved to archive files; 0 (default) never archives
+    archiveDays: parseInt(process.env.RETENTION_ARCHIVE_DAYS, 10) || 0,
+    archiveDir: process.env.RETENTION_ARCHIVE_DIR || 'data/archives',
+    // Transactions per batch (and per archive file), and batches per run
+    batchSize: parseInt(process.env.RETENTION_BATCH_SIZE, 10) || 500,
+    maxBatches: parseInt(process.env.RETENTION_MAX_BATCHES, 10) || 20,
+  },
+
+  webhookQueue: {
+    concurrency: parseInt(process.env.WEBHOOK_QUEUE_CONCURRENCY, 10) || 4,
+    maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS, 10) || 5,
+    baseDelayMs: parseInt(process.env.WEBHOOK_QUEUE_BASE_DELAY_MS, 10) || 2000,
+    maxDelayMs: parseInt(process.env.WEBHOOK_QUEUE_MAX_DELAY_MS, 10) || 120000,
+    deadLetterLimit: parseInt(process.env.WEBHOOK_QUEUE_DEAD_LETTER_LIMIT, 10) || 500,
+    // Recovery of unfinished events runs at startup and then on this interval, on one instance per interval
+    recoveryIntervalMs: parseInt(process.env.WEBHOOK_RECOVERY_INTERVAL_MS, 10) || 60 * 1000,
+    // Events left "processing" longer than this are taken to belong to a stopped instance
+    processingTimeoutMs: parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+  },
+
+  alertJournal: {
+    // Alerts kept per card so SSE clients reconnecting with Last-Event-ID get what they missed
+    journalSize: parseInt(process.env.ALERT_JOURNAL_SIZE, 10) || 100,
+    journalMaxAgeMs: parseInt(process.env.ALERT_JOURNAL_MAX_AGE_MS, 10) || 60 * 60 * 1000,
+  },
+
+  alertAcks: {
+    // Opt-in: pushed alerts (SSE, WebSocket) are redelivered with backoff until the agent acknowledges their alertId
+    ackRequired: process.env.ALERT_ACKS_REQUIRED === 'true',
+    ackRedeliveryBaseMs: parseInt(process.env.ALERT_ACK_REDELIVERY_BASE_MS, 10) || 5000,
+    ackRedeliveryMaxMs: parseInt(process.env.ALERT_ACK_REDELIVERY_MAX_MS, 10) || 60000,
+    ackMaxAttempts: parseInt(process.env.ALERT_ACK_MAX_ATTEMPTS, 10) || 5,
+    ackMaxPending: parseInt(process.env.ALERT_ACK_MAX_PENDING, 10) || 200,
+  },
+
+  websocket: {
+    // WebSocket transport for agent alert streams (alternative to SSE on /alerts/stream)
+    path: process.env.WEBSOCKET_PATH || '/alerts/ws',
+    // Ping and heartbeat interval; a client that misses one pong is disconnected
+    heartbeatIntervalMs: parseInt(process.env.WEBSOCKET_HEARTBEAT_INTERVAL_MS, 10) || 30000,
+    maxPayloadBytes: parseInt(process.env.WEBSOCKET_MAX_PAYLOAD_BYTES, 10) || 64 * 1024,
+  },
+
+  alertMailbox: {
+    // Pull delivery for MCP subscriptions: unacknowledged alerts expire after ttlMs,
+    // fetched alerts are handed out again after redeliveryMs without an ack
+    ttlMs: parseInt(process.env.ALERT_MAILBOX_TTL_MS, 10) || 15 * 60 * 1000,
+    maxAlerts: parseInt(process.env.ALERT_MAILBOX_MAX_ALERTS, 10) || 200,
+    redeliveryMs: parseInt(process.env.ALERT_MAILBOX_REDELIVERY_MS, 10) || 30000,
+    maxWaitMs: parseInt(process.env.ALERT_MAILBOX_MAX_WAIT_MS, 10) || 25000,
+  },
+
+  authorization: {
+    // Rule set used for cards without their own rules (see utils/authorization-rules.js)
+    defaultRules: parseJsonEnv('ASA_DEFAULT_RULES', null),
+    // Decision returned when rule evaluation itself fails or takes too long
+    fallbackDecision: process.env.ASA_FALLBACK_DECISION === 'DECLINE' ? 'DECLINE' : 'APPROVE',
+    // Rule lookups and evaluation slower than this answer Lithic with the fallback decision
+    evaluationTimeoutMs: parseInt(process.env.ASA_EVALUATION_TIMEOUT_MS, 10) || 2000,
   },
 };
\ No newline at end of file
@@ -1,8 +1,25 @@
 import { createClient } from '@supabase/supabase-js';
 import { config } from './index.js';
 
-export const supabase_client = createClient(
-  config.supabase.url,
-  config.supabase.serviceKey
-  
-);
\ No newline at end of file
+/**
+ * Whether a Supabase project is configured. STORAGE_ADAPTER=local needs none; with
+ * STORAGE_ADAPTER=supabase and no project, storage calls fail with a clear error
+ * instead of failing at startup.
+ */
+export const isSupabaseConfigured = Boolean(config.supabase.url && config.supabase.serviceKey);
+
+/**
+ * Stand-in client that throws on first use when Supabase is not configured.
+ */
+const unconfiguredClient = new Proxy({}, {
+  get(target, property) {
+    if (property === 'then') return undefined;
+    throw new Error(
+      'Supabase is not configured. Set SUPABASE_URL and SUPABASE_SERVICE_KEY to use this feature.',
+    );
+  },
+});
+
+export const supabase_client = isSupabaseConfigured
+  ? createClient(config.supabase.url, config.supabase.serviceKey)
+  : unconfiguredClient;
@@ -0,0 +1,222 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import pg from "pg";
+import { config } from "../config/index.js";
+import {
+  parseMigrationFileName,
+  getMigrationChecksum,
+  planMigrations,
+} from "../utils/migrations.js";
+import logger from "../utils/logger.js";
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../migrations");
+
+/**
+ * Advisory lock held while migrating, so two runners (e.g. two deploys) never
+ * apply the same migration at once.
+ */
+const MIGRATION_LOCK_ID = 7240931;
+
+/**
+ * Read the migration files.
+ * @param {string} [directory] - Directory holding the migrations.
+ * @returns {Promise<Array>} Migrations `{ version, name, fileName, sql, checksum }`.
+ */
+export async function loadMigrations(directory = MIGRATIONS_DIR) {
+  const fileNames = await fs.readdir(directory);
+  const migrations = [];
+
+  for (const fileName of fileNames) {
+    const parsed = parseMigrationFileName(fileName);
+    if (!parsed) {
+      if (fileName.endsWith(".sql")) {
+        logger.warn({ fileName }, "Ignoring SQL file that is not named <version>_<name>.sql.");
+      }
+      continue;
+    }
+    const sql = await fs.readFile(path.join(directory, fileName), "utf8");
+    migrations.push({ ...parsed, fileName, sql, checksum: getMigrationChecksum(sql) });
+  }
+  return migrations;
+}
+
+/**
+ * Open a connection to the database in DATABASE_URL.
+ * @returns {Promise<pg.Client>} Connected client.
+ * @throws {Error} If DATABASE_URL is not set or the connection fails.
+ */
+async function connect() {
+  if (!config.database.url) {
+    throw new Error("DATABASE_URL is not set. Use the Postgres connection string of the Supabase project.");
+  }
+  const client = new pg.Client({ connectionString: config.database.url });
+  await client.connect();
+  return client;
+}
+
+/**
+ * Create the table that records applied migrations.
+ * @param {pg.Client} client - Connected client.
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    create table if not exists public.schema_migrations (
+      version text primary key,
+      name text not null,
+      checksum text not null,
+      applied_at timestamptz not null default now()
+    )
+  `);
+}
+
+/**
+ * Get the migration plan: applied, pending, changed and unknown migrations.
+ * @param {pg.Client} client - Connected client.
+ * @returns {Promise<Object>} Plan from planMigrations.
+ */
+async function getPlan(client) {
+  await ensureMigrationsTable(client);
+  const { rows } = await client.query(
+    "select version, name, checksum, applied_at from public.schema_migrations order by version",
+  );
+  return planMigrations(await loadMigrations(), rows);
+}
+
+/**
+ * Apply one migration and record it, in a single database transaction.
+ * @param {pg.Client} client - Connected client.
+ * @param {Object} migration - Migration to apply.
+ * @returns {Promise<void>}
+ * @throws {Error} If the migration fails; nothing from it is kept.
+ */
+async function applyMigration(client, migration) {
+  await client.query("begin");
+  try {
+    await client.query(migration.sql);
+    await client.query(
+      "insert into public.schema_migrations (version, name, checksum) values ($1, $2, $3)",
+      [migration.version, migration.name, migration.checksum],
+    );
+    await client.query("commit");
+  } catch (error) {
+    await client.query("rollback");
+    throw error;
+  }
+}
+
+/**
+ * Apply every pending migration in version order.
+ * Refuses to run when an applied migration was edited afterwards.
+ * @returns {Promise<Object>} `{ applied }` with the versions applied by this run.
+ * @throws {Error} If a migration was changed after being applied, or a migration fails.
+ */
+export async function runMigrations() {
+  const client = await connect();
+  try {
+    await client.query("select pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    const plan = await getPlan(client);
+
+    if (plan.changed.length > 0) {
+      throw new Error(
+        `Applied migrations were edited: ${plan.changed.map((migration) => migration.fileName).join(", ")}. ` +
+          "Add a new migration instead of changing an applied one.",
+      );
+    }
+    if (plan.unknown.length > 0) {
+      logger.warn(
+        { versions: plan.unknown.map((row) => row.version) },
+        "Database has migrations that are not in the migrations directory.",
+      );
+    }
+    if (plan.pending.length === 0) {
+      logger.info({ applied: plan.applied.length }, "Database schema is up to date.");
+      return { applied: [] };
+    }
+
+    const applied = [];
+    for (const migration of plan.pending) {
+      logger.info({ version: migration.version, name: migration.name }, "Applying migration.");
+      await applyMigration(client, migration);
+      applied.push(migration.version);
+    }
+
+    logger.info({ applied }, "Migrations applied.");
+    return { applied };
+  } finally {
+    await client.query("select pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    await client.end();
+  }
+}
+
+/**
+ * Get the status of every migration without changing the database.
+ * @returns {Promise<Object>} Plan from planMigrations.
+ */
+export async function getMigrationStatus() {
+  const client = await connect();
+  try {
+    return await getPlan(client);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Print the migration status as a table.
+ * @param {Object} plan - Plan from planMigrations.
+ */
+function printStatus(plan) {
+  const changed = new Set(plan.changed.map((migration) => migration.version));
+  const rows = [
+    ...plan.applied.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      status: changed.has(migration.version) ? "changed" : "applied",
+      applied_at: new Date(migration.applied_at).toISOString(),
+    })),
+    ...plan.pending.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      status: "pending",
+      applied_at: "",
+    })),
+    ...plan.unknown.map((row) => ({
+      version: row.version,
+      name: row.name,
+      status: "unknown",
+      applied_at: new Date(row.applied_at).toISOString(),
+    })),
+  ];
+  console.table(rows);
+}
+
+/**
+ * Command line entry point:
+ *   npm run migrate          apply pending migrations
+ *   npm run migrate:status   list applied and pending migrations
+ */
+async function main() {
+  const command = process.argv[2] || "up";
+
+  if (command === "status") {
+    const plan = await getMigrationStatus();
+    printStatus(plan);
+    process.exit(plan.changed.length > 0 ? 1 : 0);
+  }
+  if (command === "up") {
+    await runMigrations();
+    process.exit(0);
+  }
+
+  console.error("Usage: node src/db/migrate.js [up|status]");
+  process.exit(1);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    logger.error({ err: error }, "Migration failed.");
+    process.exit(1);
+  });
+}
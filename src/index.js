@@ -1,5 +1,20 @@
 import { startServer } from "./api/server.js";
-import { startTransactionPolling } from "./jobs/transaction-processor.js";
+import {
+  startTransactionPolling,
+  stopTransactionPolling,
+} from "./jobs/transaction-processor.js";
+import {
+  startReconciliationSchedule,
+  stopReconciliationSchedule,
+} from "./jobs/reconciliation.js";
+import {
+  startRetentionSchedule,
+  stopRetentionSchedule,
+} from "./jobs/retention.js";
+import {
+  startWebhookRecoverySchedule,
+  stopWebhookRecoverySchedule,
+} from "./services/webhook-service.js";
 import logger from "./utils/logger.js";
 import { config } from "./config/index.js";
 
@@ -10,6 +25,9 @@ function main() {
   // Start the webhook API server
   startServer();
 
+  // Re-queue webhook events that were accepted but never finished, at startup and periodically
+  startWebhookRecoverySchedule();
+
   // Start the transaction polling job
   if (process.env.ENABLE_POLLING !== "false") {
     startTransactionPolling(
@@ -20,6 +38,37 @@ function main() {
   } else {
     logger.info("Transaction polling is disabled via environment variable.");
   }
+
+  // Periodically compare Lithic records with the database
+  if (config.reconciliation.intervalMs > 0) {
+    startReconciliationSchedule();
+  } else {
+    logger.info("Scheduled reconciliation is disabled.");
+  }
+
+  // Redact old raw payloads and archive old transactions
+  if (config.retention.intervalMs > 0) {
+    startRetentionSchedule();
+  } else {
+    logger.info("Scheduled retention is disabled.");
+  }
 }
 
+/**
+ * Stop background jobs before exiting, so the polling lease is released
+ * and another instance can take over immediately.
+ * @param {string} signal - Signal that triggered the shutdown.
+ */
+async function shutdown(signal) {
+  logger.info({ signal }, "Shutting down Honeypot Lithic Monitor...");
+  await stopTransactionPolling();
+  await stopReconciliationSchedule();
+  await stopRetentionSchedule();
+  await stopWebhookRecoverySchedule();
+  process.exit(0);
+}
+
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
+
 main();
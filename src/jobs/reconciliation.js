@@ -0,0 +1,291 @@
+import { v4 as uuidv4 } from "uuid";
+import * as lithic_service from "../services/lithic-service.js";
+import * as supabase_service from "../services/supabase-service.js";
+import * as card_service from "../services/card-service.js";
+import { compareTransactions, compareCards, hasDrift } from "../utils/reconciliation.js";
+import { config } from "../config/index.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Lease taken by scheduled runs, so only one instance reconciles per interval.
+ */
+const LEASE_NAME = "reconciliation";
+
+/**
+ * Maximum tokens listed per issue type in a report; the counts always cover everything.
+ */
+const MAX_REPORTED_ITEMS = 100;
+
+const reconciliationState = {
+  timer: null,
+  inFlight: null,
+  latestReport: null,
+};
+
+/**
+ * Summarize a comparison for the report, truncating long token lists.
+ * @param {Object} comparison - Result of compareTransactions or compareCards.
+ * @returns {Object} `{ counts, ...lists }`.
+ */
+function summarizeComparison(comparison) {
+  const summary = { counts: {} };
+  for (const [issue, items] of Object.entries(comparison)) {
+    summary.counts[issue] = items.length;
+    summary[issue] = items.slice(0, MAX_REPORTED_ITEMS);
+  }
+  return summary;
+}
+
+/**
+ * Save Lithic records that are missing or out of date in the database.
+ * Orphaned records are only reported; deleting local history is never automatic.
+ * @param {Array<string>} tokens - Tokens to repair.
+ * @param {Map<string, Object>} lithicByToken - Lithic records by token.
+ * @param {Function} save - Saves one Lithic record.
+ * @returns {Promise<Object>} `{ repaired, failed }`.
+ */
+async function repairRecords(tokens, lithicByToken, save) {
+  const result = { repaired: 0, failed: 0 };
+  for (const token of tokens) {
+    try {
+      await save(lithicByToken.get(token));
+      result.repaired++;
+    } catch (error) {
+      result.failed++;
+      logger.error({ err: error, token }, "Failed to repair record during reconciliation.");
+    }
+  }
+  return result;
+}
+
+/**
+ * Reconcile Lithic transactions created in a time range with the `transactions` table.
+ * @param {Object} range - `{ begin, end }` ISO timestamps.
+ * @param {boolean} repair - Save missing, stale and mismatched transactions.
+ * @returns {Promise<Object>} Transaction section of the report.
+ */
+async function reconcileTransactions({ begin, end }, repair) {
+  const lithicTransactions = (await lithic_service.fetchTransactions({ begin, end })) || [];
+  const storedTransactions = await supabase_service.listTransactionsInRange({ begin, end });
+
+  const comparison = compareTransactions(lithicTransactions, storedTransactions);
+  const section = {
+    checked: { lithic: lithicTransactions.length, stored: storedTransactions.length },
+    ...summarizeComparison(comparison),
+  };
+
+  if (repair) {
+    const lithicByToken = new Map(lithicTransactions.map((transaction) => [transaction.token, transaction]));
+    const tokens = [
+      ...comparison.missing,
+      ...comparison.stale.map((item) => item.token),
+      ...comparison.mismatched.map((item) => item.token),
+    ];
+    section.repair = await repairRecords(tokens, lithicByToken, (transaction) =>
+      supabase_service.saveTransaction(transaction, { broadcast: false }),
+    );
+  }
+
+  section.drift = hasDrift(comparison);
+  return section;
+}
+
+/**
+ * Reconcile the cards on the Lithic account with the card registry.
+ * @param {boolean} repair - Save missing and stale cards.
+ * @returns {Promise<Object>} Card section of the report.
+ * @throws {Error} If Lithic only returned a fallback response.
+ */
+async function reconcileCards(repair) {
+  const lithicCards = await card_service.listCards();
+  // Comparing against a fallback response would report every stored card as orphaned
+  if (!Array.isArray(lithicCards)) {
+    throw new Error(`Card list unavailable from Lithic: ${lithicCards?.originalError || "fallback response"}`);
+  }
+  const storedCards = await supabase_service.listStoredCards();
+
+  const comparison = compareCards(lithicCards, storedCards);
+  const section = {
+    checked: { lithic: lithicCards.length, stored: storedCards.length },
+    ...summarizeComparison(comparison),
+  };
+
+  if (repair) {
+    const lithicByToken = new Map(lithicCards.map((card) => [card.token, card]));
+    const tokens = [...comparison.missing, ...comparison.stale.map((item) => item.token)];
+    section.repair = await repairRecords(tokens, lithicByToken, (card) =>
+      supabase_service.saveCard(card, { eventType: "reconciliation" }),
+    );
+  }
+
+  section.drift = hasDrift(comparison);
+  return section;
+}
+
+/**
+ * Work out the overall report status from its sections.
+ * @param {Object} report - Report with `transactions`, `cards`, `errors` and `repair`.
+ * @returns {string} "failed", "clean", "repaired" or "drift".
+ */
+function getReportStatus(report) {
+  if (report.errors.length > 0) {
+    return "failed";
+  }
+  const sections = [report.transactions, report.cards];
+  if (!sections.some((section) => section.drift)) {
+    return "clean";
+  }
+  const allRepaired = report.repair && sections.every((section) => !section.repair?.failed);
+  return allRepaired ? "repaired" : "drift";
+}
+
+/**
+ * Compare Lithic transactions and cards with what is stored in Supabase and
+ * report anything missing, stale, mismatched or orphaned.
+ * @param {Object} [options] - Run options.
+ * @param {number} [options.days] - How many days of transactions to compare.
+ * @param {boolean} [options.repair] - Save missing and out-of-date records from Lithic.
+ * @param {string} [options.trigger="manual"] - What started the run ("manual" or "scheduled").
+ * @returns {Promise<Object>} Reconciliation report.
+ */
+export async function runReconciliation({
+  days = config.reconciliation.days,
+  repair = config.reconciliation.repair,
+  trigger = "manual",
+} = {}) {
+  if (reconciliationState.inFlight) {
+    logger.warn("Reconciliation already running. Returning the running reconciliation.");
+    return reconciliationState.inFlight;
+  }
+
+  reconciliationState.inFlight = (async () => {
+    const startedAt = new Date();
+    const report = {
+      id: uuidv4(),
+      trigger,
+      repair,
+      window_begin: new Date(startedAt.getTime() - days * 24 * 60 * 60 * 1000).toISOString(),
+      window_end: startedAt.toISOString(),
+      started_at: startedAt.toISOString(),
+      transactions: {},
+      cards: {},
+      errors: [],
+    };
+    logger.info(
+      { reportId: report.id, trigger, repair, begin: report.window_begin },
+      "Starting reconciliation.",
+    );
+
+    try {
+      report.transactions = await reconcileTransactions(
+        { begin: report.window_begin, end: report.window_end },
+        repair,
+      );
+    } catch (error) {
+      logger.error({ err: error, reportId: report.id }, "Transaction reconciliation failed.");
+      report.errors.push({ section: "transactions", error: error.message });
+    }
+
+    try {
+      report.cards = await reconcileCards(repair);
+    } catch (error) {
+      logger.error({ err: error, reportId: report.id }, "Card reconciliation failed.");
+      report.errors.push({ section: "cards", error: error.message });
+    }
+
+    report.status = getReportStatus(report);
+    report.completed_at = new Date().toISOString();
+
+    const logLevel = report.status === "clean" || report.status === "repaired" ? "info" : "warn";
+    logger[logLevel](
+      {
+        reportId: report.id,
+        status: report.status,
+        transactions: report.transactions.counts,
+        cards: report.cards.counts,
+      },
+      "Reconciliation finished.",
+    );
+
+    reconciliationState.latestReport = report;
+    try {
+      await supabase_service.saveReconciliationReport(report);
+    } catch (error) {
+      logger.error({ err: error, reportId: report.id }, "Failed to store reconciliation report.");
+    }
+    return report;
+  })();
+
+  try {
+    return await reconciliationState.inFlight;
+  } finally {
+    reconciliationState.inFlight = null;
+  }
+}
+
+/**
+ * Get the latest reconciliation report, from this process or the database.
+ * @returns {Promise<Object|null>} Report or null if reconciliation never ran.
+ */
+export async function getLatestReconciliationReport() {
+  if (reconciliationState.latestReport) {
+    return reconciliationState.latestReport;
+  }
+  return supabase_service.getLatestReconciliationReport();
+}
+
+/**
+ * Whether a reconciliation is running in this process.
+ * @returns {boolean} True while a run is in flight.
+ */
+export function isReconciliationRunning() {
+  return Boolean(reconciliationState.inFlight);
+}
+
+/**
+ * Run a scheduled reconciliation if no other instance ran one this interval.
+ * The lease is kept until it expires, so it also spaces runs across instances.
+ * @returns {Promise<void>}
+ */
+async function runScheduledReconciliation() {
+  try {
+    const { acquired } = await supabase_service.acquireJobLease(
+      LEASE_NAME,
+      config.server.instanceId,
+      config.reconciliation.intervalMs,
+    );
+    if (!acquired) {
+      logger.debug("Another instance ran reconciliation this interval. Skipping.");
+      return;
+    }
+    await runReconciliation({ trigger: "scheduled" });
+  } catch (error) {
+    logger.error({ err: error }, "Scheduled reconciliation failed.");
+  }
+}
+
+/**
+ * Start running reconciliation every RECONCILIATION_INTERVAL_MS.
+ */
+export function startReconciliationSchedule() {
+  if (reconciliationState.timer) {
+    logger.warn("Reconciliation schedule is already running.");
+    return;
+  }
+
+  const { intervalMs, days, repair } = config.reconciliation;
+  logger.info({ intervalMs, days, repair }, "Scheduling reconciliation.");
+  reconciliationState.timer = setInterval(runScheduledReconciliation, intervalMs);
+}
+
+/**
+ * Stop scheduled reconciliation and wait for a running one to finish.
+ * @returns {Promise<void>}
+ */
+export async function stopReconciliationSchedule() {
+  clearInterval(reconciliationState.timer);
+  reconciliationState.timer = null;
+  if (reconciliationState.inFlight) {
+    await reconciliationState.inFlight.catch(() => {});
+  }
+}
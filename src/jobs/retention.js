@@ -0,0 +1,316 @@
+import { v4 as uuidv4 } from "uuid";
+import * as supabase_service from "../services/supabase-service.js";
+import * as archive_service from "../services/archive-service.js";
+import { storage } from "../storage/index.js";
+import { RAW_DATA_TABLES } from "../storage/repositories.js";
+import {
+  getRetentionCutoffs,
+  redactTransactionPayload,
+  redactWebhookPayload,
+  redactEventPayload,
+} from "../utils/retention.js";
+import { config } from "../config/index.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Lease taken by scheduled runs, so only one instance applies retention per interval.
+ */
+const LEASE_NAME = "retention";
+
+/**
+ * Every stored copy of raw Lithic data the raw payload policy applies to: how to list
+ * payloads older than a cutoff, how to replace one, and how to redact it.
+ */
+const RAW_PAYLOAD_SOURCES = [
+  {
+    name: "transactions",
+    list: (options) => storage.transactions.listRawDataBefore(options),
+    read: (row) => row.raw_data,
+    update: (row, payload) => storage.transactions.updateRawData(row.token, payload),
+    redact: redactTransactionPayload,
+  },
+  {
+    name: "webhook_events",
+    list: (options) => storage.webhookEvents.listPayloadsBefore(options),
+    read: (row) => row.payload,
+    update: (row, payload) => storage.webhookEvents.updatePayload(row.webhook_id, payload),
+    redact: redactWebhookPayload,
+  },
+  {
+    name: "authorization_decisions",
+    list: (options) => storage.authorization.listRequestPayloadsBefore(options),
+    read: (row) => row.request_payload,
+    update: (row, payload) => storage.authorization.updateRequestPayload(row.transaction_token, payload),
+    redact: redactTransactionPayload,
+  },
+  ...Object.keys(RAW_DATA_TABLES).map((table) => ({
+    name: table,
+    list: (options) => storage.accountEvents.listRawDataBefore({ ...options, table }),
+    read: (row) => row.raw_data,
+    update: (row, payload) => storage.accountEvents.updateRawData(table, row.key, payload),
+    redact: redactEventPayload,
+  })),
+];
+
+const retentionState = {
+  timer: null,
+  inFlight: null,
+  latestRun: null,
+};
+
+/**
+ * Redact or prune the raw payloads of one source stored before a cutoff.
+ * @param {Object} source - Entry of RAW_PAYLOAD_SOURCES.
+ * @param {string} before - Cutoff (ISO timestamp).
+ * @param {string} action - "redact" or "prune".
+ * @returns {Promise<Object>} `{ processed, failed }`.
+ */
+async function applyRawDataPolicyToSource(source, before, action) {
+  const { batchSize, maxBatches } = config.retention;
+  const result = { processed: 0, failed: 0 };
+
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const rows = await source.list({ before, limit: batchSize });
+    let batchFailures = 0;
+
+    for (const row of rows) {
+      try {
+        const payload = action === "prune" ? null : source.redact(source.read(row));
+        await source.update(row, payload);
+        result.processed++;
+      } catch (error) {
+        batchFailures++;
+        logger.error({ err: error, source: source.name }, "Failed to apply retention to raw payload.");
+      }
+    }
+
+    result.failed += batchFailures;
+    // Failed rows are listed again, so stop instead of retrying them forever
+    if (rows.length < batchSize || batchFailures > 0) {
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Redact or prune every stored raw Lithic payload older than a cutoff: transaction payloads,
+ * webhook event payloads, ASA request payloads and dispute, tokenization and 3DS payloads.
+ * @param {string} before - Cutoff (ISO timestamp).
+ * @param {string} action - "redact" or "prune".
+ * @returns {Promise<Object>} `{ action, before, processed, failed, sources }` with
+ *   `{ processed, failed }` per source, or `{ error }` for a source that could not be listed.
+ */
+async function applyRawDataPolicy(before, action) {
+  const result = { action, before, processed: 0, failed: 0, sources: {} };
+
+  for (const source of RAW_PAYLOAD_SOURCES) {
+    try {
+      const sourceResult = await applyRawDataPolicyToSource(source, before, action);
+      result.sources[source.name] = sourceResult;
+      result.processed += sourceResult.processed;
+      result.failed += sourceResult.failed;
+    } catch (error) {
+      logger.error({ err: error, source: source.name }, "Raw payload retention failed for source.");
+      result.sources[source.name] = { error: error.message };
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Move transactions created before a cutoff to archive files, then delete them.
+ * Raw payloads are redacted in the archive, so archives never hold card data.
+ * @param {string} before - Cutoff (ISO timestamp).
+ * @returns {Promise<Object>} `{ before, archived, archives }` with the new archive ids.
+ */
+async function archiveTransactions(before) {
+  const { batchSize, maxBatches } = config.retention;
+  const result = { before, archived: 0, archives: [] };
+
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const records = await storage.transactions.listArchiveRecords({ before, limit: batchSize });
+    if (records.length === 0) {
+      break;
+    }
+
+    const archivedRecords = records.map((record) => ({
+      ...record,
+      transaction: {
+        ...record.transaction,
+        raw_data: record.transaction.raw_data ? redactTransactionPayload(record.transaction.raw_data) : null,
+      },
+    }));
+
+    // The archive is complete on disk before anything is deleted
+    const manifest = await archive_service.writeArchive(archivedRecords, { before });
+    await storage.transactions.deleteMany(records.map((record) => record.transaction.token));
+
+    result.archived += records.length;
+    result.archives.push(manifest.id);
+    if (records.length < batchSize) {
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Apply the retention policy: redact or prune old raw payloads and archive old transactions.
+ * @param {Object} [options] - Run options.
+ * @param {string} [options.trigger="manual"] - What started the run ("manual" or "scheduled").
+ * @returns {Promise<Object>} Retention run summary.
+ */
+export async function runRetention({ trigger = "manual" } = {}) {
+  if (retentionState.inFlight) {
+    logger.warn("Retention already running. Returning the running retention.");
+    return retentionState.inFlight;
+  }
+
+  retentionState.inFlight = (async () => {
+    const { rawDataDays, rawDataAction, archiveDays } = config.retention;
+    const cutoffs = getRetentionCutoffs({ rawDataDays, archiveDays });
+    const run = {
+      id: uuidv4(),
+      trigger,
+      policy: { rawDataDays, rawDataAction, archiveDays },
+      started_at: new Date().toISOString(),
+      raw_data: null,
+      archive: null,
+      errors: [],
+    };
+    logger.info({ runId: run.id, trigger, ...cutoffs }, "Starting retention.");
+
+    // Archive first, so transactions about to leave the database are not updated needlessly
+    if (cutoffs.archiveBefore) {
+      try {
+        run.archive = await archiveTransactions(cutoffs.archiveBefore);
+      } catch (error) {
+        logger.error({ err: error, runId: run.id }, "Transaction archival failed.");
+        run.errors.push({ section: "archive", error: error.message });
+      }
+    }
+
+    if (cutoffs.rawDataBefore) {
+      try {
+        run.raw_data = await applyRawDataPolicy(cutoffs.rawDataBefore, rawDataAction);
+      } catch (error) {
+        logger.error({ err: error, runId: run.id }, "Raw payload retention failed.");
+        run.errors.push({ section: "raw_data", error: error.message });
+      }
+    }
+
+    run.status = run.errors.length > 0 || run.raw_data?.failed > 0 ? "failed" : "completed";
+    run.completed_at = new Date().toISOString();
+
+    logger[run.status === "completed" ? "info" : "warn"](
+      {
+        runId: run.id,
+        status: run.status,
+        rawData: run.raw_data && { processed: run.raw_data.processed, failed: run.raw_data.failed },
+        archived: run.archive?.archived ?? 0,
+      },
+      "Retention finished.",
+    );
+
+    retentionState.latestRun = run;
+    return run;
+  })();
+
+  try {
+    return await retentionState.inFlight;
+  } finally {
+    retentionState.inFlight = null;
+  }
+}
+
+/**
+ * Get the latest retention run of this process.
+ * @returns {Object|null} Run summary or null if retention has not run since startup.
+ */
+export function getLatestRetentionRun() {
+  return retentionState.latestRun;
+}
+
+/**
+ * Whether a retention run is in progress in this process.
+ * @returns {boolean} True while a run is in flight.
+ */
+export function isRetentionRunning() {
+  return Boolean(retentionState.inFlight);
+}
+
+/**
+ * Restore the transactions of an archive. Restoring is an idempotent upsert, so an
+ * archive can be restored more than once; restored transactions are not archived again.
+ * @param {string} archiveId - Archive id.
+ * @returns {Promise<Object|null>} `{ restored: true, transactions, manifest }`,
+ *   `{ restored: false, reason }` if the archive file is missing or corrupt,
+ *   or null if there is no such archive.
+ * @throws {Error} If restoring into the database fails.
+ */
+export async function restoreArchive(archiveId) {
+  const manifest = await archive_service.getArchive(archiveId);
+  if (!manifest) {
+    return null;
+  }
+
+  const archive = await archive_service.readArchive(manifest);
+  if (!archive.valid) {
+    logger.warn({ archiveId, reason: archive.reason }, "Archive cannot be restored.");
+    return { restored: false, reason: archive.reason };
+  }
+
+  const transactions = await storage.transactions.restore(archive.records);
+  const updatedManifest = await archive_service.markArchiveRestored(manifest);
+  logger.info({ archiveId, transactions }, "Transaction archive restored.");
+  return { restored: true, transactions, manifest: updatedManifest };
+}
+
+/**
+ * Run scheduled retention if no other instance ran it this interval.
+ * @returns {Promise<void>}
+ */
+async function runScheduledRetention() {
+  try {
+    const { acquired } = await supabase_service.acquireJobLease(
+      LEASE_NAME,
+      config.server.instanceId,
+      config.retention.intervalMs,
+    );
+    if (!acquired) {
+      logger.debug("Another instance ran retention this interval. Skipping.");
+      return;
+    }
+    await runRetention({ trigger: "scheduled" });
+  } catch (error) {
+    logger.error({ err: error }, "Scheduled retention failed.");
+  }
+}
+
+/**
+ * Start applying the retention policy every RETENTION_INTERVAL_MS.
+ */
+export function startRetentionSchedule() {
+  if (retentionState.timer) {
+    logger.warn("Retention schedule is already running.");
+    return;
+  }
+
+  const { intervalMs, rawDataDays, rawDataAction, archiveDays } = config.retention;
+  logger.info({ intervalMs, rawDataDays, rawDataAction, archiveDays }, "Scheduling retention.");
+  retentionState.timer = setInterval(runScheduledRetention, intervalMs);
+}
+
+/**
+ * Stop scheduled retention and wait for a running one to finish.
+ * @returns {Promise<void>}
+ */
+export async function stopRetentionSchedule() {
+  clearInterval(retentionState.timer);
+  retentionState.timer = null;
+  if (retentionState.inFlight) {
+    await retentionState.inFlight.catch(() => {});
+  }
+}
@@ -0,0 +1,389 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { v4 as uuidv4 } from "uuid";
+import { config } from "../config/index.js";
+import * as lithic_service from "../services/lithic-service.js";
+import * as supabase_service from "../services/supabase-service.js";
+import {
+  classifyPolledTransaction,
+  splitTimeRange,
+} from "../utils/transaction-polling.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Default length of one backfill window. Progress is saved after every window,
+ * so an interrupted job resumes from the last completed one.
+ */
+const DEFAULT_WINDOW_HOURS = 24;
+
+/**
+ * Backfill runs active in this process: Map<jobId, Promise>.
+ */
+const activeJobs = new Map();
+
+/**
+ * Take or renew the lease of a backfill job for this instance. The lease keeps two
+ * instances from running the same job; it expires when the instance running it stops.
+ * @param {string} jobId - Backfill job id.
+ * @returns {Promise<boolean>} True if this instance holds the lease.
+ * @throws {Error} If the lease cannot be read or written.
+ */
+async function acquireBackfillLease(jobId) {
+  const { acquired } = await supabase_service.acquireJobLease(
+    `backfill:${jobId}`,
+    config.server.instanceId,
+    config.backfill.leaseMs,
+  );
+  return acquired;
+}
+
+/**
+ * Renew the lease of a running backfill job until stopped.
+ * @param {string} jobId - Backfill job id.
+ * @returns {Object} `{ lost, stop }`; `lost` turns true if another instance took the lease.
+ */
+function startLeaseHeartbeat(jobId) {
+  const heartbeat = { lost: false };
+  const timer = setInterval(async () => {
+    try {
+      if (!(await acquireBackfillLease(jobId))) {
+        heartbeat.lost = true;
+      }
+    } catch (error) {
+      logger.warn({ err: error, jobId }, "Failed to renew backfill job lease.");
+    }
+  }, Math.max(1000, Math.floor(config.backfill.leaseMs / 3)));
+  timer.unref?.();
+
+  heartbeat.stop = async () => {
+    clearInterval(timer);
+    try {
+      await supabase_service.releaseJobLease(`backfill:${jobId}`, config.server.instanceId);
+    } catch (error) {
+      logger.warn({ err: error, jobId }, "Failed to release backfill job lease.");
+    }
+  };
+  return heartbeat;
+}
+
+/**
+ * Counters of a backfill window, added to the job counters once the window completes.
+ * @returns {Object} Zeroed `{ fetched, inserted, updated, skipped, failed }`.
+ */
+function createWindowCounts() {
+  return { fetched: 0, inserted: 0, updated: 0, skipped: 0, failed: 0 };
+}
+
+/**
+ * Import one window of Lithic transactions without broadcasting alerts.
+ * @param {Object} window - `{ begin, end }` ISO timestamps.
+ * @param {string|null} cardToken - Restrict to one card.
+ * @param {Object} counts - Window counters (mutated).
+ * @returns {Promise<void>}
+ * @throws {Error} If fetching fails or any transaction in the window could not be saved.
+ */
+async function backfillWindow(window, cardToken, counts) {
+  const fetchParams = { begin: window.begin, end: window.end };
+  if (cardToken) fetchParams.card_token = cardToken;
+
+  const transactions = (await lithic_service.fetchTransactions(fetchParams)) || [];
+  counts.fetched += transactions.length;
+
+  const storedStatuses = await supabase_service.getTransactionStatuses(
+    transactions.map((transaction) => transaction.token),
+  );
+
+  let windowFailures = 0;
+  for (const transaction of transactions.slice().reverse()) {
+    const action = classifyPolledTransaction(
+      transaction,
+      storedStatuses.get(transaction.token),
+    );
+    if (action === "skip") {
+      counts.skipped++;
+      continue;
+    }
+
+    try {
+      await supabase_service.saveTransaction(transaction, { broadcast: false });
+      counts[action === "insert" ? "inserted" : "updated"]++;
+    } catch (error) {
+      windowFailures++;
+      counts.failed++;
+      logger.error(
+        { err: error, transactionToken: transaction.token },
+        "Failed to save backfilled transaction.",
+      );
+    }
+  }
+
+  if (windowFailures > 0) {
+    throw new Error(`${windowFailures} transaction(s) failed to save between ${window.begin} and ${window.end}`);
+  }
+}
+
+/**
+ * Run (or continue) a backfill job from its cursor to its end.
+ * The cursor only moves past a window once every transaction in it is stored.
+ * The saved counts cover completed windows; a failed window only leaves its
+ * `failed` count, which is cleared when the job resumes and retries that window.
+ * Only the instance holding the job lease runs it; a run stops before its next window
+ * if another instance took the lease over.
+ * @param {string} jobId - Backfill job id.
+ * @returns {Promise<Object>} Final job row.
+ * @throws {Error} If the job does not exist, runs on another instance, or its progress cannot be saved.
+ */
+export async function runBackfillJob(jobId) {
+  let job = await supabase_service.getBackfillJob(jobId);
+  if (!job) {
+    throw new Error(`Backfill job ${jobId} not found`);
+  }
+  if (!(await acquireBackfillLease(jobId))) {
+    throw new Error(`Backfill job ${jobId} is running on another instance`);
+  }
+  const heartbeat = startLeaseHeartbeat(jobId);
+
+  try {
+    // Read the job again now that no other instance can change it
+    job = await supabase_service.getBackfillJob(jobId);
+    if (job.status === "completed") {
+      return job;
+    }
+
+    const counts = {
+      fetched: job.fetched || 0,
+      inserted: job.inserted || 0,
+      updated: job.updated || 0,
+      skipped: job.skipped || 0,
+      failed: 0,
+    };
+    let windowsCompleted = job.windows_completed || 0;
+
+    job = await supabase_service.updateBackfillJob(jobId, {
+      status: "running",
+      started_at: job.started_at || new Date().toISOString(),
+      last_error: null,
+    });
+    logger.info(
+      { jobId, cursorAt: job.cursor_at, endAt: job.end_at, cardToken: job.card_token },
+      "Backfill job running.",
+    );
+
+    for (const window of splitTimeRange(job.cursor_at, job.end_at, job.window_ms)) {
+      if (heartbeat.lost) {
+        logger.warn({ jobId, cursorAt: job.cursor_at }, "Backfill job lease was taken by another instance. Stopping.");
+        return await supabase_service.getBackfillJob(jobId);
+      }
+
+      const windowCounts = createWindowCounts();
+      try {
+        await backfillWindow(window, job.card_token, windowCounts);
+      } catch (error) {
+        logger.error({ err: error, jobId, window, ...windowCounts }, "Backfill window failed. Job can be resumed.");
+        return await supabase_service.updateBackfillJob(jobId, {
+          ...counts,
+          failed: windowCounts.failed,
+          status: "failed",
+          last_error: error.message,
+        });
+      }
+
+      for (const [name, count] of Object.entries(windowCounts)) {
+        counts[name] += count;
+      }
+
+      windowsCompleted++;
+      job = await supabase_service.updateBackfillJob(jobId, {
+        ...counts,
+        cursor_at: window.end,
+        windows_completed: windowsCompleted,
+      });
+      logger.info(
+        { jobId, ...counts, windowsCompleted, windowsTotal: job.windows_total, cursorAt: window.end },
+        "Backfill progress.",
+      );
+    }
+
+    logger.info({ jobId, ...counts }, "Backfill job completed.");
+    return await supabase_service.updateBackfillJob(jobId, {
+      status: "completed",
+      completed_at: new Date().toISOString(),
+    });
+  } finally {
+    await heartbeat.stop();
+  }
+}
+
+/**
+ * Run a backfill job in the background of this process.
+ * @param {string} jobId - Backfill job id.
+ */
+function runInBackground(jobId) {
+  const run = runBackfillJob(jobId)
+    .catch((error) => {
+      logger.error({ err: error, jobId }, "Backfill job stopped unexpectedly.");
+    })
+    .finally(() => activeJobs.delete(jobId));
+  activeJobs.set(jobId, run);
+}
+
+/**
+ * Create a backfill job for a date range and start it in the background.
+ * @param {Object} params - Backfill parameters.
+ * @param {string} params.begin - Range start (ISO timestamp, inclusive).
+ * @param {string} params.end - Range end (ISO timestamp, exclusive).
+ * @param {string} [params.cardToken] - Only backfill this card.
+ * @param {number} [params.windowHours=24] - Window length in whole hours; progress is saved per window.
+ * @param {boolean} [params.background=true] - Start the job without waiting for it.
+ * @returns {Promise<Object>} Created job row.
+ * @throws {Error} If the range or the window length is invalid, or the job cannot be created.
+ */
+export async function startBackfill({
+  begin,
+  end,
+  cardToken = null,
+  windowHours = DEFAULT_WINDOW_HOURS,
+  background = true,
+}) {
+  if (Number.isNaN(new Date(begin).getTime()) || Number.isNaN(new Date(end).getTime())) {
+    throw new Error("Backfill begin and end must be valid dates");
+  }
+  if (!Number.isInteger(windowHours) || windowHours < 1) {
+    throw new Error(`Backfill window hours must be a positive integer, got ${windowHours}`);
+  }
+
+  const beginAt = new Date(begin).toISOString();
+  const endAt = new Date(end).toISOString();
+  if (beginAt >= endAt) {
+    throw new Error("Backfill begin must be before end");
+  }
+
+  const windowMs = windowHours * 60 * 60 * 1000;
+  const job = await supabase_service.createBackfillJob({
+    id: uuidv4(),
+    status: "pending",
+    begin_at: beginAt,
+    end_at: endAt,
+    card_token: cardToken,
+    window_ms: windowMs,
+    cursor_at: beginAt,
+    windows_total: splitTimeRange(beginAt, endAt, windowMs).length,
+    windows_completed: 0,
+    fetched: 0,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+  });
+
+  logger.info(
+    { jobId: job.id, begin: beginAt, end: endAt, cardToken, windowsTotal: job.windows_total },
+    "Backfill job created.",
+  );
+
+  if (background) {
+    runInBackground(job.id);
+  }
+  return job;
+}
+
+/**
+ * Resume an interrupted or failed backfill job from its last completed window.
+ * A job that another instance is running, or that a stopped instance left running
+ * until its lease expires, is not resumed.
+ * @param {string} jobId - Backfill job id.
+ * @returns {Promise<Object|null>} `{ job, resumed, reason }`, or null if the job does not exist.
+ */
+export async function resumeBackfillJob(jobId) {
+  const job = await supabase_service.getBackfillJob(jobId);
+  if (!job) {
+    return null;
+  }
+  if (job.status === "completed") {
+    return { job, resumed: false, reason: "Job already completed" };
+  }
+  if (activeJobs.has(jobId)) {
+    return { job, resumed: false, reason: "Job is already running" };
+  }
+  if (!(await acquireBackfillLease(jobId))) {
+    return { job, resumed: false, reason: "Job is running on another instance" };
+  }
+
+  runInBackground(jobId);
+  return { job, resumed: true, reason: null };
+}
+
+/**
+ * Get a backfill job with whether it is running in this process.
+ * @param {string} jobId - Backfill job id.
+ * @returns {Promise<Object|null>} Job row with `active`, or null if not found.
+ */
+export async function getBackfillJob(jobId) {
+  const job = await supabase_service.getBackfillJob(jobId);
+  return job ? { ...job, active: activeJobs.has(jobId) } : null;
+}
+
+/**
+ * Parse `--name=value` command line arguments.
+ * @param {Array<string>} argv - Arguments after the script path.
+ * @returns {Object} Parsed arguments.
+ */
+function parseArgs(argv) {
+  return Object.fromEntries(
+    argv
+      .filter((arg) => arg.startsWith("--"))
+      .map((arg) => {
+        const [name, ...value] = arg.slice(2).split("=");
+        return [name, value.join("=") || true];
+      }),
+  );
+}
+
+/**
+ * Command line entry point:
+ *   npm run backfill -- --begin=2024-01-01 --end=2024-02-01 [--card=card_token] [--window-hours=24]
+ *   npm run backfill -- --resume=<jobId>
+ */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let jobId = args.resume;
+  if (!jobId) {
+    if (!args.begin) {
+      console.error(
+        "Usage: npm run backfill -- --begin=<date> [--end=<date>] [--card=<token>] [--window-hours=<n>] | --resume=<jobId>",
+      );
+      process.exit(1);
+    }
+    const job = await startBackfill({
+      begin: args.begin,
+      end: args.end || new Date().toISOString(),
+      cardToken: args.card || null,
+      windowHours: args["window-hours"] ? Number(args["window-hours"]) : DEFAULT_WINDOW_HOURS,
+      background: false,
+    });
+    jobId = job.id;
+  }
+
+  const job = await runBackfillJob(jobId);
+  logger.info(
+    {
+      jobId,
+      status: job.status,
+      fetched: job.fetched,
+      inserted: job.inserted,
+      updated: job.updated,
+      skipped: job.skipped,
+      failed: job.failed,
+    },
+    "Backfill finished.",
+  );
+  process.exit(job.status === "completed" ? 0 : 1);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    logger.error({ err: error }, "Backfill failed.");
+    process.exit(1);
+  });
+}
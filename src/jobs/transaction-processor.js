@@ -1,78 +1,166 @@
 import * as lithic_service from "../services/lithic-service.js";
 import * as supabase_service from "../services/supabase-service.js";
 import * as reporting_service from "../services/reporting-service.js";
+import * as webhook_service from "../services/webhook-service.js";
+import {
+  getPollingWindowStart,
+  classifyPolledTransaction,
+  getNextCursor,
+  countSaveFailures,
+} from "../utils/transaction-polling.js";
+import { getPollingSchedule } from "../utils/polling-schedule.js";
+import { config } from "../config/index.js";
 import logger from "../utils/logger.js";
 
 /**
- * Checks for new transactions from Lithic and processes them.
- * - Fetches the timestamp of the most recent transaction from Supabase.
- * - Fetches transactions from Lithic created after this timestamp.
- * - For each new transaction, checks if it already exists (by token) to prevent duplicates
- * - Saves new, unique transactions to Supabase.
- * - Logs statistics if new transactions were processed.
+ * Name of the polling checkpoint row used by this job.
+ */
+const CHECKPOINT_NAME = "lithic-transactions";
+
+/**
+ * Re-fetch stored PENDING transactions older than the polling window, since a
+ * status change on them would otherwise only arrive through a webhook.
+ * @param {string|null} windowStart - Start of the current polling window.
+ * @param {Object} counts - Cycle counters (mutated: rechecked, updated).
+ * @returns {Promise<void>}
+ */
+async function recheckPendingTransactions(windowStart, counts) {
+  if (!windowStart) {
+    return;
+  }
+
+  const pendingTransactions = await supabase_service.listPendingTransactions({
+    before: windowStart,
+    limit: config.polling.pendingRecheckLimit,
+  });
+
+  for (const stored of pendingTransactions) {
+    try {
+      const transaction = await lithic_service.getTransaction(stored.token);
+      counts.rechecked++;
+      if (classifyPolledTransaction(transaction, stored) === "update") {
+        // Agents were alerted when the transaction was first saved
+        await supabase_service.saveTransaction(transaction, { broadcast: false });
+        counts.updated++;
+      }
+    } catch (error) {
+      logger.warn(
+        { err: error, transactionToken: stored.token },
+        "Failed to re-check pending transaction.",
+      );
+    }
+  }
+}
+
+/**
+ * Checks for new and changed transactions from Lithic and processes them.
+ * - Reads the polling checkpoint (falling back to the newest stored transaction on the first run).
+ * - Fetches every transaction created since the checkpoint minus the overlap window.
+ * - Looks up the stored status of all fetched transactions in one batch and
+ *   inserts new ones, updates ones whose status, result or events changed and skips the rest.
+ * - Broadcasts alerts for inserted transactions only.
+ * - Re-checks stored PENDING transactions older than the window.
+ * - Advances the checkpoint only when every transaction in the window was saved, except
+ *   transactions that failed to save POLLING_MAX_SAVE_FAILURES cycles in a row, which are
+ *   logged and given up on so they do not hold the cursor back for good.
+ * @returns {Promise<Object>} Cycle counts `{ fetched, inserted, updated, skipped, failed, abandoned, rechecked }`.
  */
 async function checkForNewTransactions() {
   logger.info("Starting check for new transactions...");
+  const counts = { fetched: 0, inserted: 0, updated: 0, skipped: 0, failed: 0, abandoned: 0, rechecked: 0 };
+
   try {
-    const latestInDb = await supabase_service.getLatestTransactionTimestamp();
-    let fetchParams = {};
-
-    if (latestInDb && latestInDb.created_at) {
-      // Fetch transactions that occurred at or after the last one stored.
-      const beginDateTime = new Date(latestInDb.created_at);
-      fetchParams.begin = beginDateTime.toISOString();
-      logger.debug(
-        {
-          latestTimestamp: latestInDb.created_at,
-          fetchBegin: fetchParams.begin,
-        },
-        "Fetching transactions at or after last known timestamp.",
-      );
-    } else {
+    const checkpoint = await supabase_service.getPollingCheckpoint(CHECKPOINT_NAME);
+    let cursorAt = checkpoint?.cursor_at || null;
+
+    if (!cursorAt) {
+      const latestInDb = await supabase_service.getLatestTransactionTimestamp();
+      cursorAt = latestInDb?.created_at || null;
       logger.info(
-        "No previous transactions found in DB, or no timestamp. Fetching recent transactions.",
+        { cursorAt },
+        "No polling checkpoint found. Starting from the newest stored transaction.",
       );
     }
 
-    const lithicTransactions =
-      await lithic_service.fetchTransactions(fetchParams);
+    const windowStart = getPollingWindowStart(cursorAt, config.polling.overlapMs);
+    const fetchParams = windowStart ? { begin: windowStart } : {};
+    logger.debug(
+      { cursorAt, fetchBegin: fetchParams.begin },
+      "Fetching transactions for polling window.",
+    );
 
-    if (!lithicTransactions || lithicTransactions.length === 0) {
-      logger.info(
-        "No new transactions found from Lithic based on current criteria.",
-      );
-      return;
-    }
+    const lithicTransactions =
+      (await lithic_service.fetchTransactions(fetchParams)) || [];
+    counts.fetched = lithicTransactions.length;
 
-    logger.info(
-      `Fetched ${lithicTransactions.length} potential new transactions from Lithic.`,
+    const storedStatuses = await supabase_service.getTransactionStatuses(
+      lithicTransactions.map((transaction) => transaction.token),
     );
 
-    let newCount = 0;
+    // Oldest first, so alerts go out in the order the transactions happened
+    const failedTokens = [];
     for (const transaction of lithicTransactions.slice().reverse()) {
-      const exists = await supabase_service.checkIfTransactionExists(
-        transaction.token,
+      const action = classifyPolledTransaction(
+        transaction,
+        storedStatuses.get(transaction.token),
       );
-      if (!exists) {
+      if (action === "skip") {
+        counts.skipped++;
+        continue;
+      }
+
+      try {
         logger.debug(
-          { transactionToken: transaction.token },
-          "New transaction identified. Saving to Supabase.",
+          { transactionToken: transaction.token, action },
+          "Saving polled transaction to Supabase.",
         );
-        await supabase_service.saveTransaction(transaction);
-        newCount++;
-      } else {
-        logger.debug(
-          { transactionToken: transaction.token },
-          'Transaction already exists in Supabase. Skipping save for "new" count.',
+        // Only new transactions are alerted, so a transaction that settles or gains
+        // an event is not announced as new again
+        await supabase_service.saveTransaction(transaction, { broadcast: action === "insert" });
+        counts[action === "insert" ? "inserted" : "updated"]++;
+      } catch (saveError) {
+        counts.failed++;
+        failedTokens.push(transaction.token);
+        logger.error(
+          { err: saveError, transactionToken: transaction.token, action },
+          "Failed to save polled transaction.",
         );
       }
     }
 
-    if (newCount > 0) {
-      logger.info(
-        { count: newCount },
-        `Successfully processed and saved new transactions.`,
+    await recheckPendingTransactions(windowStart, counts);
+
+    const { failures: saveFailures, abandoned } = countSaveFailures(
+      checkpoint?.last_result?.saveFailures,
+      failedTokens,
+      config.polling.maxSaveFailures,
+    );
+    counts.abandoned = abandoned.length;
+    for (const transactionToken of abandoned) {
+      logger.error(
+        { transactionToken, failedCycles: config.polling.maxSaveFailures },
+        "Giving up on polled transaction that keeps failing to save. Advancing the cursor past it; reconciliation reports it until it is saved.",
       );
+    }
+
+    // A failed save not yet given up on keeps the cursor where it was, so the next cycle reads the window again
+    const succeeded = counts.failed === 0;
+    const nextCursor = Object.keys(saveFailures).length === 0
+      ? getNextCursor(cursorAt, lithicTransactions)
+      : cursorAt;
+
+    await supabase_service.savePollingCheckpoint(CHECKPOINT_NAME, {
+      cursorAt: nextCursor,
+      succeeded,
+      lastResult: { ...counts, windowStart, saveFailures, abandonedTokens: abandoned },
+    });
+
+    logger.info(
+      { ...counts, cursorAt: nextCursor },
+      "Transaction polling cycle completed.",
+    );
+
+    if (counts.inserted + counts.updated > 0) {
       try {
         const stats = await reporting_service.getTransactionStats();
         logger.info(
@@ -89,25 +177,253 @@ async function checkForNewTransactions() {
           "Error fetching transaction statistics after processing new transactions.",
         );
       }
-    } else {
-      logger.info("No new unique transactions were saved in this cycle.");
     }
+
+    return counts;
   } catch (error) {
     logger.error(
-      { err: error },
-      "Error during checkForNewTransactions routine.",
+      { err: error, ...counts },
+      "Error during checkForNewTransactions routine. Checkpoint not advanced.",
+    );
+    return { ...counts, error: error.message };
+  }
+}
+
+/**
+ * Name of the leader lease that decides which instance polls.
+ */
+const LEASE_NAME = "transaction-polling";
+
+/**
+ * Polling state for this process.
+ */
+const pollingState = {
+  timer: null,
+  heartbeat: null,
+  interval: null,
+  leaseMs: null,
+  inFlight: null,
+  isLeader: false,
+  stopped: true,
+  schedule: null,
+};
+
+/**
+ * Take or renew the leader lease and record whether this instance is the leader.
+ * @returns {Promise<Object>} `{ acquired, lease }`.
+ * @throws {Error} If the lease cannot be read or written.
+ */
+async function renewPollingLease() {
+  const { acquired, lease } = await supabase_service.acquireJobLease(
+    LEASE_NAME,
+    config.server.instanceId,
+    pollingState.leaseMs,
+  );
+
+  if (acquired !== pollingState.isLeader) {
+    logger.info(
+      { instanceId: config.server.instanceId, isLeader: acquired, holderId: lease?.holder_id },
+      acquired
+        ? "Acquired transaction polling lease. This instance is now polling."
+        : "Lost transaction polling lease to another instance.",
     );
   }
+  pollingState.isLeader = acquired;
+  return { acquired, lease };
+}
+
+/**
+ * Renew the leader lease on a heartbeat of a third of its length, independent of the
+ * adaptive polling interval, so a stopped leader is replaced within POLLING_LEASE_MS.
+ */
+function startLeaseHeartbeat() {
+  pollingState.heartbeat = setInterval(async () => {
+    try {
+      await renewPollingLease();
+    } catch (error) {
+      logger.warn({ err: error }, "Failed to renew transaction polling lease.");
+    }
+  }, Math.max(1000, Math.floor(pollingState.leaseMs / 3)));
+  pollingState.heartbeat.unref?.();
+}
+
+/**
+ * Run one polling cycle if this instance holds (or can take) the leader lease.
+ * Single-flight: while a cycle is running, further calls return the running cycle.
+ * @returns {Promise<Object>} Cycle counts, or `{ skipped: true, reason }`.
+ */
+async function runPollingCycle() {
+  if (pollingState.inFlight) {
+    logger.warn("Previous polling cycle still running. Skipping this tick.");
+    return pollingState.inFlight;
+  }
+
+  pollingState.inFlight = (async () => {
+    try {
+      const { acquired, lease } = await renewPollingLease();
+
+      if (!acquired) {
+        logger.debug(
+          { holderId: lease?.holder_id, expiresAt: lease?.expires_at },
+          "Another instance holds the transaction polling lease. Skipping cycle.",
+        );
+        return { skipped: true, reason: "not_leader" };
+      }
+
+      return await checkForNewTransactions();
+    } catch (error) {
+      logger.error({ err: error }, "Transaction polling cycle failed.");
+      return { skipped: true, reason: "error", error: error.message };
+    } finally {
+      pollingState.inFlight = null;
+    }
+  })();
+
+  return pollingState.inFlight;
+}
+
+/**
+ * Work out the delay before the next cycle from webhook health, the latest webhook
+ * delivery to any instance and recent card activity.
+ * @returns {Promise<number>} Delay in milliseconds.
+ */
+async function computeNextInterval() {
+  let lastActivityAt = null;
+  try {
+    const latestInDb = await supabase_service.getLatestTransactionTimestamp();
+    lastActivityAt = latestInDb?.created_at || null;
+  } catch (error) {
+    logger.warn({ err: error }, "Could not read latest transaction for polling schedule.");
+  }
+
+  const webhookHealth = webhook_service.getWebhookHealth();
+
+  // Webhooks may be delivered to another instance, so use the shared webhook log
+  let lastWebhookAt = null;
+  try {
+    lastWebhookAt = await supabase_service.getLatestWebhookReceivedAt();
+  } catch (error) {
+    logger.warn({ err: error }, "Could not read latest webhook delivery for polling schedule.");
+  }
+
+  const { intervalMs, reason } = getPollingSchedule({
+    webhookHealth,
+    lastWebhookAt,
+    lastActivityAt,
+    settings: { ...config.polling, baseIntervalMs: pollingState.interval },
+  });
+
+  if (reason !== pollingState.schedule?.reason) {
+    logger.info(
+      { intervalMs, reason, lastActivityAt, lastWebhookAt, webhookHealth },
+      "Transaction polling schedule changed.",
+    );
+  }
+
+  pollingState.schedule = {
+    intervalMs,
+    reason,
+    lastActivityAt,
+    lastWebhookAt,
+    webhookHealth,
+    nextRunAt: new Date(Date.now() + intervalMs).toISOString(),
+  };
+  return intervalMs;
+}
+
+/**
+ * Schedule the next polling cycle once the current one has finished,
+ * so a slow cycle delays the next one instead of overlapping it.
+ */
+async function scheduleNextCycle() {
+  if (pollingState.stopped) {
+    return;
+  }
+
+  const intervalMs = await computeNextInterval();
+  if (pollingState.stopped) {
+    return;
+  }
+
+  pollingState.timer = setTimeout(async () => {
+    await runPollingCycle();
+    scheduleNextCycle();
+  }, intervalMs);
 }
 
 /**
  * Starts the transaction polling mechanism.
- * @param {number} [interval=30000] - The interval in milliseconds to check for new transactions.
+ * Every instance runs the scheduler, but only the holder of the leader lease polls;
+ * the lease is renewed on its own heartbeat, and when the holder stops renewing, another
+ * instance takes over once the lease expires. The delay between cycles adapts between POLLING_MIN_INTERVAL_MS and POLLING_MAX_INTERVAL_MS.
+ * @param {number} [interval=30000] - The base interval in milliseconds, used when nothing calls for faster or slower polling.
  */
 export function startTransactionPolling(interval = 30000) {
+  if (!pollingState.stopped) {
+    logger.warn("Transaction polling is already running.");
+    return;
+  }
+
+  pollingState.stopped = false;
+  pollingState.interval = interval;
+  pollingState.leaseMs = config.polling.leaseMs;
+
   logger.info(
+    {
+      instanceId: config.server.instanceId,
+      leaseMs: pollingState.leaseMs,
+    },
     `Initializing transaction polling. Interval: ${interval / 1000} seconds.`,
   );
-  checkForNewTransactions(); // Perform an initial check immediately
-  setInterval(checkForNewTransactions, interval);
+
+  // Perform an initial check immediately
+  runPollingCycle().then(scheduleNextCycle);
+  startLeaseHeartbeat();
+}
+
+/**
+ * Stops the transaction polling mechanism and releases the leader lease,
+ * so another instance can take over without waiting for it to expire.
+ * @returns {Promise<void>}
+ */
+export async function stopTransactionPolling() {
+  pollingState.stopped = true;
+  clearTimeout(pollingState.timer);
+  pollingState.timer = null;
+  clearInterval(pollingState.heartbeat);
+  pollingState.heartbeat = null;
+
+  // Let a running cycle finish before giving up the lease
+  if (pollingState.inFlight) {
+    await pollingState.inFlight;
+  }
+
+  if (pollingState.isLeader) {
+    try {
+      await supabase_service.releaseJobLease(LEASE_NAME, config.server.instanceId);
+      logger.info("Released transaction polling lease.");
+    } catch (error) {
+      logger.warn({ err: error }, "Failed to release transaction polling lease.");
+    }
+    pollingState.isLeader = false;
+  }
+
+  logger.info("Transaction polling stopped.");
+}
+
+/**
+ * Current polling state of this instance.
+ * @returns {Object} `{ running, isLeader, instanceId, interval, leaseMs, cycleInFlight, schedule }`
+ *   where schedule holds the current delay, its reason and the inputs it was derived from.
+ */
+export function getPollingStatus() {
+  return {
+    running: !pollingState.stopped,
+    isLeader: pollingState.isLeader,
+    instanceId: config.server.instanceId,
+    interval: pollingState.interval,
+    leaseMs: pollingState.leaseMs,
+    cycleInFlight: Boolean(pollingState.inFlight),
+    schedule: pollingState.schedule,
+  };
 }
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+
+/**
+ * Admin authentication for routes that change live data or start jobs
+ * (authorization rules, webhook replay, backfills, retention, merchant groups, cases).
+ * Callers send `Authorization: Bearer <ADMIN_API_TOKEN>`; without a configured token
+ * every admin route is refused.
+ */
+
+/**
+ * HTTP statuses by authentication failure reason.
+ */
+const ADMIN_AUTH_STATUS_CODES = {
+  admin_auth_not_configured: 503,
+  missing_authentication: 401,
+  invalid_token: 403
+};
+
+/**
+ * Compares two secrets in constant time.
+ * @param {string} candidate - Token sent by the caller.
+ * @param {string} expected - Configured token.
+ * @returns {boolean} Whether the tokens match.
+ */
+function tokensMatch(candidate, expected) {
+  // Hash both sides so timingSafeEqual gets equal-length buffers
+  const candidateDigest = crypto.createHash('sha256').update(candidate).digest();
+  const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(candidateDigest, expectedDigest);
+}
+
+/**
+ * Checks the admin Bearer token of a request.
+ * @param {import('express').Request} req - Express request object.
+ * @param {string} [apiToken] - Expected token (defaults to config.admin.apiToken).
+ * @returns {Object} `{ success: true }` or `{ success: false, reason }`.
+ */
+export function authenticateAdmin(req, apiToken = config.admin.apiToken) {
+  if (!apiToken) {
+    return { success: false, reason: 'admin_auth_not_configured' };
+  }
+
+  const authHeader = req.get('authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ') || authHeader.length === 7) {
+    return { success: false, reason: 'missing_authentication' };
+  }
+
+  if (!tokensMatch(authHeader.substring(7), apiToken)) {
+    return { success: false, reason: 'invalid_token' };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Express middleware that only lets admin-authenticated requests through.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next function.
+ */
+export function requireAdmin(req, res, next) {
+  const authentication = authenticateAdmin(req);
+  if (authentication.success) {
+    return next();
+  }
+
+  const requestId = req.requestId || uuidv4();
+  logger.warn({
+    requestId,
+    reason: authentication.reason,
+    ip: req.ip,
+    endpoint: req.originalUrl,
+    method: req.method
+  }, 'Admin authentication failed');
+
+  const statusCode = ADMIN_AUTH_STATUS_CODES[authentication.reason];
+  res.status(statusCode).json({
+    error: statusCode === 503 ? 'Service Unavailable' : statusCode === 401 ? 'Unauthorized' : 'Forbidden',
+    reason: authentication.reason,
+    timestamp: new Date().toISOString(),
+    requestId
+  });
+}
@@ -1,6 +1,7 @@
 import Joi from 'joi';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
+import { CASE_STATUSES } from '../utils/cases.js';
 
 /**
  * Enterprise-grade validation middleware for Honeypot Transaction Monitoring System.
@@ -30,7 +31,10 @@ const mcpRequestSchema = Joi.object({
       'get_merchant_info', 
       'get_card_info',
       'list_available_cards',
-      'get_card_details'
+      'get_card_details',
+      'attach_to_case',
+      'get_pending_alerts',
+      'acknowledge_alerts'
     )
     .description('The specific MCP tool being called'),
   
@@ -72,7 +76,46 @@ const mcpRequestSchema = Joi.object({
     
     includeTransactionHistory: Joi.boolean()
       .default(false)
-      .description('Include transaction history with card details')
+      .description('Include transaction history with card details'),
+
+    // Parameters for attach_to_case
+    caseId: Joi.string()
+      .trim()
+      .guid()
+      .description('Case to attach the call to; a new case is opened when omitted'),
+
+    title: Joi.string()
+      .trim()
+      .max(200)
+      .description('Title of a new case'),
+
+    sessionId: Joi.string()
+      .trim()
+      .max(100)
+      .description('MCP session id of the call; defaults to the mcp-session-id header'),
+
+    conversationId: Joi.string()
+      .trim()
+      .max(100)
+      .description('Conversation id of the call'),
+
+    note: Joi.string()
+      .trim()
+      .max(5000)
+      .description('Note about the call'),
+
+    // Parameters for get_pending_alerts and acknowledge_alerts
+    waitSeconds: Joi.number()
+      .integer()
+      .min(0)
+      .max(25)
+      .description('Wait up to this long for an alert when none are pending'),
+
+    alertIds: Joi.array()
+      .items(Joi.string().trim().guid())
+      .min(1)
+      .max(50)
+      .description('Alert ids to acknowledge (mailbox alerts or alerts pushed on a stream)')
   }).required()
 });
 
@@ -139,6 +182,197 @@ const intelligenceQuerySchema = Joi.object({
   }).default()
 });
 
+/**
+ * Schema for per-card authorization (ASA) rule sets.
+ * Amounts are in minor units; times of day are "HH:MM" in the given timezone.
+ */
+/**
+ * Joi check that a timezone is an IANA zone Intl can format in, so rule evaluation never throws on it.
+ */
+function ianaTimezone(value, helpers) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch {
+    return helpers.error('any.invalid');
+  }
+}
+
+const codeListSchema = Joi.object({
+  in: Joi.array().items(Joi.string().trim().max(10)).min(1),
+  notIn: Joi.array().items(Joi.string().trim().max(10)).min(1)
+}).or('in', 'notIn');
+
+const authorizationRuleSchema = Joi.object({
+  id: Joi.string().trim().max(64).required(),
+  description: Joi.string().trim().max(200),
+  decision: Joi.string().valid('APPROVE', 'DECLINE').required(),
+  declineCode: Joi.string()
+    .valid('UNAUTHORIZED_MERCHANT', 'INSUFFICIENT_FUNDS', 'CARD_PAUSED', 'CARD_CLOSED', 'ACCOUNT_INACTIVE'),
+  conditions: Joi.object({
+    mcc: codeListSchema,
+    country: codeListSchema,
+    amount: Joi.object({
+      gt: Joi.number().integer().min(0),
+      gte: Joi.number().integer().min(0),
+      lt: Joi.number().integer().min(0),
+      lte: Joi.number().integer().min(0)
+    }).min(1),
+    velocity: Joi.object({
+      windowMinutes: Joi.number().integer().min(1).max(43200).required(),
+      minCount: Joi.number().integer().min(1).required(),
+      decision: Joi.string().valid('APPROVE', 'DECLINE', 'ANY').default('ANY')
+    }),
+    timeOfDay: Joi.object({
+      start: Joi.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+      end: Joi.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+      timezone: Joi.string()
+        .max(64)
+        .custom(ianaTimezone, 'IANA timezone')
+        .default('UTC')
+        .messages({ 'any.invalid': '{{#label}} must be an IANA timezone such as "Europe/Paris"' })
+    })
+  }).default({})
+});
+
+const authorizationRuleSetSchema = Joi.object({
+  defaultDecision: Joi.string().valid('APPROVE', 'DECLINE').default('APPROVE'),
+  rules: Joi.array().items(authorizationRuleSchema).max(50).unique('id').default([])
+});
+
+/**
+ * Schema for transaction backfill requests.
+ * The range is [begin, end); end defaults to now.
+ */
+const backfillRequestSchema = Joi.object({
+  begin: Joi.date().iso().required(),
+  end: Joi.date().iso().greater(Joi.ref('begin')).default(() => new Date()),
+  cardToken: Joi.string().trim().max(100),
+  windowHours: Joi.number().integer().min(1).max(744).default(24)
+});
+
+/**
+ * Schema for manual reconciliation requests.
+ * Omitted fields fall back to the RECONCILIATION_* settings.
+ */
+const reconciliationRequestSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(90),
+  repair: Joi.boolean()
+});
+
+/**
+ * Schema for merging merchant groups into a target group.
+ */
+const merchantGroupMergeSchema = Joi.object({
+  sourceGroupIds: Joi.array().items(Joi.string().trim().max(100)).min(1).max(50).unique().required(),
+  reason: Joi.string().trim().max(500)
+});
+
+/**
+ * Schema for splitting merchants out of a merchant group.
+ */
+const merchantGroupSplitSchema = Joi.object({
+  merchantIds: Joi.array().items(Joi.string().trim().max(100)).min(1).max(100).unique().required(),
+  canonicalName: Joi.string().trim().max(200),
+  reason: Joi.string().trim().max(500)
+});
+
+/**
+ * Schema for adding and removing cards on an open alert stream.
+ */
+const streamCardsUpdateSchema = Joi.object({
+  add: Joi.array()
+    .items(Joi.string().trim().max(50).regex(/^[a-zA-Z0-9_-]+$/))
+    .max(50)
+    .unique(),
+  remove: Joi.array()
+    .items(Joi.string().trim().max(50).regex(/^[a-zA-Z0-9_-]+$/))
+    .max(50)
+    .unique()
+}).or('add', 'remove');
+
+/**
+ * Schema for acknowledging alerts received on an open alert stream.
+ */
+const alertAckSchema = Joi.object({
+  alertIds: Joi.array()
+    .items(Joi.string().trim().guid())
+    .min(1)
+    .max(50)
+    .required()
+});
+
+/**
+ * Schema for messages sent by clients of the alert WebSocket.
+ * `requestId` is echoed back in the reply.
+ */
+const alertSocketMessageSchema = Joi.object({
+  type: Joi.string()
+    .valid('subscribe', 'unsubscribe', 'ack', 'ping')
+    .required(),
+  cardTokens: Joi.array()
+    .items(Joi.string().trim().max(50).regex(/^[a-zA-Z0-9_-]+$/))
+    .min(1)
+    .max(50)
+    .unique()
+    .when('type', { is: Joi.valid('subscribe', 'unsubscribe'), then: Joi.required() }),
+  alertIds: Joi.array()
+    .items(Joi.string().trim().guid())
+    .min(1)
+    .max(50)
+    .when('type', { is: 'ack', then: Joi.required() }),
+  requestId: Joi.string().trim().max(100)
+});
+
+/**
+ * Records that can be linked to a case.
+ */
+const caseLinkFields = {
+  cardTokens: Joi.array().items(Joi.string().trim().max(100)).max(50).unique(),
+  transactionTokens: Joi.array().items(Joi.string().trim().max(100)).max(200).unique(),
+  sessionIds: Joi.array().items(Joi.string().trim().max(100)).max(50).unique(),
+  conversationIds: Joi.array().items(Joi.string().trim().max(100)).max(50).unique()
+};
+
+/**
+ * Schema for opening a scammer case.
+ */
+const caseCreateSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().trim().max(2000),
+  status: Joi.string().valid(...CASE_STATUSES).default('open'),
+  tags: Joi.array().items(Joi.string().trim().max(50)).max(20).default([]),
+  note: Joi.string().trim().max(5000),
+  createdBy: Joi.string().trim().max(100),
+  links: Joi.object(caseLinkFields).default({})
+});
+
+/**
+ * Schema for updating a scammer case; at least one field is required.
+ */
+const caseUpdateSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(2000).allow(null),
+  status: Joi.string().valid(...CASE_STATUSES),
+  tags: Joi.array().items(Joi.string().trim().max(50)).max(20)
+}).min(1);
+
+/**
+ * Schema for linking records to a scammer case.
+ */
+const caseLinksSchema = Joi.object({
+  ...caseLinkFields,
+  addedBy: Joi.string().trim().max(100)
+}).or('cardTokens', 'transactionTokens', 'sessionIds', 'conversationIds');
+
+/**
+ * Schema for analyst notes on a scammer case.
+ */
+const caseNoteSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(5000).required(),
+  author: Joi.string().trim().max(100)
+});
+
 // ========== Helper Functions ==========
 
 /**
@@ -303,6 +537,19 @@ export async function validateMCPRequest(req, res, next) {
       ));
     }
     
+    if (tool === 'acknowledge_alerts' && !parameters.alertIds) {
+      logValidationError(requestId, 'mcpRequest', { 
+        message: 'Alert IDs are required for acknowledge_alerts tool', 
+        field: 'parameters.alertIds' 
+      }, req);
+      return res.status(400).json(createErrorResponse(
+        'Alert IDs are required for acknowledge_alerts tool',
+        'parameters.alertIds',
+        400,
+        requestId
+      ));
+    }
+    
     if (tool === 'get_merchant_info' && !parameters.merchantId) {
       logValidationError(requestId, 'mcpRequest', { 
         message: 'Merchant ID is required for get_merchant_info tool', 
@@ -606,15 +853,18 @@ export async function validateIntelligenceQuery(req, res, next) {
  * Generic validation middleware factory for custom schemas.
  * @param {Joi.Schema} schema - Joi schema to validate against.
  * @param {string} validationType - Type of validation for logging.
+ * @param {Object} [options] - Validator options.
+ * @param {boolean} [options.sanitize=true] - Strip injection characters before validating.
+ *   Turn off for free text that is stored as written (parameterized writes, JSON output).
  * @returns {Function} Express middleware function.
  */
-export function createValidator(schema, validationType) {
+export function createValidator(schema, validationType, { sanitize = true } = {}) {
   return async (req, res, next) => {
     const requestId = uuidv4();
     req.requestId = requestId;
     
     try {
-      const sanitizedBody = sanitizeInput(req.body);
+      const sanitizedBody = sanitize ? sanitizeInput(req.body) : req.body;
       const { error, value } = schema.validate(sanitizedBody, {
         abortEarly: false,
         stripUnknown: true
@@ -645,11 +895,90 @@ export function createValidator(schema, validationType) {
   };
 }
 
+/**
+ * Validates a per-card authorization rule set.
+ * The validated rule set is available as req.validatedData.
+ */
+export const validateAuthorizationRules = createValidator(authorizationRuleSetSchema, 'authorization_rules');
+
+/**
+ * Validates a transaction backfill request.
+ * The validated request is available as req.validatedData.
+ */
+export const validateBackfillRequest = createValidator(backfillRequestSchema, 'backfill_request');
+
+/**
+ * Validates a manual reconciliation request.
+ * The validated request is available as req.validatedData.
+ */
+export const validateReconciliationRequest = createValidator(reconciliationRequestSchema, 'reconciliation_request');
+
+/**
+ * Validates a merchant group merge request.
+ * The validated request is available as req.validatedData.
+ */
+export const validateMerchantGroupMerge = createValidator(merchantGroupMergeSchema, 'merchant_group_merge');
+
+/**
+ * Validates a merchant group split request.
+ * The validated request is available as req.validatedData.
+ */
+export const validateMerchantGroupSplit = createValidator(merchantGroupSplitSchema, 'merchant_group_split');
+
+/**
+ * Validates a card update of an open alert stream.
+ * The validated request is available as req.validatedData.
+ */
+export const validateStreamCardsUpdate = createValidator(streamCardsUpdateSchema, 'stream_cards_update');
+
+/**
+ * Validates an acknowledgement of alerts received on an alert stream.
+ * The validated request is available as req.validatedData.
+ */
+export const validateAlertAck = createValidator(alertAckSchema, 'alert_ack');
+
+/**
+ * Validates a request to open a case. Case text is kept as written (quotes included),
+ * so it is not sanitized.
+ * The validated request is available as req.validatedData.
+ */
+export const validateCaseCreate = createValidator(caseCreateSchema, 'case_create', { sanitize: false });
+
+/**
+ * Validates a case update; case text is not sanitized.
+ * The validated request is available as req.validatedData.
+ */
+export const validateCaseUpdate = createValidator(caseUpdateSchema, 'case_update', { sanitize: false });
+
+/**
+ * Validates a request to link records to a case.
+ * The validated request is available as req.validatedData.
+ */
+export const validateCaseLinks = createValidator(caseLinksSchema, 'case_links');
+
+/**
+ * Validates an analyst note on a case; note text is not sanitized.
+ * The validated request is available as req.validatedData.
+ */
+export const validateCaseNote = createValidator(caseNoteSchema, 'case_note', { sanitize: false });
+
 // Export schemas for reuse
 export const schemas = {
   mcpRequest: mcpRequestSchema,
   alertSubscription: alertSubscriptionSchema,
-  intelligenceQuery: intelligenceQuerySchema
+  intelligenceQuery: intelligenceQuerySchema,
+  authorizationRuleSet: authorizationRuleSetSchema,
+  backfillRequest: backfillRequestSchema,
+  reconciliationRequest: reconciliationRequestSchema,
+  merchantGroupMerge: merchantGroupMergeSchema,
+  merchantGroupSplit: merchantGroupSplitSchema,
+  streamCardsUpdate: streamCardsUpdateSchema,
+  alertAck: alertAckSchema,
+  alertSocketMessage: alertSocketMessageSchema,
+  caseCreate: caseCreateSchema,
+  caseUpdate: caseUpdateSchema,
+  caseLinks: caseLinksSchema,
+  caseNote: caseNoteSchema
 };
 
 /**
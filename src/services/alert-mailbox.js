@@ -0,0 +1,373 @@
+/**
+ * Alert Mailbox - Pull delivery of real-time alerts for MCP subscriptions
+ *
+ * MCP agents subscribe through POST /api/mcp/subscribe and cannot hold a stream open,
+ * so their alerts are kept in a per-session mailbox that the agent drains with the
+ * `get_pending_alerts` tool and confirms with `acknowledge_alerts`.
+ *
+ * This service handles:
+ * - One bounded mailbox per MCP session, fed by the alert service like any connection
+ * - Long polling: fetches can wait for the next alert
+ * - Redelivery of fetched alerts that were not acknowledged within `redeliveryMs`
+ * - Expiry of alerts that were never acknowledged within `ttlMs`
+ */
+
+import EventEmitter from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+import alertService from './alert-service.js';
+
+/**
+ * Status of an alert in a mailbox
+ */
+export const MAILBOX_ALERT_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered'
+};
+
+export class AlertMailbox extends EventEmitter {
+  /**
+   * @param {Object} [options] - Mailbox options
+   * @param {number} [options.ttlMs=900000] - Unacknowledged alerts expire after this long
+   * @param {number} [options.maxAlerts=200] - Alerts kept per session; the oldest are dropped
+   * @param {number} [options.redeliveryMs=30000] - Fetched alerts are handed out again after this long without an ack
+   * @param {number} [options.maxWaitMs=25000] - Upper bound for a long-poll wait
+   * @param {number} [options.sweepIntervalMs=60000] - How often expired alerts are removed
+   */
+  constructor({
+    ttlMs = 15 * 60 * 1000,
+    maxAlerts = 200,
+    redeliveryMs = 30000,
+    maxWaitMs = 25000,
+    sweepIntervalMs = 60000
+  } = {}) {
+    super();
+    this.setMaxListeners(0);
+
+    this.ttlMs = ttlMs;
+    this.maxAlerts = Math.max(1, maxAlerts);
+    this.redeliveryMs = redeliveryMs;
+    this.maxWaitMs = maxWaitMs;
+
+    // Mailboxes: Map<sessionId, mailbox>; each mailbox keeps its alerts in a Map<alertId, entry>
+    this.mailboxes = new Map();
+
+    this.metrics = {
+      enqueued: 0,
+      delivered: 0,
+      redelivered: 0,
+      acknowledged: 0,
+      expired: 0,
+      dropped: 0
+    };
+
+    this.sweepInterval = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepInterval.unref?.();
+  }
+
+  /**
+   * Open a mailbox for an MCP session and get the connection to register with the alert service
+   * @param {string} sessionId - MCP session id
+   * @param {Object} [metadata] - Subscription metadata (agentId, cardTokens, conversationId...)
+   * @returns {Object} Connection whose alerts are kept in the mailbox
+   */
+  open(sessionId, metadata = {}) {
+    if (!this.mailboxes.has(sessionId)) {
+      this.mailboxes.set(sessionId, {
+        sessionId,
+        agentId: metadata.agentId,
+        alerts: new Map(),
+        openedAt: new Date(),
+        lastFetchedAt: null,
+        stats: { enqueued: 0, delivered: 0, acknowledged: 0, expired: 0, dropped: 0 }
+      });
+      logger.debug({ sessionId, agentId: metadata.agentId }, 'Alert mailbox opened');
+    }
+
+    return {
+      sessionId,
+      agentId: metadata.agentId,
+      type: 'mcp_mailbox',
+      // Mailbox alerts are redelivered on fetch until acknowledged, so the alert service does not track them
+      tracksAcknowledgements: true,
+      deliver: (alert, eventId) => this.enqueue(sessionId, alert, eventId),
+      isActive: () => this.mailboxes.has(sessionId),
+      getMetadata: () => metadata
+    };
+  }
+
+  /**
+   * @param {string} sessionId - MCP session id
+   * @returns {boolean} Whether the session has a mailbox
+   */
+  has(sessionId) {
+    return this.mailboxes.has(sessionId);
+  }
+
+  /**
+   * Add an alert to a session's mailbox
+   * @param {string} sessionId - MCP session id
+   * @param {Object} alert - Formatted alert
+   * @param {number} [eventId] - Journal event id of the alert
+   * @returns {string} Mailbox alert id
+   * @throws {Error} If the session has no mailbox (the alert service then counts a failed delivery)
+   */
+  enqueue(sessionId, alert, eventId) {
+    const mailbox = this.mailboxes.get(sessionId);
+    if (!mailbox) {
+      throw new Error(`No alert mailbox for session ${sessionId}`);
+    }
+
+    // Drop the oldest alert when the mailbox is full
+    if (mailbox.alerts.size >= this.maxAlerts) {
+      const [oldestId] = mailbox.alerts.keys();
+      mailbox.alerts.delete(oldestId);
+      mailbox.stats.dropped++;
+      this.metrics.dropped++;
+      logger.warn({ sessionId, alertId: oldestId, maxAlerts: this.maxAlerts }, 'Alert mailbox full, dropped oldest alert');
+    }
+
+    const now = Date.now();
+    const alertId = uuidv4();
+    mailbox.alerts.set(alertId, {
+      alertId,
+      eventId,
+      alert,
+      status: MAILBOX_ALERT_STATUS.PENDING,
+      enqueuedAt: new Date(now),
+      expiresAt: new Date(now + this.ttlMs),
+      deliveredAt: null,
+      deliveryCount: 0
+    });
+    mailbox.stats.enqueued++;
+    this.metrics.enqueued++;
+
+    this.emit(`alert:${sessionId}`);
+    return alertId;
+  }
+
+  /**
+   * Hand out the alerts that are pending or due for redelivery, oldest first
+   * @param {string} sessionId - MCP session id
+   * @param {Object} [options] - Fetch options
+   * @param {number} [options.limit=10] - Maximum alerts to return
+   * @returns {Object|null} `{ alerts, remaining }`, or null if the session has no mailbox
+   */
+  fetch(sessionId, { limit = 10 } = {}) {
+    const mailbox = this.mailboxes.get(sessionId);
+    if (!mailbox) {
+      return null;
+    }
+
+    const now = Date.now();
+    this.expireAlerts(mailbox, now);
+    mailbox.lastFetchedAt = new Date(now);
+
+    const alerts = [];
+    for (const entry of mailbox.alerts.values()) {
+      if (alerts.length >= limit) break;
+      if (!this.isDue(entry, now)) continue;
+
+      if (entry.deliveryCount > 0) {
+        this.metrics.redelivered++;
+      } else {
+        mailbox.stats.delivered++;
+        this.metrics.delivered++;
+      }
+      entry.status = MAILBOX_ALERT_STATUS.DELIVERED;
+      entry.deliveredAt = new Date(now);
+      entry.deliveryCount++;
+
+      alerts.push({
+        alertId: entry.alertId,
+        eventId: entry.eventId,
+        deliveryCount: entry.deliveryCount,
+        enqueuedAt: entry.enqueuedAt.toISOString(),
+        expiresAt: entry.expiresAt.toISOString(),
+        alert: entry.alert
+      });
+    }
+
+    const remaining = [...mailbox.alerts.values()].filter(entry => this.isDue(entry, now)).length;
+    return { alerts, remaining };
+  }
+
+  /**
+   * Fetch alerts, waiting up to `waitMs` for one to arrive when none are due
+   * @param {string} sessionId - MCP session id
+   * @param {Object} [options] - Fetch options
+   * @param {number} [options.limit=10] - Maximum alerts to return
+   * @param {number} [options.waitMs=0] - How long to wait for an alert (capped at maxWaitMs)
+   * @returns {Promise<Object|null>} `{ alerts, remaining }`, or null if the session has no mailbox
+   */
+  async waitForAlerts(sessionId, { limit = 10, waitMs = 0 } = {}) {
+    const result = this.fetch(sessionId, { limit });
+    if (!result || result.alerts.length > 0 || waitMs <= 0) {
+      return result;
+    }
+
+    // Woken by the next alert for the session or by the mailbox closing
+    await new Promise((resolve) => {
+      const eventName = `alert:${sessionId}`;
+      const done = () => {
+        clearTimeout(timer);
+        this.off(eventName, done);
+        resolve();
+      };
+      const timer = setTimeout(done, Math.min(waitMs, this.maxWaitMs));
+      this.once(eventName, done);
+    });
+
+    return this.fetch(sessionId, { limit });
+  }
+
+  /**
+   * Acknowledge fetched alerts; acknowledged alerts leave the mailbox
+   * @param {string} sessionId - MCP session id
+   * @param {Array<string>} alertIds - Mailbox alert ids
+   * @returns {Object|null} `{ acknowledged, unknown }`, or null if the session has no mailbox
+   */
+  acknowledge(sessionId, alertIds) {
+    const mailbox = this.mailboxes.get(sessionId);
+    if (!mailbox) {
+      return null;
+    }
+
+    const now = Date.now();
+    const acknowledged = [];
+    const unknown = [];
+    for (const alertId of new Set(alertIds)) {
+      const entry = mailbox.alerts.get(alertId);
+      if (entry) {
+        mailbox.alerts.delete(alertId);
+        acknowledged.push(alertId);
+        alertService.recordAcknowledgement(sessionId, now - entry.enqueuedAt.getTime());
+      } else {
+        unknown.push(alertId);
+      }
+    }
+
+    mailbox.stats.acknowledged += acknowledged.length;
+    this.metrics.acknowledged += acknowledged.length;
+
+    logger.debug({ sessionId, acknowledged: acknowledged.length, unknown: unknown.length }, 'Mailbox alerts acknowledged');
+    return { acknowledged, unknown };
+  }
+
+  /**
+   * Delivery counts for a session's mailbox
+   * @param {string} sessionId - MCP session id
+   * @returns {Object|null} Mailbox status, or null if the session has no mailbox
+   */
+  getStatus(sessionId) {
+    const mailbox = this.mailboxes.get(sessionId);
+    if (!mailbox) {
+      return null;
+    }
+
+    this.expireAlerts(mailbox, Date.now());
+    const entries = [...mailbox.alerts.values()];
+    return {
+      pending: entries.filter(entry => entry.status === MAILBOX_ALERT_STATUS.PENDING).length,
+      awaitingAck: entries.filter(entry => entry.status === MAILBOX_ALERT_STATUS.DELIVERED).length,
+      ...mailbox.stats,
+      openedAt: mailbox.openedAt,
+      lastFetchedAt: mailbox.lastFetchedAt
+    };
+  }
+
+  /**
+   * Close a session's mailbox, dropping its alerts and waking any waiting fetch
+   * @param {string} sessionId - MCP session id
+   * @returns {boolean} False if the session had no mailbox
+   */
+  close(sessionId) {
+    const mailbox = this.mailboxes.get(sessionId);
+    if (!mailbox) {
+      return false;
+    }
+
+    this.mailboxes.delete(sessionId);
+    this.emit(`alert:${sessionId}`);
+
+    logger.debug({ sessionId, undelivered: mailbox.alerts.size }, 'Alert mailbox closed');
+    return true;
+  }
+
+  /**
+   * Remove expired alerts from every mailbox
+   * @private
+   */
+  sweep() {
+    const now = Date.now();
+    for (const mailbox of this.mailboxes.values()) {
+      this.expireAlerts(mailbox, now);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} mailbox - Mailbox to clean up
+   * @param {number} now - Current time in ms
+   */
+  expireAlerts(mailbox, now) {
+    for (const [alertId, entry] of mailbox.alerts) {
+      if (entry.expiresAt.getTime() <= now) {
+        mailbox.alerts.delete(alertId);
+        mailbox.stats.expired++;
+        this.metrics.expired++;
+        logger.warn({
+          sessionId: mailbox.sessionId,
+          alertId,
+          deliveryCount: entry.deliveryCount
+        }, 'Mailbox alert expired without acknowledgement');
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} entry - Mailbox alert
+   * @param {number} now - Current time in ms
+   * @returns {boolean} Whether the alert is pending or was fetched too long ago without an ack
+   */
+  isDue(entry, now) {
+    return entry.status === MAILBOX_ALERT_STATUS.PENDING ||
+      now - entry.deliveredAt.getTime() >= this.redeliveryMs;
+  }
+
+  /**
+   * Get service metrics
+   * @returns {Object} Delivery counts across all mailboxes
+   */
+  getMetrics() {
+    let queuedAlerts = 0;
+    for (const mailbox of this.mailboxes.values()) {
+      queuedAlerts += mailbox.alerts.size;
+    }
+    return {
+      ...this.metrics,
+      openMailboxes: this.mailboxes.size,
+      queuedAlerts
+    };
+  }
+
+  /**
+   * Stop the expiry sweep and close every mailbox
+   */
+  shutdown() {
+    clearInterval(this.sweepInterval);
+    for (const sessionId of [...this.mailboxes.keys()]) {
+      this.close(sessionId);
+    }
+  }
+}
+
+// Export singleton instance
+const alertMailbox = new AlertMailbox(config.alertMailbox);
+
+// A session removed from the alert service (unsubscribed or stale) takes its mailbox with it
+alertService.on('connection:removed', ({ sessionId }) => alertMailbox.close(sessionId));
+
+export default alertMailbox;
@@ -6,13 +6,85 @@
  * - Message broadcasting to connected agents
  * - Connection health monitoring and cleanup
  * - Alert formatting for AI consumption
+ * - A bounded per-card alert journal, replayed to clients that reconnect with Last-Event-ID
+ * - Acknowledgement tracking: pushed alerts are redelivered with backoff until the agent acks them
  */
 
 import EventEmitter from 'events';
+import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+import { getTransactionAmounts, formatMoney } from '../utils/money.js';
+
+/**
+ * Alert types delivered to agents
+ */
+export const ALERT_TYPES = {
+  NEW_TRANSACTION: 'NEW_TRANSACTION',
+  DISPUTE_UPDATE: 'DISPUTE_UPDATE',
+  TOKENIZATION_ATTEMPT: 'TOKENIZATION_ATTEMPT',
+  THREE_DS_AUTHENTICATION: 'THREE_DS_AUTHENTICATION',
+  BALANCE_UPDATE: 'BALANCE_UPDATE'
+};
+
+/**
+ * Journal key for account-level alerts, which every session receives
+ */
+const ACCOUNT_JOURNAL = '__account__';
+
+/**
+ * @returns {Object} Empty acknowledgement latency stats
+ */
+function createLatencyStats() {
+  return { count: 0, totalMs: 0, maxMs: 0, lastMs: null };
+}
+
+/**
+ * @param {Object} stats - Latency stats (mutated)
+ * @param {number} latencyMs - Time from first delivery to acknowledgement
+ */
+function recordLatency(stats, latencyMs) {
+  stats.count++;
+  stats.totalMs += latencyMs;
+  stats.maxMs = Math.max(stats.maxMs, latencyMs);
+  stats.lastMs = latencyMs;
+}
+
+/**
+ * @param {Object} stats - Latency stats
+ * @returns {Object} `{ count, averageMs, maxMs, lastMs }`
+ */
+function summarizeLatency({ count, totalMs, maxMs, lastMs }) {
+  return {
+    count,
+    averageMs: count > 0 ? Math.round(totalMs / count) : null,
+    maxMs: count > 0 ? maxMs : null,
+    lastMs
+  };
+}
 
 class AlertService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {number} [options.journalSize=100] - Alerts kept per card for replay
+   * @param {number} [options.journalMaxAgeMs=3600000] - Alerts older than this are not replayed
+   * @param {boolean} [options.ackRequired=false] - Track pushed alerts until the agent acknowledges them
+   * @param {number} [options.ackRedeliveryBaseMs=5000] - First redelivery delay; doubles with each attempt
+   * @param {number} [options.ackRedeliveryMaxMs=60000] - Upper bound for the redelivery delay
+   * @param {number} [options.ackMaxAttempts=5] - Deliveries of an alert before it is abandoned
+   * @param {number} [options.ackMaxPending=200] - Unacknowledged alerts kept per session; the oldest are abandoned
+   * @param {number} [options.ackCheckIntervalMs=1000] - How often due redeliveries are sent
+   */
+  constructor({
+    journalSize = 100,
+    journalMaxAgeMs = 60 * 60 * 1000,
+    ackRequired = false,
+    ackRedeliveryBaseMs = 5000,
+    ackRedeliveryMaxMs = 60000,
+    ackMaxAttempts = 5,
+    ackMaxPending = 200,
+    ackCheckIntervalMs = 1000
+  } = {}) {
     super();
     
     // Connection registry: Map<sessionId, connectionInfo>
@@ -27,6 +99,32 @@ class AlertService extends EventEmitter {
     // Connection health tracking
     this.connectionHealth = new Map();
     
+    // Alert journal for replay: Map<cardToken, { entries: [{ eventId, alert, recordedAt }], evictedThrough }>
+    this.journal = new Map();
+    this.journalSize = journalSize;
+    this.journalMaxAgeMs = journalMaxAgeMs;
+    // Highest event id evicted from journals that were dropped (see pruneJournals)
+    this.prunedThrough = 0;
+    
+    // Event ids start at the boot time in ms, so they keep increasing across restarts
+    this.firstEventId = Date.now();
+    this.lastEventId = this.firstEventId - 1;
+    
+    // Alerts awaiting acknowledgement: Map<sessionId, Map<alertId, delivery>>
+    this.pendingAcks = new Map();
+    this.ackRequired = ackRequired;
+    this.ackRedeliveryBaseMs = ackRedeliveryBaseMs;
+    this.ackRedeliveryMaxMs = ackRedeliveryMaxMs;
+    this.ackMaxAttempts = ackMaxAttempts;
+    this.ackMaxPending = Math.max(1, ackMaxPending);
+    this.ackMetrics = {
+      tracked: 0,
+      acknowledged: 0,
+      redelivered: 0,
+      abandoned: 0,
+      latency: createLatencyStats()
+    };
+    
     // Performance metrics
     this.metrics = {
       totalConnections: 0,
@@ -37,62 +135,135 @@ class AlertService extends EventEmitter {
     
     // Start health check interval
     this.startHealthCheck();
+    
+    this.ackCheckInterval = setInterval(() => this.redeliverUnacknowledged(), ackCheckIntervalMs);
+    this.ackCheckInterval.unref?.();
   }
   
   /**
-   * Register a new AI agent connection
+   * Register a new AI agent connection, or add cards to a registered one
    * @param {string} sessionId - Unique session identifier
-   * @param {string} cardToken - Honeypot card token to monitor
+   * @param {string|Array<string>} cardTokens - Honeypot card token(s) to monitor
    * @param {Object} connection - Connection object (SSE response or WebSocket)
    * @returns {boolean} Success status
    */
-  registerConnection(sessionId, cardToken, connection) {
+  registerConnection(sessionId, cardTokens, connection) {
+    const tokens = [].concat(cardTokens);
+    
     try {
-      // Store connection info
+      const existing = this.connections.get(sessionId);
+      
+      // Store connection info; a session keeps its cards when registered again
       this.connections.set(sessionId, {
         connection,
-        cardToken,
-        connectedAt: new Date(),
+        cardTokens: existing?.cardTokens || new Set(),
+        connectedAt: existing?.connectedAt || new Date(),
         lastActivity: new Date(),
-        isActive: true
+        isActive: true,
+        acks: existing?.acks || { acknowledged: 0, redelivered: 0, abandoned: 0, latency: createLatencyStats() }
       });
       
       // Update card-to-sessions mapping
-      if (!this.cardSessions.has(cardToken)) {
-        this.cardSessions.set(cardToken, new Set());
-      }
-      this.cardSessions.get(cardToken).add(sessionId);
+      this.addCardsToSession(sessionId, tokens);
       
-      // Initialize health tracking
-      this.connectionHealth.set(sessionId, {
-        lastPing: new Date(),
-        failedPings: 0
-      });
-      
-      // Update metrics
-      this.metrics.totalConnections++;
-      this.metrics.activeConnections = this.connections.size;
+      if (!existing) {
+        // Initialize health tracking
+        this.connectionHealth.set(sessionId, {
+          lastPing: new Date(),
+          failedPings: 0
+        });
+        
+        // Update metrics
+        this.metrics.totalConnections++;
+        this.metrics.activeConnections = this.connections.size;
+      }
       
       logger.info({
         sessionId,
-        cardToken,
+        cardTokens: tokens,
         activeConnections: this.metrics.activeConnections
       }, 'AI agent connection registered');
       
       // Emit connection event
-      this.emit('connection:registered', { sessionId, cardToken });
+      this.emit('connection:registered', { sessionId, cardTokens: tokens });
       
       return true;
     } catch (error) {
       logger.error({
         error: error.message,
         sessionId,
-        cardToken
+        cardTokens: tokens
       }, 'Failed to register connection');
       return false;
     }
   }
   
+  /**
+   * Start delivering alerts of more cards to a session
+   * @param {string} sessionId - Session identifier
+   * @param {Array<string>} cardTokens - Cards to add
+   * @returns {Array<string>|null} Cards that were not monitored yet, or null if the session is unknown
+   */
+  addCardsToSession(sessionId, cardTokens) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      return null;
+    }
+    
+    const added = [];
+    for (const cardToken of cardTokens) {
+      if (connectionInfo.cardTokens.has(cardToken)) continue;
+      
+      connectionInfo.cardTokens.add(cardToken);
+      if (!this.cardSessions.has(cardToken)) {
+        this.cardSessions.set(cardToken, new Set());
+      }
+      this.cardSessions.get(cardToken).add(sessionId);
+      added.push(cardToken);
+    }
+    return added;
+  }
+  
+  /**
+   * Stop delivering alerts of some cards to a session
+   * @param {string} sessionId - Session identifier
+   * @param {Array<string>} cardTokens - Cards to remove
+   * @returns {Array<string>|null} Cards that were monitored, or null if the session is unknown
+   */
+  removeCardsFromSession(sessionId, cardTokens) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      return null;
+    }
+    
+    const removed = [];
+    for (const cardToken of cardTokens) {
+      if (!connectionInfo.cardTokens.delete(cardToken)) continue;
+      
+      const sessions = this.cardSessions.get(cardToken);
+      if (sessions) {
+        sessions.delete(sessionId);
+        
+        // Clean up empty sets
+        if (sessions.size === 0) {
+          this.cardSessions.delete(cardToken);
+        }
+      }
+      removed.push(cardToken);
+    }
+    return removed;
+  }
+  
+  /**
+   * Get the cards a session monitors
+   * @param {string} sessionId - Session identifier
+   * @returns {Array<string>|null} Card tokens, or null if the session is unknown
+   */
+  getSessionCards(sessionId) {
+    const connectionInfo = this.connections.get(sessionId);
+    return connectionInfo ? [...connectionInfo.cardTokens] : null;
+  }
+  
   /**
    * Broadcast alert to all agents monitoring a specific card
    * @param {string} cardToken - Card token that triggered the alert
@@ -103,17 +274,11 @@ class AlertService extends EventEmitter {
     const result = {
       successful: 0,
       failed: 0,
+      awaitingAck: 0,
       sessions: []
     };
     
     try {
-      // Get all sessions monitoring this card
-      const sessions = this.cardSessions.get(cardToken);
-      if (!sessions || sessions.size === 0) {
-        logger.debug({ cardToken }, 'No active sessions for card');
-        return result;
-      }
-      
       // Check if alert is already formatted (has alertType, immediate, verification, intelligence)
       // or if it's raw transaction data that needs formatting
       let formattedAlert;
@@ -133,48 +298,22 @@ class AlertService extends EventEmitter {
         }, 'Formatting raw transaction data for alert');
       }
       
-      // Broadcast to all connected sessions
-      for (const sessionId of sessions) {
-        const connectionInfo = this.connections.get(sessionId);
-        if (!connectionInfo || !connectionInfo.isActive) {
-          continue;
-        }
-        
-        try {
-          // Send alert based on connection type (SSE or WebSocket)
-          await this.sendAlert(connectionInfo.connection, formattedAlert);
-          
-          // Update activity timestamp
-          connectionInfo.lastActivity = new Date();
-          
-          // Track successful delivery
-          result.successful++;
-          result.sessions.push({ sessionId, status: 'delivered' });
-          
-          // Clear any queued messages for this session
-          this.messageQueue.delete(sessionId);
-          
-        } catch (error) {
-          logger.warn({
-            error: error.message,
-            sessionId,
-            cardToken
-          }, 'Failed to deliver alert to session');
-          
-          // Queue message for retry
-          this.queueMessage(sessionId, formattedAlert);
-          
-          result.failed++;
-          result.sessions.push({ sessionId, status: 'failed', error: error.message });
-          this.metrics.failedDeliveries++;
-        }
+      // Journal the alert even without listeners, so clients that reconnect later can replay it
+      result.eventId = this.recordAlert(cardToken, formattedAlert);
+      
+      // Get all sessions monitoring this card
+      const sessions = this.cardSessions.get(cardToken);
+      if (!sessions || sessions.size === 0) {
+        logger.debug({ cardToken, eventId: result.eventId }, 'No active sessions for card');
+        return result;
       }
       
-      // Update metrics
-      this.metrics.totalAlertsSent += result.successful;
+      // Broadcast to all connected sessions
+      await this.deliverToSessions(sessions, formattedAlert, result.eventId, result, { cardToken });
       
       logger.info({
         cardToken,
+        eventId: result.eventId,
         successful: result.successful,
         failed: result.failed,
         totalSessions: sessions.size
@@ -191,6 +330,86 @@ class AlertService extends EventEmitter {
     }
   }
   
+  /**
+   * Deliver a formatted alert to a set of sessions
+   * @private
+   * @param {Iterable<string>} sessionIds - Sessions to deliver to
+   * @param {Object} formattedAlert - Alert to deliver
+   * @param {number} eventId - Journal event id of the alert
+   * @param {Object} result - Broadcast result collector (mutated)
+   * @param {Object} context - Extra logging context
+   */
+  async deliverToSessions(sessionIds, formattedAlert, eventId, result, context = {}) {
+    for (const sessionId of sessionIds) {
+      const connectionInfo = this.connections.get(sessionId);
+      if (!connectionInfo || !connectionInfo.isActive) {
+        continue;
+      }
+      
+      try {
+        // Send alert based on connection type (SSE or WebSocket)
+        const alertId = await this.deliverAlert(sessionId, connectionInfo, formattedAlert, eventId);
+        
+        // Update activity timestamp
+        connectionInfo.lastActivity = new Date();
+        
+        // Track successful delivery; "delivered" means written, the agent confirms with an ack
+        result.successful++;
+        if (alertId) {
+          result.awaitingAck++;
+        }
+        result.sessions.push({ sessionId, status: 'delivered', alertId });
+        
+        // Clear any queued messages for this session
+        this.messageQueue.delete(sessionId);
+        
+      } catch (error) {
+        logger.warn({
+          error: error.message,
+          sessionId,
+          ...context
+        }, 'Failed to deliver alert to session');
+        
+        // Queue message for retry
+        this.queueMessage(sessionId, formattedAlert, eventId);
+        
+        result.failed++;
+        result.sessions.push({ sessionId, status: 'failed', error: error.message });
+        this.metrics.failedDeliveries++;
+      }
+    }
+    
+    // Update metrics
+    this.metrics.totalAlertsSent += result.successful;
+  }
+  
+  /**
+   * Broadcast an account-level alert (not tied to one card) to every active session
+   * @param {Object} alertData - Pre-formatted alert (see formatEventAlert)
+   * @returns {Object} Broadcast result with success/failure counts
+   */
+  async broadcastAccountAlert(alertData) {
+    const result = {
+      successful: 0,
+      failed: 0,
+      awaitingAck: 0,
+      sessions: []
+    };
+    
+    result.eventId = this.recordAlert(ACCOUNT_JOURNAL, alertData);
+    await this.deliverToSessions(this.connections.keys(), alertData, result.eventId, result, {
+      alertType: alertData.alertType
+    });
+    
+    logger.info({
+      alertType: alertData.alertType,
+      successful: result.successful,
+      failed: result.failed
+    }, 'Account alert broadcast completed');
+    
+    return result;
+  }
+  
   /**
    * Remove a disconnected AI agent connection
    * @param {string} sessionId - Session to remove
@@ -204,32 +423,27 @@ class AlertService extends EventEmitter {
       }
       
       // Remove from card sessions
-      const cardToken = connectionInfo.cardToken;
-      if (this.cardSessions.has(cardToken)) {
-        this.cardSessions.get(cardToken).delete(sessionId);
-        
-        // Clean up empty sets
-        if (this.cardSessions.get(cardToken).size === 0) {
-          this.cardSessions.delete(cardToken);
-        }
-      }
+      const cardTokens = [...connectionInfo.cardTokens];
+      this.removeCardsFromSession(sessionId, cardTokens);
       
-      // Clean up related data
+      // Clean up related data; unacknowledged alerts of this session are dropped, since a reconnecting
+      // client gets a new session and its Last-Event-ID only replays alerts issued after it
       this.connections.delete(sessionId);
       this.connectionHealth.delete(sessionId);
       this.messageQueue.delete(sessionId);
+      this.pendingAcks.delete(sessionId);
       
       // Update metrics
       this.metrics.activeConnections = this.connections.size;
       
       logger.info({
         sessionId,
-        cardToken,
+        cardTokens,
         activeConnections: this.metrics.activeConnections
       }, 'AI agent connection removed');
       
       // Emit disconnection event
-      this.emit('connection:removed', { sessionId, cardToken });
+      this.emit('connection:removed', { sessionId, cardTokens });
       
       return true;
     } catch (error) {
@@ -262,7 +476,7 @@ class AlertService extends EventEmitter {
       if (info.isActive) {
         stats.connectionDetails.push({
           sessionId,
-          cardToken: info.cardToken,
+          cardTokens: [...info.cardTokens],
           connectedAt: info.connectedAt,
           lastActivity: info.lastActivity
         });
@@ -272,6 +486,34 @@ class AlertService extends EventEmitter {
     return stats;
   }
   
+  /**
+   * Record activity on a session that is not written to directly (an agent polling its
+   * alert mailbox), so the health check does not remove it as stale
+   * @param {string} sessionId - Session identifier
+   * @returns {boolean} False if the session is not connected
+   */
+  recordActivity(sessionId) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      return false;
+    }
+    connectionInfo.lastActivity = new Date();
+    return true;
+  }
+  
+  /**
+   * Get the metadata an agent subscribed with (agentId, cardTokens, conversationId...)
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Connection metadata or null if the session is not connected
+   */
+  getSessionMetadata(sessionId) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      return null;
+    }
+    return connectionInfo.connection.getMetadata?.() || { cardTokens: [...connectionInfo.cardTokens] };
+  }
+
   /**
    * Format transaction data into AI-consumable alert structure
    * @param {Object} transactionData - Raw transaction data
@@ -279,28 +521,9 @@ class AlertService extends EventEmitter {
    */
   formatTransactionAlert(transactionData) {
     try {
-      // Calculate amount with proper fallbacks for both Lithic raw data and parsed data
-      let rawAmount = 0;
-      
-      // Try multiple sources for amount data
-      if (transactionData.cardholder_amount !== undefined) {
-        // Already parsed transaction data
-        rawAmount = transactionData.cardholder_amount;
-      } else if (transactionData.merchant_amount !== undefined) {
-        rawAmount = transactionData.merchant_amount;
-      } else if (transactionData.amount !== undefined) {
-        // Direct amount field
-        rawAmount = transactionData.amount;
-      } else if (transactionData.events && transactionData.events[0]?.amounts?.cardholder?.amount !== undefined) {
-        // Lithic raw transaction structure
-        rawAmount = transactionData.events[0].amounts.cardholder.amount;
-      } else if (transactionData.events && transactionData.events[0]?.amounts?.merchant?.amount !== undefined) {
-        rawAmount = transactionData.events[0].amounts.merchant.amount;
-      }
-      
-      const formattedAmount = typeof rawAmount === 'number' && !isNaN(rawAmount) 
-        ? `$${(rawAmount / 100).toFixed(2)}`
-        : '$0.00';
+      // Works for both Lithic raw data and parsed data; amounts are in the currency's minor units
+      const amounts = getTransactionAmounts(transactionData);
+      const formattedAmount = formatMoney(amounts.cardholder);
 
       const alert = {
         alertType: 'NEW_TRANSACTION',
@@ -309,6 +532,9 @@ class AlertService extends EventEmitter {
         cardToken: transactionData.card_token,
         immediate: {
           amount: formattedAmount,
+          currency: amounts.cardholder.currency,
+          // Charged in another currency: show what the merchant asked for as well
+          merchantAmount: amounts.is_foreign_currency ? formatMoney(amounts.merchant) : null,
           merchant: transactionData.merchant?.descriptor || 'Unknown Merchant',
           location: this.formatLocation(transactionData.merchant),
           status: transactionData.status || transactionData.events?.[0]?.result || 'PENDING',
@@ -335,7 +561,7 @@ class AlertService extends EventEmitter {
       };
 
       logger.debug({
-        rawAmount,
+        amounts,
         formattedAmount,
         transactionId: transactionData.token || transactionData.id,
         hasEvents: !!transactionData.events,
@@ -355,36 +581,434 @@ class AlertService extends EventEmitter {
     }
   }
   
+  /**
+   * Format a non-transaction Lithic event (dispute, tokenization, 3DS, balance)
+   * into the same alert structure used for transactions
+   * @param {string} alertType - One of ALERT_TYPES
+   * @param {Object} details - Alert content
+   * @param {string|null} details.cardToken - Card the event belongs to (null for account events)
+   * @param {string} details.eventType - Lithic event type
+   * @param {string|null} details.eventToken - Token of the Lithic object
+   * @param {Object} details.immediate - Key facts for the agent
+   * @param {Object} [details.verification] - Facts the agent can verify with the caller
+   * @param {Object} [details.intelligence] - Risk assessment and insights
+   * @returns {Object} Formatted alert for AI consumption
+   */
+  formatEventAlert(alertType, { cardToken = null, eventType, eventToken = null, immediate, verification = {}, intelligence = {} }) {
+    return {
+      alertType,
+      timestamp: new Date().toISOString(),
+      cardToken,
+      eventType,
+      eventToken,
+      immediate,
+      verification,
+      intelligence
+    };
+  }
+  
   /**
    * Send alert to a specific connection
    * @private
    * @param {Object} connection - Connection object
    * @param {Object} alert - Formatted alert data
+   * @param {number} [eventId] - Journal event id, sent as the SSE `id` so clients can resume
+   * @param {string} [alertId] - Id the agent acknowledges the alert with
    */
-  async sendAlert(connection, alert) {
+  async sendAlert(connection, alert, eventId, alertId) {
+    // For connections that take the alert object (MCP mailbox, WebSocket sessions)
+    if (connection.deliver) {
+      connection.deliver(alert, eventId, alertId);
+      return;
+    }
+    
+    const payload = alertId ? { ...alert, alertId } : alert;
+    
     // For SSE connections
     if (connection.write) {
-      const data = `data: ${JSON.stringify(alert)}\n\n`;
+      const id = eventId !== undefined ? `id: ${eventId}\n` : '';
+      const data = `${id}data: ${JSON.stringify(payload)}\n\n`;
       connection.write(data);
       return;
     }
     
     // For WebSocket connections
     if (connection.send) {
-      connection.send(JSON.stringify(alert));
+      connection.send(JSON.stringify(payload));
       return;
     }
     
     throw new Error('Unknown connection type');
   }
   
+  /**
+   * Add an alert to a card's journal
+   * @private
+   * @param {string} journalKey - Card token, or ACCOUNT_JOURNAL for account-level alerts
+   * @param {Object} alert - Formatted alert
+   * @returns {number} Event id of the alert
+   */
+  recordAlert(journalKey, alert) {
+    const eventId = ++this.lastEventId;
+    
+    if (!this.journal.has(journalKey)) {
+      this.journal.set(journalKey, { entries: [], evictedThrough: 0 });
+    }
+    const journal = this.journal.get(journalKey);
+    journal.entries.push({ eventId, alert, recordedAt: Date.now() });
+    this.trimJournal(journal, Date.now());
+    
+    return eventId;
+  }
+  
+  /**
+   * Drop journal entries beyond the size limit or older than the maximum age
+   * @private
+   * @param {Object} journal - Card journal
+   * @param {number} now - Current time in ms
+   */
+  trimJournal(journal, now) {
+    while (journal.entries.length > 0 && (
+      journal.entries.length > this.journalSize ||
+      now - journal.entries[0].recordedAt > this.journalMaxAgeMs
+    )) {
+      journal.evictedThrough = journal.entries.shift().eventId;
+    }
+  }
+  
+  /**
+   * Drop the journals of cards no session monitors once all their alerts are past the
+   * maximum age, so the journal does not keep an entry for every card ever alerted
+   * @private
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {number} Journals dropped
+   */
+  pruneJournals(now = Date.now()) {
+    let dropped = 0;
+    for (const [journalKey, journal] of this.journal) {
+      this.trimJournal(journal, now);
+      if (journal.entries.length > 0 || this.cardSessions.get(journalKey)?.size > 0) continue;
+      
+      this.prunedThrough = Math.max(this.prunedThrough, journal.evictedThrough);
+      this.journal.delete(journalKey);
+      dropped++;
+    }
+    
+    if (dropped > 0) {
+      logger.debug({ dropped, journals: this.journal.size }, 'Expired alert journals dropped');
+    }
+    return dropped;
+  }
+  
+  /**
+   * Get the journaled alerts of some cards (and account-level alerts) after an event id
+   * @param {Array<string>} cardTokens - Cards to replay
+   * @param {number} lastEventId - Last event id the client received
+   * @returns {Object} `{ alerts: [{ eventId, alert }], complete }`; complete is false when
+   *   alerts after lastEventId were already evicted or issued before a restart
+   */
+  getAlertsSince(cardTokens, lastEventId) {
+    const now = Date.now();
+    const alerts = [];
+    let complete = lastEventId >= this.firstEventId - 1;
+    
+    for (const journalKey of [...cardTokens, ACCOUNT_JOURNAL]) {
+      const journal = this.journal.get(journalKey);
+      if (!journal) {
+        // The card's journal may have been dropped with alerts the client never received
+        if (this.prunedThrough > lastEventId) {
+          complete = false;
+        }
+        continue;
+      }
+      
+      this.trimJournal(journal, now);
+      if (journal.evictedThrough > lastEventId) {
+        complete = false;
+      }
+      for (const entry of journal.entries) {
+        if (entry.eventId > lastEventId) {
+          alerts.push({ eventId: entry.eventId, alert: entry.alert });
+        }
+      }
+    }
+    
+    alerts.sort((a, b) => a.eventId - b.eventId);
+    return { alerts, complete };
+  }
+  
+  /**
+   * Resend the alerts a reconnecting session missed, oldest first
+   * @param {string} sessionId - Session identifier
+   * @param {number} lastEventId - Last event id the client received (Last-Event-ID)
+   * @returns {Promise<Object|null>} `{ lastEventId, replayed, complete }`, or null if the session is unknown
+   */
+  async replayAlerts(sessionId, lastEventId) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      return null;
+    }
+    
+    const { alerts, complete } = this.getAlertsSince([...connectionInfo.cardTokens], lastEventId);
+    let replayed = 0;
+    for (const { eventId, alert } of alerts) {
+      try {
+        await this.deliverAlert(sessionId, connectionInfo, alert, eventId);
+        replayed++;
+      } catch (error) {
+        logger.warn({ sessionId, eventId, error: error.message }, 'Failed to replay alert');
+        break;
+      }
+    }
+    
+    logger.info({
+      sessionId,
+      lastEventId,
+      replayed,
+      complete
+    }, 'Missed alerts replayed');
+    
+    return { lastEventId, replayed, complete };
+  }
+  
+  /**
+   * Send an alert to a session and, when acknowledgements are required, track it until acked
+   * @private
+   * @param {string} sessionId - Session identifier
+   * @param {Object} connectionInfo - Registered connection
+   * @param {Object} alert - Formatted alert
+   * @param {number} eventId - Journal event id of the alert
+   * @returns {Promise<string|undefined>} Alert id to acknowledge; undefined when acks are off or
+   *   the connection tracks acknowledgements itself (MCP mailbox)
+   * @throws {Error} If the write fails
+   */
+  async deliverAlert(sessionId, connectionInfo, alert, eventId) {
+    const { connection } = connectionInfo;
+    const alertId = this.ackRequired && !connection.tracksAcknowledgements ? uuidv4() : undefined;
+    
+    await this.sendAlert(connection, alert, eventId, alertId);
+    
+    if (alertId) {
+      this.trackDelivery(sessionId, alertId, alert, eventId);
+    }
+    return alertId;
+  }
+  
+  /**
+   * Remember a delivered alert until it is acknowledged
+   * @private
+   * @param {string} sessionId - Session identifier
+   * @param {string} alertId - Alert id sent with the alert
+   * @param {Object} alert - Formatted alert
+   * @param {number} eventId - Journal event id of the alert
+   */
+  trackDelivery(sessionId, alertId, alert, eventId) {
+    if (!this.pendingAcks.has(sessionId)) {
+      this.pendingAcks.set(sessionId, new Map());
+    }
+    const pending = this.pendingAcks.get(sessionId);
+    
+    if (pending.size >= this.ackMaxPending) {
+      const [oldestId] = pending.keys();
+      this.abandonDelivery(sessionId, oldestId, 'max_pending');
+    }
+    
+    const now = Date.now();
+    pending.set(alertId, {
+      alertId,
+      eventId,
+      alert,
+      sentAt: now,
+      attempts: 1,
+      nextAttemptAt: now + this.getRedeliveryDelay(1)
+    });
+    this.ackMetrics.tracked++;
+  }
+  
+  /**
+   * Acknowledge alerts the agent has processed; they are no longer redelivered
+   * @param {string} sessionId - Session identifier
+   * @param {Array<string>} alertIds - Alert ids received with the alerts
+   * @returns {Object|null} `{ acknowledged, unknown }`, or null if the session is not connected
+   */
+  acknowledgeAlerts(sessionId, alertIds) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      return null;
+    }
+    
+    const pending = this.pendingAcks.get(sessionId);
+    const now = Date.now();
+    const acknowledged = [];
+    const unknown = [];
+    
+    for (const alertId of new Set(alertIds)) {
+      const delivery = pending?.get(alertId);
+      if (!delivery) {
+        unknown.push(alertId);
+        continue;
+      }
+      pending.delete(alertId);
+      acknowledged.push(alertId);
+      this.recordAcknowledgement(sessionId, now - delivery.sentAt);
+    }
+    
+    connectionInfo.lastActivity = new Date();
+    
+    logger.debug({
+      sessionId,
+      acknowledged: acknowledged.length,
+      unknown: unknown.length
+    }, 'Alerts acknowledged');
+    
+    return { acknowledged, unknown };
+  }
+  
+  /**
+   * Record how long a session took to acknowledge an alert. Called for tracked alerts and by
+   * connections that track acknowledgements themselves (MCP mailbox)
+   * @param {string} sessionId - Session identifier
+   * @param {number} latencyMs - Time from first delivery to acknowledgement
+   */
+  recordAcknowledgement(sessionId, latencyMs) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (connectionInfo) {
+      connectionInfo.acks.acknowledged++;
+      recordLatency(connectionInfo.acks.latency, latencyMs);
+    }
+    this.ackMetrics.acknowledged++;
+    recordLatency(this.ackMetrics.latency, latencyMs);
+  }
+  
+  /**
+   * Resend the alerts whose redelivery is due; alerts out of attempts are abandoned
+   * @private
+   */
+  async redeliverUnacknowledged() {
+    const now = Date.now();
+    
+    for (const [sessionId, pending] of this.pendingAcks) {
+      const connectionInfo = this.connections.get(sessionId);
+      if (!connectionInfo) {
+        this.pendingAcks.delete(sessionId);
+        continue;
+      }
+      
+      for (const delivery of [...pending.values()]) {
+        if (delivery.nextAttemptAt > now) continue;
+        
+        if (delivery.attempts >= this.ackMaxAttempts) {
+          this.abandonDelivery(sessionId, delivery.alertId, 'max_attempts');
+          continue;
+        }
+        
+        // Schedule the next attempt first, so a failed write backs off too
+        delivery.attempts++;
+        delivery.nextAttemptAt = now + this.getRedeliveryDelay(delivery.attempts);
+        
+        try {
+          // No event id: the client has already moved past it, and resending it would move the
+          // client's resume position (Last-Event-ID) backwards
+          await this.sendAlert(connectionInfo.connection, delivery.alert, undefined, delivery.alertId);
+          connectionInfo.acks.redelivered++;
+          this.ackMetrics.redelivered++;
+          logger.debug({
+            sessionId,
+            alertId: delivery.alertId,
+            attempt: delivery.attempts
+          }, 'Unacknowledged alert redelivered');
+        } catch (error) {
+          logger.warn({
+            sessionId,
+            alertId: delivery.alertId,
+            attempt: delivery.attempts,
+            error: error.message
+          }, 'Failed to redeliver unacknowledged alert');
+        }
+      }
+    }
+  }
+  
+  /**
+   * Stop tracking an alert that was never acknowledged
+   * @private
+   * @param {string} sessionId - Session identifier
+   * @param {string} alertId - Alert id
+   * @param {string} reason - max_attempts or max_pending
+   */
+  abandonDelivery(sessionId, alertId, reason) {
+    const pending = this.pendingAcks.get(sessionId);
+    const delivery = pending?.get(alertId);
+    if (!delivery) {
+      return;
+    }
+    
+    pending.delete(alertId);
+    const connectionInfo = this.connections.get(sessionId);
+    if (connectionInfo) {
+      connectionInfo.acks.abandoned++;
+    }
+    this.ackMetrics.abandoned++;
+    
+    logger.warn({
+      sessionId,
+      alertId,
+      eventId: delivery.eventId,
+      attempts: delivery.attempts,
+      reason
+    }, 'Alert abandoned without acknowledgement');
+  }
+  
+  /**
+   * @private
+   * @param {number} attempts - Deliveries made so far
+   * @returns {number} Delay before the next delivery, doubling with each attempt
+   */
+  getRedeliveryDelay(attempts) {
+    return Math.min(this.ackRedeliveryMaxMs, this.ackRedeliveryBaseMs * 2 ** (attempts - 1));
+  }
+  
+  /**
+   * Get acknowledgement metrics, overall and per connected session
+   * @returns {Object} Ack counts and latency (ms from first delivery to ack)
+   */
+  getAckMetrics() {
+    const sessions = [];
+    let pending = 0;
+    
+    for (const [sessionId, info] of this.connections) {
+      const sessionPending = this.pendingAcks.get(sessionId)?.size || 0;
+      pending += sessionPending;
+      sessions.push({
+        sessionId,
+        pending: sessionPending,
+        acknowledged: info.acks.acknowledged,
+        redelivered: info.acks.redelivered,
+        abandoned: info.acks.abandoned,
+        latency: summarizeLatency(info.acks.latency)
+      });
+    }
+    
+    return {
+      required: this.ackRequired,
+      pending,
+      tracked: this.ackMetrics.tracked,
+      acknowledged: this.ackMetrics.acknowledged,
+      redelivered: this.ackMetrics.redelivered,
+      abandoned: this.ackMetrics.abandoned,
+      latency: summarizeLatency(this.ackMetrics.latency),
+      sessions
+    };
+  }
+  
   /**
    * Queue message for failed delivery retry
    * @private
    * @param {string} sessionId - Session ID
    * @param {Object} message - Message to queue
+   * @param {number} [eventId] - Journal event id of the message
    */
-  queueMessage(sessionId, message) {
+  queueMessage(sessionId, message, eventId) {
     if (!this.messageQueue.has(sessionId)) {
       this.messageQueue.set(sessionId, []);
     }
@@ -395,6 +1019,7 @@ class AlertService extends EventEmitter {
     if (queue.length < 10) {
       queue.push({
         message,
+        eventId,
         queuedAt: new Date(),
         attempts: 0
       });
@@ -426,6 +1051,7 @@ class AlertService extends EventEmitter {
     // Check connection health every 30 seconds
     this.healthCheckInterval = setInterval(() => {
       this.checkConnectionHealth();
+      this.pruneJournals();
     }, 30000);
   }
   
@@ -471,7 +1097,7 @@ class AlertService extends EventEmitter {
       
       for (const item of messagesToRetry) {
         try {
-          await this.sendAlert(connectionInfo.connection, item.message);
+          await this.deliverAlert(sessionId, connectionInfo, item.message, item.eventId);
           logger.info({ sessionId }, 'Successfully delivered queued message');
         } catch (error) {
           item.attempts++;
@@ -496,7 +1122,9 @@ class AlertService extends EventEmitter {
     return {
       ...this.metrics,
       queuedMessages: Array.from(this.messageQueue.values())
-        .reduce((sum, queue) => sum + queue.length, 0)
+        .reduce((sum, queue) => sum + queue.length, 0),
+      pendingAcknowledgements: Array.from(this.pendingAcks.values())
+        .reduce((sum, pending) => sum + pending.size, 0)
     };
   }
   
@@ -507,6 +1135,7 @@ class AlertService extends EventEmitter {
     if (this.healthCheckInterval) {
       clearInterval(this.healthCheckInterval);
     }
+    clearInterval(this.ackCheckInterval);
     
     // Close all connections
     for (const sessionId of this.connections.keys()) {
@@ -518,5 +1147,5 @@ class AlertService extends EventEmitter {
 }
 
 // Export singleton instance
-const alertService = new AlertService();
+const alertService = new AlertService({ ...config.alertJournal, ...config.alertAcks });
 export default alertService; 
\ No newline at end of file
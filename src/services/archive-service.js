@@ -0,0 +1,145 @@
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { promisify } from "util";
+import { v4 as uuidv4 } from "uuid";
+import { config } from "../config/index.js";
+import { createArchiveManifest, getArchiveChecksum } from "../utils/retention.js";
+import logger from "../utils/logger.js";
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MANIFEST_SUFFIX = ".manifest.json";
+
+/**
+ * Directory holding the archives.
+ * @returns {string} Absolute directory path.
+ */
+function getArchiveDir() {
+  return path.resolve(config.retention.archiveDir);
+}
+
+/**
+ * Write a file atomically: to a temporary file first, then renamed into place.
+ * @param {string} filePath - Destination.
+ * @param {Buffer|string} content - File content.
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomically(filePath, content) {
+  const temporaryPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(temporaryPath, content);
+  await fs.rename(temporaryPath, filePath);
+}
+
+/**
+ * Write archived transactions to a compressed JSONL file and its manifest.
+ * Each line is one `{ transaction, events, merchant_ids }` record.
+ * @param {Array<Object>} records - Records to archive; raw payloads must already be redacted.
+ * @param {Object} options - Archive options.
+ * @param {string} options.before - Cutoff the records were selected with.
+ * @returns {Promise<Object>} Manifest of the new archive.
+ * @throws {Error} If writing fails.
+ */
+export async function writeArchive(records, { before }) {
+  const createdAt = new Date();
+  const id = uuidv4();
+  const baseName = `transactions-${createdAt.toISOString().replace(/[:.]/g, "-")}-${id.slice(0, 8)}`;
+  const fileName = `${baseName}.jsonl.gz`;
+
+  const jsonl = records.map((record) => JSON.stringify(record)).join("\n") + "\n";
+  const content = await gzip(Buffer.from(jsonl, "utf8"));
+  const manifest = createArchiveManifest({ id, fileName, records, content, before, createdAt });
+
+  const archiveDir = getArchiveDir();
+  await fs.mkdir(archiveDir, { recursive: true });
+  await writeFileAtomically(path.join(archiveDir, fileName), content);
+  // The manifest is written last, so an archive is only listed once its file is complete
+  await writeFileAtomically(
+    path.join(archiveDir, `${baseName}${MANIFEST_SUFFIX}`),
+    JSON.stringify(manifest, null, 2),
+  );
+
+  logger.info(
+    { archiveId: id, fileName, transactions: manifest.transaction_count, bytes: manifest.bytes },
+    "Transaction archive written.",
+  );
+  return manifest;
+}
+
+/**
+ * List archive manifests, newest first.
+ * @returns {Promise<Array>} Manifests, each with its `manifest_file`.
+ * @throws {Error} If the archive directory cannot be read.
+ */
+export async function listArchives() {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(getArchiveDir());
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const manifests = [];
+  for (const fileName of fileNames.filter((name) => name.endsWith(MANIFEST_SUFFIX))) {
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(getArchiveDir(), fileName), "utf8"));
+      manifests.push({ ...manifest, manifest_file: fileName });
+    } catch (error) {
+      logger.warn({ err: error, fileName }, "Skipping unreadable archive manifest.");
+    }
+  }
+  return manifests.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Get the manifest of an archive.
+ * @param {string} archiveId - Archive id.
+ * @returns {Promise<Object|null>} Manifest or null if there is no such archive.
+ */
+export async function getArchive(archiveId) {
+  const manifests = await listArchives();
+  return manifests.find((manifest) => manifest.id === archiveId) || null;
+}
+
+/**
+ * Read the records of an archive, verifying its checksum.
+ * @param {Object} manifest - Manifest from listArchives or getArchive.
+ * @returns {Promise<Object>} `{ valid: true, records }`, or `{ valid: false, reason }` if
+ *   the file is missing or does not match its manifest.
+ * @throws {Error} If the file cannot be read for another reason.
+ */
+export async function readArchive(manifest) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(getArchiveDir(), manifest.file));
+  } catch (error) {
+    if (error.code === "ENOENT") return { valid: false, reason: "archive_file_missing" };
+    throw error;
+  }
+
+  if (getArchiveChecksum(content) !== manifest.sha256) {
+    return { valid: false, reason: "checksum_mismatch" };
+  }
+
+  const records = (await gunzip(content))
+    .toString("utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+  return { valid: true, records };
+}
+
+/**
+ * Record in the manifest that an archive was restored.
+ * @param {Object} manifest - Manifest from listArchives or getArchive.
+ * @param {Date} [restoredAt=new Date()] - Restore time.
+ * @returns {Promise<Object>} Updated manifest.
+ */
+export async function markArchiveRestored(manifest, restoredAt = new Date()) {
+  const { manifest_file: manifestFile, ...stored } = manifest;
+  const updated = { ...stored, restored_at: restoredAt.toISOString() };
+  await writeFileAtomically(path.join(getArchiveDir(), manifestFile), JSON.stringify(updated, null, 2));
+  return { ...updated, manifest_file: manifestFile };
+}
@@ -0,0 +1,297 @@
+import * as supabase_service from "./supabase-service.js";
+import { parseAuthorizationRequest } from "../utils/parsers.js";
+import {
+  DEFAULT_RULE_SET,
+  evaluateAuthorization,
+  getMaxVelocityWindow,
+} from "../utils/authorization-rules.js";
+import { config } from "../config/index.js";
+import { schemas } from "../middleware/validation.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Result code sent to Lithic when a rule declines without its own declineCode.
+ */
+const DEFAULT_DECLINE_CODE = "UNAUTHORIZED_MERCHANT";
+
+/**
+ * How long a decision whose save failed still counts for velocity rules: the longest
+ * velocity window a rule set may use (43200 minutes).
+ */
+const UNSAVED_DECISION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Decisions answered to Lithic but not stored yet:
+ * Map<cardToken, Map<transactionToken, { transaction_token, decision, decided_at }>>.
+ * Velocity rules count them with the stored decisions, so a burst of requests on one
+ * card cannot all see the count from before the first of them was saved.
+ */
+const unsavedDecisions = new Map();
+
+/**
+ * Count a decision for velocity rules until it is stored.
+ * @param {Object} request - Parsed ASA request.
+ * @param {string} decision - "APPROVE" or "DECLINE".
+ * @param {string} decidedAt - ISO timestamp of the decision.
+ */
+function trackUnsavedDecision(request, decision, decidedAt) {
+  if (!request.card_token) {
+    return;
+  }
+
+  let cardDecisions = unsavedDecisions.get(request.card_token);
+  if (!cardDecisions) {
+    cardDecisions = new Map();
+    unsavedDecisions.set(request.card_token, cardDecisions);
+  }
+
+  const oldest = Date.now() - UNSAVED_DECISION_MAX_AGE_MS;
+  for (const [token, entry] of cardDecisions) {
+    if (new Date(entry.decided_at).getTime() < oldest) {
+      cardDecisions.delete(token);
+    }
+  }
+  cardDecisions.set(request.token, { transaction_token: request.token, decision, decided_at: decidedAt });
+}
+
+/**
+ * Stop counting a decision in memory once it is stored.
+ * @param {Object} request - Parsed ASA request.
+ */
+function forgetUnsavedDecision(request) {
+  const cardDecisions = unsavedDecisions.get(request.card_token);
+  if (cardDecisions) {
+    cardDecisions.delete(request.token);
+    if (cardDecisions.size === 0) {
+      unsavedDecisions.delete(request.card_token);
+    }
+  }
+}
+
+/**
+ * Unsaved decisions of a card that are not among the stored ones.
+ * @param {string} cardToken - Card token.
+ * @param {Array} history - Stored decisions `{ transaction_token }`.
+ * @returns {Array} Unsaved decisions `{ transaction_token, decision, decided_at }`.
+ */
+function listUnsavedDecisions(cardToken, history) {
+  const cardDecisions = unsavedDecisions.get(cardToken);
+  if (!cardDecisions) {
+    return [];
+  }
+  const stored = new Set(history.map((entry) => entry.transaction_token));
+  return [...cardDecisions.values()].filter((entry) => !stored.has(entry.transaction_token));
+}
+
+/**
+ * Check the ASA_DEFAULT_RULES rule set against the rule set schema and apply its defaults.
+ * Called at startup, so a bad rule set stops the server instead of sending every
+ * ASA request to the fallback decision.
+ * @throws {Error} If the configured default rules are invalid.
+ */
+export function loadDefaultRuleSet() {
+  if (!config.authorization.defaultRules) {
+    return;
+  }
+
+  const { error, value } = schemas.authorizationRuleSet.validate(config.authorization.defaultRules, {
+    abortEarly: false,
+  });
+  if (error) {
+    throw new Error(`Invalid ASA_DEFAULT_RULES: ${error.message}`);
+  }
+
+  config.authorization.defaultRules = value;
+  logger.info({ ruleCount: value.rules.length }, "Default authorization rules loaded");
+}
+
+/**
+ * Get the rule set that applies to a card: its own rules, the configured
+ * default rules, or the built-in approve-everything rule set.
+ * @param {string} cardToken - Card token.
+ * @returns {Promise<Object>} `{ ruleSet, source }` where source is "card", "config" or "default".
+ */
+export async function getEffectiveRuleSet(cardToken) {
+  const stored = cardToken
+    ? await supabase_service.getCardAuthorizationRules(cardToken)
+    : null;
+
+  if (stored?.rule_set) {
+    return { ruleSet: stored.rule_set, source: "card", updatedAt: stored.updated_at };
+  }
+  if (config.authorization.defaultRules) {
+    return { ruleSet: config.authorization.defaultRules, source: "config" };
+  }
+  return { ruleSet: DEFAULT_RULE_SET, source: "default" };
+}
+
+/**
+ * Replace the rule set of a card.
+ * @param {string} cardToken - Card token.
+ * @param {Object} ruleSet - Validated rule set.
+ * @returns {Promise<Object>} Stored rule set row.
+ */
+export async function setCardRuleSet(cardToken, ruleSet) {
+  return supabase_service.saveCardAuthorizationRules(cardToken, ruleSet);
+}
+
+/**
+ * Evaluate the rule set of a card against an ASA request, loading only as much
+ * decision history as the longest velocity window needs. Unsaved decisions count as
+ * history, and the new decision is counted right away unless the evaluation timed out.
+ * @param {Object} request - Parsed ASA request.
+ * @param {Object} timeout - Timeout of the evaluation (createTimeout).
+ * @returns {Promise<Object>} `{ outcome, ruleSource, decidedAt }`.
+ */
+async function evaluateRules(request, timeout) {
+  const { ruleSet, source } = await getEffectiveRuleSet(request.card_token);
+
+  const windowMinutes = getMaxVelocityWindow(ruleSet);
+  const history = windowMinutes > 0 && request.card_token
+    ? await supabase_service.listAuthorizationDecisions({
+        cardToken: request.card_token,
+        since: new Date(Date.now() - windowMinutes * 60 * 1000).toISOString(),
+        limit: 1000,
+      })
+    : [];
+
+  // No await from here on, so no other request of the card can be decided in between
+  const now = new Date();
+  const outcome = {
+    ...evaluateAuthorization(ruleSet, request, [...history, ...listUnsavedDecisions(request.card_token, history)], now),
+    fallback: false,
+  };
+  if (!timeout.expired) {
+    trackUnsavedDecision(request, outcome.decision, now.toISOString());
+  }
+
+  return { outcome, ruleSource: source, decidedAt: now.toISOString() };
+}
+
+/**
+ * Reject after a delay, so a hanging lookup cannot hold up the answer to Lithic.
+ * @param {number} timeoutMs - Delay in milliseconds.
+ * @returns {Object} `{ promise, clear, expired }`; `expired` turns true when the delay has passed.
+ */
+function createTimeout(timeoutMs) {
+  let timer;
+  const timeout = { expired: false };
+  timeout.promise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      timeout.expired = true;
+      reject(new Error(`Rule evaluation timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+  timeout.clear = () => clearTimeout(timer);
+  return timeout;
+}
+
+/**
+ * Decide an Auth Stream Access request. The decision is not persisted here, so the
+ * caller can answer Lithic first and then call recordAuthorizationDecision.
+ * Never throws: when evaluation fails or takes longer than ASA_EVALUATION_TIMEOUT_MS
+ * the configured fallback decision is returned, because Lithic must always get an answer in time.
+ * @param {Object} asaRequest - ASA request body from Lithic.
+ * @returns {Promise<Object>} `{ token, decision, result, ruleId, reason, fallback, ruleSource, decidedAt, durationMs }`.
+ */
+export async function decideAuthorization(asaRequest) {
+  const startTime = Date.now();
+  const request = parseAuthorizationRequest(asaRequest);
+  let outcome;
+  let ruleSource = null;
+  let decidedAt;
+
+  const timeout = createTimeout(config.authorization.evaluationTimeoutMs);
+  try {
+    ({ outcome, ruleSource, decidedAt } = await Promise.race([evaluateRules(request, timeout), timeout.promise]));
+  } catch (error) {
+    logger.error(
+      { err: error, transactionToken: request.token, cardToken: request.card_token },
+      "Authorization rule evaluation failed, using fallback decision.",
+    );
+    outcome = {
+      decision: config.authorization.fallbackDecision,
+      ruleId: null,
+      reason: `Fallback decision: ${error.message}`,
+      declineCode: null,
+      fallback: true,
+    };
+    decidedAt = new Date().toISOString();
+    trackUnsavedDecision(request, outcome.decision, decidedAt);
+  } finally {
+    timeout.clear();
+  }
+
+  const result = outcome.decision === "APPROVE"
+    ? "APPROVED"
+    : outcome.declineCode || DEFAULT_DECLINE_CODE;
+  const durationMs = Date.now() - startTime;
+
+  logger.info(
+    {
+      transactionToken: request.token,
+      cardToken: request.card_token,
+      amount: request.amount,
+      mcc: request.merchant.mcc,
+      decision: outcome.decision,
+      result,
+      ruleId: outcome.ruleId,
+      ruleSource,
+      fallback: outcome.fallback,
+      durationMs,
+    },
+    "Authorization request decided.",
+  );
+
+  return {
+    token: request.token,
+    decision: outcome.decision,
+    result,
+    ruleId: outcome.ruleId,
+    reason: outcome.reason,
+    fallback: outcome.fallback,
+    ruleSource,
+    decidedAt,
+    durationMs,
+  };
+}
+
+/**
+ * Persist a decision made by decideAuthorization, after Lithic has been answered.
+ * Until then the decision is counted in memory for velocity rules; a decision that
+ * could not be stored stays counted for the longest velocity window.
+ * Never throws: the answer to Lithic matters more than the audit row.
+ * @param {Object} asaRequest - ASA request body from Lithic.
+ * @param {Object} decision - Result of decideAuthorization.
+ * @returns {Promise<boolean>} True if the decision was stored.
+ */
+export async function recordAuthorizationDecision(asaRequest, decision) {
+  const request = parseAuthorizationRequest(asaRequest);
+
+  try {
+    await supabase_service.saveAuthorizationDecision({
+      transaction_token: request.token,
+      card_token: request.card_token,
+      decision: decision.decision,
+      result: decision.result,
+      rule_id: decision.ruleId,
+      rule_source: decision.ruleSource,
+      reason: decision.reason,
+      amount: request.amount,
+      currency: request.currency,
+      merchant_descriptor: request.merchant.descriptor,
+      mcc: request.merchant.mcc,
+      country: request.merchant.country,
+      request_payload: asaRequest,
+      decided_at: decision.decidedAt,
+    });
+    forgetUnsavedDecision(request);
+    return true;
+  } catch (error) {
+    logger.error(
+      { err: error, transactionToken: request.token },
+      "Failed to persist authorization decision.",
+    );
+    return false;
+  }
+}
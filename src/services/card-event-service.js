@@ -0,0 +1,180 @@
+import * as supabase_service from "./supabase-service.js";
+import alertService, { ALERT_TYPES } from "./alert-service.js";
+import logger from "../utils/logger.js";
+import { createMoney, formatMoney } from "../utils/money.js";
+
+/**
+ * Broadcast an event alert without letting a delivery failure fail the event.
+ * Card alerts go to the sessions monitoring the card; alerts without a card go to every session.
+ * @param {Object} alert - Alert formatted by alertService.formatEventAlert.
+ * @returns {Promise<void>}
+ */
+async function broadcastEventAlert(alert) {
+  try {
+    if (alert.cardToken) {
+      await alertService.broadcastAlert(alert.cardToken, alert);
+    } else {
+      await alertService.broadcastAccountAlert(alert);
+    }
+  } catch (error) {
+    // Storage already succeeded; a failed broadcast must not trigger a webhook retry
+    logger.error(
+      { err: error, alertType: alert.alertType, eventToken: alert.eventToken },
+      "Failed to broadcast event alert.",
+    );
+  }
+}
+
+/**
+ * Handle a dispute.updated event: store the dispute and alert the card's agents.
+ * @param {string} eventType - Lithic event type.
+ * @param {Object} payload - Lithic dispute object.
+ * @returns {Promise<Object>} Stored dispute.
+ * @throws {Error} If storing the dispute fails.
+ */
+export async function handleDisputeEvent(eventType, payload) {
+  const dispute = await supabase_service.saveDispute(payload);
+  const cardToken = dispute.transaction_token
+    ? await supabase_service.getTransactionCardToken(dispute.transaction_token)
+    : null;
+
+  await broadcastEventAlert(
+    alertService.formatEventAlert(ALERT_TYPES.DISPUTE_UPDATE, {
+      cardToken,
+      eventType,
+      eventToken: dispute.token,
+      immediate: {
+        disputeToken: dispute.token,
+        transactionToken: dispute.transaction_token,
+        status: dispute.status,
+        reason: dispute.reason,
+        // The disputes table keeps no currency, so it comes from the Lithic payload
+        amount: dispute.amount == null
+          ? null
+          : formatMoney(createMoney(dispute.amount, payload.currency)),
+        resolutionReason: dispute.resolution_reason,
+      },
+      verification: {
+        customerFiledDate: dispute.customer_filed_date,
+      },
+      intelligence: {
+        riskLevel: "MEDIUM",
+        insights: [`Dispute on transaction ${dispute.transaction_token} is now ${dispute.status}`],
+      },
+    }),
+  );
+
+  return dispute;
+}
+
+/**
+ * Handle a digital_wallet.tokenization_* event: store it and alert the card's agents.
+ * Someone adding a honeypot card to a digital wallet is treated as high risk.
+ * @param {string} eventType - Lithic event type.
+ * @param {Object} payload - Event payload.
+ * @returns {Promise<Object>} Stored tokenization event.
+ * @throws {Error} If storing the event fails.
+ */
+export async function handleTokenizationEvent(eventType, payload) {
+  const tokenization = await supabase_service.saveTokenizationEvent(eventType, payload);
+
+  await broadcastEventAlert(
+    alertService.formatEventAlert(ALERT_TYPES.TOKENIZATION_ATTEMPT, {
+      cardToken: tokenization.card_token,
+      eventType,
+      eventToken: tokenization.tokenization_token,
+      immediate: {
+        tokenizationToken: tokenization.tokenization_token,
+        tokenRequestor: tokenization.token_requestor,
+        status: tokenization.status,
+        deviceType: tokenization.device_type,
+      },
+      verification: {
+        walletProvider: tokenization.token_requestor,
+        deviceType: tokenization.device_type,
+      },
+      intelligence: {
+        riskLevel: "HIGH",
+        insights: [
+          "Someone is trying to add this card to a digital wallet",
+          "Ask the caller which phone or wallet they are using",
+        ],
+      },
+    }),
+  );
+
+  return tokenization;
+}
+
+/**
+ * Handle a three_ds_authentication.* event: store it and alert the card's agents.
+ * @param {string} eventType - Lithic event type.
+ * @param {Object} payload - Lithic 3DS authentication object.
+ * @returns {Promise<Object>} Stored 3DS authentication.
+ * @throws {Error} If storing the authentication fails.
+ */
+export async function handleThreeDSEvent(eventType, payload) {
+  const authentication = await supabase_service.saveThreeDSAuthentication(payload);
+
+  await broadcastEventAlert(
+    alertService.formatEventAlert(ALERT_TYPES.THREE_DS_AUTHENTICATION, {
+      cardToken: authentication.card_token,
+      eventType,
+      eventToken: authentication.token,
+      immediate: {
+        authenticationToken: authentication.token,
+        result: authentication.authentication_result,
+        merchant: authentication.merchant_name,
+        amount: authentication.amount == null
+          ? null
+          : formatMoney(createMoney(authentication.amount, authentication.currency)),
+        currency: authentication.currency,
+        channel: authentication.channel,
+      },
+      verification: {
+        merchantName: authentication.merchant_name,
+        merchantCountry: authentication.merchant_country,
+        mccCode: authentication.merchant_mcc,
+      },
+      intelligence: {
+        riskLevel: "MEDIUM",
+        insights: [`Online checkout at ${authentication.merchant_name || "an unknown merchant"} requested 3DS authentication`],
+      },
+    }),
+  );
+
+  return authentication;
+}
+
+/**
+ * Handle a balance.updated event: store the snapshots and alert every agent.
+ * @param {string} eventType - Lithic event type.
+ * @param {Object} payload - Event payload.
+ * @returns {Promise<Array>} Stored balance snapshots.
+ * @throws {Error} If storing the snapshots fails.
+ */
+export async function handleBalanceEvent(eventType, payload) {
+  const snapshots = await supabase_service.saveBalanceSnapshots(payload);
+
+  await broadcastEventAlert(
+    alertService.formatEventAlert(ALERT_TYPES.BALANCE_UPDATE, {
+      eventType,
+      eventToken: snapshots[0]?.financial_account_token || null,
+      immediate: {
+        balances: snapshots.map((snapshot) => ({
+          financialAccountToken: snapshot.financial_account_token,
+          type: snapshot.financial_account_type,
+          currency: snapshot.currency,
+          availableAmount: formatMoney(createMoney(snapshot.available_amount, snapshot.currency)),
+          pendingAmount: formatMoney(createMoney(snapshot.pending_amount, snapshot.currency)),
+        })),
+      },
+      intelligence: {
+        riskLevel: "LOW",
+        insights: ["Account balance changed"],
+      },
+    }),
+  );
+
+  return snapshots;
+}
@@ -1,5 +1,7 @@
 import { lithic_client } from "../config/lithic-client.js";
+import * as supabase_service from "./supabase-service.js";
 import logger from "../utils/logger.js";
+import { createMoney, formatMoney } from "../utils/money.js";
 
 // Analytics tracking for card access monitoring
 const cardAccessMetrics = {
@@ -193,6 +195,24 @@ function validateCardToken(cardToken) {
   return { valid: true };
 }
 
+/**
+ * Records a card returned by a Lithic write operation in the card registry.
+ * Registry failures are logged but never fail the card operation itself.
+ * @param {Object} card - Lithic card object
+ * @param {string} eventType - Operation that changed the card
+ */
+async function recordCardInRegistry(card, eventType) {
+  try {
+    await supabase_service.saveCard(card, { eventType });
+  } catch (error) {
+    logger.warn({
+      cardToken: card?.token ? `${card.token.substring(0, 8)}...` : null,
+      eventType,
+      error: error.message
+    }, 'Failed to record card in registry');
+  }
+}
+
 /**
  * Create a honeypot card with specified settings.
  * @param {string} nickname - Card nickname.
@@ -211,6 +231,7 @@ export async function createHoneypotCard(nickname = "Honeypot Card") {
       });
       
       logger.info(`Created card ${card.token} with last four: ${card.last_four}`);
+      await recordCardInRegistry(card, 'createHoneypotCard');
       return card;
     },
     'createHoneypotCard',
@@ -244,7 +265,8 @@ export async function updateCardLimit(cardToken, newLimit, duration = "TRANSACTI
         spend_limit_duration: duration,
       });
 
-      logger.info(`Updated card ${cardToken} limit to $${(newLimit / 100).toFixed(2)}`);
+      logger.info(`Updated card ${cardToken} limit to ${formatMoney(createMoney(newLimit))}`);
+      await recordCardInRegistry(updatedCard, 'updateCardLimit');
       return updatedCard;
     },
     'updateCardLimit',
@@ -275,6 +297,7 @@ export async function toggleCardState(cardToken, pause = true) {
       });
 
       logger.info(`Card ${cardToken} state set to ${newState}`);
+      await recordCardInRegistry(updatedCard, 'toggleCardState');
       return updatedCard;
     },
     'toggleCardState',
@@ -352,6 +375,77 @@ export async function listCards(params = {}) {
   );
 }
 
+// ========== CARD REGISTRY ==========
+
+/**
+ * Refresh a card's registry entry from Lithic and record any state change.
+ * Used by the card.created / card.updated webhooks.
+ * @param {string} cardToken - Card token.
+ * @param {string} [eventType='card.sync'] - Event that triggered the sync.
+ * @returns {Promise<Object>} Result of supabase_service.saveCard.
+ * @throws {Error} If the card cannot be fetched from Lithic or saved.
+ */
+export async function syncCardRecord(cardToken, eventType = 'card.sync') {
+  const cardDetails = await getCardDetails(cardToken);
+
+  // Never overwrite the registry with placeholder data from a fallback response
+  if (cardDetails.fallback) {
+    throw new Error(`Card details unavailable from Lithic: ${cardDetails.originalError}`);
+  }
+
+  return supabase_service.saveCard(cardDetails, { eventType });
+}
+
+/**
+ * Get a card's registry entry without calling Lithic.
+ * @param {string} cardToken - Card token.
+ * @param {Object} [options] - Read options.
+ * @param {boolean} [options.includeHistory=false] - Include the card's state history.
+ * @returns {Promise<Object|null>} Registry entry (with history if requested) or null if unknown.
+ */
+export async function getRegisteredCard(cardToken, { includeHistory = false } = {}) {
+  const validation = validateCardToken(cardToken);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+
+  const card = await supabase_service.getCard(cardToken);
+  if (!card) {
+    return null;
+  }
+
+  if (!includeHistory) {
+    return card;
+  }
+
+  return {
+    ...card,
+    history: await supabase_service.getCardStateHistory(cardToken)
+  };
+}
+
+/**
+ * List cards from the registry without calling Lithic.
+ * Returns the same simplified shape as listCards().
+ * @param {Object} [params] - Filter parameters.
+ * @param {string} [params.state] - Only return cards in this state.
+ * @returns {Promise<Array>} Array of simplified card objects.
+ */
+export async function listRegisteredCards(params = {}) {
+  const cards = await supabase_service.listStoredCards(params);
+
+  return cards.map(card => ({
+    token: card.token,
+    last_four: card.last_four,
+    state: card.state,
+    type: card.type,
+    spend_limit: card.spend_limit,
+    spend_limit_duration: card.spend_limit_duration,
+    memo: card.memo,
+    created: card.created_at,
+  }));
+}
+
 /**
  * Get card access analytics for monitoring.
  * @returns {Object} Current card access metrics
@@ -402,11 +496,17 @@ export async function getAvailableCardsForMcp(params = {}, requestId) {
 
   try {
     // Get all cards from Lithic using existing service function
-    const allCards = await executeCardOperation(
+    let allCards = await executeCardOperation(
       () => listCards(),
       'listCards',
       { requestId }
     );
+
+    // Serve the card registry when Lithic is unavailable
+    if (!Array.isArray(allCards)) {
+      logger.warn({ requestId }, 'Lithic card list unavailable, using card registry');
+      allCards = await listRegisteredCards();
+    }
     
     // Filter cards if activeOnly is true
     const filteredCards = activeOnly 
@@ -422,7 +522,7 @@ export async function getAvailableCardsForMcp(params = {}, requestId) {
         state: card.state,
         type: card.type,
         memo: card.memo || 'Honeypot Card',
-        spendLimit: `$${(card.spend_limit / 100).toFixed(2)}`,
+        spendLimit: formatMoney(createMoney(card.spend_limit)),
         created: card.created,
         isActive: card.state === 'OPEN',
         // Include additional details if requested
@@ -566,7 +666,7 @@ export async function getCardDetailsForMcp(cardToken, requestId, options = {}) {
         type: cardDetails.type,
         
         // Financial limits and settings
-        spendLimit: `$${(cardDetails.spend_limit / 100).toFixed(2)}`,
+        spendLimit: formatMoney(createMoney(cardDetails.spend_limit)),
         spendLimitDuration: cardDetails.spend_limit_duration,
         
         // Metadata
@@ -585,7 +685,7 @@ export async function getCardDetailsForMcp(cardToken, requestId, options = {}) {
         // Key verification points for scammer testing
         primaryCardNumber: cardDetails.pan,
         lastFourDigits: cardDetails.last_four,
-        spendingLimit: `$${(cardDetails.spend_limit / 100).toFixed(2)}`,
+        spendingLimit: formatMoney(createMoney(cardDetails.spend_limit)),
         cardType: cardDetails.type,
         isActiveForSpending: cardDetails.state === 'OPEN',
         
@@ -602,7 +702,7 @@ export async function getCardDetailsForMcp(cardToken, requestId, options = {}) {
         expectedAnswers: {
           fullCardNumber: cardDetails.pan,
           lastFour: cardDetails.last_four,
-          spendLimit: `$${(cardDetails.spend_limit / 100).toFixed(2)}`,
+          spendLimit: formatMoney(createMoney(cardDetails.spend_limit)),
           cardType: cardDetails.type,
           activeStatus: cardDetails.state === 'OPEN' ? 'Yes, active' : 'No, inactive'
         }
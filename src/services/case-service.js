@@ -0,0 +1,237 @@
+import { storage } from "../storage/index.js";
+import alertService from "./alert-service.js";
+import {
+  createCaseLinks,
+  groupCaseLinks,
+  getCaseStatusChanges,
+  normalizeCaseTags,
+} from "../utils/cases.js";
+import logger from "../utils/logger.js";
+
+/**
+ * A case with its links grouped by type and its notes.
+ * @param {Object} caseRecord - Stored case.
+ * @returns {Promise<Object>} Case details.
+ */
+async function getCaseDetails(caseRecord) {
+  const [links, notes] = await Promise.all([
+    storage.cases.listLinks(caseRecord.id),
+    storage.cases.listNotes(caseRecord.id),
+  ]);
+  return { ...caseRecord, links: groupCaseLinks(links), notes };
+}
+
+/**
+ * Open a case, with optional initial links and a first note.
+ * @param {Object} fields - Case fields.
+ * @param {string} fields.title - Case title.
+ * @param {string} [fields.description] - Description.
+ * @param {string} [fields.status="open"] - Initial status.
+ * @param {Array<string>} [fields.tags] - Tags.
+ * @param {string} [fields.note] - First analyst note.
+ * @param {string} [fields.createdBy] - Analyst or agent opening the case.
+ * @param {Object} [fields.links] - `{ cardTokens, transactionTokens, sessionIds, conversationIds }`.
+ * @returns {Promise<Object>} Case details.
+ * @throws {Error} If saving the case fails.
+ */
+export async function createCase({ title, description, status = "open", tags, note, createdBy, links = {} }) {
+  const created = await storage.cases.create({
+    title,
+    description: description ?? null,
+    status,
+    tags: normalizeCaseTags(tags),
+    created_by: createdBy ?? null,
+    closed_at: status === "closed" ? new Date().toISOString() : null,
+  });
+
+  await storage.cases.addLinks(created.id, createCaseLinks(links), { addedBy: createdBy });
+  if (note) {
+    await storage.cases.addNote(created.id, { author: createdBy, body: note });
+  }
+
+  logger.info({ caseId: created.id, status, createdBy }, "Case opened.");
+  return getCaseDetails(created);
+}
+
+/**
+ * Get a case with its links and notes.
+ * @param {string} caseId - Case id.
+ * @returns {Promise<Object|null>} Case details or null if there is no such case.
+ */
+export async function getCase(caseId) {
+  const caseRecord = await storage.cases.get(caseId);
+  return caseRecord ? getCaseDetails(caseRecord) : null;
+}
+
+/**
+ * List cases, most recently updated first.
+ * @param {Object} [filters] - Filters.
+ * @param {string} [filters.status] - Only cases with this status.
+ * @param {string} [filters.tag] - Only cases with this tag.
+ * @param {string} [filters.linkType] - With linkValue: only cases linked to this record.
+ * @param {string} [filters.linkValue] - Card token, transaction token, session or conversation id.
+ * @param {string} [filters.search] - Only cases whose title contains this text.
+ * @param {number} [filters.limit=50] - Maximum number of cases.
+ * @returns {Promise<Array>} Cases, without links and notes.
+ */
+export async function listCases({ status, tag, linkType, linkValue, search, limit = 50 } = {}) {
+  return storage.cases.list({
+    status,
+    tag: tag ? normalizeCaseTags([tag])[0] : undefined,
+    link: linkType && linkValue ? { link_type: linkType, value: linkValue } : undefined,
+    search,
+    limit,
+  });
+}
+
+/**
+ * Update the title, description, status or tags of a case.
+ * @param {string} caseId - Case id.
+ * @param {Object} changes - `{ title, description, status, tags }`; omitted fields are kept.
+ * @returns {Promise<Object|null>} Case details or null if there is no such case.
+ */
+export async function updateCase(caseId, { title, description, status, tags }) {
+  const current = await storage.cases.get(caseId);
+  if (!current) {
+    return null;
+  }
+
+  const changes = {
+    ...(title !== undefined && { title }),
+    ...(description !== undefined && { description }),
+    ...(tags !== undefined && { tags: normalizeCaseTags(tags) }),
+    ...getCaseStatusChanges(current, status),
+  };
+  const updated = await storage.cases.update(caseId, changes);
+  if (!updated) {
+    return null;
+  }
+
+  if (changes.status) {
+    logger.info({ caseId, from: current.status, to: changes.status }, "Case status changed.");
+  }
+  return getCaseDetails(updated);
+}
+
+/**
+ * Delete a case with its links and notes.
+ * @param {string} caseId - Case id.
+ * @returns {Promise<boolean>} False if there was no such case.
+ */
+export async function deleteCase(caseId) {
+  const deleted = await storage.cases.delete(caseId);
+  if (deleted) {
+    logger.info({ caseId }, "Case deleted.");
+  }
+  return deleted;
+}
+
+/**
+ * Link cards, transactions, sessions or conversations to a case.
+ * Records that are already linked are skipped.
+ * @param {string} caseId - Case id.
+ * @param {Object} links - `{ cardTokens, transactionTokens, sessionIds, conversationIds }`.
+ * @param {Object} [options] - Link options.
+ * @param {string} [options.addedBy] - Analyst or agent adding the links.
+ * @returns {Promise<Object|null>} Case details or null if there is no such case.
+ */
+export async function linkToCase(caseId, links, { addedBy } = {}) {
+  if (!(await storage.cases.get(caseId))) {
+    return null;
+  }
+
+  await storage.cases.addLinks(caseId, createCaseLinks(links), { addedBy });
+  return getCaseDetails(await storage.cases.update(caseId, {}));
+}
+
+/**
+ * Remove a link from a case.
+ * @param {string} caseId - Case id.
+ * @param {string} linkType - "card", "transaction", "session" or "conversation".
+ * @param {string} value - Linked token or id.
+ * @returns {Promise<Object|null>} `{ removed: true, case }`, `{ removed: false, reason }`
+ *   if the case has no such link, or null if there is no such case.
+ */
+export async function unlinkFromCase(caseId, linkType, value) {
+  if (!(await storage.cases.get(caseId))) {
+    return null;
+  }
+
+  const removed = await storage.cases.removeLink(caseId, { link_type: linkType, value });
+  if (!removed) {
+    return { removed: false, reason: "link_not_found" };
+  }
+  return { removed: true, case: await getCaseDetails(await storage.cases.update(caseId, {})) };
+}
+
+/**
+ * Add an analyst note to a case.
+ * @param {string} caseId - Case id.
+ * @param {Object} note - `{ body, author }`.
+ * @returns {Promise<Object|null>} Stored note or null if there is no such case.
+ */
+export async function addCaseNote(caseId, { body, author }) {
+  if (!(await storage.cases.get(caseId))) {
+    return null;
+  }
+
+  const note = await storage.cases.addNote(caseId, { body, author });
+  await storage.cases.update(caseId, {});
+  return note;
+}
+
+/**
+ * Attach a call to a case, opening a new case when no case id is given.
+ * The call is its MCP session and conversation; when the session is connected, the
+ * cards it monitors and its conversation id are taken from its subscription.
+ * @param {Object} call - Call details.
+ * @param {string} [call.caseId] - Case to attach to; a new case is opened when omitted.
+ * @param {string} [call.title] - Title of a new case.
+ * @param {string} [call.sessionId] - MCP session id of the call.
+ * @param {string} [call.conversationId] - Conversation id of the call.
+ * @param {Array<string>} [call.cardTokens] - Cards discussed on the call.
+ * @param {Array<string>} [call.transactionTokens] - Transactions discussed on the call.
+ * @param {string} [call.note] - Note about the call.
+ * @param {string} [call.agentId] - Agent attaching the call.
+ * @returns {Promise<Object|null>} `{ created, case }` or null if the case does not exist.
+ */
+export async function attachCallToCase({
+  caseId,
+  title,
+  sessionId,
+  conversationId,
+  cardTokens = [],
+  transactionTokens = [],
+  note,
+  agentId,
+}) {
+  const session = sessionId ? alertService.getSessionMetadata(sessionId) : null;
+  const addedBy = agentId || session?.agentId || "voice_agent";
+  const links = {
+    sessionIds: sessionId ? [sessionId] : [],
+    conversationIds: [conversationId, session?.conversationId].filter(Boolean),
+    cardTokens: [...cardTokens, ...(session?.cardTokens || [])],
+    transactionTokens,
+  };
+
+  if (!caseId) {
+    const created = await createCase({
+      title: title || `Call ${conversationId || sessionId || new Date().toISOString()}`,
+      note,
+      createdBy: addedBy,
+      links,
+    });
+    return { created: true, case: created };
+  }
+
+  const linked = await linkToCase(caseId, links, { addedBy });
+  if (!linked) {
+    return null;
+  }
+  if (note) {
+    await storage.cases.addNote(caseId, { author: addedBy, body: note });
+  }
+
+  logger.info({ caseId, sessionId, conversationId, addedBy }, "Call attached to case.");
+  return { created: false, case: note ? await getCase(caseId) : linked };
+}
@@ -8,10 +8,20 @@
  * - Graceful disconnection and cleanup
  */
 
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
 import alertService from './alert-service.js';
 
+/**
+ * SHA-256 digest of a session token, compared in constant time
+ * @param {string} token - Token
+ * @returns {Buffer} Digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
 class ConnectionManager {
   constructor() {
     // Connection registry: Map<sessionId, connectionInfo>
@@ -44,24 +54,29 @@ class ConnectionManager {
    * Create and establish a new SSE connection
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
-   * @param {string} cardToken - Card token to monitor
+   * @param {string|Array<string>} cardTokens - Card token(s) to monitor on this connection
    * @param {Object} metadata - Additional connection metadata
-   * @returns {Object} Connection info with sessionId
+   * @param {Object} [options] - Connection options
+   * @param {string} [options.ownerToken] - Token the agent authenticated with; later requests about
+   *   this session must present it (see isSessionOwner)
+   * @returns {Object} Connection info with sessionId, cardTokens and the first card as cardToken
    */
-  async createConnection(req, res, cardToken, metadata = {}) {
+  async createConnection(req, res, cardTokens, metadata = {}, { ownerToken } = {}) {
+    const tokens = [...new Set([].concat(cardTokens || []))];
+    
     try {
       // Generate unique session ID
       const sessionId = uuidv4();
       
       // Pre-validate everything before setting headers
-      if (!cardToken || !res || !req) {
+      if (tokens.length === 0 || !res || !req) {
         throw new Error('Missing required parameters for connection creation');
       }
       
       // Create connection info object (but don't store it yet)
       const connectionInfo = {
         sessionId,
-        cardToken,
+        cardTokens: tokens,
         req,
         res,
         establishedAt: new Date(),
@@ -74,6 +89,8 @@ class ConnectionManager {
           ip: req.ip,
           agentId: metadata.agentId || `agent_${sessionId.substr(0, 8)}`
         },
+        // Only a digest of the token is kept, outside the metadata that connection listings expose
+        ownerTokenDigest: ownerToken ? hashToken(ownerToken) : null,
         reconnectAttempts: 0,
         healthChecksPassed: 0,
         healthChecksFailed: 0
@@ -93,7 +110,7 @@ class ConnectionManager {
       this.connections.set(sessionId, connectionInfo);
       
       // Register with alert service
-      const registered = alertService.registerConnection(sessionId, cardToken, res);
+      const registered = alertService.registerConnection(sessionId, tokens, res);
       if (!registered) {
         throw new Error('Failed to register connection with alert service');
       }
@@ -104,6 +121,7 @@ class ConnectionManager {
         data: {
           sessionId,
           status: 'connected',
+          cardTokens: tokens,
           timestamp: new Date().toISOString()
         }
       });
@@ -120,14 +138,15 @@ class ConnectionManager {
       
       logger.info({
         sessionId,
-        cardToken,
+        cardTokens: tokens,
         agentId: connectionInfo.metadata.agentId,
         activeConnections: this.metrics.activeConnections
       }, 'SSE connection established');
       
       return {
         sessionId,
-        cardToken,
+        cardToken: tokens[0],
+        cardTokens: tokens,
         status: 'connected',
         establishedAt: connectionInfo.establishedAt
       };
@@ -135,7 +154,7 @@ class ConnectionManager {
     } catch (error) {
       logger.error({
         error: error.message,
-        cardToken,
+        cardTokens: tokens,
         metadata
       }, 'Failed to create connection');
       
@@ -172,6 +191,73 @@ class ConnectionManager {
     }
   }
   
+  /**
+   * Add or remove cards on an open connection without reconnecting.
+   * The stream receives a `subscriptions` event with the cards it now monitors.
+   * @param {string} sessionId - Session ID of the connection
+   * @param {Object} changes - Cards to change
+   * @param {Array<string>} [changes.add=[]] - Cards to start monitoring
+   * @param {Array<string>} [changes.remove=[]] - Cards to stop monitoring
+   * @returns {Object|null} `{ sessionId, cardTokens, added, removed }` or null if the session is unknown
+   */
+  updateCards(sessionId, { add = [], remove = [] }) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      return null;
+    }
+    
+    const removed = alertService.removeCardsFromSession(sessionId, remove) || [];
+    const added = alertService.addCardsToSession(sessionId, add) || [];
+    connectionInfo.cardTokens = alertService.getSessionCards(sessionId) || [];
+    connectionInfo.lastActivity = new Date();
+    
+    try {
+      this.sendEvent(connectionInfo.res, {
+        type: 'subscriptions',
+        data: {
+          sessionId,
+          cardTokens: connectionInfo.cardTokens,
+          added,
+          removed,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.debug({
+        sessionId,
+        error: error.message
+      }, 'Failed to send subscriptions event');
+    }
+    
+    logger.info({
+      sessionId,
+      added,
+      removed,
+      cardCount: connectionInfo.cardTokens.length
+    }, 'SSE connection cards updated');
+    
+    return {
+      sessionId,
+      cardTokens: connectionInfo.cardTokens,
+      added,
+      removed
+    };
+  }
+  
+  /**
+   * Check that a token is the one a session was opened with
+   * @param {string} sessionId - Session ID of the connection
+   * @param {string} token - Token sent with the request
+   * @returns {boolean} False if the session is unknown, was opened without a token or the token differs
+   */
+  isSessionOwner(sessionId, token) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo?.ownerTokenDigest || !token) {
+      return false;
+    }
+    return crypto.timingSafeEqual(hashToken(token), connectionInfo.ownerTokenDigest);
+  }
+  
   /**
    * Authenticate connection with provided credentials
    * @param {string} token - Authentication token
@@ -402,7 +488,7 @@ class ConnectionManager {
         logger.info({
           sessionId,
           reason,
-          cardToken: connectionInfo.cardToken,
+          cardTokens: connectionInfo.cardTokens,
           duration: new Date() - connectionInfo.establishedAt,
           healthChecksPassed: connectionInfo.healthChecksPassed,
           healthChecksFailed: connectionInfo.healthChecksFailed
@@ -523,7 +609,8 @@ class ConnectionManager {
     for (const [sessionId, info] of this.connections) {
       connections.push({
         sessionId,
-        cardToken: info.cardToken,
+        cardToken: info.cardTokens[0],
+        cardTokens: info.cardTokens,
         agentId: info.metadata.agentId,
         status: info.status,
         establishedAt: info.establishedAt,
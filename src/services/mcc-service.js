@@ -1,4 +1,4 @@
-import { supabase_client } from "../config/supabase-client.js";
+import { storage } from "../storage/index.js";
 import logger from "../utils/logger.js";
 import fs from "fs";
 import csv from "csv-parser";
@@ -119,28 +119,10 @@ export async function lookupMCC(mccCode) {
   // Fallback to database lookup
   try {
     logger.debug(`Looking up MCC ${normalizedCode} in database.`);
-    const { data, error } = await supabase_client
-      .from("mcc_codes")
-      .select("description, category")
-      .eq("mcc_code", normalizedCode)
-      .single();
-
-    if (error) {
-      if (error.code === "PGRST116") {
-        logger.warn(`MCC ${normalizedCode} not found in database or CSV.`);
-        return null;
-      }
-      logger.error(
-        `Error looking up MCC ${normalizedCode} in database:`,
-        error,
-      );
-      throw error;
-    }
+    const data = await storage.mccCodes.get(normalizedCode);
 
     if (!data) {
-      logger.warn(
-        `MCC ${normalizedCode} not found in database (no data returned).`,
-      );
+      logger.warn(`MCC ${normalizedCode} not found in database or CSV.`);
       return null;
     }
 
@@ -182,14 +164,8 @@ export async function batchLookupMCCs(mccCodes) {
         `Batch looking up ${uncachedCodes.length} MCCs in database:`,
         uncachedCodes,
       );
-      const { data, error } = await supabase_client
-        .from("mcc_codes")
-        .select("mcc_code, description, category")
-        .in("mcc_code", uncachedCodes);
-
-      if (error) {
-        logger.error("Error batch looking up MCCs:", error);
-      } else if (data) {
+      const data = await storage.mccCodes.getMany(uncachedCodes);
+      if (data.length > 0) {
         logger.debug(
           `Received ${data.length} MCCs from batch database lookup.`,
         );
@@ -1,30 +1,26 @@
-import { supabase_client } from "../config/supabase-client.js";
 import {
   parseTransactionDetails,
+  parseTransactionEvents,
   parseMerchantInfo,
+  parseCardDetails,
+  parseDisputeDetails,
+  parseTokenizationEvent,
+  parseThreeDSAuthentication,
+  parseBalanceUpdate,
 } from "../utils/parsers.js";
+import { getTransactionLifecycle } from "../utils/transaction-lifecycle.js";
+import { getTransactionAmounts, formatMoney, toMajorUnits } from "../utils/money.js";
+import {
+  normalizeDescriptor,
+  descriptorSimilarity,
+  findBestMerchantGroup,
+  getDescriptorSearchKey,
+} from "../utils/merchant-resolution.js";
 import { lookupMCC } from "./mcc-service.js";
 import alertService from "./alert-service.js";
+import { storage } from "../storage/index.js";
 import logger from "../utils/logger.js";
 
-/**
- * Helper function to determine if incoming merchant details differ from existing ones.
- * @param {Object} existingDetails - The current merchant details from the DB.
- * @param {Object} incomingDetails - The new merchant details from the transaction.
- * @returns {boolean} True if details are different, false otherwise.
- */
-function areMerchantDetailsDifferent(existingDetails, incomingDetails) {
-  if (!existingDetails) return true;
-
-  return (
-    existingDetails.descriptor !== incomingDetails.descriptor ||
-    existingDetails.city !== (incomingDetails.city || null) ||
-    existingDetails.state !== (incomingDetails.state || null) ||
-    existingDetails.country !== (incomingDetails.country || null) ||
-    existingDetails.mcc !== (incomingDetails.mcc || null)
-  );
-}
-
 /**
  * Helper function to enrich merchant data with MCC information.
  * @param {Object} merchantInfo - Basic merchant information
@@ -59,13 +55,17 @@ async function enrichMerchantWithMCC(merchantInfo) {
 }
 
 /**
- * Save a Lithic transaction to Supabase, including merchant details.
- * Implements robust merchant finding and updating.
+ * Save a Lithic transaction to storage, including merchant details.
+ * Implements robust merchant finding and updating. The transaction, its events, its
+ * merchant and the merchant link are saved atomically, so a failed save leaves nothing behind.
  * @param {Object} lithicTransaction - The raw Lithic transaction object.
+ * @param {Object} [options] - Save options.
+ * @param {boolean} [options.broadcast=true] - Broadcast a real-time alert for the transaction.
+ *   Historical imports pass false so agents are not flooded with old transactions.
  * @returns {Promise<Object>} Object indicating success and stored tokens/IDs.
  * @throws {Error} If saving to Supabase fails.
  */
-export async function saveTransaction(lithicTransaction) {
+export async function saveTransaction(lithicTransaction, { broadcast = true } = {}) {
   const transactionToken = lithicTransaction?.token || "unknown_token";
   try {
     logger.debug(
@@ -76,262 +76,25 @@ export async function saveTransaction(lithicTransaction) {
     const transactionDetailsToSave = parseTransactionDetails(lithicTransaction);
     const merchantInfoToParse = parseMerchantInfo(lithicTransaction);
 
-    let merchantId = null;
-    let existingMerchantFullDetails = null;
-
-    // Merchant Handling Logic
-
-    // Try to find merchant by acceptor_id if available
-    if (merchantInfoToParse.acceptor_id) {
-      logger.debug(
-        { transactionToken, acceptorId: merchantInfoToParse.acceptor_id },
-        "Attempting to find merchant by acceptor_id.",
-      );
-      const { data, error } = await supabase_client
-        .from("merchants")
-        .select("*") // Fetch all fields for comparison and potential update
-        .eq("acceptor_id", merchantInfoToParse.acceptor_id)
-        .maybeSingle(); // Handles 0 or 1 row without erroring on 0
-
-      if (error) {
-        logger.error(
-          {
-            err: error,
-            transactionToken,
-            acceptorId: merchantInfoToParse.acceptor_id,
-          },
-          "Error selecting merchant by acceptor_id.",
-        );
-        throw error;
-      }
-      if (data) {
-        existingMerchantFullDetails = data;
-        merchantId = existingMerchantFullDetails.id;
-        logger.debug(
-          { transactionToken, merchantId },
-          "Merchant found by acceptor_id.",
-        );
-      }
-    }
-
-    // If not found by acceptor_id (or acceptor_id was null), AND descriptor is present, try by combination
-    if (!merchantId && merchantInfoToParse.descriptor) {
-      logger.debug(
-        { transactionToken, details: merchantInfoToParse },
-        "Acceptor_id match failed or N/A. Attempting to find merchant by combination (descriptor, city, state, mcc).",
-      );
-
-      let query = supabase_client.from("merchants").select("*");
-      query = query.eq("descriptor", merchantInfoToParse.descriptor);
-
-      // Handle potentially null city, state, country, mcc for precise matching
-      if (merchantInfoToParse.city)
-        query = query.eq("city", merchantInfoToParse.city);
-      else query = query.is("city", null);
-
-      if (merchantInfoToParse.state)
-        query = query.eq("state", merchantInfoToParse.state);
-      else query = query.is("state", null);
-
-      if (merchantInfoToParse.country)
-        query = query.eq("country", merchantInfoToParse.country);
-      else query = query.is("country", null);
-
-      if (merchantInfoToParse.mcc)
-        query = query.eq("mcc", merchantInfoToParse.mcc);
-      else query = query.is("mcc", null);
-
-      const { data: matchedMerchants, error: comboSelectError } = await query;
-
-      if (comboSelectError) {
-        logger.error(
-          {
-            err: comboSelectError,
-            transactionToken,
-            details: merchantInfoToParse,
-          },
-          "Error selecting merchant by combination.",
-        );
-        throw comboSelectError;
-      }
-
-      if (matchedMerchants && matchedMerchants.length === 1) {
-        existingMerchantFullDetails = matchedMerchants[0];
-        merchantId = existingMerchantFullDetails.id;
-        logger.debug(
-          { transactionToken, merchantId },
-          "Unique merchant found by combination.",
-        );
-      } else if (matchedMerchants && matchedMerchants.length > 1) {
-        logger.warn(
-          {
-            transactionToken,
-            count: matchedMerchants.length,
-            details: merchantInfoToParse,
-          },
-          "Multiple merchants found by combination. Will proceed to create a new merchant if descriptor is present.",
-        );
-      } else {
-        logger.debug(
-          { transactionToken, details: merchantInfoToParse },
-          "No merchant found by combination.",
-        );
-      }
-    }
-
-    // If an existing merchant was identified (by acceptor_id or combination), update if details changed
-    if (merchantId && existingMerchantFullDetails) {
-      if (
-        areMerchantDetailsDifferent(
-          existingMerchantFullDetails,
-          merchantInfoToParse,
-        )
-      ) {
-        logger.info(
-          { transactionToken, merchantId },
-          "Merchant details differ, attempting update.",
-        );
-        
-        // Enrich with MCC details before updating
-        const enrichedMerchantInfo = await enrichMerchantWithMCC(merchantInfoToParse);
-        
-        const detailsToUpdate = {
-          descriptor: enrichedMerchantInfo.descriptor,
-          city: enrichedMerchantInfo.city || null,
-          state: enrichedMerchantInfo.state || null,
-          country: enrichedMerchantInfo.country || null,
-          mcc: enrichedMerchantInfo.mcc || null,
-          mcc_description: enrichedMerchantInfo.mcc_description,
-          mcc_category: enrichedMerchantInfo.mcc_category,
-        };
-        
-        if (enrichedMerchantInfo.acceptor_id) {
-          detailsToUpdate.acceptor_id = enrichedMerchantInfo.acceptor_id;
-        }
-
-        const { error: updateError } = await supabase_client
-          .from("merchants")
-          .update(detailsToUpdate)
-          .eq("id", merchantId);
-
-        if (updateError) {
-          logger.error(
-            { err: updateError, transactionToken, merchantId, detailsToUpdate },
-            "Could not update existing merchant details.",
-          );
-        } else {
-          logger.info(
-            { transactionToken, merchantId },
-            "Merchant details updated successfully.",
-          );
-        }
-      } else {
-        logger.debug(
-          { transactionToken, merchantId },
-          "Existing merchant details match. No update needed.",
-        );
-      }
-    }
-    // If no existing merchant was conclusively identified, and we have a descriptor, create a new one.
-    else if (!merchantId && merchantInfoToParse.descriptor) {
-      // This block is reached if:
-      // - acceptor_id was null OR acceptor_id search yielded no results
-      // - AND combo search (if descriptor was present) yielded no unique result
-      logger.info(
-        { transactionToken, merchantInfo: merchantInfoToParse },
-        "Creating new merchant as no definitive existing match was found.",
-      );
-      
-      // Enrich with MCC details before creating
-      const enrichedMerchantInfo = await enrichMerchantWithMCC(merchantInfoToParse);
-      
-      const { data: newMerchant, error: insertError } = await supabase_client
-        .from("merchants")
-        .insert([enrichedMerchantInfo])
-        .select("id")
-        .single();
-
-      if (insertError) {
-        logger.error(
-          {
-            err: insertError,
-            transactionToken,
-            merchantInfo: merchantInfoToParse,
-          },
-          "Error inserting new merchant.",
-        );
-        throw insertError;
-      }
-      merchantId = newMerchant.id;
-      logger.info(
-        { transactionToken, newMerchantId: merchantId },
-        "New merchant created successfully.",
-      );
-    }
-    // If still no merchantId
-    else if (!merchantId) {
-      logger.warn(
-        { transactionToken, merchantInfo: merchantInfoToParse },
-        "Could not identify or create a merchant (e.g., missing descriptor for new, or ambiguous match without acceptor_id). Transaction will not be linked to a specific merchant record by this process.",
-      );
-    }
-
-    logger.debug({ transactionToken }, "Upserting transaction details.");
-    const { error: transactionError } = await supabase_client
-      .from("transactions")
-      .upsert([transactionDetailsToSave], {
-        onConflict: "token",
-      });
-
-    if (transactionError) {
-      logger.error(
-        {
-          err: transactionError,
-          transactionToken,
-          details: transactionDetailsToSave,
-        },
-        "Error upserting transaction.",
-      );
-      throw transactionError;
-    }
-    logger.debug(
-      { transactionToken },
-      "Transaction details upserted successfully.",
-    );
+    const transactionEvents = parseTransactionEvents(lithicTransaction);
+    const merchantId = await storage.transactions.ingest({
+      transaction: transactionDetailsToSave,
+      events: transactionEvents,
+      merchant: await enrichMerchantWithMCC(merchantInfoToParse),
+    });
+    const lifecycle = getTransactionLifecycle(transactionEvents);
 
+    // Group this merchant with the other descriptors of the same business
+    let merchantGroupId = null;
     if (merchantId) {
-      logger.debug(
-        { transactionToken, merchantId },
-        "Linking transaction to merchant.",
-      );
-      const { error: linkError } = await supabase_client
-        .from("transaction_merchants")
-        .upsert(
-          {
-            transaction_token: transactionToken,
-            merchant_id: merchantId,
-          },
-          {
-            onConflict: "transaction_token,merchant_id",
-          },
-        );
-
-      if (linkError) {
+      try {
+        merchantGroupId = await resolveMerchantGroup(merchantId, merchantInfoToParse);
+      } catch (groupError) {
         logger.warn(
-          { err: linkError, transactionToken, merchantId },
-          "Error linking transaction to merchant (link might already exist or other issue).",
-        );
-      } else {
-        logger.debug(
-          { transactionToken, merchantId },
-          "Transaction linked to merchant successfully.",
+          { err: groupError, transactionToken, merchantId },
+          "Could not resolve merchant group. Merchant intelligence will use this merchant only.",
         );
       }
-    } else {
-      logger.info(
-        { transactionToken },
-        "No merchantId available to link transaction.",
-      );
     }
 
     logger.info(
@@ -341,19 +104,30 @@ export async function saveTransaction(lithicTransaction) {
         amount: transactionDetailsToSave.cardholder_amount,
         currency: transactionDetailsToSave.cardholder_currency,
         result: transactionDetailsToSave.result,
+        lifecycleStage: lifecycle.stage,
       },
       "Transaction processed and saved successfully to Supabase.",
     );
 
+    const saveResult = {
+      success: true,
+      transaction_token: transactionToken,
+      merchant_id: merchantId,
+      merchant_group_id: merchantGroupId,
+      details: transactionDetailsToSave,
+      lifecycle,
+    };
+
+    if (!broadcast) {
+      logger.debug({ transactionToken }, "Alert broadcast skipped for this save.");
+      return saveResult;
+    }
+
     // NEW: Trigger real-time alert after successful transaction save
     try {
-      // Calculate amount with proper fallbacks
-      const rawAmount = transactionDetailsToSave.cardholder_amount || 
-                       transactionDetailsToSave.merchant_amount || 
-                       lithicTransaction.amount || 0;
-      const formattedAmount = typeof rawAmount === 'number' && !isNaN(rawAmount) 
-        ? `$${(rawAmount / 100).toFixed(2)}`
-        : '$0.00';
+      // Amounts in minor units of their own currency (cents, yen, fils...)
+      const amounts = getTransactionAmounts(transactionDetailsToSave);
+      const formattedAmount = formatMoney(amounts.cardholder);
 
       // Format location with better fallback
       const locationParts = [
@@ -389,87 +163,50 @@ export async function saveTransaction(lithicTransaction) {
         geographicPattern: 'New location for this card'
       };
 
-      // Check for previous transactions with this acceptor_id for this card
+      // Check for previous transactions with this merchant (any descriptor of its group) for this card
       if (merchantInfoToParse.acceptor_id && merchantId) {
         try {
-          // First, get all transaction tokens for this merchant
-          const { data: merchantTransactions, error: merchantError } = await supabase_client
-            .from('transaction_merchants')
-            .select('transaction_token')
-            .eq('merchant_id', merchantId);
-
-          if (merchantError) {
-            logger.warn({ 
-              err: merchantError, 
-              merchantId: merchantId
-            }, 'Failed to get merchant transactions');
-          } else if (merchantTransactions && merchantTransactions.length > 0) {
-            // Get the transaction tokens (excluding current transaction)
-            const transactionTokens = merchantTransactions
-              .map(t => t.transaction_token)
-              .filter(token => token !== transactionToken);
-
-            if (transactionTokens.length > 0) {
-              // Now query transactions table for these tokens with the same card
-              const { data: previousTransactions, error: prevError } = await supabase_client
-                .from('transactions')
-                .select('token, card_token, created_at')
-                .eq('card_token', transactionDetailsToSave.card_token)
-                .in('token', transactionTokens)
-                .order('created_at', { ascending: false })
-                .limit(5);
-
-              logger.debug({
-                transactionToken,
-                cardToken: transactionDetailsToSave.card_token,
-                acceptorId: merchantInfoToParse.acceptor_id,
-                merchantId: merchantId,
-                merchantTransactionCount: merchantTransactions.length,
-                filteredTokens: transactionTokens,
-                previousCount: previousTransactions?.length || 0,
-                previousTokens: previousTransactions?.map(t => t.token) || [],
-                queryError: prevError?.message
-              }, 'Merchant intelligence analysis results');
-
-              if (!prevError && previousTransactions && previousTransactions.length > 0) {
-                merchantIntelligence = {
-                  isFirstTransaction: false,
-                  newMerchant: false,
-                  merchantHistory: `Previous transactions: ${previousTransactions.length} with this merchant`,
-                  geographicPattern: `Known merchant location for this card`
-                };
-                
-                logger.debug({
-                  transactionToken,
-                  acceptorId: merchantInfoToParse.acceptor_id,
-                  merchantId: merchantId,
-                  merchantIntelligence
-                }, 'Updated merchant intelligence - repeat merchant detected');
-              } else {
-                logger.debug({
-                  transactionToken,
-                  acceptorId: merchantInfoToParse.acceptor_id,
-                  merchantId: merchantId,
-                  merchantIntelligence,
-                  reason: prevError ? 'query_error' : 'no_previous_transactions'
-                }, 'Merchant intelligence - first transaction with this merchant');
-              }
-            } else {
-              logger.debug({
-                transactionToken,
-                acceptorId: merchantInfoToParse.acceptor_id,
-                merchantId: merchantId,
-                merchantIntelligence,
-                reason: 'no_other_transactions_for_merchant'
-              }, 'Merchant intelligence - first transaction with this merchant');
-            }
+          const groupMerchantIds = merchantGroupId
+            ? await listMerchantGroupMerchantIds(merchantGroupId)
+            : [merchantId];
+
+          const previousTransactions = await storage.transactions.listCardTransactionsAtMerchants({
+            cardToken: transactionDetailsToSave.card_token,
+            merchantIds: groupMerchantIds.length > 0 ? groupMerchantIds : [merchantId],
+            excludeToken: transactionToken,
+            limit: 5,
+          });
+
+          logger.debug({
+            transactionToken,
+            cardToken: transactionDetailsToSave.card_token,
+            acceptorId: merchantInfoToParse.acceptor_id,
+            merchantId: merchantId,
+            previousCount: previousTransactions.length,
+            previousTokens: previousTransactions.map(t => t.token)
+          }, 'Merchant intelligence analysis results');
+
+          if (previousTransactions.length > 0) {
+            merchantIntelligence = {
+              isFirstTransaction: false,
+              newMerchant: false,
+              merchantHistory: `Previous transactions: ${previousTransactions.length} with this merchant`,
+              geographicPattern: `Known merchant location for this card`
+            };
+
+            logger.debug({
+              transactionToken,
+              acceptorId: merchantInfoToParse.acceptor_id,
+              merchantId: merchantId,
+              merchantIntelligence
+            }, 'Updated merchant intelligence - repeat merchant detected');
           } else {
             logger.debug({
               transactionToken,
               acceptorId: merchantInfoToParse.acceptor_id,
               merchantId: merchantId,
               merchantIntelligence,
-              reason: 'no_merchant_transactions_found'
+              reason: 'no_previous_transactions'
             }, 'Merchant intelligence - first transaction with this merchant');
           }
         } catch (intelligenceError) {
@@ -489,9 +226,13 @@ export async function saveTransaction(lithicTransaction) {
         cardToken: transactionDetailsToSave.card_token,
         immediate: {
           amount: formattedAmount,
+          currency: amounts.cardholder.currency,
+          // Charged in another currency: show what the merchant asked for as well
+          merchantAmount: amounts.is_foreign_currency ? formatMoney(amounts.merchant) : null,
           merchant: merchantInfoToParse.descriptor || 'Unknown Merchant',
           location: formattedLocation,
           status: transactionDetailsToSave.result || 'PENDING',
+          lifecycleStage: lifecycle.stage,
           network: networkInfo,
           networkTransactionID: transactionDetailsToSave.network_transaction_id || ''
         },
@@ -505,7 +246,7 @@ export async function saveTransaction(lithicTransaction) {
         intelligence: {
           isFirstTransaction: merchantIntelligence.isFirstTransaction,
           newMerchant: merchantIntelligence.newMerchant,
-          amountRange: (typeof rawAmount === 'number' && rawAmount < 500) ? 'small' : 'normal',
+          amountRange: toMajorUnits(amounts.cardholder) < 5 ? 'small' : 'normal',
           merchantHistory: merchantIntelligence.merchantHistory,
           geographicPattern: merchantIntelligence.geographicPattern
         }
@@ -514,7 +255,7 @@ export async function saveTransaction(lithicTransaction) {
       logger.debug({ 
         transactionToken,
         alertData,
-        rawAmount,
+        amounts,
         merchantInfo: merchantInfoToParse 
       }, 'Generated alert data for broadcast');
 
@@ -534,12 +275,7 @@ export async function saveTransaction(lithicTransaction) {
       }, 'Alert broadcast failed after successful transaction save');
     }
 
-    return {
-      success: true,
-      transaction_token: transactionToken,
-      merchant_id: merchantId,
-      details: transactionDetailsToSave,
-    };
+    return saveResult;
   } catch (error) {
     logger.error(
       {
@@ -561,32 +297,12 @@ export async function saveTransaction(lithicTransaction) {
 export async function getTransactionDetails(transactionToken) {
   try {
     logger.debug({ transactionToken }, `Fetching transaction details from DB.`);
-    const { data, error } = await supabase_client
-      .from("transaction_details")
-      .select("*")
-      .eq("token", transactionToken)
-      .single();
-
-    if (error) {
-      if (error.code === "PGRST116") {
-        logger.warn(
-          { transactionToken },
-          `Transaction details not found in DB.`,
-        );
-        return null;
-      }
-      logger.error(
-        { err: error, transactionToken },
-        `Error fetching transaction details from DB.`,
-      );
-      throw error;
-    }
+    const data = await storage.transactions.getDetails(transactionToken);
 
     if (!data) {
-      // Should be covered by PGRST116 + .single()
       logger.warn(
         { transactionToken },
-        `Transaction details not found in DB (no data).`,
+        `Transaction details not found in DB.`,
       );
       return null;
     }
@@ -595,10 +311,43 @@ export async function getTransactionDetails(transactionToken) {
       { transactionToken, data },
       `Transaction details fetched from DB.`,
     );
+
+    // Include the ASA decision made for this transaction, if any
+    let authorizationDecision = null;
+    try {
+      authorizationDecision = await getAuthorizationDecision(transactionToken);
+    } catch (decisionError) {
+      logger.warn(
+        { err: decisionError, transactionToken },
+        "Could not load authorization decision for transaction.",
+      );
+    }
+
+    // Include every event of the transaction and the lifecycle stage they add up to
+    let events = [];
+    try {
+      events = await getTransactionEvents(transactionToken);
+      if (events.length === 0 && data.raw_data) {
+        // Transactions stored before event tracking still carry the events in raw_data
+        events = parseTransactionEvents(data.raw_data);
+      }
+    } catch (eventsError) {
+      logger.warn(
+        { err: eventsError, transactionToken },
+        "Could not load transaction events for transaction.",
+      );
+    }
+
+    const amounts = getTransactionAmounts(data);
+
     return {
       ...data,
-      formatted_cardholder_amount: `${data.cardholder_currency} ${data.cardholder_amount_usd?.toFixed(2)}`,
-      formatted_merchant_amount: `${data.merchant_currency} ${data.merchant_amount_usd?.toFixed(2)}`,
+      authorization_decision: authorizationDecision,
+      events,
+      lifecycle: getTransactionLifecycle(events),
+      money: amounts,
+      formatted_cardholder_amount: formatMoney(amounts.cardholder),
+      formatted_merchant_amount: formatMoney(amounts.merchant),
       is_approved: data.result === "APPROVED",
       network_info: {
         type: data.network_type,
@@ -615,6 +364,21 @@ export async function getTransactionDetails(transactionToken) {
   }
 }
 
+/**
+ * Get the stored events of a transaction, oldest first.
+ * @param {string} transactionToken - The transaction token.
+ * @returns {Promise<Array>} Transaction events.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getTransactionEvents(transactionToken) {
+  try {
+    return await storage.transactions.listEvents(transactionToken);
+  } catch (error) {
+    logger.error({ err: error, transactionToken }, "Unhandled error fetching transaction events.");
+    throw error;
+  }
+}
+
 /**
  * Get the timestamp of the latest transaction stored in the database.
  * @returns {Promise<Object|null>} Object with created_at or null if no transactions.
@@ -622,23 +386,9 @@ export async function getTransactionDetails(transactionToken) {
 export async function getLatestTransactionTimestamp() {
   try {
     logger.debug("Fetching latest transaction timestamp from DB.");
-    const { data, error } = await supabase_client
-      .from("transactions")
-      .select("created_at")
-      .order("created_at", { ascending: false })
-      .limit(1)
-      .single();
-
-    if (error) {
-      if (error.code === "PGRST116") {
-        logger.info("No transactions found in DB to get latest timestamp.");
-        return null;
-      }
-      logger.error(
-        { err: error },
-        "Error fetching latest transaction timestamp:",
-      );
-      throw error;
+    const data = await storage.transactions.getLatestTimestamp();
+    if (!data) {
+      logger.info("No transactions found in DB to get latest timestamp.");
     }
     return data;
   } catch (error) {
@@ -651,106 +401,1071 @@ export async function getLatestTransactionTimestamp() {
 }
 
 /**
- * Checks if a transaction with the given token already exists in the database.
- * @param {string} transactionToken - The token of the transaction to check.
- * @returns {Promise<boolean>} True if the transaction exists, false otherwise.
+ * Look up the stored status and result of many transactions at once.
+ * @param {Array<string>} transactionTokens - Transaction tokens.
+ * @returns {Promise<Map<string, Object>>} Map of token to `{ status, result }` for stored transactions.
+ * @throws {Error} If fetching from Supabase fails.
  */
-export async function checkIfTransactionExists(transactionToken) {
+export async function getTransactionStatuses(transactionTokens) {
   try {
-    logger.debug({ transactionToken }, `Checking if transaction exists in DB.`);
-    const { data, error } = await supabase_client
-      .from("transactions")
-      .select("token")
-      .eq("token", transactionToken)
-      .maybeSingle();
-
-    if (error) {
-      logger.error(
-        { err: error, transactionToken },
-        `Error checking if transaction exists:`,
-      );
-      throw error;
-    }
-    return !!data;
+    return await storage.transactions.getStatuses(transactionTokens);
   } catch (error) {
-    logger.error(
-      { err: error, transactionToken },
-      `Unhandled error checking transaction existence:`,
-    );
+    logger.error({ err: error }, "Unhandled error fetching transaction statuses.");
     throw error;
   }
 }
 
 /**
- * Update existing merchants that are missing MCC descriptions and categories.
- * This is a utility function to backfill data for merchants created before MCC enrichment.
- * @returns {Promise<Object>} Results of the update operation
+ * List stored transactions still in PENDING status that were created before a given time.
+ * @param {Object} [options] - Query options.
+ * @param {string} [options.before] - Only transactions created before this ISO timestamp.
+ * @param {number} [options.limit=50] - Maximum rows, oldest first.
+ * @returns {Promise<Array>} Rows `{ token, status, result, created_at }`.
+ * @throws {Error} If fetching from Supabase fails.
  */
-export async function updateMerchantsWithMCCData() {
+export async function listPendingTransactions({ before, limit = 50 } = {}) {
   try {
-    logger.info("Starting MCC enrichment for existing merchants...");
-    
-    // Get merchants without MCC descriptions
-    const { data: merchantsToUpdate, error: selectError } = await supabase_client
-      .from("merchants")
-      .select("id, mcc, descriptor")
-      .is("mcc_description", null)
-      .not("mcc", "is", null);
-
-    if (selectError) {
-      logger.error("Error fetching merchants for MCC update:", selectError);
-      throw selectError;
-    }
+    return await storage.transactions.listPending({ before, limit });
+  } catch (error) {
+    logger.error({ err: error }, "Unhandled error listing pending transactions.");
+    throw error;
+  }
+}
 
-    if (!merchantsToUpdate || merchantsToUpdate.length === 0) {
-      logger.info("No merchants need MCC enrichment");
-      return { updated: 0, total: 0 };
-    }
+/**
+ * List stored transactions created within a time range, for reconciliation.
+ * @param {Object} range - Time range.
+ * @param {string} range.begin - Range start (ISO timestamp, inclusive).
+ * @param {string} range.end - Range end (ISO timestamp, exclusive).
+ * @returns {Promise<Array>} Rows `{ token, card_token, status, result, cardholder_amount, created_at }`.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function listTransactionsInRange({ begin, end }) {
+  try {
+    return await storage.transactions.listInRange({ begin, end });
+  } catch (error) {
+    logger.error({ err: error, begin, end }, "Unhandled error listing transactions in range.");
+    throw error;
+  }
+}
 
-    logger.info(`Found ${merchantsToUpdate.length} merchants needing MCC enrichment`);
-    
-    let updatedCount = 0;
-    let errorCount = 0;
+/**
+ * Get a polling checkpoint.
+ * @param {string} name - Checkpoint name (one per polling job).
+ * @returns {Promise<Object|null>} Checkpoint row or null if the job never completed a cycle.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getPollingCheckpoint(name) {
+  try {
+    return await storage.jobs.getCheckpoint(name);
+  } catch (error) {
+    logger.error({ err: error, name }, "Unhandled error fetching polling checkpoint.");
+    throw error;
+  }
+}
 
-    for (const merchant of merchantsToUpdate) {
-      try {
-        const mccDetails = await lookupMCC(merchant.mcc);
-        
-        if (mccDetails) {
-          const { error: updateError } = await supabase_client
-            .from("merchants")
-            .update({
-              mcc_description: mccDetails.description,
-              mcc_category: mccDetails.category
-            })
-            .eq("id", merchant.id);
-
-          if (updateError) {
-            logger.error(`Error updating merchant ${merchant.id}:`, updateError);
-            errorCount++;
-          } else {
-            updatedCount++;
-            logger.debug(`Updated merchant ${merchant.descriptor} (${merchant.id}) with MCC ${merchant.mcc}`);
-          }
-        } else {
-          logger.warn(`MCC ${merchant.mcc} not found for merchant ${merchant.descriptor}`);
-        }
-      } catch (error) {
-        logger.error(`Error processing merchant ${merchant.id}:`, error);
-        errorCount++;
-      }
-    }
+/**
+ * Save a polling checkpoint after a cycle.
+ * @param {string} name - Checkpoint name.
+ * @param {Object} checkpoint - Checkpoint values.
+ * @param {string|null} checkpoint.cursorAt - Newest transaction `created` fully processed.
+ * @param {boolean} checkpoint.succeeded - Whether the cycle completed without errors.
+ * @param {Object} checkpoint.lastResult - Counts reported by the cycle.
+ * @returns {Promise<Object>} Saved checkpoint row.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function savePollingCheckpoint(name, { cursorAt, succeeded, lastResult }) {
+  const now = new Date().toISOString();
+  const checkpoint = {
+    name,
+    cursor_at: cursorAt,
+    last_run_at: now,
+    last_result: lastResult,
+    updated_at: now,
+  };
+  if (succeeded) checkpoint.last_success_at = now;
 
-    logger.info(`MCC enrichment complete: ${updatedCount} updated, ${errorCount} errors`);
-    
-    return {
-      total: merchantsToUpdate.length,
-      updated: updatedCount,
-      errors: errorCount
-    };
+  try {
+    return await storage.jobs.saveCheckpoint(checkpoint);
+  } catch (error) {
+    logger.error({ err: error, name }, "Unhandled error saving polling checkpoint.");
+    throw error;
+  }
+}
 
+/**
+ * Acquire or renew a lease-based lock on a background job.
+ * The lease is taken when nobody holds it, when it expired, or when the caller
+ * already holds it (renewal). The conditional update makes this safe across instances.
+ * @param {string} name - Job name.
+ * @param {string} holderId - Id of the instance asking for the lease.
+ * @param {number} leaseMs - Lease duration in milliseconds.
+ * @returns {Promise<Object>} `{ acquired, lease }` where lease is the current lease row (if known).
+ * @throws {Error} If reading or writing Supabase fails.
+ */
+export async function acquireJobLease(name, holderId, leaseMs) {
+  try {
+    return await storage.jobs.acquireLease(name, holderId, leaseMs);
   } catch (error) {
-    logger.error("Error in updateMerchantsWithMCCData:", error);
+    logger.error({ err: error, name, holderId }, "Unhandled error acquiring job lease.");
+    throw error;
+  }
+}
+
+/**
+ * Release a job lease held by the caller so another instance can take over right away.
+ * @param {string} name - Job name.
+ * @param {string} holderId - Id of the instance holding the lease.
+ * @returns {Promise<boolean>} True if a lease held by the caller was released.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function releaseJobLease(name, holderId) {
+  try {
+    return await storage.jobs.releaseLease(name, holderId);
+  } catch (error) {
+    logger.error({ err: error, name, holderId }, "Unhandled error releasing job lease.");
+    throw error;
+  }
+}
+
+/**
+ * Get the current lease of a job.
+ * @param {string} name - Job name.
+ * @returns {Promise<Object|null>} Lease row or null if the job never had a lease.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getJobLease(name) {
+  try {
+    return await storage.jobs.getLease(name);
+  } catch (error) {
+    logger.error({ err: error, name }, "Unhandled error fetching job lease.");
+    throw error;
+  }
+}
+
+/**
+ * Create a transaction backfill job record.
+ * @param {Object} job - Job row (id, begin_at, end_at, card_token, window_ms, cursor_at, ...).
+ * @returns {Promise<Object>} Stored job row.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function createBackfillJob(job) {
+  try {
+    const now = new Date().toISOString();
+    return await storage.jobs.createBackfill({ ...job, created_at: now, updated_at: now });
+  } catch (error) {
+    logger.error({ err: error, jobId: job.id }, "Unhandled error creating backfill job.");
+    throw error;
+  }
+}
+
+/**
+ * Update a transaction backfill job record (progress, status, errors).
+ * @param {string} jobId - Job id.
+ * @param {Object} fields - Columns to update.
+ * @returns {Promise<Object>} Updated job row.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function updateBackfillJob(jobId, fields) {
+  try {
+    return await storage.jobs.updateBackfill(jobId, { ...fields, updated_at: new Date().toISOString() });
+  } catch (error) {
+    logger.error({ err: error, jobId }, "Unhandled error updating backfill job.");
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Get a transaction backfill job.
+ * @param {string} jobId - Job id.
+ * @returns {Promise<Object|null>} Job row or null if not found.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getBackfillJob(jobId) {
+  try {
+    return await storage.jobs.getBackfill(jobId);
+  } catch (error) {
+    logger.error({ err: error, jobId }, "Unhandled error fetching backfill job.");
+    throw error;
+  }
+}
+
+/**
+ * List recent transaction backfill jobs, newest first.
+ * @param {Object} [options] - Query options.
+ * @param {number} [options.limit=20] - Maximum rows.
+ * @returns {Promise<Array>} Job rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function listBackfillJobs({ limit = 20 } = {}) {
+  try {
+    return await storage.jobs.listBackfills({ limit });
+  } catch (error) {
+    logger.error({ err: error }, "Unhandled error listing backfill jobs.");
+    throw error;
+  }
+}
+
+/**
+ * Store a reconciliation report.
+ * @param {Object} report - Report produced by the reconciliation job.
+ * @returns {Promise<Object>} Stored report row.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function saveReconciliationReport(report) {
+  try {
+    return await storage.jobs.saveReconciliationReport(report);
+  } catch (error) {
+    logger.error({ err: error, reportId: report.id }, "Unhandled error saving reconciliation report.");
+    throw error;
+  }
+}
+
+/**
+ * Get the most recent reconciliation report.
+ * @returns {Promise<Object|null>} Report row or null if reconciliation never ran.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getLatestReconciliationReport() {
+  try {
+    return await storage.jobs.getLatestReconciliationReport();
+  } catch (error) {
+    logger.error({ err: error }, "Unhandled error fetching latest reconciliation report.");
+    throw error;
+  }
+}
+
+/**
+ * Checks if a transaction with the given token already exists in the database.
+ * @param {string} transactionToken - The token of the transaction to check.
+ * @returns {Promise<boolean>} True if the transaction exists, false otherwise.
+ */
+export async function checkIfTransactionExists(transactionToken) {
+  try {
+    logger.debug({ transactionToken }, `Checking if transaction exists in DB.`);
+    return await storage.transactions.exists(transactionToken);
+  } catch (error) {
+    logger.error(
+      { err: error, transactionToken },
+      `Unhandled error checking transaction existence:`,
+    );
+    throw error;
+  }
+}
+
+/**
+ * Update existing merchants that are missing MCC descriptions and categories.
+ * This is a utility function to backfill data for merchants created before MCC enrichment.
+ * @returns {Promise<Object>} Results of the update operation
+ */
+export async function updateMerchantsWithMCCData() {
+  try {
+    logger.info("Starting MCC enrichment for existing merchants...");
+    
+    // Get merchants without MCC descriptions
+    const merchantsToUpdate = await storage.merchants.listMissingMccDetails();
+
+    if (merchantsToUpdate.length === 0) {
+      logger.info("No merchants need MCC enrichment");
+      return { updated: 0, total: 0 };
+    }
+
+    logger.info(`Found ${merchantsToUpdate.length} merchants needing MCC enrichment`);
+    
+    let updatedCount = 0;
+    let errorCount = 0;
+
+    for (const merchant of merchantsToUpdate) {
+      try {
+        const mccDetails = await lookupMCC(merchant.mcc);
+        
+        if (mccDetails) {
+          await storage.merchants.updateMccDetails(merchant.id, {
+            mcc_description: mccDetails.description,
+            mcc_category: mccDetails.category
+          });
+          updatedCount++;
+          logger.debug(`Updated merchant ${merchant.descriptor} (${merchant.id}) with MCC ${merchant.mcc}`);
+        } else {
+          logger.warn(`MCC ${merchant.mcc} not found for merchant ${merchant.descriptor}`);
+        }
+      } catch (error) {
+        logger.error(`Error processing merchant ${merchant.id}:`, error);
+        errorCount++;
+      }
+    }
+
+    logger.info(`MCC enrichment complete: ${updatedCount} updated, ${errorCount} errors`);
+    
+    return {
+      total: merchantsToUpdate.length,
+      updated: updatedCount,
+      errors: errorCount
+    };
+
+  } catch (error) {
+    logger.error("Error in updateMerchantsWithMCCData:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save a Lithic card to the card registry and record any state change in its history.
+ * The card and its history entry are written in one database transaction that
+ * serializes saves of the same card, so concurrent webhooks for one card never
+ * diff against the same previous state and a stored change always has its history.
+ * @param {Object} lithicCard - Lithic card object (the PAN is never stored).
+ * @param {Object} [options] - Save options.
+ * @param {string} [options.eventType='card.sync'] - What triggered the save (webhook type or operation).
+ * @returns {Promise<Object>} Object with the card token, whether it was new, and the recorded changes.
+ * @throws {Error} If saving to Supabase fails.
+ */
+export async function saveCard(lithicCard, { eventType = "card.sync" } = {}) {
+  const cardToken = lithicCard?.token || "unknown_token";
+  try {
+    logger.debug({ cardToken, eventType }, "Attempting to save card to registry.");
+
+    const cardDetailsToSave = parseCardDetails(lithicCard);
+    const { previous: existingCard, changes } = await storage.cards.save(cardDetailsToSave, { eventType });
+
+    logger.info(
+      {
+        cardToken,
+        eventType,
+        state: cardDetailsToSave.state,
+        isNew: !existingCard,
+        changedFields: Object.keys(changes),
+      },
+      "Card saved to registry successfully.",
+    );
+
+    return {
+      success: true,
+      card_token: cardToken,
+      is_new: !existingCard,
+      changes,
+      details: cardDetailsToSave,
+    };
+  } catch (error) {
+    logger.error({ err: error, cardToken }, "Critical error in saveCard function.");
+    throw error;
+  }
+}
+
+/**
+ * Get a card from the registry.
+ * @param {string} cardToken - The token of the card to fetch.
+ * @returns {Promise<Object|null>} Card record or null if the card is not registered.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getCard(cardToken) {
+  try {
+    return await storage.cards.get(cardToken);
+  } catch (error) {
+    logger.error({ err: error, cardToken }, "Unhandled error fetching card from registry.");
+    throw error;
+  }
+}
+
+/**
+ * List cards stored in the registry.
+ * @param {Object} [params] - Filter parameters.
+ * @param {string} [params.state] - Only return cards in this state (e.g. "OPEN").
+ * @returns {Promise<Array>} Array of card records, newest first.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function listStoredCards({ state } = {}) {
+  try {
+    return await storage.cards.list({ state });
+  } catch (error) {
+    logger.error({ err: error }, "Unhandled error listing cards from registry.");
+    throw error;
+  }
+}
+
+/**
+ * Get the recorded state history of a card.
+ * @param {string} cardToken - The token of the card.
+ * @param {number} [limit=50] - Maximum number of history entries to return.
+ * @returns {Promise<Array>} History entries, newest first.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getCardStateHistory(cardToken, limit = 50) {
+  try {
+    return await storage.cards.listHistory(cardToken, limit);
+  } catch (error) {
+    logger.error({ err: error, cardToken }, "Unhandled error fetching card state history.");
+    throw error;
+  }
+}
+
+/**
+ * Record a raw webhook event in the durable event log, de-duplicated by webhook-id.
+ * @param {Object} event - Webhook event to record.
+ * @param {string} event.webhookId - The `webhook-id` header of the delivery.
+ * @param {string} event.eventType - Lithic event type (e.g. "transaction.created").
+ * @param {string|null} event.eventToken - Token of the object the event refers to.
+ * @param {Object} event.payload - Full parsed webhook body.
+ * @returns {Promise<Object>} `{ event, isDuplicate }` where event is the stored row.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function recordWebhookEvent({ webhookId, eventType, eventToken, payload }) {
+  try {
+    const existingEvent = await storage.webhookEvents.get(webhookId);
+    if (existingEvent) {
+      logger.info(
+        { webhookId, status: existingEvent.status },
+        "Webhook event already recorded.",
+      );
+      return { event: existingEvent, isDuplicate: true };
+    }
+
+    const now = new Date().toISOString();
+    const { event, inserted } = await storage.webhookEvents.insert({
+      webhook_id: webhookId,
+      event_type: eventType,
+      event_token: eventToken,
+      payload,
+      status: "received",
+      attempts: 0,
+      received_at: now,
+      updated_at: now,
+    });
+
+    if (!inserted) {
+      // A concurrent delivery of the same webhook won the insert
+      logger.info({ webhookId }, "Concurrent duplicate webhook delivery detected.");
+      return { event, isDuplicate: true };
+    }
+
+    logger.debug({ webhookId, eventType }, "Webhook event recorded.");
+    return { event, isDuplicate: false };
+  } catch (error) {
+    logger.error({ err: error, webhookId }, "Unhandled error recording webhook event.");
+    throw error;
+  }
+}
+
+/**
+ * Update the processing status of a recorded webhook event.
+ * @param {string} webhookId - The webhook-id of the event.
+ * @param {string} status - New status ("processing", "processed" or "failed").
+ * @param {Object} [details] - Extra fields to record.
+ * @param {number} [details.attempts] - Number of processing attempts so far.
+ * @param {string|null} [details.error] - Error message of the last failed attempt.
+ * @returns {Promise<void>}
+ * @throws {Error} If updating Supabase fails.
+ */
+export async function updateWebhookEventStatus(webhookId, status, { attempts, error: lastError } = {}) {
+  try {
+    const updates = { status, updated_at: new Date().toISOString() };
+    if (typeof attempts === "number") updates.attempts = attempts;
+    if (lastError !== undefined) updates.last_error = lastError;
+    if (status === "processed") updates.processed_at = new Date().toISOString();
+
+    await storage.webhookEvents.update(webhookId, updates);
+  } catch (error) {
+    logger.error({ err: error, webhookId, status }, "Unhandled error updating webhook event status.");
+    throw error;
+  }
+}
+
+/**
+ * Move a recorded webhook event to a new status only if it is still in one of the expected
+ * statuses, so two instances can never both take the same event.
+ * @param {string} webhookId - The webhook-id of the event.
+ * @param {Object} params - Claim parameters.
+ * @param {string[]} params.from - Statuses the event may currently have.
+ * @param {string} [params.to="processing"] - Status to move the event to.
+ * @param {string} [params.updatedBefore] - Only claim an event whose status last changed before this ISO time.
+ * @param {number} [params.attempts] - Number of processing attempts to record.
+ * @param {string} [params.error] - Error message to record.
+ * @returns {Promise<Object|null>} The claimed event, or null if it is missing or another instance claimed it.
+ * @throws {Error} If updating Supabase fails.
+ */
+export async function claimWebhookEvent(webhookId, { from, to = "processing", updatedBefore, attempts, error: lastError }) {
+  try {
+    const updates = { status: to, updated_at: new Date().toISOString() };
+    if (typeof attempts === "number") updates.attempts = attempts;
+    if (lastError !== undefined) updates.last_error = lastError;
+
+    return await storage.webhookEvents.claim(webhookId, { statuses: from, updatedBefore }, updates);
+  } catch (error) {
+    logger.error({ err: error, webhookId, status: to }, "Unhandled error claiming webhook event.");
+    throw error;
+  }
+}
+
+/**
+ * Get a recorded webhook event by webhook-id.
+ * @param {string} webhookId - The webhook-id of the event.
+ * @returns {Promise<Object|null>} Stored event or null if not recorded.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getWebhookEvent(webhookId) {
+  try {
+    return await storage.webhookEvents.get(webhookId);
+  } catch (error) {
+    logger.error({ err: error, webhookId }, "Unhandled error fetching webhook event.");
+    throw error;
+  }
+}
+
+/**
+ * List recorded webhook events.
+ * @param {Object} [params] - Filter parameters.
+ * @param {string} [params.status] - Only return events with this status.
+ * @param {string} [params.eventType] - Only return events of this type.
+ * @param {string} [params.updatedBefore] - Only return events whose status last changed before this ISO time.
+ * @param {number} [params.maxAttempts] - Only return events with fewer attempts than this.
+ * @param {number} [params.limit=50] - Maximum number of events to return.
+ * @returns {Promise<Array>} Stored events, oldest first so replays keep delivery order.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function listWebhookEvents({ status, eventType, updatedBefore, maxAttempts, limit = 50 } = {}) {
+  try {
+    return await storage.webhookEvents.list({ status, eventType, updatedBefore, maxAttempts, limit });
+  } catch (error) {
+    logger.error({ err: error }, "Unhandled error listing webhook events.");
+    throw error;
+  }
+}
+
+/**
+ * Get when the newest webhook delivery was recorded by any instance.
+ * @returns {Promise<string|null>} ISO time, or null if no webhook was ever recorded.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getLatestWebhookReceivedAt() {
+  try {
+    return await storage.webhookEvents.getLatestReceivedAt();
+  } catch (error) {
+    logger.error({ err: error }, "Unhandled error fetching latest webhook delivery time.");
+    throw error;
+  }
+}
+
+/**
+ * Get the authorization rule set configured for a card.
+ * @param {string} cardToken - The card token.
+ * @returns {Promise<Object|null>} Stored rule set row or null if the card has none.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getCardAuthorizationRules(cardToken) {
+  try {
+    return await storage.authorization.getRules(cardToken);
+  } catch (error) {
+    logger.error({ err: error, cardToken }, "Unhandled error fetching card authorization rules.");
+    throw error;
+  }
+}
+
+/**
+ * Save (replace) the authorization rule set for a card.
+ * @param {string} cardToken - The card token.
+ * @param {Object} ruleSet - Validated rule set.
+ * @returns {Promise<Object>} Stored rule set row.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function saveCardAuthorizationRules(cardToken, ruleSet) {
+  try {
+    const data = await storage.authorization.saveRules(cardToken, ruleSet);
+    logger.info(
+      { cardToken, ruleCount: ruleSet.rules?.length || 0 },
+      "Card authorization rules saved.",
+    );
+    return data;
+  } catch (error) {
+    logger.error({ err: error, cardToken }, "Unhandled error saving card authorization rules.");
+    throw error;
+  }
+}
+
+/**
+ * Persist an authorization decision. Decisions are keyed by transaction token,
+ * so they sit next to the transaction later stored by saveTransaction.
+ * @param {Object} decision - Decision row to store.
+ * @returns {Promise<void>}
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function saveAuthorizationDecision(decision) {
+  try {
+    await storage.authorization.saveDecision(decision);
+  } catch (error) {
+    logger.error(
+      { err: error, transactionToken: decision?.transaction_token },
+      "Unhandled error saving authorization decision.",
+    );
+    throw error;
+  }
+}
+
+/**
+ * Get the authorization decision made for a transaction.
+ * @param {string} transactionToken - The transaction token.
+ * @returns {Promise<Object|null>} Decision row or null if none was made.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getAuthorizationDecision(transactionToken) {
+  try {
+    return await storage.authorization.getDecision(transactionToken);
+  } catch (error) {
+    logger.error({ err: error, transactionToken }, "Unhandled error fetching authorization decision.");
+    throw error;
+  }
+}
+
+/**
+ * List authorization decisions, optionally for one card and since a point in time.
+ * @param {Object} [params] - Filter parameters.
+ * @param {string} [params.cardToken] - Only return decisions for this card.
+ * @param {string} [params.since] - ISO timestamp; only return newer decisions.
+ * @param {number} [params.limit=100] - Maximum number of decisions to return.
+ * @returns {Promise<Array>} Decision rows, newest first.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function listAuthorizationDecisions({ cardToken, since, limit = 100 } = {}) {
+  try {
+    return await storage.authorization.listDecisions({ cardToken, since, limit });
+  } catch (error) {
+    logger.error({ err: error, cardToken }, "Unhandled error listing authorization decisions.");
+    throw error;
+  }
+}
+
+/**
+ * Look up the card a stored transaction belongs to.
+ * @param {string} transactionToken - The transaction token.
+ * @returns {Promise<string|null>} Card token or null if the transaction is not stored.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getTransactionCardToken(transactionToken) {
+  try {
+    return await storage.transactions.getCardToken(transactionToken);
+  } catch (error) {
+    logger.error({ err: error, transactionToken }, "Unhandled error fetching transaction card token.");
+    throw error;
+  }
+}
+
+/**
+ * Save (upsert) a Lithic dispute from a dispute.updated event.
+ * @param {Object} lithicDispute - Lithic dispute object.
+ * @returns {Promise<Object>} Parsed dispute that was stored.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function saveDispute(lithicDispute) {
+  const disputeDetails = parseDisputeDetails(lithicDispute);
+  try {
+    await storage.accountEvents.upsertDispute(disputeDetails);
+    logger.info(
+      { disputeToken: disputeDetails.token, status: disputeDetails.status },
+      "Dispute saved successfully.",
+    );
+    return disputeDetails;
+  } catch (error) {
+    logger.error({ err: error, disputeToken: disputeDetails.token }, "Unhandled error saving dispute.");
+    throw error;
+  }
+}
+
+/**
+ * Save a digital_wallet.tokenization_* event.
+ * @param {string} eventType - Lithic event type.
+ * @param {Object} payload - Event payload.
+ * @returns {Promise<Object>} Parsed tokenization event that was stored.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function saveTokenizationEvent(eventType, payload) {
+  const tokenizationEvent = parseTokenizationEvent(eventType, payload);
+  try {
+    await storage.accountEvents.addTokenizationEvent(tokenizationEvent);
+    logger.info(
+      { cardToken: tokenizationEvent.card_token, eventType, status: tokenizationEvent.status },
+      "Tokenization event saved successfully.",
+    );
+    return tokenizationEvent;
+  } catch (error) {
+    logger.error({ err: error, eventType }, "Unhandled error saving tokenization event.");
+    throw error;
+  }
+}
+
+/**
+ * Save (upsert) a 3DS authentication from a three_ds_authentication.* event.
+ * @param {Object} authentication - Lithic 3DS authentication object.
+ * @returns {Promise<Object>} Parsed authentication that was stored.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function saveThreeDSAuthentication(authentication) {
+  const authenticationDetails = parseThreeDSAuthentication(authentication);
+  try {
+    await storage.accountEvents.upsertThreeDSAuthentication(authenticationDetails);
+    logger.info(
+      {
+        authenticationToken: authenticationDetails.token,
+        cardToken: authenticationDetails.card_token,
+        result: authenticationDetails.authentication_result,
+      },
+      "3DS authentication saved successfully.",
+    );
+    return authenticationDetails;
+  } catch (error) {
+    logger.error(
+      { err: error, authenticationToken: authenticationDetails.token },
+      "Unhandled error saving 3DS authentication.",
+    );
+    throw error;
+  }
+}
+
+/**
+ * Save the balances reported by a balance.updated event.
+ * @param {Object} payload - Event payload.
+ * @returns {Promise<Array>} Parsed balance snapshots that were stored.
+ * @throws {Error} If writing to Supabase fails.
+ */
+export async function saveBalanceSnapshots(payload) {
+  const snapshots = parseBalanceUpdate(payload);
+  try {
+    await storage.accountEvents.addBalanceSnapshots(snapshots);
+    logger.info({ count: snapshots.length }, "Balance snapshots saved successfully.");
+    return snapshots;
+  } catch (error) {
+    logger.error({ err: error }, "Unhandled error saving balance snapshots.");
+    throw error;
+  }
+}
+
+// ========== MERCHANT GROUPS ==========
+
+/**
+ * Minimum similarity for a group to be returned by a merchant name search.
+ */
+const MERCHANT_SEARCH_MIN_SCORE = 0.5;
+
+/**
+ * Fields of a new merchant group started by a merchant.
+ * @param {Object} merchantInfo - Merchant details `{ descriptor, mcc, country }`.
+ * @param {string} [canonicalName] - Display name; defaults to the normalized descriptor.
+ * @returns {Object} `{ canonical_name, normalized_descriptor, mcc, country }`.
+ */
+function buildMerchantGroup(merchantInfo, canonicalName) {
+  const normalized = normalizeDescriptor(merchantInfo.descriptor);
+  return {
+    canonical_name: canonicalName || normalized || merchantInfo.descriptor,
+    normalized_descriptor: normalized,
+    mcc: merchantInfo.mcc || null,
+    country: merchantInfo.country || null,
+  };
+}
+
+/**
+ * Create a merchant group for a merchant.
+ * @param {Object} merchantInfo - Merchant details `{ descriptor, mcc, country }`.
+ * @param {string} [canonicalName] - Display name; defaults to the normalized descriptor.
+ * @returns {Promise<Object>} Created group row.
+ * @throws {Error} If writing to Supabase fails.
+ */
+async function createMerchantGroup(merchantInfo, canonicalName) {
+  return storage.merchantGroups.create(buildMerchantGroup(merchantInfo, canonicalName));
+}
+
+/**
+ * Active merchant groups whose normalized descriptor starts with the descriptor's first word.
+ * @param {string} descriptor - Raw or normalized descriptor.
+ * @returns {Promise<Array>} Candidate group rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+async function listMerchantGroupCandidates(descriptor) {
+  const searchKey = getDescriptorSearchKey(descriptor);
+  if (!searchKey) {
+    return [];
+  }
+  return storage.merchantGroups.listActive({ prefix: searchKey, limit: 50 });
+}
+
+/**
+ * Put a merchant into the merchant group of the same business, creating one if no
+ * existing group is similar enough. Merchants that already have a group keep it, so
+ * manual merges and splits are never undone. The merchant is only assigned while it has
+ * no group, so concurrent resolutions of one merchant all return the group that won.
+ * @param {string} merchantId - Merchant id.
+ * @param {Object} merchantInfo - Parsed merchant details.
+ * @returns {Promise<string>} Merchant group id.
+ * @throws {Error} If reading or writing Supabase fails.
+ */
+export async function resolveMerchantGroup(merchantId, merchantInfo) {
+  const merchant = await storage.merchantGroups.getMerchant(merchantId);
+  if (!merchant) {
+    throw new Error(`Merchant ${merchantId} not found.`);
+  }
+  if (merchant.merchant_group_id) {
+    return merchant.merchant_group_id;
+  }
+
+  const candidates = await listMerchantGroupCandidates(merchantInfo.descriptor);
+  const match = findBestMerchantGroup(merchantInfo, candidates);
+  const group = match ? match.group : await createMerchantGroup(merchantInfo);
+
+  // Another transaction of the same merchant may have grouped it since it was read
+  const groupId = await storage.merchantGroups.assignMerchantIfUngrouped(merchantId, group.id);
+  if (!groupId) {
+    throw new Error(`Merchant ${merchantId} not found.`);
+  }
+  if (groupId !== group.id) {
+    if (!match) {
+      // Retire the group created for nothing so it never shows up as a candidate
+      await storage.merchantGroups.markMerged([group.id], groupId);
+    }
+    logger.debug({ merchantId, groupId }, "Merchant was grouped by a concurrent resolution.");
+    return groupId;
+  }
+
+  await storage.merchantGroups.addHistory({
+    action: match ? "assign" : "create",
+    group_id: group.id,
+    merchant_ids: [merchantId],
+    score: match?.score ?? null,
+    reason: "automatic",
+    performed_by: "system",
+  });
+
+  logger.info(
+    { merchantId, groupId: group.id, score: match?.score, canonicalName: group.canonical_name },
+    match ? "Merchant joined existing merchant group." : "Merchant started a new merchant group.",
+  );
+  return group.id;
+}
+
+/**
+ * List the ids of the merchants in a merchant group.
+ * @param {string} groupId - Merchant group id.
+ * @returns {Promise<Array<string>>} Merchant ids.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function listMerchantGroupMerchantIds(groupId) {
+  const merchants = await storage.merchantGroups.listMerchants(groupId);
+  return merchants.map((merchant) => merchant.id);
+}
+
+/**
+ * Get a merchant group with its merchants (descriptor variants).
+ * @param {string} groupId - Merchant group id.
+ * @returns {Promise<Object|null>} Group row with `merchants`, or null if not found.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getMerchantGroup(groupId) {
+  try {
+    const group = await storage.merchantGroups.get(groupId);
+    if (!group) {
+      return null;
+    }
+    const merchants = await storage.merchantGroups.listMerchants(groupId);
+    return { ...group, merchants };
+  } catch (error) {
+    logger.error({ err: error, groupId }, "Unhandled error fetching merchant group.");
+    throw error;
+  }
+}
+
+/**
+ * List active merchant groups, optionally filtered by name.
+ * @param {Object} [options] - Query options.
+ * @param {string} [options.search] - Only groups whose normalized descriptor contains this text.
+ * @param {number} [options.limit=50] - Maximum rows.
+ * @returns {Promise<Array>} Group rows.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function listMerchantGroups({ search, limit = 50 } = {}) {
+  try {
+    const normalizedSearch = normalizeDescriptor(search);
+    return await storage.merchantGroups.listActive({ contains: normalizedSearch || undefined, limit });
+  } catch (error) {
+    logger.error({ err: error }, "Unhandled error listing merchant groups.");
+    throw error;
+  }
+}
+
+/**
+ * Find the merchant groups best matching a merchant name or descriptor.
+ * @param {string} name - Merchant name or descriptor, e.g. "amzn mktp".
+ * @param {number} [limit=5] - Maximum groups.
+ * @returns {Promise<Array>} Group rows with `score`, best first.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function findMerchantGroupsByName(name, limit = 5) {
+  const normalized = normalizeDescriptor(name);
+  if (!normalized) {
+    return [];
+  }
+
+  try {
+    const candidates = await listMerchantGroupCandidates(normalized);
+    return candidates
+      .map((group) => ({ ...group, score: descriptorSimilarity(normalized, group.normalized_descriptor) }))
+      .filter((group) => group.score >= MERCHANT_SEARCH_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  } catch (error) {
+    logger.error({ err: error, name }, "Unhandled error searching merchant groups.");
+    throw error;
+  }
+}
+
+/**
+ * Get the merchant group of the merchant a transaction was linked to.
+ * @param {string} transactionToken - Transaction token.
+ * @returns {Promise<string|null>} Merchant group id, or null if the transaction has none.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getTransactionMerchantGroupId(transactionToken) {
+  try {
+    return await storage.merchantGroups.getTransactionGroupId(transactionToken);
+  } catch (error) {
+    logger.error({ err: error, transactionToken }, "Unhandled error fetching transaction merchant group.");
+    throw error;
+  }
+}
+
+/**
+ * List the tokens of transactions made at any merchant of a merchant group.
+ * @param {string} groupId - Merchant group id.
+ * @returns {Promise<Array<string>>} Transaction tokens.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function listMerchantGroupTransactionTokens(groupId) {
+  try {
+    const merchantIds = await listMerchantGroupMerchantIds(groupId);
+    if (merchantIds.length === 0) {
+      return [];
+    }
+    return await storage.merchantGroups.listTransactionTokens(merchantIds);
+  } catch (error) {
+    logger.error({ err: error, groupId }, "Unhandled error listing merchant group transactions.");
+    throw error;
+  }
+}
+
+/**
+ * Merge merchant groups into a target group. Source groups are kept, marked
+ * `merged_into`, so the merge stays visible in their history.
+ * @param {string} targetGroupId - Group that receives the merchants.
+ * @param {Array<string>} sourceGroupIds - Groups to merge into the target.
+ * @param {Object} [options] - Merge details.
+ * @param {string} [options.reason] - Why the groups were merged.
+ * @param {string} [options.performedBy="admin"] - Who merged them.
+ * @returns {Promise<Object|null>} `{ merged, reason, group }`, or null if the target does not exist.
+ * @throws {Error} If reading or writing Supabase fails.
+ */
+export async function mergeMerchantGroups(targetGroupId, sourceGroupIds, { reason = null, performedBy = "admin" } = {}) {
+  try {
+    const target = await getMerchantGroup(targetGroupId);
+    if (!target) {
+      return null;
+    }
+    if (target.merged_into) {
+      return { merged: false, reason: `Target group was merged into ${target.merged_into}`, group: target };
+    }
+    if (sourceGroupIds.includes(targetGroupId)) {
+      return { merged: false, reason: "A group cannot be merged into itself", group: target };
+    }
+
+    const sources = await storage.merchantGroups.listByIds(sourceGroupIds);
+    const activeSourceIds = sources.filter((group) => !group.merged_into).map((group) => group.id);
+    if (activeSourceIds.length !== sourceGroupIds.length) {
+      return { merged: false, reason: "Some source groups do not exist or were already merged", group: target };
+    }
+
+    const result = await storage.merchantGroups.merge({
+      targetGroupId,
+      sourceGroupIds: activeSourceIds,
+      reason,
+      performedBy,
+    });
+    if (!result.merged) {
+      return { merged: false, reason: result.reason, group: await getMerchantGroup(targetGroupId) };
+    }
+
+    logger.info(
+      {
+        targetGroupId,
+        sourceGroupIds: activeSourceIds,
+        merchantCount: result.sources.reduce((count, source) => count + source.merchant_ids.length, 0),
+      },
+      "Merchant groups merged.",
+    );
+    return { merged: true, reason: null, group: await getMerchantGroup(targetGroupId) };
+  } catch (error) {
+    logger.error({ err: error, targetGroupId }, "Unhandled error merging merchant groups.");
+    throw error;
+  }
+}
+
+/**
+ * Split merchants out of a merchant group into a new group.
+ * @param {string} groupId - Group to split.
+ * @param {Array<string>} merchantIds - Merchants that move to the new group.
+ * @param {Object} [options] - Split details.
+ * @param {string} [options.canonicalName] - Name of the new group.
+ * @param {string} [options.reason] - Why the group was split.
+ * @param {string} [options.performedBy="admin"] - Who split it.
+ * @returns {Promise<Object|null>} `{ split, reason, group, newGroup }`, or null if the group does not exist.
+ * @throws {Error} If reading or writing Supabase fails.
+ */
+export async function splitMerchantGroup(groupId, merchantIds, { canonicalName, reason = null, performedBy = "admin" } = {}) {
+  try {
+    const group = await getMerchantGroup(groupId);
+    if (!group) {
+      return null;
+    }
+
+    const groupMerchantIds = new Set(group.merchants.map((merchant) => merchant.id));
+    if (!merchantIds.every((merchantId) => groupMerchantIds.has(merchantId))) {
+      return { split: false, reason: "Some merchants are not in this group", group };
+    }
+    if (merchantIds.length >= groupMerchantIds.size) {
+      return { split: false, reason: "At least one merchant must stay in the group", group };
+    }
+
+    const firstMerchant = group.merchants.find((merchant) => merchant.id === merchantIds[0]);
+    const result = await storage.merchantGroups.split({
+      groupId,
+      merchantIds,
+      group: buildMerchantGroup(firstMerchant, canonicalName),
+      reason,
+      performedBy,
+    });
+    if (!result.split) {
+      // The group changed since it was read
+      return { split: false, reason: result.reason, group: await getMerchantGroup(groupId) };
+    }
+
+    logger.info({ groupId, newGroupId: result.groupId, merchantCount: merchantIds.length }, "Merchant group split.");
+    return {
+      split: true,
+      reason: null,
+      group: await getMerchantGroup(groupId),
+      newGroup: await getMerchantGroup(result.groupId),
+    };
+  } catch (error) {
+    logger.error({ err: error, groupId }, "Unhandled error splitting merchant group.");
+    throw error;
+  }
+}
+
+/**
+ * Get the history of a merchant group (creation, automatic assignments, merges and splits).
+ * @param {string} groupId - Merchant group id.
+ * @param {number} [limit=50] - Maximum entries.
+ * @returns {Promise<Array>} History entries, newest first.
+ * @throws {Error} If fetching from Supabase fails.
+ */
+export async function getMerchantGroupHistory(groupId, limit = 50) {
+  try {
+    return await storage.merchantGroups.listHistory(groupId, limit);
+  } catch (error) {
+    logger.error({ err: error, groupId }, "Unhandled error fetching merchant group history.");
+    throw error;
+  }
+}
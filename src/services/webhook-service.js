@@ -0,0 +1,536 @@
+import * as lithic_service from "./lithic-service.js";
+import * as supabase_service from "./supabase-service.js";
+import * as card_service from "./card-service.js";
+import * as card_event_service from "./card-event-service.js";
+import { WorkQueue } from "./work-queue.js";
+import { config } from "../config/index.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Statuses for which a repeated delivery must not be processed again.
+ */
+const SETTLED_STATUSES = ["processing", "processed"];
+
+/**
+ * Statuses from which the processing queue may claim an event. An event another
+ * instance has moved to "processing" or "processed" is never taken.
+ */
+const CLAIMABLE_STATUSES = ["received", "failed", "dead_letter"];
+
+/**
+ * Statuses from which an explicit replay may claim an event; processed events can be replayed.
+ */
+const REPLAYABLE_STATUSES = [...CLAIMABLE_STATUSES, "processed"];
+
+/**
+ * Lease taken by scheduled recovery, so only one instance re-queues unfinished events per interval.
+ */
+const RECOVERY_LEASE_NAME = "webhook-recovery";
+
+const recoveryState = {
+  timer: null,
+  inFlight: null,
+};
+
+/**
+ * Webhook delivery health of this process, used to decide how often to poll.
+ */
+const webhookHealth = {
+  lastReceivedAt: null,
+  lastProcessedAt: null,
+  lastFailureAt: null,
+  consecutiveFailures: 0,
+};
+
+/**
+ * Handlers for event families that are matched by type prefix.
+ */
+const EVENT_FAMILY_HANDLERS = [
+  { prefix: "digital_wallet.tokenization", handler: card_event_service.handleTokenizationEvent },
+  { prefix: "three_ds_authentication.", handler: card_event_service.handleThreeDSEvent },
+];
+
+/**
+ * Dispatch a parsed Lithic webhook event to the matching handler.
+ * @param {Object} eventPayload - Parsed webhook body.
+ * @param {string} webhookId - The webhook-id of the delivery (for logging).
+ * @returns {Promise<void>}
+ * @throws {Error} If the event handler fails.
+ */
+async function dispatchWebhookEvent(eventPayload, webhookId) {
+  switch (eventPayload.type) {
+    case "transaction.created":
+    case "transaction.updated": {
+      logger.info(
+        {
+          webhookId,
+          transactionToken: eventPayload.payload.token,
+          eventType: eventPayload.type,
+        },
+        "Transaction event received. Fetching details.",
+      );
+      // Fetch full transaction details using the token from the event payload
+      const transaction = await lithic_service.getTransaction(
+        eventPayload.payload.token,
+      );
+      // saveTransaction handles both database saving AND alert broadcasting with enriched data
+      await supabase_service.saveTransaction(transaction);
+      logger.info(
+        { webhookId, transactionToken: eventPayload.payload.token },
+        `Processed and saved transaction event.`,
+      );
+      break;
+    }
+
+    case "card.created":
+    case "card.updated": {
+      const cardToken =
+        eventPayload.payload.card_token || eventPayload.payload.token;
+      logger.info(
+        { webhookId, cardToken, eventType: eventPayload.type },
+        "Card event received. Syncing card registry.",
+      );
+      // Fetch the current card from Lithic and record the change in the registry
+      const cardResult = await card_service.syncCardRecord(
+        cardToken,
+        eventPayload.type,
+      );
+      logger.info(
+        {
+          webhookId,
+          cardToken,
+          isNew: cardResult.is_new,
+          changedFields: Object.keys(cardResult.changes),
+        },
+        "Processed and saved card event.",
+      );
+      break;
+    }
+
+    case "dispute.updated": {
+      const dispute = await card_event_service.handleDisputeEvent(
+        eventPayload.type,
+        eventPayload.payload,
+      );
+      logger.info(
+        { webhookId, disputeToken: dispute.token, status: dispute.status },
+        "Processed and saved dispute event.",
+      );
+      break;
+    }
+
+    case "balance.updated": {
+      const snapshots = await card_event_service.handleBalanceEvent(
+        eventPayload.type,
+        eventPayload.payload,
+      );
+      logger.info(
+        { webhookId, balances: snapshots.length },
+        "Processed and saved balance event.",
+      );
+      break;
+    }
+
+    default: {
+      const family = EVENT_FAMILY_HANDLERS.find(({ prefix }) =>
+        eventPayload.type?.startsWith(prefix),
+      );
+      if (family) {
+        await family.handler(eventPayload.type, eventPayload.payload);
+        logger.info(
+          { webhookId, eventType: eventPayload.type },
+          "Processed and saved card event.",
+        );
+        break;
+      }
+
+      logger.warn(
+        { webhookId, eventType: eventPayload.type },
+        `Unhandled event type received.`,
+      );
+    }
+  }
+}
+
+/**
+ * Get the token of the object a webhook event refers to.
+ * @param {Object} eventPayload - Parsed webhook body.
+ * @returns {string|null} Event token or null if the payload has none.
+ */
+export function getEventToken(eventPayload) {
+  return (
+    eventPayload?.payload?.token ||
+    eventPayload?.payload?.tokenization_token ||
+    eventPayload?.payload?.card_token ||
+    null
+  );
+}
+
+/**
+ * Get the webhook delivery health of this process.
+ * @returns {Object} `{ lastReceivedAt, lastProcessedAt, lastFailureAt, consecutiveFailures }`.
+ */
+export function getWebhookHealth() {
+  return { ...webhookHealth };
+}
+
+/**
+ * Record an incoming webhook event in the durable event log.
+ * @param {Object} eventPayload - Parsed webhook body.
+ * @param {string} webhookId - The webhook-id of the delivery.
+ * @returns {Promise<Object>} `{ event, isDuplicate, shouldProcess }`.
+ *   shouldProcess is false when an identical delivery is already processing or processed.
+ * @throws {Error} If the event cannot be recorded.
+ */
+export async function recordIncomingEvent(eventPayload, webhookId) {
+  const { event, isDuplicate } = await supabase_service.recordWebhookEvent({
+    webhookId,
+    eventType: eventPayload.type || "unknown_event_type",
+    eventToken: getEventToken(eventPayload),
+    payload: eventPayload,
+  });
+
+  webhookHealth.lastReceivedAt = new Date().toISOString();
+
+  // A retried delivery of a failed event is processed again
+  const shouldProcess = !isDuplicate || !SETTLED_STATUSES.includes(event?.status);
+
+  return { event, isDuplicate, shouldProcess };
+}
+
+/**
+ * Process a recorded webhook event and track its status in the event log.
+ * This is the single handler used for live deliveries and replays.
+ * The event is first claimed with a conditional status update, so an event another
+ * instance is already processing (or has processed) is skipped instead of handled twice.
+ * @param {Object} eventPayload - Parsed webhook body.
+ * @param {string} webhookId - The webhook-id of the event.
+ * @param {Object} [options] - Processing options.
+ * @param {number} [options.previousAttempts=0] - Attempts recorded before this one.
+ * @param {string[]} [options.claimFrom] - Statuses the event may be claimed from
+ *   ("received", "failed" and "dead_letter" by default).
+ * @returns {Promise<Object>} `{ webhookId, status, attempts }`, with status "skipped"
+ *   when the event could not be claimed.
+ * @throws {Error} If the event handler fails (the event is marked failed first).
+ */
+export async function processWebhookEvent(
+  eventPayload,
+  webhookId,
+  { previousAttempts = 0, claimFrom = CLAIMABLE_STATUSES } = {},
+) {
+  const attempts = previousAttempts + 1;
+
+  const claimed = await supabase_service.claimWebhookEvent(webhookId, {
+    from: claimFrom,
+    attempts,
+  });
+  if (!claimed) {
+    logger.info(
+      { webhookId, eventType: eventPayload.type },
+      "Webhook event is processing or processed elsewhere. Skipping.",
+    );
+    return { webhookId, status: "skipped", attempts: previousAttempts };
+  }
+
+  logger.info(
+    { webhookId, eventType: eventPayload.type, eventToken: getEventToken(eventPayload), attempts },
+    `Processing webhook event.`,
+  );
+
+  try {
+    await dispatchWebhookEvent(eventPayload, webhookId);
+  } catch (error) {
+    webhookHealth.lastFailureAt = new Date().toISOString();
+    webhookHealth.consecutiveFailures++;
+    logger.error(
+      { err: error, webhookId, eventType: eventPayload.type, attempts },
+      "Webhook event processing failed.",
+    );
+    try {
+      await supabase_service.updateWebhookEventStatus(webhookId, "failed", {
+        attempts,
+        error: error.message,
+      });
+    } catch (statusError) {
+      logger.error(
+        { err: statusError, webhookId },
+        "Could not mark webhook event as failed.",
+      );
+    }
+    throw error;
+  }
+
+  webhookHealth.lastProcessedAt = new Date().toISOString();
+  webhookHealth.consecutiveFailures = 0;
+
+  await supabase_service.updateWebhookEventStatus(webhookId, "processed", {
+    attempts,
+    error: null,
+  });
+
+  return { webhookId, status: "processed", attempts };
+}
+
+/**
+ * In-process queue that processes acknowledged webhook deliveries.
+ * Each job is keyed by webhook-id, so a delivery is never queued twice.
+ */
+export const webhookQueue = new WorkQueue({
+  name: "lithic-webhooks",
+  ...config.webhookQueue,
+  handler: (data, job) =>
+    processWebhookEvent(data.eventPayload, job.id, {
+      previousAttempts: data.previousAttempts + job.attempts - 1,
+    }),
+});
+
+webhookQueue.on("dead-letter", async (deadLetter) => {
+  try {
+    await supabase_service.updateWebhookEventStatus(deadLetter.id, "dead_letter", {
+      error: deadLetter.lastError,
+    });
+  } catch (error) {
+    logger.error(
+      { err: error, webhookId: deadLetter.id },
+      "Could not mark webhook event as dead-lettered.",
+    );
+  }
+});
+
+/**
+ * Hand a recorded webhook event to the processing queue.
+ * @param {Object} eventPayload - Parsed webhook body.
+ * @param {string} webhookId - The webhook-id of the event.
+ * @param {Object} [options] - Queue options.
+ * @param {number} [options.previousAttempts=0] - Attempts recorded before this delivery.
+ * @returns {Object} The queued job.
+ */
+export function enqueueWebhookEvent(eventPayload, webhookId, { previousAttempts = 0 } = {}) {
+  // Attempts already made count against WEBHOOK_QUEUE_MAX_ATTEMPTS; the queue allows at least one
+  return webhookQueue.enqueue(
+    webhookId,
+    { eventPayload, previousAttempts },
+    { maxAttempts: config.webhookQueue.maxAttempts - previousAttempts },
+  );
+}
+
+/**
+ * Re-queue events that were acknowledged but never finished, e.g. because the
+ * process restarted while they were waiting in the in-memory queue.
+ * Only the instance that takes the recovery lease re-queues them in a given interval.
+ * Events another live instance may still own are left alone: "received" and "processing"
+ * events must be unchanged for the processing timeout, and "failed" events waiting for a
+ * retry for the longest retry delay. A re-queued event only gets the attempts it has left
+ * of WEBHOOK_QUEUE_MAX_ATTEMPTS, and an event with none left is dead-lettered instead. Stale "processing" events are claimed back to
+ * "received" before they are queued, and every queued event is claimed again when it runs,
+ * so an event is never processed by two instances at once.
+ * @param {Object} [params] - Recovery parameters.
+ * @param {number} [params.limit=200] - Maximum events to recover per status.
+ * @returns {Promise<number>} Number of events re-queued.
+ */
+export async function recoverPendingWebhookEvents({ limit = 200 } = {}) {
+  const { acquired, lease } = await supabase_service.acquireJobLease(
+    RECOVERY_LEASE_NAME,
+    config.server.instanceId,
+    config.webhookQueue.recoveryIntervalMs,
+  );
+  if (!acquired) {
+    logger.debug(
+      { holderId: lease?.holder_id, expiresAt: lease?.expires_at },
+      "Another instance recovered unfinished webhook events this interval. Skipping recovery.",
+    );
+    return 0;
+  }
+
+  let recovered = 0;
+
+  const now = Date.now();
+  const { maxAttempts, maxDelayMs, processingTimeoutMs } = config.webhookQueue;
+  const processingCutoff = new Date(now - processingTimeoutMs).toISOString();
+
+  // List every status before queueing, so an event the queue has already moved to
+  // "processing" is not counted twice
+  const received = await supabase_service.listWebhookEvents({
+    status: "received",
+    updatedBefore: processingCutoff,
+    limit,
+  });
+  const processing = await supabase_service.listWebhookEvents({
+    status: "processing",
+    updatedBefore: processingCutoff,
+    limit,
+  });
+  const failed = await supabase_service.listWebhookEvents({
+    status: "failed",
+    updatedBefore: new Date(now - maxDelayMs).toISOString(),
+    maxAttempts,
+    limit,
+  });
+
+  const stranded = [...failed];
+  for (const event of [...received, ...processing]) {
+    // Events that used up their attempts are dead-lettered instead of retried again.
+    // The claims only succeed if the event is still stale, so an instance that picked
+    // the event up in the meantime keeps it.
+    if ((event.attempts || 0) >= maxAttempts) {
+      const deadLettered = await supabase_service.claimWebhookEvent(event.webhook_id, {
+        from: [event.status],
+        to: "dead_letter",
+        updatedBefore: processingCutoff,
+        error: event.last_error || `No attempts left after ${event.attempts} of ${maxAttempts}`,
+      });
+      if (deadLettered) {
+        logger.warn(
+          { webhookId: event.webhook_id, attempts: event.attempts, maxAttempts },
+          "Unfinished webhook event has no attempts left. Marked as dead-lettered.",
+        );
+      }
+      continue;
+    }
+
+    if (event.status === "received") {
+      stranded.push(event);
+      continue;
+    }
+    const reclaimed = await supabase_service.claimWebhookEvent(event.webhook_id, {
+      from: ["processing"],
+      to: "received",
+      updatedBefore: processingCutoff,
+    });
+    if (reclaimed) {
+      stranded.push(reclaimed);
+    }
+  }
+
+  for (const event of stranded) {
+    // Events still waiting in this process's queue are left to it
+    if (webhookQueue.jobs.has(event.webhook_id)) {
+      continue;
+    }
+    enqueueWebhookEvent(event.payload, event.webhook_id, {
+      previousAttempts: event.attempts || 0,
+    });
+    recovered++;
+  }
+
+  if (recovered > 0) {
+    logger.info({ recovered }, "Re-queued unfinished webhook events.");
+  }
+  return recovered;
+}
+
+/**
+ * Run scheduled recovery, logging instead of throwing so the schedule keeps running.
+ * @returns {Promise<void>}
+ */
+async function runScheduledRecovery() {
+  if (recoveryState.inFlight) {
+    return;
+  }
+  recoveryState.inFlight = recoverPendingWebhookEvents().catch((error) => {
+    logger.error({ err: error }, "Failed to recover pending webhook events.");
+  });
+  try {
+    await recoveryState.inFlight;
+  } finally {
+    recoveryState.inFlight = null;
+  }
+}
+
+/**
+ * Recover unfinished webhook events now and then every WEBHOOK_RECOVERY_INTERVAL_MS,
+ * so events stranded by a crashed instance are picked up without waiting for a restart.
+ */
+export function startWebhookRecoverySchedule() {
+  if (recoveryState.timer) {
+    logger.warn("Webhook recovery schedule is already running.");
+    return;
+  }
+
+  const { recoveryIntervalMs } = config.webhookQueue;
+  logger.info({ intervalMs: recoveryIntervalMs }, "Scheduling webhook event recovery.");
+  recoveryState.timer = setInterval(runScheduledRecovery, recoveryIntervalMs);
+  runScheduledRecovery();
+}
+
+/**
+ * Stop scheduled recovery and wait for a running one to finish.
+ * @returns {Promise<void>}
+ */
+export async function stopWebhookRecoverySchedule() {
+  clearInterval(recoveryState.timer);
+  recoveryState.timer = null;
+  if (recoveryState.inFlight) {
+    await recoveryState.inFlight;
+  }
+}
+
+/**
+ * Replay stored webhook events through the same handler as live deliveries.
+ * Either an explicit list of webhook-ids or every event with a given status is replayed.
+ * @param {Object} [params] - Replay parameters.
+ * @param {string[]} [params.webhookIds] - Specific events to replay (any status).
+ * @param {string} [params.status='failed'] - Status to select when no ids are given.
+ * @param {number} [params.limit=50] - Maximum number of events to replay by status.
+ * @returns {Promise<Object>} Summary with per-event results.
+ */
+export async function replayWebhookEvents({ webhookIds, status = "failed", limit = 50 } = {}) {
+  let events;
+  const notFound = [];
+
+  if (Array.isArray(webhookIds) && webhookIds.length > 0) {
+    events = [];
+    for (const webhookId of webhookIds) {
+      const event = await supabase_service.getWebhookEvent(webhookId);
+      if (event) {
+        events.push(event);
+      } else {
+        notFound.push(webhookId);
+      }
+    }
+  } else {
+    events = await supabase_service.listWebhookEvents({ status, limit });
+  }
+
+  logger.info(
+    { requested: webhookIds?.length || null, status, selected: events.length },
+    "Replaying webhook events.",
+  );
+
+  const results = [];
+  for (const event of events) {
+    // Events still owned by the processing queue are left to it
+    if (webhookQueue.jobs.has(event.webhook_id)) {
+      results.push({ webhookId: event.webhook_id, eventType: event.event_type, status: "skipped", reason: "queued" });
+      continue;
+    }
+
+    try {
+      const result = await processWebhookEvent(event.payload, event.webhook_id, {
+        previousAttempts: event.attempts || 0,
+        claimFrom: REPLAYABLE_STATUSES,
+      });
+      if (result.status === "skipped") {
+        results.push({ webhookId: event.webhook_id, eventType: event.event_type, status: "skipped", reason: "processing" });
+      } else {
+        results.push({ webhookId: event.webhook_id, eventType: event.event_type, status: "processed" });
+      }
+    } catch (error) {
+      results.push({
+        webhookId: event.webhook_id,
+        eventType: event.event_type,
+        status: "failed",
+        error: error.message,
+      });
+    }
+  }
+
+  return {
+    total: results.length,
+    processed: results.filter((r) => r.status === "processed").length,
+    failed: results.filter((r) => r.status === "failed").length,
+    skipped: results.filter((r) => r.status === "skipped").length,
+    notFound,
+    results,
+  };
+}
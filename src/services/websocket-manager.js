@@ -0,0 +1,372 @@
+/**
+ * WebSocket Manager - Manages agent alert streams over WebSocket
+ *
+ * Alternative to the SSE stream on /alerts/stream for agent runtimes that cannot keep
+ * SSE open. Sockets are authenticated and parsed by api/websocket-server.js.
+ *
+ * This service handles:
+ * - Registering each socket with the alert service as one session for many cards
+ * - Subscribing and unsubscribing cards on an open socket
+ * - Alert envelopes with an alert id the client acknowledges (the alert service redelivers
+ *   unacknowledged alerts with the same id)
+ * - Ping/pong and heartbeat messages; sockets that miss a pong are terminated
+ */
+
+import EventEmitter from 'events';
+import { WebSocket } from 'ws';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { config } from '../config/index.js';
+import alertService from './alert-service.js';
+
+// Unacknowledged alerts remembered per socket; the oldest are forgotten beyond this
+const MAX_UNACKED_ALERTS = 500;
+
+export class WebSocketManager extends EventEmitter {
+  /**
+   * @param {Object} [options] - Manager options
+   * @param {number} [options.heartbeatIntervalMs=30000] - Ping and heartbeat interval
+   */
+  constructor({ heartbeatIntervalMs = 30000 } = {}) {
+    super();
+
+    this.heartbeatIntervalMs = heartbeatIntervalMs;
+
+    // Socket registry: Map<sessionId, connectionInfo>
+    this.connections = new Map();
+
+    this.metrics = {
+      totalConnections: 0,
+      activeConnections: 0,
+      alertsSent: 0,
+      alertsAcknowledged: 0,
+      terminatedConnections: 0
+    };
+
+    this.heartbeatInterval = null;
+
+    // Sessions removed by the alert service (stale) lose their socket too
+    alertService.on('connection:removed', ({ sessionId }) => {
+      if (this.connections.has(sessionId)) {
+        this.removeConnection(sessionId, 'session_removed');
+      }
+    });
+  }
+
+  /**
+   * Register an authenticated socket and send the welcome message
+   * @param {WebSocket} ws - Open socket
+   * @param {Object} agent - Authenticated agent (see alert-controller authenticateAgent)
+   * @param {string} agent.agentId - Agent id
+   * @param {Array<string>} agent.cardTokens - Cards to monitor
+   * @param {Object} [agent.metadata] - Connection metadata
+   * @returns {string|null} Session id, or null if the alert service rejected the session
+   */
+  handleConnection(ws, { agentId, cardTokens, metadata = {} }) {
+    const sessionId = uuidv4();
+    const connectionInfo = {
+      sessionId,
+      ws,
+      agentId,
+      metadata: { ...metadata, agentId, connectionType: 'websocket' },
+      establishedAt: new Date(),
+      lastActivity: new Date(),
+      isAlive: true,
+      unacked: new Map(),
+      alertsSent: 0,
+      alertsAcknowledged: 0
+    };
+    this.connections.set(sessionId, connectionInfo);
+
+    const connection = {
+      sessionId,
+      agentId,
+      type: 'websocket',
+      deliver: (alert, eventId, alertId) => this.sendAlert(sessionId, alert, eventId, alertId),
+      isActive: () => ws.readyState === WebSocket.OPEN,
+      getMetadata: () => ({ ...connectionInfo.metadata, cardTokens: alertService.getSessionCards(sessionId) })
+    };
+    if (!alertService.registerConnection(sessionId, cardTokens, connection)) {
+      this.connections.delete(sessionId);
+      ws.close(1011, 'Failed to register connection');
+      return null;
+    }
+
+    ws.on('pong', () => {
+      connectionInfo.isAlive = true;
+      this.recordActivity(sessionId);
+    });
+    ws.on('close', (code) => this.removeConnection(sessionId, `client_closed_${code}`));
+    ws.on('error', (error) => {
+      logger.warn({ sessionId, error: error.message }, 'WebSocket error');
+    });
+
+    this.metrics.totalConnections++;
+    this.metrics.activeConnections = this.connections.size;
+    this.startHeartbeat();
+
+    this.send(sessionId, {
+      type: 'welcome',
+      sessionId,
+      agentId,
+      cardTokens: alertService.getSessionCards(sessionId),
+      lastEventId: alertService.lastEventId,
+      ackRequired: alertService.ackRequired,
+      heartbeatIntervalMs: this.heartbeatIntervalMs,
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info({
+      sessionId,
+      agentId,
+      cardTokens,
+      activeConnections: this.metrics.activeConnections
+    }, 'WebSocket connection established');
+
+    this.emit('connection', { sessionId, agentId, cardTokens });
+    return sessionId;
+  }
+
+  /**
+   * Start monitoring more cards on a socket
+   * @param {string} sessionId - Session id
+   * @param {Array<string>} cardTokens - Cards to add
+   * @returns {Object|null} `{ cardTokens, added }` or null if the session is unknown
+   */
+  subscribe(sessionId, cardTokens) {
+    const added = alertService.addCardsToSession(sessionId, cardTokens);
+    if (!added) {
+      return null;
+    }
+    this.recordActivity(sessionId);
+    logger.info({ sessionId, added }, 'WebSocket cards subscribed');
+    return { cardTokens: alertService.getSessionCards(sessionId), added };
+  }
+
+  /**
+   * Stop monitoring cards on a socket
+   * @param {string} sessionId - Session id
+   * @param {Array<string>} cardTokens - Cards to remove
+   * @returns {Object|null} `{ cardTokens, removed }` or null if the session is unknown
+   */
+  unsubscribe(sessionId, cardTokens) {
+    const removed = alertService.removeCardsFromSession(sessionId, cardTokens);
+    if (!removed) {
+      return null;
+    }
+    this.recordActivity(sessionId);
+    logger.info({ sessionId, removed }, 'WebSocket cards unsubscribed');
+    return { cardTokens: alertService.getSessionCards(sessionId), removed };
+  }
+
+  /**
+   * Acknowledge alerts received on a socket
+   * @param {string} sessionId - Session id
+   * @param {Array<string>} alertIds - Alert ids from alert envelopes
+   * @returns {Object|null} `{ acknowledged, unknown }` or null if the session is unknown
+   */
+  acknowledge(sessionId, alertIds) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      return null;
+    }
+
+    // The alert service stops redelivering these and records the ack latency
+    const tracked = alertService.acknowledgeAlerts(sessionId, alertIds);
+
+    const acknowledged = [];
+    const unknown = [];
+    for (const alertId of new Set(alertIds)) {
+      const wasTracked = tracked?.acknowledged.includes(alertId);
+      if (connectionInfo.unacked.delete(alertId) || wasTracked) {
+        acknowledged.push(alertId);
+      } else {
+        unknown.push(alertId);
+      }
+    }
+
+    connectionInfo.alertsAcknowledged += acknowledged.length;
+    this.metrics.alertsAcknowledged += acknowledged.length;
+    this.recordActivity(sessionId);
+    return { acknowledged, unknown };
+  }
+
+  /**
+   * Send an alert envelope; called by the alert service through the session's connection
+   * @private
+   * @param {string} sessionId - Session id
+   * @param {Object} alert - Formatted alert
+   * @param {number} [eventId] - Journal event id; clients reconnect with it as `lastEventId`
+   * @param {string} [alertId] - Alert id assigned by the alert service; redeliveries reuse it
+   * @returns {string} Alert id
+   * @throws {Error} If the socket is not open (the alert service then queues the alert)
+   */
+  sendAlert(sessionId, alert, eventId, alertId = uuidv4()) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      throw new Error(`No WebSocket for session ${sessionId}`);
+    }
+
+    this.send(sessionId, { type: 'alert', alertId, eventId, alert });
+
+    if (!connectionInfo.unacked.has(alertId) && connectionInfo.unacked.size >= MAX_UNACKED_ALERTS) {
+      const [oldestId] = connectionInfo.unacked.keys();
+      connectionInfo.unacked.delete(oldestId);
+    }
+    connectionInfo.unacked.set(alertId, { sentAt: new Date() });
+    connectionInfo.alertsSent++;
+    this.metrics.alertsSent++;
+
+    return alertId;
+  }
+
+  /**
+   * Send a JSON message to a socket
+   * @param {string} sessionId - Session id
+   * @param {Object} message - Message with a `type`
+   * @throws {Error} If the session is unknown or its socket is not open
+   */
+  send(sessionId, message) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo || connectionInfo.ws.readyState !== WebSocket.OPEN) {
+      throw new Error(`WebSocket for session ${sessionId} is not open`);
+    }
+    connectionInfo.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Record client activity so the alert service does not remove the session as stale
+   * @param {string} sessionId - Session id
+   */
+  recordActivity(sessionId) {
+    const connectionInfo = this.connections.get(sessionId);
+    if (connectionInfo) {
+      connectionInfo.lastActivity = new Date();
+      alertService.recordActivity(sessionId);
+    }
+  }
+
+  /**
+   * Close a socket and remove its session from the alert service
+   * @param {string} sessionId - Session id
+   * @param {string} [reason='unknown'] - Reason for removal
+   * @returns {boolean} False if the session is unknown
+   */
+  removeConnection(sessionId, reason = 'unknown') {
+    const connectionInfo = this.connections.get(sessionId);
+    if (!connectionInfo) {
+      return false;
+    }
+
+    // Forget the socket first so the alert service's removal event is a no-op here
+    this.connections.delete(sessionId);
+    alertService.removeConnection(sessionId);
+
+    if (connectionInfo.ws.readyState === WebSocket.OPEN) {
+      connectionInfo.ws.close(1000, reason.substring(0, 100));
+    }
+
+    this.metrics.activeConnections = this.connections.size;
+    if (this.connections.size === 0) {
+      this.stopHeartbeat();
+    }
+
+    logger.info({
+      sessionId,
+      reason,
+      unacknowledgedAlerts: connectionInfo.unacked.size,
+      activeConnections: this.metrics.activeConnections
+    }, 'WebSocket connection removed');
+
+    this.emit('disconnection', { sessionId, reason });
+    return true;
+  }
+
+  /**
+   * Start the ping/heartbeat interval (only while sockets are open)
+   * @private
+   */
+  startHeartbeat() {
+    if (this.heartbeatInterval) {
+      return;
+    }
+    this.heartbeatInterval = setInterval(() => this.heartbeat(), this.heartbeatIntervalMs);
+    this.heartbeatInterval.unref?.();
+  }
+
+  /**
+   * @private
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatInterval);
+    this.heartbeatInterval = null;
+  }
+
+  /**
+   * Terminate sockets that did not answer the last ping, then ping the rest
+   * @private
+   */
+  heartbeat() {
+    for (const [sessionId, connectionInfo] of this.connections) {
+      if (!connectionInfo.isAlive) {
+        logger.warn({ sessionId, lastActivity: connectionInfo.lastActivity }, 'WebSocket missed heartbeat, terminating');
+        this.metrics.terminatedConnections++;
+        connectionInfo.ws.terminate();
+        this.removeConnection(sessionId, 'heartbeat_timeout');
+        continue;
+      }
+
+      connectionInfo.isAlive = false;
+      try {
+        connectionInfo.ws.ping();
+        this.send(sessionId, {
+          type: 'heartbeat',
+          timestamp: new Date().toISOString(),
+          unacknowledgedAlerts: connectionInfo.unacked.size
+        });
+      } catch (error) {
+        logger.warn({ sessionId, error: error.message }, 'WebSocket heartbeat failed');
+      }
+    }
+  }
+
+  /**
+   * Get socket details for the connections endpoint
+   * @returns {Array<Object>} One entry per open socket
+   */
+  getAllConnections() {
+    return [...this.connections.values()].map(info => ({
+      sessionId: info.sessionId,
+      agentId: info.agentId,
+      cardTokens: alertService.getSessionCards(info.sessionId),
+      establishedAt: info.establishedAt,
+      lastActivity: info.lastActivity,
+      alertsSent: info.alertsSent,
+      alertsAcknowledged: info.alertsAcknowledged,
+      unacknowledgedAlerts: info.unacked.size
+    }));
+  }
+
+  /**
+   * Get service metrics
+   * @returns {Object} Current socket metrics
+   */
+  getMetrics() {
+    return { ...this.metrics };
+  }
+
+  /**
+   * Close every socket
+   */
+  shutdown() {
+    for (const sessionId of [...this.connections.keys()]) {
+      this.removeConnection(sessionId, 'server_shutdown');
+    }
+    this.stopHeartbeat();
+    logger.info('WebSocket manager shutdown complete');
+  }
+}
+
+// Export singleton instance
+const websocketManager = new WebSocketManager(config.websocket);
+export default websocketManager;
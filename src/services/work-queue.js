@@ -0,0 +1,308 @@
+/**
+ * Work Queue - In-process job queue with bounded concurrency, retries and a dead-letter store
+ *
+ * This service handles:
+ * - Running jobs through a handler with at most `concurrency` jobs in flight
+ * - De-duplicating jobs by id while they are pending, running or waiting to retry
+ * - Exponential-backoff retries up to `maxAttempts`
+ * - A bounded dead-letter store for jobs that exhausted their retries
+ *
+ * No external broker is involved; durability is the caller's concern
+ * (e.g. the webhook_events log for webhook jobs).
+ */
+
+import EventEmitter from 'events';
+import logger from '../utils/logger.js';
+
+export class WorkQueue extends EventEmitter {
+  /**
+   * @param {Object} options - Queue options
+   * @param {string} options.name - Queue name used in logs
+   * @param {Function} options.handler - Async function (data, job) => result
+   * @param {number} [options.concurrency=4] - Maximum jobs running at once
+   * @param {number} [options.maxAttempts=5] - Attempts before a job is dead-lettered
+   * @param {number} [options.baseDelayMs=1000] - Delay before the first retry
+   * @param {number} [options.maxDelayMs=60000] - Upper bound for the retry delay
+   * @param {number} [options.deadLetterLimit=500] - Dead letters kept in memory
+   */
+  constructor({
+    name,
+    handler,
+    concurrency = 4,
+    maxAttempts = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 60000,
+    deadLetterLimit = 500
+  }) {
+    super();
+
+    this.name = name;
+    this.handler = handler;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.deadLetterLimit = deadLetterLimit;
+
+    // Jobs waiting for a free slot, in FIFO order
+    this.pending = [];
+
+    // Every job that is pending, running or waiting to retry: Map<jobId, job>
+    this.jobs = new Map();
+
+    // Retry timers: Map<jobId, Timeout>
+    this.retryTimers = new Map();
+
+    // Dead-letter store: Map<jobId, deadLetter> (insertion ordered, oldest first)
+    this.deadLetters = new Map();
+
+    this.running = 0;
+
+    this.metrics = {
+      enqueued: 0,
+      completed: 0,
+      retried: 0,
+      deadLettered: 0
+    };
+  }
+
+  /**
+   * Add a job to the queue. A job whose id is already queued is not added twice.
+   * @param {string} jobId - Unique job identifier
+   * @param {*} data - Job payload passed to the handler
+   * @param {Object} [options] - Job options
+   * @param {number} [options.maxAttempts] - Attempts before this job is dead-lettered,
+   *   e.g. what is left of the budget of a job recovered after a restart (queue default otherwise)
+   * @returns {Object} The queued job
+   */
+  enqueue(jobId, data, { maxAttempts = this.maxAttempts } = {}) {
+    const existingJob = this.jobs.get(jobId);
+    if (existingJob) {
+      logger.debug({ queue: this.name, jobId, state: existingJob.state }, 'Job already queued');
+      return existingJob;
+    }
+
+    // Re-enqueueing a dead letter takes it out of the dead-letter store
+    this.deadLetters.delete(jobId);
+
+    const job = {
+      id: jobId,
+      data,
+      attempts: 0,
+      maxAttempts: Math.max(1, maxAttempts),
+      state: 'pending',
+      enqueuedAt: new Date(),
+      lastError: null
+    };
+
+    this.jobs.set(jobId, job);
+    this.pending.push(job);
+    this.metrics.enqueued++;
+
+    logger.debug({ queue: this.name, jobId, pending: this.pending.length }, 'Job enqueued');
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Start pending jobs while there are free slots
+   * @private
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.runJob(job);
+    }
+  }
+
+  /**
+   * Run a single job attempt
+   * @private
+   * @param {Object} job - Job to run
+   */
+  async runJob(job) {
+    this.running++;
+    job.state = 'running';
+    job.attempts++;
+
+    try {
+      const result = await this.handler(job.data, job);
+
+      this.jobs.delete(job.id);
+      this.metrics.completed++;
+      this.emit('completed', job, result);
+
+      logger.debug({ queue: this.name, jobId: job.id, attempts: job.attempts }, 'Job completed');
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (job.attempts < job.maxAttempts) {
+        this.scheduleRetry(job);
+      } else {
+        this.deadLetter(job, error);
+      }
+    } finally {
+      this.running--;
+      this.drain();
+
+      if (this.running === 0 && this.pending.length === 0) {
+        this.emit('idle');
+      }
+    }
+  }
+
+  /**
+   * Calculate the delay before the next attempt of a job
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.baseDelayMs * Math.pow(2, attempts - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Put a failed job back on the queue after a backoff delay
+   * @private
+   * @param {Object} job - Failed job
+   */
+  scheduleRetry(job) {
+    const delay = this.getRetryDelay(job.attempts);
+    job.state = 'retrying';
+    job.nextAttemptAt = new Date(Date.now() + delay);
+    this.metrics.retried++;
+
+    logger.warn({
+      queue: this.name,
+      jobId: job.id,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      retryInMs: delay,
+      error: job.lastError
+    }, 'Job failed, scheduling retry');
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(job.id);
+      job.state = 'pending';
+      this.pending.push(job);
+      this.drain();
+    }, delay);
+
+    // Pending retries should not keep the process alive on shutdown
+    timer.unref?.();
+    this.retryTimers.set(job.id, timer);
+  }
+
+  /**
+   * Move a job that exhausted its attempts to the dead-letter store
+   * @private
+   * @param {Object} job - Failed job
+   * @param {Error} error - Last error
+   */
+  deadLetter(job, error) {
+    this.jobs.delete(job.id);
+    job.state = 'dead';
+
+    const deadLetter = {
+      id: job.id,
+      data: job.data,
+      attempts: job.attempts,
+      lastError: error.message,
+      enqueuedAt: job.enqueuedAt,
+      deadLetteredAt: new Date()
+    };
+
+    this.deadLetters.set(job.id, deadLetter);
+    this.metrics.deadLettered++;
+
+    // Keep the store bounded by dropping the oldest entries
+    while (this.deadLetters.size > this.deadLetterLimit) {
+      const oldestId = this.deadLetters.keys().next().value;
+      this.deadLetters.delete(oldestId);
+    }
+
+    logger.error({
+      queue: this.name,
+      jobId: job.id,
+      attempts: job.attempts,
+      error: error.message
+    }, 'Job moved to dead-letter store');
+
+    this.emit('dead-letter', deadLetter, error);
+  }
+
+  /**
+   * List dead-lettered jobs
+   * @returns {Array} Dead letters, oldest first
+   */
+  getDeadLetters() {
+    return Array.from(this.deadLetters.values());
+  }
+
+  /**
+   * Get a single dead-lettered job
+   * @param {string} jobId - Job identifier
+   * @returns {Object|null} Dead letter or null
+   */
+  getDeadLetter(jobId) {
+    return this.deadLetters.get(jobId) || null;
+  }
+
+  /**
+   * Re-enqueue a dead-lettered job with a fresh attempt budget
+   * @param {string} jobId - Job identifier
+   * @returns {Object|null} The queued job, or null if no such dead letter exists
+   */
+  retryDeadLetter(jobId) {
+    const deadLetter = this.deadLetters.get(jobId);
+    if (!deadLetter) {
+      return null;
+    }
+
+    logger.info({ queue: this.name, jobId }, 'Retrying dead-lettered job');
+    return this.enqueue(jobId, deadLetter.data);
+  }
+
+  /**
+   * Remove a job from the dead-letter store
+   * @param {string} jobId - Job identifier
+   * @returns {boolean} True if a dead letter was removed
+   */
+  removeDeadLetter(jobId) {
+    return this.deadLetters.delete(jobId);
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Current queue state and counters
+   */
+  getStats() {
+    const retrying = Array.from(this.jobs.values()).filter(job => job.state === 'retrying').length;
+
+    return {
+      name: this.name,
+      concurrency: this.concurrency,
+      maxAttempts: this.maxAttempts,
+      running: this.running,
+      pending: this.pending.length,
+      retrying,
+      deadLetters: this.deadLetters.size,
+      ...this.metrics
+    };
+  }
+
+  /**
+   * Stop scheduled retries. Jobs already running are allowed to finish.
+   */
+  shutdown() {
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+    this.pending.length = 0;
+
+    logger.info({ queue: this.name }, 'Work queue shutdown complete');
+  }
+}
+
+export default WorkQueue;
@@ -0,0 +1,31 @@
+import { config } from "../config/index.js";
+import { supabase_client } from "../config/supabase-client.js";
+import { STORAGE_ADAPTERS } from "./repositories.js";
+import { createSupabaseStorage } from "./supabase/index.js";
+import { createLocalStorage } from "./local/index.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Create the storage selected by STORAGE_ADAPTER.
+ * @param {Object} [options] - Storage options, defaulting to the configuration.
+ * @param {string} [options.adapter] - "supabase" or "local".
+ * @param {string|null} [options.localPath] - Database file of the local adapter.
+ * @returns {import("./repositories.js").Storage} Storage.
+ * @throws {Error} If the adapter is unknown.
+ */
+export function createStorage({ adapter = config.storage.adapter, localPath = config.storage.localPath } = {}) {
+  if (!STORAGE_ADAPTERS.includes(adapter)) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${adapter}". Use one of: ${STORAGE_ADAPTERS.join(", ")}.`);
+  }
+  if (adapter === "local") {
+    logger.info({ filePath: localPath }, "Using local storage.");
+    return createLocalStorage({ filePath: localPath });
+  }
+  return createSupabaseStorage(supabase_client);
+}
+
+/**
+ * Storage used by the services.
+ * @type {import("./repositories.js").Storage}
+ */
+export const storage = createStorage();
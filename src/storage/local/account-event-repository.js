@@ -0,0 +1,69 @@
+import { RAW_DATA_TABLES } from "../repositories.js";
+import { isRedactedPayload } from "../../utils/retention.js";
+
+/**
+ * Disputes, digital wallet tokenizations, 3DS authentications and balance snapshots
+ * reported by Lithic webhooks, in the local database.
+ */
+export class LocalAccountEventRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  async upsertDispute(dispute) {
+    await this.database.transaction(() => {
+      this.database.put("disputes", dispute.token, { ...this.database.get("disputes", dispute.token), ...dispute });
+    });
+  }
+
+  async addTokenizationEvent(tokenizationEvent) {
+    await this.database.transaction(() => {
+      const id = this.database.nextId("tokenization_events");
+      this.database.put("tokenization_events", String(id), { id, ...tokenizationEvent });
+    });
+  }
+
+  async upsertThreeDSAuthentication(authentication) {
+    await this.database.transaction(() => {
+      this.database.put("three_ds_authentications", authentication.token, {
+        ...this.database.get("three_ds_authentications", authentication.token),
+        ...authentication,
+      });
+    });
+  }
+
+  async addBalanceSnapshots(snapshots) {
+    await this.database.transaction(() => {
+      for (const snapshot of snapshots) {
+        const id = this.database.nextId("balance_snapshots");
+        this.database.put("balance_snapshots", String(id), { id, ...snapshot });
+      }
+    });
+  }
+
+  async listRawDataBefore({ table, before, limit = 500 }) {
+    const { key, storedAt } = RAW_DATA_TABLES[table];
+    const beforeTime = new Date(before);
+    return this.database.read(() =>
+      this.database
+        .rows(table)
+        .filter((row) => row.raw_data && !isRedactedPayload(row.raw_data))
+        .filter((row) => new Date(row[storedAt]) < beforeTime)
+        .sort((a, b) => new Date(a[storedAt]) - new Date(b[storedAt]))
+        .slice(0, limit)
+        .map((row) => ({ key: row[key], raw_data: row.raw_data })),
+    );
+  }
+
+  async updateRawData(table, key, rawData) {
+    await this.database.transaction(() => {
+      const row = this.database.get(table, String(key));
+      if (row) {
+        this.database.put(table, String(key), { ...row, raw_data: rawData });
+      }
+    });
+  }
+}
@@ -0,0 +1,73 @@
+import { isRedactedPayload } from "../../utils/retention.js";
+
+/**
+ * Per-card ASA rule sets and authorization decisions in the local database.
+ */
+export class LocalAuthorizationRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  async getRules(cardToken) {
+    return this.database.read(() => this.database.get("card_authorization_rules", cardToken));
+  }
+
+  async saveRules(cardToken, ruleSet) {
+    return this.database.transaction(() =>
+      this.database.put("card_authorization_rules", cardToken, {
+        card_token: cardToken,
+        rule_set: ruleSet,
+        updated_at: new Date().toISOString(),
+      }),
+    );
+  }
+
+  async saveDecision(decision) {
+    await this.database.transaction(() => {
+      this.database.put("authorization_decisions", decision.transaction_token, {
+        decided_at: new Date().toISOString(),
+        ...decision,
+      });
+    });
+  }
+
+  async getDecision(transactionToken) {
+    return this.database.read(() => this.database.get("authorization_decisions", transactionToken));
+  }
+
+  async listDecisions({ cardToken, since, limit = 100 } = {}) {
+    return this.database.read(() =>
+      this.database
+        .rows("authorization_decisions")
+        .filter((decision) => !cardToken || decision.card_token === cardToken)
+        .filter((decision) => !since || new Date(decision.decided_at) >= new Date(since))
+        .sort((a, b) => new Date(b.decided_at) - new Date(a.decided_at))
+        .slice(0, limit),
+    );
+  }
+
+  async listRequestPayloadsBefore({ before, limit = 500 }) {
+    const beforeTime = new Date(before);
+    return this.database.read(() =>
+      this.database
+        .rows("authorization_decisions")
+        .filter((decision) => decision.request_payload && !isRedactedPayload(decision.request_payload))
+        .filter((decision) => new Date(decision.decided_at) < beforeTime)
+        .sort((a, b) => new Date(a.decided_at) - new Date(b.decided_at))
+        .slice(0, limit)
+        .map(({ transaction_token, request_payload, decided_at }) => ({ transaction_token, request_payload, decided_at })),
+    );
+  }
+
+  async updateRequestPayload(transactionToken, requestPayload) {
+    await this.database.transaction(() => {
+      const decision = this.database.get("authorization_decisions", transactionToken);
+      if (decision) {
+        this.database.put("authorization_decisions", transactionToken, { ...decision, request_payload: requestPayload });
+      }
+    });
+  }
+}
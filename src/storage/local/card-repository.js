@@ -0,0 +1,83 @@
+import { getCardChanges } from "../../utils/parsers.js";
+
+/**
+ * Card registry and card state history in the local database.
+ */
+export class LocalCardRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  async get(cardToken) {
+    return this.database.read(() => this.database.get("cards", cardToken));
+  }
+
+  async list({ state } = {}) {
+    return this.database.read(() =>
+      this.database
+        .rows("cards")
+        .filter((card) => !state || card.state === state)
+        .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0)),
+    );
+  }
+
+  async upsert(card) {
+    await this.database.transaction(() => {
+      this.database.put("cards", card.token, { ...this.database.get("cards", card.token), ...card });
+    });
+  }
+
+  async save(card, { eventType }) {
+    return this.database.transaction(() => {
+      const existing = this.database.get("cards", card.token);
+      const changes = getCardChanges(existing, card);
+      const now = new Date().toISOString();
+
+      this.database.put("cards", card.token, {
+        ...existing,
+        ...card,
+        created_at: card.created_at || existing?.created_at || now,
+        updated_at: now,
+        last_event_type: eventType,
+      });
+
+      if (Object.keys(changes).length > 0) {
+        const id = this.database.nextId("card_state_history");
+        this.database.put("card_state_history", String(id), {
+          id,
+          card_token: card.token,
+          event_type: eventType,
+          previous_state: existing?.state || null,
+          new_state: card.state,
+          changes,
+          recorded_at: now,
+        });
+      }
+      return { previous: existing || null, changes };
+    });
+  }
+
+  async addHistory(entry) {
+    await this.database.transaction(() => {
+      const id = this.database.nextId("card_state_history");
+      this.database.put("card_state_history", String(id), {
+        id,
+        ...entry,
+        recorded_at: entry.recorded_at || new Date().toISOString(),
+      });
+    });
+  }
+
+  async listHistory(cardToken, limit = 50) {
+    return this.database.read(() =>
+      this.database
+        .rows("card_state_history")
+        .filter((entry) => entry.card_token === cardToken)
+        .sort((a, b) => new Date(b.recorded_at) - new Date(a.recorded_at) || b.id - a.id)
+        .slice(0, limit),
+    );
+  }
+}
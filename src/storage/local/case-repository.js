@@ -0,0 +1,147 @@
+import { v4 as uuidv4 } from "uuid";
+import { compareCreatedAt } from "./local-database.js";
+
+/**
+ * Scammer cases, their links and analyst notes in the local database.
+ */
+export class LocalCaseRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  async create(caseRecord) {
+    return this.database.transaction(() => {
+      const now = new Date().toISOString();
+      const id = uuidv4();
+      return this.database.put("cases", id, {
+        id,
+        title: caseRecord.title,
+        description: caseRecord.description ?? null,
+        status: caseRecord.status || "open",
+        tags: caseRecord.tags || [],
+        created_by: caseRecord.created_by ?? null,
+        created_at: now,
+        updated_at: now,
+        closed_at: caseRecord.closed_at ?? null,
+      });
+    });
+  }
+
+  async get(caseId) {
+    return this.database.read(() => this.database.get("cases", caseId));
+  }
+
+  async list({ status, tag, link, search, limit = 50 } = {}) {
+    return this.database.read(() => {
+      const linkedCaseIds = link
+        ? new Set(
+            this.database
+              .rows("case_links")
+              .filter((row) => row.link_type === link.link_type && row.value === link.value)
+              .map((row) => row.case_id),
+          )
+        : null;
+      const term = search?.toLowerCase();
+
+      return this.database
+        .rows("cases")
+        .filter((row) => !status || row.status === status)
+        .filter((row) => !tag || row.tags.includes(tag))
+        .filter((row) => !linkedCaseIds || linkedCaseIds.has(row.id))
+        .filter((row) => !term || row.title.toLowerCase().includes(term))
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+        .slice(0, limit);
+    });
+  }
+
+  async update(caseId, changes) {
+    return this.database.transaction(() => {
+      const current = this.database.get("cases", caseId);
+      if (!current) return null;
+      return this.database.put("cases", caseId, {
+        ...current,
+        ...changes,
+        id: caseId,
+        updated_at: new Date().toISOString(),
+      });
+    });
+  }
+
+  async delete(caseId) {
+    return this.database.transaction(() => {
+      if (!this.database.get("cases", caseId)) return false;
+      this.database.delete("cases", caseId);
+      for (const table of ["case_links", "case_notes"]) {
+        for (const row of this.database.rows(table).filter((entry) => entry.case_id === caseId)) {
+          this.database.delete(table, String(row.id));
+        }
+      }
+      return true;
+    });
+  }
+
+  async addLinks(caseId, links, { addedBy = null } = {}) {
+    await this.database.transaction(() => {
+      const existing = this.database.rows("case_links").filter((row) => row.case_id === caseId);
+      for (const link of links) {
+        if (existing.some((row) => row.link_type === link.link_type && row.value === link.value)) {
+          continue;
+        }
+        const id = this.database.nextId("case_links");
+        this.database.put("case_links", String(id), {
+          id,
+          case_id: caseId,
+          link_type: link.link_type,
+          value: link.value,
+          added_by: addedBy,
+          created_at: new Date().toISOString(),
+        });
+      }
+    });
+  }
+
+  async removeLink(caseId, { link_type: linkType, value }) {
+    return this.database.transaction(() => {
+      const row = this.database
+        .rows("case_links")
+        .find((entry) => entry.case_id === caseId && entry.link_type === linkType && entry.value === value);
+      if (!row) return false;
+      this.database.delete("case_links", String(row.id));
+      return true;
+    });
+  }
+
+  async listLinks(caseId) {
+    return this.database.read(() =>
+      this.database
+        .rows("case_links")
+        .filter((row) => row.case_id === caseId)
+        .sort((a, b) => compareCreatedAt(a, b) || a.id - b.id),
+    );
+  }
+
+  async addNote(caseId, note) {
+    return this.database.transaction(() => {
+      const id = this.database.nextId("case_notes");
+      return this.database.put("case_notes", String(id), {
+        id,
+        case_id: caseId,
+        author: note.author ?? null,
+        body: note.body,
+        created_at: new Date().toISOString(),
+      });
+    });
+  }
+
+  async listNotes(caseId) {
+    return this.database.read(() =>
+      this.database
+        .rows("case_notes")
+        .filter((row) => row.case_id === caseId)
+        .sort((a, b) => compareCreatedAt(a, b) || a.id - b.id),
+    );
+  }
+}
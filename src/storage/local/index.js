@@ -0,0 +1,37 @@
+import { LocalDatabase } from "./local-database.js";
+import { LocalTransactionRepository } from "./transaction-repository.js";
+import { LocalMerchantRepository } from "./merchant-repository.js";
+import { LocalCardRepository } from "./card-repository.js";
+import { LocalMccCodeRepository } from "./mcc-code-repository.js";
+import { LocalCaseRepository } from "./case-repository.js";
+import { LocalMerchantGroupRepository } from "./merchant-group-repository.js";
+import { LocalWebhookEventRepository } from "./webhook-event-repository.js";
+import { LocalJobRepository } from "./job-repository.js";
+import { LocalAuthorizationRepository } from "./authorization-repository.js";
+import { LocalAccountEventRepository } from "./account-event-repository.js";
+
+/**
+ * Create the storage backed by a local JSON file.
+ * @param {Object} [options] - Storage options.
+ * @param {string|null} [options.filePath=null] - Database file; in memory only when omitted.
+ * @returns {import("../repositories.js").Storage} Storage, with the underlying `database`.
+ */
+export function createLocalStorage({ filePath = null } = {}) {
+  const database = new LocalDatabase({ filePath });
+  return {
+    name: "local",
+    database,
+    transactions: new LocalTransactionRepository(database),
+    merchants: new LocalMerchantRepository(database),
+    cards: new LocalCardRepository(database),
+    mccCodes: new LocalMccCodeRepository(database),
+    cases: new LocalCaseRepository(database),
+    merchantGroups: new LocalMerchantGroupRepository(database),
+    webhookEvents: new LocalWebhookEventRepository(database),
+    jobs: new LocalJobRepository(database),
+    authorization: new LocalAuthorizationRepository(database),
+    accountEvents: new LocalAccountEventRepository(database),
+  };
+}
+
+export { LocalDatabase };
@@ -0,0 +1,102 @@
+/**
+ * Background job state in the local database: leases, polling checkpoints, backfill jobs
+ * and reconciliation reports.
+ */
+export class LocalJobRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  async acquireLease(name, holderId, leaseMs) {
+    return this.database.transaction(() => {
+      const now = new Date();
+      const lease = this.database.get("job_leases", name);
+      if (lease && lease.holder_id !== holderId && new Date(lease.expires_at) >= now) {
+        return { acquired: false, lease };
+      }
+      return {
+        acquired: true,
+        lease: this.database.put("job_leases", name, {
+          name,
+          holder_id: holderId,
+          expires_at: new Date(now.getTime() + leaseMs).toISOString(),
+          acquired_at: lease?.acquired_at || now.toISOString(),
+          renewed_at: now.toISOString(),
+        }),
+      };
+    });
+  }
+
+  async releaseLease(name, holderId) {
+    return this.database.transaction(() => {
+      const lease = this.database.get("job_leases", name);
+      if (!lease || lease.holder_id !== holderId) {
+        return false;
+      }
+      this.database.put("job_leases", name, { ...lease, expires_at: new Date().toISOString() });
+      return true;
+    });
+  }
+
+  async getLease(name) {
+    return this.database.read(() => this.database.get("job_leases", name));
+  }
+
+  async getCheckpoint(name) {
+    return this.database.read(() => this.database.get("polling_checkpoints", name));
+  }
+
+  async saveCheckpoint(checkpoint) {
+    return this.database.transaction(() =>
+      this.database.put("polling_checkpoints", checkpoint.name, {
+        ...this.database.get("polling_checkpoints", checkpoint.name),
+        ...checkpoint,
+      }),
+    );
+  }
+
+  async createBackfill(job) {
+    return this.database.transaction(() => {
+      if (this.database.get("backfill_jobs", job.id)) {
+        throw new Error(`Backfill job ${job.id} already exists.`);
+      }
+      return this.database.put("backfill_jobs", job.id, job);
+    });
+  }
+
+  async updateBackfill(jobId, fields) {
+    return this.database.transaction(() => {
+      const job = this.database.get("backfill_jobs", jobId);
+      return job ? this.database.put("backfill_jobs", jobId, { ...job, ...fields }) : null;
+    });
+  }
+
+  async getBackfill(jobId) {
+    return this.database.read(() => this.database.get("backfill_jobs", jobId));
+  }
+
+  async listBackfills({ limit = 20 } = {}) {
+    return this.database.read(() =>
+      this.database
+        .rows("backfill_jobs")
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit),
+    );
+  }
+
+  async saveReconciliationReport(report) {
+    return this.database.transaction(() => this.database.put("reconciliation_reports", report.id, report));
+  }
+
+  async getLatestReconciliationReport() {
+    return this.database.read(() => {
+      const [latest] = this.database
+        .rows("reconciliation_reports")
+        .sort((a, b) => new Date(b.started_at) - new Date(a.started_at));
+      return latest || null;
+    });
+  }
+}
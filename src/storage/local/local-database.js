@@ -0,0 +1,180 @@
+import fs from "fs/promises";
+import path from "path";
+import logger from "../../utils/logger.js";
+
+/**
+ * Version of the local database file format.
+ */
+const FILE_FORMAT_VERSION = 1;
+
+/**
+ * Small file-backed database for running without Supabase.
+ *
+ * Tables are maps of primary key to row, kept in memory and written to one JSON file
+ * after every committed transaction (write to a temporary file, then rename, so a crash
+ * never leaves a half-written file). Reads and transactions run one at a time; a
+ * transaction that throws is rolled back to the state before it started.
+ * Without a file path the database lives in memory only (tests).
+ */
+export class LocalDatabase {
+  /**
+   * @param {Object} [options] - Database options.
+   * @param {string|null} [options.filePath=null] - JSON file holding the data.
+   */
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.data = { version: FILE_FORMAT_VERSION, tables: {}, sequences: {} };
+    this.loaded = false;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read the database file, once. A missing file is an empty database.
+   * @returns {Promise<void>}
+   * @throws {Error} If the file exists but cannot be read or parsed.
+   */
+  async load() {
+    if (this.loaded) return;
+    if (this.filePath) {
+      try {
+        const content = await fs.readFile(this.filePath, "utf8");
+        const data = JSON.parse(content);
+        if (data.version !== FILE_FORMAT_VERSION) {
+          throw new Error(`Unsupported local database version ${data.version} in ${this.filePath}.`);
+        }
+        this.data = { tables: {}, sequences: {}, ...data };
+        logger.info({ filePath: this.filePath }, "Local database loaded.");
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+        logger.info({ filePath: this.filePath }, "Local database file not found. Starting empty.");
+      }
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Write the database file.
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    if (!this.filePath) return;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(temporaryPath, JSON.stringify(this.data));
+    await fs.rename(temporaryPath, this.filePath);
+  }
+
+  /**
+   * Queue work behind every earlier read and transaction.
+   * @param {function(): Promise<*>} work - Work to run.
+   * @returns {Promise<*>} Result of the work.
+   */
+  enqueue(work) {
+    const run = this.queue.then(async () => {
+      await this.load();
+      return work();
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run a read. Rows are copied, so callers cannot change the stored data.
+   * @param {function(): *} fn - Reads through get/rows.
+   * @returns {Promise<*>} Copy of the result.
+   */
+  read(fn) {
+    return this.enqueue(async () => structuredClone(await fn()));
+  }
+
+  /**
+   * Run writes atomically and save them.
+   * @param {function(): *} fn - Reads and writes through get/rows/put/delete.
+   * @returns {Promise<*>} Copy of the result.
+   * @throws {Error} If fn or saving fails; no change is kept.
+   */
+  transaction(fn) {
+    return this.enqueue(async () => {
+      const snapshot = structuredClone(this.data);
+      try {
+        const result = await fn();
+        await this.persist();
+        return structuredClone(result);
+      } catch (error) {
+        this.data = snapshot;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Rows of a table by primary key.
+   * @param {string} table - Table name.
+   * @returns {Object} Map of key to row.
+   */
+  table(table) {
+    if (!this.data.tables[table]) {
+      this.data.tables[table] = {};
+    }
+    return this.data.tables[table];
+  }
+
+  /**
+   * @param {string} table - Table name.
+   * @param {string} key - Primary key.
+   * @returns {Object|null} Row, or null.
+   */
+  get(table, key) {
+    return this.table(table)[key] || null;
+  }
+
+  /**
+   * @param {string} table - Table name.
+   * @returns {Array<Object>} Every row of the table.
+   */
+  rows(table) {
+    return Object.values(this.table(table));
+  }
+
+  /**
+   * Insert or replace a row.
+   * @param {string} table - Table name.
+   * @param {string} key - Primary key.
+   * @param {Object} row - Row.
+   * @returns {Object} The stored row.
+   */
+  put(table, key, row) {
+    this.table(table)[key] = row;
+    return row;
+  }
+
+  /**
+   * @param {string} table - Table name.
+   * @param {string} key - Primary key.
+   */
+  delete(table, key) {
+    delete this.table(table)[key];
+  }
+
+  /**
+   * Next value of an identity column.
+   * @param {string} table - Table name.
+   * @returns {number} Id, starting at 1.
+   */
+  nextId(table) {
+    this.data.sequences[table] = (this.data.sequences[table] || 0) + 1;
+    return this.data.sequences[table];
+  }
+}
+
+/**
+ * Compare rows by created_at, for sorting oldest first. Rows without a timestamp sort first.
+ * @param {Object} a - Row.
+ * @param {Object} b - Row.
+ * @returns {number} Sort order.
+ */
+export function compareCreatedAt(a, b) {
+  return new Date(a.created_at || 0) - new Date(b.created_at || 0);
+}
@@ -0,0 +1,24 @@
+/**
+ * Merchant category codes in the local database.
+ */
+export class LocalMccCodeRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  async get(mccCode) {
+    return this.database.read(() => {
+      const row = this.database.get("mcc_codes", mccCode);
+      return row ? { description: row.description, category: row.category } : null;
+    });
+  }
+
+  async getMany(mccCodes) {
+    return this.database.read(() =>
+      mccCodes.map((mccCode) => this.database.get("mcc_codes", mccCode)).filter(Boolean),
+    );
+  }
+}
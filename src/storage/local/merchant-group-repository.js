@@ -0,0 +1,262 @@
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Merchant groups, the merchants assigned to them and their history in the local database.
+ */
+export class LocalMerchantGroupRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  async create(group) {
+    return this.database.transaction(() => {
+      const now = new Date().toISOString();
+      const id = uuidv4();
+      return this.database.put("merchant_groups", id, {
+        id,
+        canonical_name: group.canonical_name,
+        normalized_descriptor: group.normalized_descriptor,
+        mcc: group.mcc ?? null,
+        country: group.country ?? null,
+        merged_into: null,
+        created_at: now,
+        updated_at: now,
+      });
+    });
+  }
+
+  async get(groupId) {
+    return this.database.read(() => this.database.get("merchant_groups", groupId));
+  }
+
+  async listByIds(groupIds) {
+    return this.database.read(() =>
+      groupIds.map((groupId) => this.database.get("merchant_groups", groupId)).filter(Boolean),
+    );
+  }
+
+  async listActive({ prefix, contains, limit = 50 } = {}) {
+    const lowerPrefix = prefix?.toLowerCase();
+    const lowerContains = contains?.toLowerCase();
+    return this.database.read(() =>
+      this.database
+        .rows("merchant_groups")
+        .filter((group) => !group.merged_into)
+        .filter((group) => {
+          const descriptor = (group.normalized_descriptor || "").toLowerCase();
+          return (!lowerPrefix || descriptor.startsWith(lowerPrefix))
+            && (!lowerContains || descriptor.includes(lowerContains));
+        })
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+        .slice(0, limit),
+    );
+  }
+
+  async markMerged(groupIds, targetGroupId) {
+    await this.database.transaction(() => {
+      const now = new Date().toISOString();
+      for (const groupId of groupIds) {
+        const group = this.database.get("merchant_groups", groupId);
+        if (group) {
+          this.database.put("merchant_groups", groupId, { ...group, merged_into: targetGroupId, updated_at: now });
+        }
+      }
+    });
+  }
+
+  async merge({ targetGroupId, sourceGroupIds, reason = null, performedBy = null }) {
+    return this.database.transaction(() => {
+      const target = this.database.get("merchant_groups", targetGroupId);
+      if (!target) {
+        return { merged: false, reason: "Target group does not exist", sources: [] };
+      }
+      if (target.merged_into) {
+        return { merged: false, reason: `Target group was merged into ${target.merged_into}`, sources: [] };
+      }
+      if (sourceGroupIds.includes(targetGroupId)) {
+        return { merged: false, reason: "A group cannot be merged into itself", sources: [] };
+      }
+      const uniqueSourceIds = [...new Set(sourceGroupIds)];
+      const sourceGroups = uniqueSourceIds.map((groupId) => this.database.get("merchant_groups", groupId));
+      if (sourceGroups.some((group) => !group || group.merged_into)) {
+        return { merged: false, reason: "Some source groups do not exist or were already merged", sources: [] };
+      }
+
+      const now = new Date().toISOString();
+      const sources = [];
+      for (const group of sourceGroups) {
+        const merchants = this.database.rows("merchants").filter((merchant) => merchant.merchant_group_id === group.id);
+        for (const merchant of merchants) {
+          this.database.put("merchants", merchant.id, { ...merchant, merchant_group_id: targetGroupId });
+        }
+        this.database.put("merchant_groups", group.id, { ...group, merged_into: targetGroupId, updated_at: now });
+
+        const merchantIds = merchants.map((merchant) => merchant.id);
+        const id = this.database.nextId("merchant_group_history");
+        this.database.put("merchant_group_history", String(id), {
+          id,
+          action: "merge",
+          group_id: targetGroupId,
+          source_group_id: group.id,
+          merchant_ids: merchantIds,
+          score: null,
+          reason,
+          performed_by: performedBy,
+          created_at: now,
+        });
+        sources.push({ group_id: group.id, merchant_ids: merchantIds });
+      }
+      return { merged: true, reason: null, sources };
+    });
+  }
+
+  async split({ groupId, merchantIds, group, reason = null, performedBy = null }) {
+    return this.database.transaction(() => {
+      const source = this.database.get("merchant_groups", groupId);
+      if (!source) {
+        return { split: false, reason: "Group does not exist", groupId: null };
+      }
+      const uniqueMerchantIds = [...new Set(merchantIds)];
+      const groupMerchants = this.database.rows("merchants").filter((merchant) => merchant.merchant_group_id === groupId);
+      const groupMerchantIds = new Set(groupMerchants.map((merchant) => merchant.id));
+      if (!uniqueMerchantIds.every((merchantId) => groupMerchantIds.has(merchantId))) {
+        return { split: false, reason: "Some merchants are not in this group", groupId: null };
+      }
+      if (uniqueMerchantIds.length >= groupMerchantIds.size) {
+        return { split: false, reason: "At least one merchant must stay in the group", groupId: null };
+      }
+
+      const now = new Date().toISOString();
+      const newGroupId = uuidv4();
+      this.database.put("merchant_groups", newGroupId, {
+        id: newGroupId,
+        canonical_name: group.canonical_name,
+        normalized_descriptor: group.normalized_descriptor,
+        mcc: group.mcc ?? null,
+        country: group.country ?? null,
+        merged_into: null,
+        created_at: now,
+        updated_at: now,
+      });
+      for (const merchantId of uniqueMerchantIds) {
+        const merchant = this.database.get("merchants", merchantId);
+        this.database.put("merchants", merchantId, { ...merchant, merchant_group_id: newGroupId });
+      }
+
+      const id = this.database.nextId("merchant_group_history");
+      this.database.put("merchant_group_history", String(id), {
+        id,
+        action: "split",
+        group_id: newGroupId,
+        source_group_id: groupId,
+        merchant_ids: uniqueMerchantIds,
+        score: null,
+        reason,
+        performed_by: performedBy,
+        created_at: now,
+      });
+      return { split: true, reason: null, groupId: newGroupId };
+    });
+  }
+
+  async getMerchant(merchantId) {
+    return this.database.read(() => {
+      const merchant = this.database.get("merchants", merchantId);
+      return merchant ? { id: merchant.id, merchant_group_id: merchant.merchant_group_id ?? null } : null;
+    });
+  }
+
+  async listMerchants(groupId) {
+    return this.database.read(() =>
+      this.database
+        .rows("merchants")
+        .filter((merchant) => merchant.merchant_group_id === groupId)
+        .map(({ id, descriptor, city, state, country, mcc, mcc_description, acceptor_id }) => ({
+          id,
+          descriptor,
+          city: city ?? null,
+          state: state ?? null,
+          country: country ?? null,
+          mcc: mcc ?? null,
+          mcc_description: mcc_description ?? null,
+          acceptor_id: acceptor_id ?? null,
+        })),
+    );
+  }
+
+  async assignMerchants(merchantIds, groupId) {
+    await this.database.transaction(() => {
+      for (const merchantId of merchantIds) {
+        const merchant = this.database.get("merchants", merchantId);
+        if (merchant) {
+          this.database.put("merchants", merchantId, { ...merchant, merchant_group_id: groupId });
+        }
+      }
+    });
+  }
+
+  async assignMerchantIfUngrouped(merchantId, groupId) {
+    return this.database.transaction(() => {
+      const merchant = this.database.get("merchants", merchantId);
+      if (!merchant) {
+        return null;
+      }
+      if (merchant.merchant_group_id) {
+        return merchant.merchant_group_id;
+      }
+      this.database.put("merchants", merchantId, { ...merchant, merchant_group_id: groupId });
+      return groupId;
+    });
+  }
+
+  async getTransactionGroupId(transactionToken) {
+    return this.database.read(() => {
+      const link = this.database
+        .rows("transaction_merchants")
+        .find((row) => row.transaction_token === transactionToken);
+      const merchant = link ? this.database.get("merchants", link.merchant_id) : null;
+      return merchant?.merchant_group_id || null;
+    });
+  }
+
+  async listTransactionTokens(merchantIds) {
+    const ids = new Set(merchantIds);
+    return this.database.read(() => [
+      ...new Set(
+        this.database
+          .rows("transaction_merchants")
+          .filter((link) => ids.has(link.merchant_id))
+          .map((link) => link.transaction_token),
+      ),
+    ]);
+  }
+
+  async addHistory(entry) {
+    await this.database.transaction(() => {
+      const id = this.database.nextId("merchant_group_history");
+      this.database.put("merchant_group_history", String(id), {
+        id,
+        source_group_id: null,
+        merchant_ids: [],
+        score: null,
+        reason: null,
+        performed_by: null,
+        ...entry,
+        created_at: new Date().toISOString(),
+      });
+    });
+  }
+
+  async listHistory(groupId, limit = 50) {
+    return this.database.read(() =>
+      this.database
+        .rows("merchant_group_history")
+        .filter((entry) => entry.group_id === groupId || entry.source_group_id === groupId)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at) || b.id - a.id)
+        .slice(0, limit),
+    );
+  }
+}
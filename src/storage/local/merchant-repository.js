@@ -0,0 +1,29 @@
+/**
+ * Merchants in the local database.
+ */
+export class LocalMerchantRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  async listMissingMccDetails() {
+    return this.database.read(() =>
+      this.database
+        .rows("merchants")
+        .filter((merchant) => merchant.mcc && !merchant.mcc_description)
+        .map(({ id, mcc, descriptor }) => ({ id, mcc, descriptor })),
+    );
+  }
+
+  async updateMccDetails(merchantId, { mcc_description, mcc_category }) {
+    await this.database.transaction(() => {
+      const merchant = this.database.get("merchants", merchantId);
+      if (merchant) {
+        this.database.put("merchants", merchantId, { ...merchant, mcc_description, mcc_category });
+      }
+    });
+  }
+}
@@ -0,0 +1,427 @@
+import { v4 as uuidv4 } from "uuid";
+import { areMerchantDetailsDifferent } from "../../utils/merchant-resolution.js";
+import { isRedactedPayload } from "../../utils/retention.js";
+import { compareCreatedAt } from "./local-database.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Merchant fields matched exactly when a transaction has no known acceptor_id.
+ */
+const MERCHANT_MATCH_FIELDS = ["descriptor", "city", "state", "country", "mcc"];
+
+/**
+ * Whether a stored raw payload was redacted or pruned by retention.
+ * @param {Object|null} rawData - Stored raw payload.
+ * @returns {boolean} True for a redacted or pruned payload.
+ */
+function isRetainedPayload(rawData) {
+  return rawData === null || isRedactedPayload(rawData);
+}
+
+/**
+ * Transactions, their events and merchant links in the local database.
+ */
+export class LocalTransactionRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * Find the merchant of a transaction by acceptor_id or by its exact details,
+   * updating it when its details changed, or create it. Runs inside a transaction.
+   * @param {string} transactionToken - Transaction token, for logging.
+   * @param {Object} merchantInfo - Parsed merchant details, enriched with MCC details.
+   * @returns {string|null} Merchant id, or null if no merchant could be identified.
+   */
+  findOrSaveMerchant(transactionToken, merchantInfo) {
+    const merchants = this.database.rows("merchants");
+    let existingMerchant = null;
+
+    if (merchantInfo.acceptor_id) {
+      existingMerchant = merchants.find((merchant) => merchant.acceptor_id === merchantInfo.acceptor_id) || null;
+    }
+    if (!existingMerchant && merchantInfo.descriptor) {
+      const matches = merchants.filter((merchant) =>
+        MERCHANT_MATCH_FIELDS.every((field) => merchant[field] === (merchantInfo[field] || null)),
+      );
+      if (matches.length === 1) {
+        existingMerchant = matches[0];
+      } else if (matches.length > 1) {
+        logger.warn(
+          { transactionToken, count: matches.length, details: merchantInfo },
+          "Multiple merchants found by combination. Will proceed to create a new merchant if descriptor is present.",
+        );
+      }
+    }
+
+    if (existingMerchant) {
+      if (areMerchantDetailsDifferent(existingMerchant, merchantInfo)) {
+        this.database.put("merchants", existingMerchant.id, {
+          ...existingMerchant,
+          descriptor: merchantInfo.descriptor,
+          city: merchantInfo.city || null,
+          state: merchantInfo.state || null,
+          country: merchantInfo.country || null,
+          mcc: merchantInfo.mcc || null,
+          mcc_description: merchantInfo.mcc_description ?? null,
+          mcc_category: merchantInfo.mcc_category ?? null,
+          acceptor_id: merchantInfo.acceptor_id || existingMerchant.acceptor_id,
+        });
+        logger.info({ transactionToken, merchantId: existingMerchant.id }, "Merchant details updated successfully.");
+      }
+      return existingMerchant.id;
+    }
+
+    if (!merchantInfo.descriptor) {
+      logger.warn(
+        { transactionToken, merchantInfo },
+        "Could not identify or create a merchant (e.g., missing descriptor for new, or ambiguous match without acceptor_id). Transaction will not be linked to a specific merchant record by this process.",
+      );
+      return null;
+    }
+
+    const merchantId = uuidv4();
+    this.database.put("merchants", merchantId, {
+      acceptor_id: null,
+      city: null,
+      state: null,
+      country: null,
+      mcc: null,
+      mcc_description: null,
+      mcc_category: null,
+      merchant_group_id: null,
+      ...merchantInfo,
+      id: merchantId,
+      created_at: new Date().toISOString(),
+    });
+    logger.info({ transactionToken, newMerchantId: merchantId }, "New merchant created successfully.");
+    return merchantId;
+  }
+
+  /**
+   * A stored transaction in the shape of the transaction_details view.
+   * @param {Object} transaction - Stored transaction.
+   * @returns {Object} Transaction with its merchant.
+   */
+  toDetails(transaction) {
+    const link = this.database.rows("transaction_merchants").find(
+      (row) => row.transaction_token === transaction.token,
+    );
+    const merchant = link ? this.database.get("merchants", link.merchant_id) : null;
+
+    return {
+      token: transaction.token,
+      card_token: transaction.card_token ?? null,
+      account_token: transaction.account_token ?? null,
+      network: transaction.network ?? null,
+      authorization_code: transaction.authorization_code ?? null,
+      cardholder_amount: transaction.cardholder_amount ?? 0,
+      cardholder_currency: transaction.cardholder_currency || "USD",
+      cardholder_amount_usd: (transaction.cardholder_amount ?? 0) / 100,
+      conversion_rate: transaction.conversion_rate ?? 1,
+      merchant_amount: transaction.merchant_amount ?? 0,
+      merchant_currency: transaction.merchant_currency || "USD",
+      merchant_amount_usd: (transaction.merchant_amount ?? 0) / 100,
+      result: transaction.result ?? null,
+      retrieval_reference_number: transaction.retrieval_reference_number ?? null,
+      network_type: transaction.network_type ?? null,
+      network_transaction_id: transaction.network_transaction_id ?? null,
+      status: transaction.status ?? null,
+      created_at: transaction.created_at ?? null,
+      raw_data: transaction.raw_data ?? null,
+      merchant_id: merchant?.id ?? null,
+      merchant_acceptor_id: merchant?.acceptor_id ?? null,
+      merchant_name: merchant?.descriptor ?? null,
+      merchant_city: merchant?.city ?? null,
+      merchant_state: merchant?.state ?? null,
+      merchant_country: merchant?.country ?? null,
+      merchant_mcc_code: merchant?.mcc ?? null,
+      mcc_description: merchant?.mcc_description ?? null,
+      mcc_category: merchant?.mcc_category ?? null,
+      merchant_group_id: merchant?.merchant_group_id ?? null,
+    };
+  }
+
+  /**
+   * Stored transactions, newest first.
+   * @returns {Array<Object>} Transactions.
+   */
+  newestFirst() {
+    return this.database.rows("transactions").sort((a, b) => compareCreatedAt(b, a));
+  }
+
+  async ingest({ transaction, events, merchant }) {
+    return this.database.transaction(() => {
+      const transactionToken = transaction.token;
+      const merchantId = this.findOrSaveMerchant(transactionToken, merchant);
+
+      const existingTransaction = this.database.get("transactions", transactionToken);
+      this.database.put("transactions", transactionToken, {
+        inserted_at: existingTransaction?.inserted_at || new Date().toISOString(),
+        ...existingTransaction,
+        ...transaction,
+        // A payload redacted or pruned by retention stays that way when the transaction is ingested again
+        ...(existingTransaction && isRetainedPayload(existingTransaction.raw_data)
+          ? { raw_data: existingTransaction.raw_data }
+          : {}),
+      });
+
+      for (const event of events) {
+        this.database.put("transaction_events", event.event_token, event);
+      }
+
+      if (merchantId) {
+        this.database.put("transaction_merchants", `${transactionToken}:${merchantId}`, {
+          transaction_token: transactionToken,
+          merchant_id: merchantId,
+        });
+      }
+      return merchantId;
+    });
+  }
+
+  async exists(transactionToken) {
+    return this.database.read(() => !!this.database.get("transactions", transactionToken));
+  }
+
+  async getDetails(transactionToken) {
+    return this.database.read(() => {
+      const transaction = this.database.get("transactions", transactionToken);
+      return transaction ? this.toDetails(transaction) : null;
+    });
+  }
+
+  async listDetails({ tokens, declinedOnly = false, foreignCurrencyOnly = false, limit } = {}) {
+    return this.database.read(() => {
+      const tokenSet = tokens ? new Set(tokens) : null;
+      const rows = this.newestFirst()
+        .filter((transaction) => !tokenSet || tokenSet.has(transaction.token))
+        .filter((transaction) => !declinedOnly || transaction.result !== "APPROVED")
+        .map((transaction) => this.toDetails(transaction))
+        .filter((row) => !foreignCurrencyOnly || row.cardholder_currency !== row.merchant_currency);
+      return limit ? rows.slice(0, limit) : rows;
+    });
+  }
+
+  async listEvents(transactionToken) {
+    return this.database.read(() =>
+      this.database
+        .rows("transaction_events")
+        .filter((event) => event.transaction_token === transactionToken)
+        .sort(compareCreatedAt),
+    );
+  }
+
+  async getLatestTimestamp() {
+    return this.database.read(() => {
+      const [latest] = this.newestFirst();
+      return latest ? { created_at: latest.created_at } : null;
+    });
+  }
+
+  async getStatuses(transactionTokens) {
+    const rows = await this.database.read(() => {
+      const eventCounts = this.countEvents();
+      return transactionTokens
+        .map((token) => this.database.get("transactions", token))
+        .filter(Boolean)
+        .map(({ token, status, result }) => ({ token, status, result, eventCount: eventCounts.get(token) || 0 }));
+    });
+    return new Map(
+      rows.map((row) => [row.token, { status: row.status, result: row.result, eventCount: row.eventCount }]),
+    );
+  }
+
+  async listPending({ before, limit = 50 } = {}) {
+    return this.database.read(() => {
+      const eventCounts = this.countEvents();
+      return this.database
+        .rows("transactions")
+        .filter((transaction) => transaction.status === "PENDING")
+        .filter((transaction) => !before || new Date(transaction.created_at) < new Date(before))
+        .sort(compareCreatedAt)
+        .slice(0, limit)
+        .map(({ token, status, result, created_at }) => ({
+          token,
+          status,
+          result,
+          created_at,
+          eventCount: eventCounts.get(token) || 0,
+        }));
+    });
+  }
+
+  /**
+   * Number of stored events per transaction. Call inside a read.
+   * @returns {Map<string, number>} Event count by transaction token
+   */
+  countEvents() {
+    const counts = new Map();
+    for (const event of this.database.rows("transaction_events")) {
+      counts.set(event.transaction_token, (counts.get(event.transaction_token) || 0) + 1);
+    }
+    return counts;
+  }
+
+  async listInRange({ begin, end }) {
+    const beginTime = new Date(begin);
+    const endTime = new Date(end);
+    return this.database.read(() =>
+      this.database
+        .rows("transactions")
+        .filter((transaction) => {
+          const createdAt = new Date(transaction.created_at);
+          return createdAt >= beginTime && createdAt < endTime;
+        })
+        .sort(compareCreatedAt)
+        .map(({ token, card_token, status, result, cardholder_amount, created_at }) => ({
+          token,
+          card_token,
+          status,
+          result,
+          cardholder_amount,
+          created_at,
+        })),
+    );
+  }
+
+  async getCardToken(transactionToken) {
+    return this.database.read(() => this.database.get("transactions", transactionToken)?.card_token || null);
+  }
+
+  async listCardTransactionsAtMerchants({ cardToken, merchantIds, excludeToken, limit = 5 }) {
+    return this.database.read(() => {
+      const merchantIdSet = new Set(merchantIds);
+      const tokens = new Set(
+        this.database
+          .rows("transaction_merchants")
+          .filter((link) => merchantIdSet.has(link.merchant_id) && link.transaction_token !== excludeToken)
+          .map((link) => link.transaction_token),
+      );
+
+      return this.newestFirst()
+        .filter((transaction) => tokens.has(transaction.token) && transaction.card_token === cardToken)
+        .slice(0, limit)
+        .map(({ token, card_token, created_at }) => ({ token, card_token, created_at }));
+    });
+  }
+
+  async getSummary() {
+    return this.database.read(() => {
+      const transactions = this.database.rows("transactions");
+      const approvedCount = transactions.filter((transaction) => transaction.result === "APPROVED").length;
+      const totalAmount = transactions.reduce((total, transaction) => total + (transaction.cardholder_amount || 0), 0);
+      return {
+        total_transactions: transactions.length,
+        approved_count: approvedCount,
+        declined_count: transactions.length - approvedCount,
+        total_amount_usd: totalAmount / 100,
+      };
+    });
+  }
+
+  async listAmounts() {
+    return this.database.read(() =>
+      this.database
+        .rows("transactions")
+        .map(({ cardholder_amount, cardholder_currency }) => ({ cardholder_amount, cardholder_currency })),
+    );
+  }
+
+  async getNetworkCounts() {
+    return this.database.read(() =>
+      this.database.rows("transactions").reduce((counts, transaction) => {
+        if (transaction.network_type) {
+          counts[transaction.network_type] = (counts[transaction.network_type] || 0) + 1;
+        }
+        return counts;
+      }, {}),
+    );
+  }
+
+  async listRawDataBefore({ before, limit = 500 }) {
+    const beforeTime = new Date(before);
+    return this.database.read(() =>
+      this.database
+        .rows("transactions")
+        .filter((transaction) => transaction.raw_data && !isRedactedPayload(transaction.raw_data))
+        .filter((transaction) => new Date(transaction.created_at) < beforeTime)
+        .sort(compareCreatedAt)
+        .slice(0, limit)
+        .map(({ token, raw_data, created_at }) => ({ token, raw_data, created_at })),
+    );
+  }
+
+  async updateRawData(transactionToken, rawData) {
+    await this.database.transaction(() => {
+      const transaction = this.database.get("transactions", transactionToken);
+      if (transaction) {
+        this.database.put("transactions", transactionToken, { ...transaction, raw_data: rawData });
+      }
+    });
+  }
+
+  async listArchiveRecords({ before, limit = 500 }) {
+    const beforeTime = new Date(before);
+    return this.database.read(() => {
+      const events = this.database.rows("transaction_events");
+      const links = this.database.rows("transaction_merchants");
+      return this.database
+        .rows("transactions")
+        .filter((transaction) => new Date(transaction.created_at) < beforeTime && !transaction.restored_at)
+        .sort(compareCreatedAt)
+        .slice(0, limit)
+        .map((transaction) => ({
+          transaction,
+          events: events.filter((event) => event.transaction_token === transaction.token),
+          merchant_ids: links
+            .filter((link) => link.transaction_token === transaction.token)
+            .map((link) => link.merchant_id),
+        }));
+    });
+  }
+
+  async deleteMany(transactionTokens) {
+    const tokens = new Set(transactionTokens);
+    await this.database.transaction(() => {
+      for (const token of tokens) {
+        this.database.delete("transactions", token);
+      }
+      for (const event of this.database.rows("transaction_events")) {
+        if (tokens.has(event.transaction_token)) {
+          this.database.delete("transaction_events", event.event_token);
+        }
+      }
+      for (const link of this.database.rows("transaction_merchants")) {
+        if (tokens.has(link.transaction_token)) {
+          this.database.delete("transaction_merchants", `${link.transaction_token}:${link.merchant_id}`);
+        }
+      }
+    });
+  }
+
+  async restore(records) {
+    const restoredAt = new Date().toISOString();
+    return this.database.transaction(() => {
+      for (const { transaction, events, merchant_ids: merchantIds } of records) {
+        this.database.put("transactions", transaction.token, { ...transaction, restored_at: restoredAt });
+        for (const event of events) {
+          this.database.put("transaction_events", event.event_token, event);
+        }
+        // Merchants are never archived; links to merchants deleted since are dropped
+        for (const merchantId of merchantIds) {
+          if (this.database.get("merchants", merchantId)) {
+            this.database.put("transaction_merchants", `${transaction.token}:${merchantId}`, {
+              transaction_token: transaction.token,
+              merchant_id: merchantId,
+            });
+          }
+        }
+      }
+      return records.length;
+    });
+  }
+}
@@ -0,0 +1,102 @@
+import { isRedactedPayload } from "../../utils/retention.js";
+
+/**
+ * Durable log of Lithic webhook deliveries in the local database.
+ */
+export class LocalWebhookEventRepository {
+  /**
+   * @param {import("./local-database.js").LocalDatabase} database - Local database.
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  async insert(event) {
+    return this.database.transaction(() => {
+      const existing = this.database.get("webhook_events", event.webhook_id);
+      if (existing) {
+        return { event: existing, inserted: false };
+      }
+      const now = new Date().toISOString();
+      const stored = this.database.put("webhook_events", event.webhook_id, {
+        status: "received",
+        attempts: 0,
+        last_error: null,
+        processed_at: null,
+        received_at: now,
+        updated_at: now,
+        ...event,
+      });
+      return { event: stored, inserted: true };
+    });
+  }
+
+  async get(webhookId) {
+    return this.database.read(() => this.database.get("webhook_events", webhookId));
+  }
+
+  async update(webhookId, fields) {
+    await this.database.transaction(() => {
+      const event = this.database.get("webhook_events", webhookId);
+      if (event) {
+        this.database.put("webhook_events", webhookId, { ...event, ...fields });
+      }
+    });
+  }
+
+  async claim(webhookId, { statuses, updatedBefore }, fields) {
+    return this.database.transaction(() => {
+      const event = this.database.get("webhook_events", webhookId);
+      if (!event || !statuses.includes(event.status)) {
+        return null;
+      }
+      if (updatedBefore && new Date(event.updated_at || event.received_at) >= new Date(updatedBefore)) {
+        return null;
+      }
+      return this.database.put("webhook_events", webhookId, { ...event, ...fields });
+    });
+  }
+
+  async list({ status, eventType, updatedBefore, maxAttempts, limit = 50 } = {}) {
+    return this.database.read(() =>
+      this.database
+        .rows("webhook_events")
+        .filter((event) => !status || event.status === status)
+        .filter((event) => !eventType || event.event_type === eventType)
+        .filter((event) => !updatedBefore || new Date(event.updated_at || event.received_at) < new Date(updatedBefore))
+        .filter((event) => !maxAttempts || (event.attempts || 0) < maxAttempts)
+        .sort((a, b) => new Date(a.received_at) - new Date(b.received_at))
+        .slice(0, limit),
+    );
+  }
+
+  async getLatestReceivedAt() {
+    return this.database.read(() =>
+      this.database
+        .rows("webhook_events")
+        .reduce((latest, event) => (!latest || new Date(event.received_at) > new Date(latest) ? event.received_at : latest), null),
+    );
+  }
+
+  async listPayloadsBefore({ before, limit = 500 }) {
+    const beforeTime = new Date(before);
+    return this.database.read(() =>
+      this.database
+        .rows("webhook_events")
+        .filter((event) => event.payload && !isRedactedPayload(event.payload))
+        .filter((event) => new Date(event.received_at) < beforeTime)
+        .sort((a, b) => new Date(a.received_at) - new Date(b.received_at))
+        .slice(0, limit)
+        .map(({ webhook_id, payload, received_at }) => ({ webhook_id, payload, received_at })),
+    );
+  }
+
+  async updatePayload(webhookId, payload) {
+    await this.database.transaction(() => {
+      const event = this.database.get("webhook_events", webhookId);
+      if (event) {
+        this.database.put("webhook_events", webhookId, { ...event, payload });
+      }
+    });
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * Repository interfaces of the storage layer.
+ *
+ * Services read and write transactions, merchants, cards, MCC codes, cases, merchant groups,
+ * the webhook log, background job state, ASA rules and decisions, and account events only
+ * through these repositories, so the same code runs against Supabase or the local file-backed
+ * database (STORAGE_ADAPTER). Every method is async and throws on storage errors;
+ * "not found" is returned as null, never thrown.
+ */
+
+/**
+ * @typedef {Object} TransactionRepository
+ * @property {function(Object): Promise<string|null>} ingest
+ *   Save `{ transaction, events, merchant }` atomically: match or create the merchant,
+ *   upsert the transaction and its events, link the transaction to the merchant.
+ *   Resolves to the merchant id.
+ * @property {function(string): Promise<boolean>} exists
+ *   Whether a transaction is stored.
+ * @property {function(string): Promise<Object|null>} getDetails
+ *   A transaction joined with its merchant (the transaction_details view shape).
+ * @property {function(Object): Promise<Array>} listDetails
+ *   Transactions with merchant details, newest first.
+ *   Options `{ tokens, declinedOnly, foreignCurrencyOnly, limit }`.
+ * @property {function(string): Promise<Array>} listEvents
+ *   Events of a transaction, oldest first.
+ * @property {function(): Promise<Object|null>} getLatestTimestamp
+ *   `{ created_at }` of the newest transaction.
+ * @property {function(Array<string>): Promise<Map<string, Object>>} getStatuses
+ *   Map of token to `{ status, result, eventCount }` for the stored transactions among the tokens.
+ * @property {function(Object): Promise<Array>} listPending
+ *   PENDING transactions with their `eventCount`, oldest first. Options `{ before, limit }`.
+ * @property {function(Object): Promise<Array>} listInRange
+ *   Transactions created in `[begin, end)`, oldest first.
+ * @property {function(string): Promise<string|null>} getCardToken
+ *   Card token of a transaction.
+ * @property {function(Object): Promise<Array>} listCardTransactionsAtMerchants
+ *   `{ token, card_token, created_at }` of a card's transactions at any of the merchants,
+ *   newest first. Options `{ cardToken, merchantIds, excludeToken, limit }`.
+ * @property {function(): Promise<Object|null>} getSummary
+ *   `{ total_transactions, approved_count, declined_count, total_amount_usd }`.
+ * @property {function(): Promise<Array>} listAmounts
+ *   `{ cardholder_amount, cardholder_currency }` of every transaction.
+ * @property {function(): Promise<Object>} getNetworkCounts
+ *   Transaction count per network type.
+ * @property {function(Object): Promise<Array>} listRawDataBefore
+ *   `{ token, raw_data, created_at }` of transactions created before `before` whose raw
+ *   payload is neither pruned nor redacted, oldest first. Options `{ before, limit }`.
+ * @property {function(string, Object|null): Promise<void>} updateRawData
+ *   Replace the raw payload of a transaction.
+ * @property {function(Object): Promise<Array>} listArchiveRecords
+ *   `{ transaction, events, merchant_ids }` of transactions created before `before`,
+ *   oldest first, skipping restored transactions. Options `{ before, limit }`.
+ * @property {function(Array<string>): Promise<void>} deleteMany
+ *   Delete transactions with their events and merchant links.
+ * @property {function(Array<Object>): Promise<number>} restore
+ *   Upsert archived `{ transaction, events, merchant_ids }` records, marked with
+ *   `restored_at`; links to merchants that no longer exist are skipped.
+ *   Resolves to the number of transactions.
+ */
+
+/**
+ * @typedef {Object} MerchantRepository
+ * @property {function(): Promise<Array>} listMissingMccDetails
+ *   Merchants `{ id, mcc, descriptor }` with an MCC but no MCC description.
+ * @property {function(string, Object): Promise<void>} updateMccDetails
+ *   Set `{ mcc_description, mcc_category }` of a merchant.
+ */
+
+/**
+ * @typedef {Object} CardRepository
+ * @property {function(string): Promise<Object|null>} get
+ *   A card of the registry.
+ * @property {function(Object): Promise<Array>} list
+ *   Registered cards. Options `{ state }`.
+ * @property {function(Object): Promise<void>} upsert
+ *   Insert or update a card by token.
+ * @property {function(Object, Object): Promise<Object>} save
+ *   Save parsed card details with options `{ eventType }` and record the tracked fields that
+ *   changed in the card state history, in one transaction that serializes saves of the card.
+ *   Resolves to `{ previous, changes }`, where `previous` is the card row before the save or null.
+ * @property {function(Object): Promise<void>} addHistory
+ *   Record a card change in the card state history.
+ * @property {function(string, number): Promise<Array>} listHistory
+ *   State history of a card, newest first.
+ */
+
+/**
+ * @typedef {Object} MccCodeRepository
+ * @property {function(string): Promise<Object|null>} get
+ *   `{ description, category }` of a four-digit MCC.
+ * @property {function(Array<string>): Promise<Array>} getMany
+ *   `{ mcc_code, description, category }` of the known codes among the given codes.
+ */
+
+/**
+ * @typedef {Object} CaseRepository
+ * @property {function(Object): Promise<Object>} create
+ *   Create a case `{ title, description, status, tags, created_by }`. Resolves to the stored case.
+ * @property {function(string): Promise<Object|null>} get
+ *   A case, without its links and notes.
+ * @property {function(Object): Promise<Array>} list
+ *   Cases, most recently updated first. Options `{ status, tag, link, search, limit }`;
+ *   `link` is a `{ link_type, value }` the cases must have, `search` matches the title.
+ * @property {function(string, Object): Promise<Object|null>} update
+ *   Change columns of a case and set its updated_at. Resolves to the updated case.
+ * @property {function(string): Promise<boolean>} delete
+ *   Delete a case with its links and notes. Resolves to false if there was no such case.
+ * @property {function(string, Array<Object>, Object): Promise<void>} addLinks
+ *   Link `{ link_type, value }` records to a case; existing links are kept as they are.
+ *   Options `{ addedBy }`.
+ * @property {function(string, Object): Promise<boolean>} removeLink
+ *   Remove a `{ link_type, value }` link. Resolves to false if the case had no such link.
+ * @property {function(string): Promise<Array>} listLinks
+ *   Links of a case, oldest first.
+ * @property {function(string, Object): Promise<Object>} addNote
+ *   Add a `{ author, body }` note to a case. Resolves to the stored note.
+ * @property {function(string): Promise<Array>} listNotes
+ *   Notes of a case, oldest first.
+ */
+
+/**
+ * @typedef {Object} MerchantGroupRepository
+ * @property {function(Object): Promise<Object>} create
+ *   Create a group `{ canonical_name, normalized_descriptor, mcc, country }`. Resolves to the stored group.
+ * @property {function(string): Promise<Object|null>} get
+ *   A merchant group, without its merchants.
+ * @property {function(Array<string>): Promise<Array>} listByIds
+ *   The existing groups among the ids, merged or not.
+ * @property {function(Object): Promise<Array>} listActive
+ *   Groups not merged into another, most recently updated first. Options `{ prefix, contains, limit }`
+ *   match the normalized descriptor case-insensitively.
+ * @property {function(Array<string>, string): Promise<void>} markMerged
+ *   Set `merged_into` of the groups to the target group.
+ * @property {function(Object): Promise<Object>} merge
+ *   Merge `{ targetGroupId, sourceGroupIds, reason, performedBy }` in one transaction: move the
+ *   merchants of each source to the target, mark the sources as merged and record one history
+ *   entry per source with the merchants it moved. Resolves to `{ merged, reason, sources }`, where
+ *   `sources` lists `{ group_id, merchant_ids }`; nothing changes when `merged` is false.
+ * @property {function(Object): Promise<Object>} split
+ *   Split `{ groupId, merchantIds, group, reason, performedBy }` in one transaction: create the
+ *   new group from `group` (`{ canonical_name, normalized_descriptor, mcc, country }`), move the
+ *   merchants to it and record a `split` history entry. Resolves to `{ split, reason, groupId }`
+ *   with the new group's id; nothing changes when a merchant is not in the group or none would stay.
+ * @property {function(string): Promise<Object|null>} getMerchant
+ *   `{ id, merchant_group_id }` of a merchant.
+ * @property {function(string): Promise<Array>} listMerchants
+ *   `{ id, descriptor, city, state, country, mcc, mcc_description, acceptor_id }` of the
+ *   merchants in a group.
+ * @property {function(Array<string>, string): Promise<void>} assignMerchants
+ *   Move merchants to a group.
+ * @property {function(string, string): Promise<string|null>} assignMerchantIfUngrouped
+ *   Put a merchant into a group only if it has none. Resolves to the merchant's group afterwards:
+ *   the given group, or the one it already had; null if the merchant does not exist.
+ * @property {function(string): Promise<string|null>} getTransactionGroupId
+ *   Group of the merchant a transaction is linked to.
+ * @property {function(Array<string>): Promise<Array<string>>} listTransactionTokens
+ *   Unique tokens of the transactions linked to any of the merchants.
+ * @property {function(Object): Promise<void>} addHistory
+ *   Record `{ action, group_id, source_group_id, merchant_ids, score, reason, performed_by }`.
+ * @property {function(string, number): Promise<Array>} listHistory
+ *   History entries where the group is the target or the source, newest first.
+ */
+
+/**
+ * @typedef {Object} WebhookEventRepository
+ * @property {function(Object): Promise<Object>} insert
+ *   Record a `{ webhook_id, event_type, event_token, payload, status, attempts, received_at, updated_at }`
+ *   delivery unless one with the same webhook_id exists. Resolves to `{ event, inserted }`,
+ *   with the stored event when it already existed.
+ * @property {function(string): Promise<Object|null>} get
+ *   A recorded event by webhook_id.
+ * @property {function(string, Object): Promise<void>} update
+ *   Change columns of a recorded event (status, attempts, last_error, processed_at, updated_at).
+ * @property {function(string, Object, Object): Promise<Object|null>} claim
+ *   Change columns of a recorded event only while it is in one of `{ statuses }` (and, with
+ *   `updatedBefore`, unchanged since that ISO time), as one conditional update. Resolves to the
+ *   updated event, or null when the event is missing or no longer matches.
+ * @property {function(Object): Promise<Array>} list
+ *   Recorded events, oldest first. Options `{ status, eventType, updatedBefore, maxAttempts, limit }`,
+ *   where `updatedBefore` is an ISO time and `maxAttempts` keeps events with fewer attempts.
+ * @property {function(): Promise<string|null>} getLatestReceivedAt
+ *   received_at of the newest recorded event.
+ * @property {function(Object): Promise<Array>} listPayloadsBefore
+ *   `{ webhook_id, payload, received_at }` of events received before `before` whose payload
+ *   is neither pruned nor redacted, oldest first. Options `{ before, limit }`.
+ * @property {function(string, Object|null): Promise<void>} updatePayload
+ *   Replace the stored payload of an event.
+ */
+
+/**
+ * @typedef {Object} JobRepository
+ * @property {function(string, string, number): Promise<Object>} acquireLease
+ *   Take or renew the lease of a job for `leaseMs`, unless another holder's lease has not
+ *   expired. Resolves to `{ acquired, lease }` with the current lease.
+ * @property {function(string, string): Promise<boolean>} releaseLease
+ *   Expire a lease held by the holder. Resolves to false if the holder did not hold it.
+ * @property {function(string): Promise<Object|null>} getLease
+ *   Current lease of a job.
+ * @property {function(string): Promise<Object|null>} getCheckpoint
+ *   A polling checkpoint by name.
+ * @property {function(Object): Promise<Object>} saveCheckpoint
+ *   Insert or update a checkpoint by name. Resolves to the stored checkpoint.
+ * @property {function(Object): Promise<Object>} createBackfill
+ *   Create a backfill job. Resolves to the stored job.
+ * @property {function(string, Object): Promise<Object|null>} updateBackfill
+ *   Change columns of a backfill job. Resolves to the updated job.
+ * @property {function(string): Promise<Object|null>} getBackfill
+ *   A backfill job by id.
+ * @property {function(Object): Promise<Array>} listBackfills
+ *   Backfill jobs, newest first. Options `{ limit }`.
+ * @property {function(Object): Promise<Object>} saveReconciliationReport
+ *   Store a reconciliation report. Resolves to the stored report.
+ * @property {function(): Promise<Object|null>} getLatestReconciliationReport
+ *   The most recently started reconciliation report.
+ */
+
+/**
+ * @typedef {Object} AuthorizationRepository
+ * @property {function(string): Promise<Object|null>} getRules
+ *   `{ card_token, rule_set, updated_at }` of a card.
+ * @property {function(string, Object): Promise<Object>} saveRules
+ *   Replace the rule set of a card. Resolves to the stored row.
+ * @property {function(Object): Promise<void>} saveDecision
+ *   Insert or replace a decision by transaction_token.
+ * @property {function(string): Promise<Object|null>} getDecision
+ *   The decision made for a transaction.
+ * @property {function(Object): Promise<Array>} listDecisions
+ *   Decisions, newest first. Options `{ cardToken, since, limit }`.
+ * @property {function(Object): Promise<Array>} listRequestPayloadsBefore
+ *   `{ transaction_token, request_payload, decided_at }` of decisions made before `before`
+ *   whose request payload is neither pruned nor redacted, oldest first. Options `{ before, limit }`.
+ * @property {function(string, Object|null): Promise<void>} updateRequestPayload
+ *   Replace the request payload of a decision.
+ */
+
+/**
+ * @typedef {Object} AccountEventRepository
+ * @property {function(Object): Promise<void>} upsertDispute
+ *   Insert or update a dispute by token.
+ * @property {function(Object): Promise<void>} addTokenizationEvent
+ *   Record a digital wallet tokenization event.
+ * @property {function(Object): Promise<void>} upsertThreeDSAuthentication
+ *   Insert or update a 3DS authentication by token.
+ * @property {function(Array<Object>): Promise<void>} addBalanceSnapshots
+ *   Record balance snapshots.
+ * @property {function(Object): Promise<Array>} listRawDataBefore
+ *   `{ key, raw_data }` of rows of one of the RAW_DATA_TABLES stored before `before` whose raw
+ *   payload is neither pruned nor redacted, oldest first. Options `{ table, before, limit }`.
+ * @property {function(string, string|number, Object|null): Promise<void>} updateRawData
+ *   Replace the raw payload of a row of one of the RAW_DATA_TABLES by its key.
+ */
+
+/**
+ * @typedef {Object} Storage
+ * @property {string} name - Adapter name ("supabase" or "local").
+ * @property {TransactionRepository} transactions
+ * @property {MerchantRepository} merchants
+ * @property {CardRepository} cards
+ * @property {MccCodeRepository} mccCodes
+ * @property {CaseRepository} cases
+ * @property {MerchantGroupRepository} merchantGroups
+ * @property {WebhookEventRepository} webhookEvents
+ * @property {JobRepository} jobs
+ * @property {AuthorizationRepository} authorization
+ * @property {AccountEventRepository} accountEvents
+ */
+
+export const STORAGE_ADAPTERS = ["supabase", "local"];
+
+/**
+ * Account event tables that keep raw Lithic payloads, with their key column and the
+ * column retention compares with its cutoff. Disputes keep changing, so their last update counts.
+ */
+export const RAW_DATA_TABLES = {
+  disputes: { key: "token", storedAt: "updated_at" },
+  tokenization_events: { key: "id", storedAt: "created_at" },
+  three_ds_authentications: { key: "token", storedAt: "created_at" },
+};
@@ -0,0 +1,95 @@
+import { RAW_DATA_TABLES } from "../repositories.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Disputes, digital wallet tokenizations, 3DS authentications and balance snapshots
+ * reported by Lithic webhooks, in Supabase.
+ */
+export class SupabaseAccountEventRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async upsertDispute(dispute) {
+    const { error } = await this.client
+      .from("disputes")
+      .upsert([dispute], { onConflict: "token" });
+
+    if (error) {
+      logger.error({ err: error, disputeToken: dispute.token }, "Error upserting dispute.");
+      throw error;
+    }
+  }
+
+  async addTokenizationEvent(tokenizationEvent) {
+    const { error } = await this.client
+      .from("tokenization_events")
+      .insert([tokenizationEvent]);
+
+    if (error) {
+      logger.error(
+        { err: error, cardToken: tokenizationEvent.card_token, eventType: tokenizationEvent.event_type },
+        "Error saving tokenization event.",
+      );
+      throw error;
+    }
+  }
+
+  async upsertThreeDSAuthentication(authentication) {
+    const { error } = await this.client
+      .from("three_ds_authentications")
+      .upsert([authentication], { onConflict: "token" });
+
+    if (error) {
+      logger.error(
+        { err: error, authenticationToken: authentication.token },
+        "Error upserting 3DS authentication.",
+      );
+      throw error;
+    }
+  }
+
+  async addBalanceSnapshots(snapshots) {
+    const { error } = await this.client
+      .from("balance_snapshots")
+      .insert(snapshots);
+
+    if (error) {
+      logger.error({ err: error, count: snapshots.length }, "Error saving balance snapshots.");
+      throw error;
+    }
+  }
+
+  async listRawDataBefore({ table, before, limit = 500 }) {
+    const { key, storedAt } = RAW_DATA_TABLES[table];
+    const { data, error } = await this.client
+      .from(table)
+      .select(`${key}, raw_data`)
+      .lt(storedAt, before)
+      .not("raw_data", "is", null)
+      .is("raw_data->>_redacted", null)
+      .order(storedAt, { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, table, before }, "Error listing raw account event payloads.");
+      throw error;
+    }
+    return (data || []).map((row) => ({ key: row[key], raw_data: row.raw_data }));
+  }
+
+  async updateRawData(table, key, rawData) {
+    const { error } = await this.client
+      .from(table)
+      .update({ raw_data: rawData })
+      .eq(RAW_DATA_TABLES[table].key, key);
+
+    if (error) {
+      logger.error({ err: error, table, key }, "Error updating raw account event payload.");
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,117 @@
+import logger from "../../utils/logger.js";
+
+/**
+ * Per-card ASA rule sets and authorization decisions in Supabase.
+ */
+export class SupabaseAuthorizationRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async getRules(cardToken) {
+    const { data, error } = await this.client
+      .from("card_authorization_rules")
+      .select("*")
+      .eq("card_token", cardToken)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, cardToken }, "Error fetching card authorization rules.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async saveRules(cardToken, ruleSet) {
+    const { data, error } = await this.client
+      .from("card_authorization_rules")
+      .upsert(
+        [{ card_token: cardToken, rule_set: ruleSet, updated_at: new Date().toISOString() }],
+        { onConflict: "card_token" },
+      )
+      .select("*")
+      .single();
+
+    if (error) {
+      logger.error({ err: error, cardToken }, "Error saving card authorization rules.");
+      throw error;
+    }
+    return data;
+  }
+
+  async saveDecision(decision) {
+    const { error } = await this.client
+      .from("authorization_decisions")
+      .upsert([decision], { onConflict: "transaction_token" });
+
+    if (error) {
+      logger.error(
+        { err: error, transactionToken: decision.transaction_token },
+        "Error saving authorization decision.",
+      );
+      throw error;
+    }
+  }
+
+  async getDecision(transactionToken) {
+    const { data, error } = await this.client
+      .from("authorization_decisions")
+      .select("*")
+      .eq("transaction_token", transactionToken)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, transactionToken }, "Error fetching authorization decision.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async listDecisions({ cardToken, since, limit = 100 } = {}) {
+    let query = this.client.from("authorization_decisions").select("*");
+    if (cardToken) query = query.eq("card_token", cardToken);
+    if (since) query = query.gte("decided_at", since);
+
+    const { data, error } = await query
+      .order("decided_at", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, cardToken }, "Error listing authorization decisions.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async listRequestPayloadsBefore({ before, limit = 500 }) {
+    const { data, error } = await this.client
+      .from("authorization_decisions")
+      .select("transaction_token, request_payload, decided_at")
+      .lt("decided_at", before)
+      .not("request_payload", "is", null)
+      .is("request_payload->>_redacted", null)
+      .order("decided_at", { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, before }, "Error listing authorization request payloads.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async updateRequestPayload(transactionToken, requestPayload) {
+    const { error } = await this.client
+      .from("authorization_decisions")
+      .update({ request_payload: requestPayload })
+      .eq("transaction_token", transactionToken);
+
+    if (error) {
+      logger.error({ err: error, transactionToken }, "Error updating authorization request payload.");
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,163 @@
+import { getCardChanges } from "../../utils/parsers.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Database function that saves a card and its state history entry in one database
+ * transaction, serializing saves of the same card (migrations/0011_save_card.sql).
+ */
+const SAVE_CARD_RPC = "save_card";
+
+/**
+ * Error codes meaning the save function is not installed: PostgREST cannot find
+ * it in its schema cache, or Postgres does not know it.
+ */
+const MISSING_FUNCTION_ERROR_CODES = new Set(["PGRST202", "42883"]);
+
+/**
+ * Card registry and card state history in Supabase.
+ */
+export class SupabaseCardRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+    this.rpcAvailable = true;
+  }
+
+  async get(cardToken) {
+    const { data, error } = await this.client
+      .from("cards")
+      .select("*")
+      .eq("token", cardToken)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, cardToken }, "Error fetching card from registry.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async list({ state } = {}) {
+    let query = this.client.from("cards").select("*");
+    if (state) query = query.eq("state", state);
+
+    const { data, error } = await query.order("created_at", { ascending: false });
+
+    if (error) {
+      logger.error({ err: error, state }, "Error listing cards from registry.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async upsert(card) {
+    const { error } = await this.client
+      .from("cards")
+      .upsert([card], { onConflict: "token" });
+
+    if (error) {
+      logger.error({ err: error, cardToken: card.token }, "Error upserting card into registry.");
+      throw error;
+    }
+  }
+
+  /**
+   * Save a card and its history entry in one database transaction through the
+   * save_card function.
+   * @param {Object} card - Parsed card details.
+   * @param {Object} options - `{ eventType }`.
+   * @returns {Promise<Object>} `{ previous, changes }`.
+   * @throws {Error} If the function fails; nothing is saved in that case.
+   */
+  async saveAtomically(card, { eventType }) {
+    const { data, error } = await this.client.rpc(SAVE_CARD_RPC, {
+      p_card: card,
+      p_event_type: eventType,
+    });
+
+    if (error) {
+      logger.error({ err: error, cardToken: card.token }, "Error saving card into registry.");
+      throw error;
+    }
+    return { previous: data?.previous ?? null, changes: data?.changes || {} };
+  }
+
+  /**
+   * Save a card and its history entry with separate calls, for databases without
+   * the save_card function.
+   * @param {Object} card - Parsed card details.
+   * @param {Object} options - `{ eventType }`.
+   * @returns {Promise<Object>} `{ previous, changes }`.
+   * @throws {Error} If reading or writing fails.
+   */
+  async saveSequentially(card, { eventType }) {
+    const existing = await this.get(card.token);
+    const changes = getCardChanges(existing, card);
+    const now = new Date().toISOString();
+
+    await this.upsert({
+      ...card,
+      created_at: card.created_at || existing?.created_at || now,
+      updated_at: now,
+      last_event_type: eventType,
+    });
+
+    if (Object.keys(changes).length > 0) {
+      await this.addHistory({
+        card_token: card.token,
+        event_type: eventType,
+        previous_state: existing?.state || null,
+        new_state: card.state,
+        changes,
+        recorded_at: now,
+      });
+    }
+    return { previous: existing, changes };
+  }
+
+  async save(card, options) {
+    if (this.rpcAvailable) {
+      try {
+        return await this.saveAtomically(card, options);
+      } catch (error) {
+        if (!MISSING_FUNCTION_ERROR_CODES.has(error.code)) {
+          throw error;
+        }
+        this.rpcAvailable = false;
+        logger.warn(
+          { err: error },
+          "save_card database function not found. Saving cards with separate calls until restart; apply the migrations to save them atomically.",
+        );
+      }
+    }
+    return this.saveSequentially(card, options);
+  }
+
+  async addHistory(entry) {
+    const { error } = await this.client
+      .from("card_state_history")
+      .insert([entry]);
+
+    if (error) {
+      logger.error({ err: error, cardToken: entry.card_token }, "Error recording card state history.");
+      throw error;
+    }
+  }
+
+  async listHistory(cardToken, limit = 50) {
+    const { data, error } = await this.client
+      .from("card_state_history")
+      .select("*")
+      .eq("card_token", cardToken)
+      .order("recorded_at", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, cardToken }, "Error fetching card state history.");
+      throw error;
+    }
+    return data || [];
+  }
+}
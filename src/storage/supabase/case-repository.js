@@ -0,0 +1,180 @@
+import logger from "../../utils/logger.js";
+
+/**
+ * Scammer cases, their links and analyst notes in Supabase.
+ * Links and notes are deleted with their case (on delete cascade).
+ */
+export class SupabaseCaseRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async create(caseRecord) {
+    const { data, error } = await this.client
+      .from("cases")
+      .insert([caseRecord])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error({ err: error, title: caseRecord.title }, "Error creating case.");
+      throw error;
+    }
+    return data;
+  }
+
+  async get(caseId) {
+    const { data, error } = await this.client
+      .from("cases")
+      .select("*")
+      .eq("id", caseId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, caseId }, "Error fetching case.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async list({ status, tag, link, search, limit = 50 } = {}) {
+    let query = this.client.from("cases").select("*");
+    if (status) query = query.eq("status", status);
+    if (tag) query = query.contains("tags", [tag]);
+    if (search) query = query.ilike("title", `%${search.replace(/[%_\\]/g, "\\$&")}%`);
+
+    if (link) {
+      const { data: links, error: linkError } = await this.client
+        .from("case_links")
+        .select("case_id")
+        .eq("link_type", link.link_type)
+        .eq("value", link.value);
+
+      if (linkError) {
+        logger.error({ err: linkError, link }, "Error finding cases by link.");
+        throw linkError;
+      }
+      if (!links || links.length === 0) return [];
+      query = query.in("id", [...new Set(links.map((row) => row.case_id))]);
+    }
+
+    const { data, error } = await query.order("updated_at", { ascending: false }).limit(limit);
+
+    if (error) {
+      logger.error({ err: error, status, tag }, "Error listing cases.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async update(caseId, changes) {
+    const { data, error } = await this.client
+      .from("cases")
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq("id", caseId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, caseId }, "Error updating case.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async delete(caseId) {
+    const { data, error } = await this.client
+      .from("cases")
+      .delete()
+      .eq("id", caseId)
+      .select("id");
+
+    if (error) {
+      logger.error({ err: error, caseId }, "Error deleting case.");
+      throw error;
+    }
+    return (data || []).length > 0;
+  }
+
+  async addLinks(caseId, links, { addedBy = null } = {}) {
+    if (links.length === 0) return;
+
+    const rows = links.map((link) => ({
+      case_id: caseId,
+      link_type: link.link_type,
+      value: link.value,
+      added_by: addedBy,
+    }));
+    const { error } = await this.client
+      .from("case_links")
+      .upsert(rows, { onConflict: "case_id,link_type,value", ignoreDuplicates: true });
+
+    if (error) {
+      logger.error({ err: error, caseId, linkCount: links.length }, "Error linking records to case.");
+      throw error;
+    }
+  }
+
+  async removeLink(caseId, { link_type: linkType, value }) {
+    const { data, error } = await this.client
+      .from("case_links")
+      .delete()
+      .eq("case_id", caseId)
+      .eq("link_type", linkType)
+      .eq("value", value)
+      .select("id");
+
+    if (error) {
+      logger.error({ err: error, caseId, linkType }, "Error removing case link.");
+      throw error;
+    }
+    return (data || []).length > 0;
+  }
+
+  async listLinks(caseId) {
+    const { data, error } = await this.client
+      .from("case_links")
+      .select("*")
+      .eq("case_id", caseId)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true });
+
+    if (error) {
+      logger.error({ err: error, caseId }, "Error fetching case links.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async addNote(caseId, note) {
+    const { data, error } = await this.client
+      .from("case_notes")
+      .insert([{ case_id: caseId, author: note.author ?? null, body: note.body }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error({ err: error, caseId }, "Error adding case note.");
+      throw error;
+    }
+    return data;
+  }
+
+  async listNotes(caseId) {
+    const { data, error } = await this.client
+      .from("case_notes")
+      .select("*")
+      .eq("case_id", caseId)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true });
+
+    if (error) {
+      logger.error({ err: error, caseId }, "Error fetching case notes.");
+      throw error;
+    }
+    return data || [];
+  }
+}
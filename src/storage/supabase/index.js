@@ -0,0 +1,31 @@
+import { SupabaseTransactionRepository } from "./transaction-repository.js";
+import { SupabaseMerchantRepository } from "./merchant-repository.js";
+import { SupabaseCardRepository } from "./card-repository.js";
+import { SupabaseMccCodeRepository } from "./mcc-code-repository.js";
+import { SupabaseCaseRepository } from "./case-repository.js";
+import { SupabaseMerchantGroupRepository } from "./merchant-group-repository.js";
+import { SupabaseWebhookEventRepository } from "./webhook-event-repository.js";
+import { SupabaseJobRepository } from "./job-repository.js";
+import { SupabaseAuthorizationRepository } from "./authorization-repository.js";
+import { SupabaseAccountEventRepository } from "./account-event-repository.js";
+
+/**
+ * Create the storage backed by a Supabase project.
+ * @param {Object} client - Supabase client.
+ * @returns {import("../repositories.js").Storage} Storage.
+ */
+export function createSupabaseStorage(client) {
+  return {
+    name: "supabase",
+    transactions: new SupabaseTransactionRepository(client),
+    merchants: new SupabaseMerchantRepository(client),
+    cards: new SupabaseCardRepository(client),
+    mccCodes: new SupabaseMccCodeRepository(client),
+    cases: new SupabaseCaseRepository(client),
+    merchantGroups: new SupabaseMerchantGroupRepository(client),
+    webhookEvents: new SupabaseWebhookEventRepository(client),
+    jobs: new SupabaseJobRepository(client),
+    authorization: new SupabaseAuthorizationRepository(client),
+    accountEvents: new SupabaseAccountEventRepository(client),
+  };
+}
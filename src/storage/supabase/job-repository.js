@@ -0,0 +1,201 @@
+import logger from "../../utils/logger.js";
+
+/**
+ * Background job state in Supabase: leases, polling checkpoints, backfill jobs and
+ * reconciliation reports.
+ */
+export class SupabaseJobRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async acquireLease(name, holderId, leaseMs) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + leaseMs).toISOString();
+
+    // The conditional update makes taking over an expired lease safe across instances
+    const { data: renewed, error: updateError } = await this.client
+      .from("job_leases")
+      .update({ holder_id: holderId, expires_at: expiresAt, renewed_at: now.toISOString() })
+      .eq("name", name)
+      // Quoted, because instance ids built from hostnames may contain reserved characters
+      .or(`holder_id.eq."${holderId}",expires_at.lt."${now.toISOString()}"`)
+      .select();
+
+    if (updateError) {
+      logger.error({ err: updateError, name, holderId }, "Error renewing job lease.");
+      throw updateError;
+    }
+    if (renewed && renewed.length > 0) {
+      return { acquired: true, lease: renewed[0] };
+    }
+
+    // No row was updated: either the lease does not exist yet or another instance holds it
+    const { data: inserted, error: insertError } = await this.client
+      .from("job_leases")
+      .insert([{
+        name,
+        holder_id: holderId,
+        expires_at: expiresAt,
+        acquired_at: now.toISOString(),
+        renewed_at: now.toISOString(),
+      }])
+      .select()
+      .single();
+
+    if (insertError) {
+      if (insertError.code === "23505") {
+        return { acquired: false, lease: await this.getLease(name) };
+      }
+      logger.error({ err: insertError, name, holderId }, "Error creating job lease.");
+      throw insertError;
+    }
+    return { acquired: true, lease: inserted };
+  }
+
+  async releaseLease(name, holderId) {
+    const { data, error } = await this.client
+      .from("job_leases")
+      .update({ expires_at: new Date().toISOString() })
+      .eq("name", name)
+      .eq("holder_id", holderId)
+      .select();
+
+    if (error) {
+      logger.error({ err: error, name, holderId }, "Error releasing job lease.");
+      throw error;
+    }
+    return Boolean(data && data.length > 0);
+  }
+
+  async getLease(name) {
+    const { data, error } = await this.client
+      .from("job_leases")
+      .select("*")
+      .eq("name", name)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, name }, "Error fetching job lease.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async getCheckpoint(name) {
+    const { data, error } = await this.client
+      .from("polling_checkpoints")
+      .select("*")
+      .eq("name", name)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, name }, "Error fetching polling checkpoint.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async saveCheckpoint(checkpoint) {
+    const { data, error } = await this.client
+      .from("polling_checkpoints")
+      .upsert([checkpoint], { onConflict: "name" })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error({ err: error, name: checkpoint.name }, "Error saving polling checkpoint.");
+      throw error;
+    }
+    return data;
+  }
+
+  async createBackfill(job) {
+    const { data, error } = await this.client
+      .from("backfill_jobs")
+      .insert([job])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error({ err: error, jobId: job.id }, "Error creating backfill job.");
+      throw error;
+    }
+    return data;
+  }
+
+  async updateBackfill(jobId, fields) {
+    const { data, error } = await this.client
+      .from("backfill_jobs")
+      .update(fields)
+      .eq("id", jobId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, jobId }, "Error updating backfill job.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async getBackfill(jobId) {
+    const { data, error } = await this.client
+      .from("backfill_jobs")
+      .select("*")
+      .eq("id", jobId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, jobId }, "Error fetching backfill job.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async listBackfills({ limit = 20 } = {}) {
+    const { data, error } = await this.client
+      .from("backfill_jobs")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error }, "Error listing backfill jobs.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async saveReconciliationReport(report) {
+    const { data, error } = await this.client
+      .from("reconciliation_reports")
+      .insert([report])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error({ err: error, reportId: report.id }, "Error saving reconciliation report.");
+      throw error;
+    }
+    return data;
+  }
+
+  async getLatestReconciliationReport() {
+    const { data, error } = await this.client
+      .from("reconciliation_reports")
+      .select("*")
+      .order("started_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error }, "Error fetching latest reconciliation report.");
+      throw error;
+    }
+    return data || null;
+  }
+}
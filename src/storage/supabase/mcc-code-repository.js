@@ -0,0 +1,44 @@
+import logger from "../../utils/logger.js";
+
+/**
+ * Merchant category codes in Supabase.
+ */
+export class SupabaseMccCodeRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(mccCode) {
+    const { data, error } = await this.client
+      .from("mcc_codes")
+      .select("description, category")
+      .eq("mcc_code", mccCode)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, mccCode }, "Error looking up MCC.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async getMany(mccCodes) {
+    if (mccCodes.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await this.client
+      .from("mcc_codes")
+      .select("mcc_code, description, category")
+      .in("mcc_code", mccCodes);
+
+    if (error) {
+      logger.error({ err: error, count: mccCodes.length }, "Error batch looking up MCCs.");
+      throw error;
+    }
+    return data || [];
+  }
+}
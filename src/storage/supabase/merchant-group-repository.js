@@ -0,0 +1,380 @@
+import logger from "../../utils/logger.js";
+
+/**
+ * Database function that moves the merchants of source groups, marks the sources as
+ * merged and records the history in one database transaction
+ * (migrations/0010_merge_merchant_groups.sql).
+ */
+const MERGE_MERCHANT_GROUPS_RPC = "merge_merchant_groups";
+
+/**
+ * Database function that creates the new group of a split, moves the merchants to it
+ * and records the history in one database transaction
+ * (migrations/0012_split_merchant_group.sql).
+ */
+const SPLIT_MERCHANT_GROUP_RPC = "split_merchant_group";
+
+/**
+ * Error codes meaning a database function is not installed: PostgREST cannot find
+ * it in its schema cache, or Postgres does not know it.
+ */
+const MISSING_FUNCTION_ERROR_CODES = new Set(["PGRST202", "42883"]);
+
+/**
+ * Merchant groups, the merchants assigned to them and their history in Supabase.
+ */
+export class SupabaseMerchantGroupRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+    this.rpcAvailable = true;
+    this.splitRpcAvailable = true;
+  }
+
+  async create(group) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.client
+      .from("merchant_groups")
+      .insert([{ ...group, created_at: now, updated_at: now }])
+      .select()
+      .single();
+
+    if (error) {
+      logger.error({ err: error, normalizedDescriptor: group.normalized_descriptor }, "Error creating merchant group.");
+      throw error;
+    }
+    return data;
+  }
+
+  async get(groupId) {
+    const { data, error } = await this.client
+      .from("merchant_groups")
+      .select("*")
+      .eq("id", groupId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, groupId }, "Error fetching merchant group.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async listByIds(groupIds) {
+    const { data, error } = await this.client
+      .from("merchant_groups")
+      .select("*")
+      .in("id", groupIds);
+
+    if (error) {
+      logger.error({ err: error, groupIds }, "Error fetching merchant groups.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async listActive({ prefix, contains, limit = 50 } = {}) {
+    let query = this.client
+      .from("merchant_groups")
+      .select("*")
+      .is("merged_into", null)
+      .order("updated_at", { ascending: false })
+      .limit(limit);
+
+    if (prefix) query = query.ilike("normalized_descriptor", `${prefix}%`);
+    if (contains) query = query.ilike("normalized_descriptor", `%${contains}%`);
+
+    const { data, error } = await query;
+    if (error) {
+      logger.error({ err: error, prefix, contains }, "Error listing merchant groups.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async markMerged(groupIds, targetGroupId) {
+    const { error } = await this.client
+      .from("merchant_groups")
+      .update({ merged_into: targetGroupId, updated_at: new Date().toISOString() })
+      .in("id", groupIds);
+
+    if (error) {
+      logger.error({ err: error, targetGroupId, groupIds }, "Error marking merchant groups as merged.");
+      throw error;
+    }
+  }
+
+  /**
+   * Merge source groups into a target group in one database transaction through
+   * the merge_merchant_groups function.
+   * @param {Object} merge - `{ targetGroupId, sourceGroupIds, reason, performedBy }`.
+   * @returns {Promise<Object>} `{ merged, reason, sources }`.
+   * @throws {Error} If the function fails; nothing is changed in that case.
+   */
+  async mergeAtomically({ targetGroupId, sourceGroupIds, reason, performedBy }) {
+    const { data, error } = await this.client.rpc(MERGE_MERCHANT_GROUPS_RPC, {
+      p_target_group_id: targetGroupId,
+      p_source_group_ids: sourceGroupIds,
+      p_reason: reason,
+      p_performed_by: performedBy,
+    });
+
+    if (error) {
+      logger.error({ err: error, targetGroupId, sourceGroupIds }, "Error merging merchant groups.");
+      throw error;
+    }
+    return { merged: !!data?.merged, reason: data?.reason ?? null, sources: data?.sources || [] };
+  }
+
+  /**
+   * Merge source groups with separate calls, for databases without the
+   * merge_merchant_groups function. Each source group is marked as merged right
+   * after its merchants move, so a failure leaves at most one source half merged.
+   * @param {Object} merge - `{ targetGroupId, sourceGroupIds, reason, performedBy }`.
+   * @returns {Promise<Object>} `{ merged, reason, sources }`.
+   * @throws {Error} If reading or writing fails.
+   */
+  async mergeSequentially({ targetGroupId, sourceGroupIds, reason, performedBy }) {
+    const sources = [];
+    for (const sourceGroupId of sourceGroupIds) {
+      const merchantIds = (await this.listMerchants(sourceGroupId)).map((merchant) => merchant.id);
+      if (merchantIds.length > 0) {
+        await this.assignMerchants(merchantIds, targetGroupId);
+      }
+      await this.markMerged([sourceGroupId], targetGroupId);
+      await this.addHistory({
+        action: "merge",
+        group_id: targetGroupId,
+        source_group_id: sourceGroupId,
+        merchant_ids: merchantIds,
+        score: null,
+        reason,
+        performed_by: performedBy,
+      });
+      sources.push({ group_id: sourceGroupId, merchant_ids: merchantIds });
+    }
+    return { merged: true, reason: null, sources };
+  }
+
+  async merge(merge) {
+    if (this.rpcAvailable) {
+      try {
+        return await this.mergeAtomically(merge);
+      } catch (error) {
+        if (!MISSING_FUNCTION_ERROR_CODES.has(error.code)) {
+          throw error;
+        }
+        this.rpcAvailable = false;
+        logger.warn(
+          { err: error },
+          "merge_merchant_groups database function not found. Merging merchant groups with separate calls until restart; apply the migrations to merge them atomically.",
+        );
+      }
+    }
+    return this.mergeSequentially(merge);
+  }
+
+  /**
+   * Split merchants out of a group into a new group in one database transaction
+   * through the split_merchant_group function.
+   * @param {Object} split - `{ groupId, merchantIds, group, reason, performedBy }`.
+   * @returns {Promise<Object>} `{ split, reason, groupId }`.
+   * @throws {Error} If the function fails; nothing is changed in that case.
+   */
+  async splitAtomically({ groupId, merchantIds, group, reason, performedBy }) {
+    const { data, error } = await this.client.rpc(SPLIT_MERCHANT_GROUP_RPC, {
+      p_group_id: groupId,
+      p_merchant_ids: merchantIds,
+      p_canonical_name: group.canonical_name,
+      p_normalized_descriptor: group.normalized_descriptor,
+      p_mcc: group.mcc ?? null,
+      p_country: group.country ?? null,
+      p_reason: reason,
+      p_performed_by: performedBy,
+    });
+
+    if (error) {
+      logger.error({ err: error, groupId, count: merchantIds.length }, "Error splitting merchant group.");
+      throw error;
+    }
+    return { split: !!data?.split, reason: data?.reason ?? null, groupId: data?.group_id ?? null };
+  }
+
+  /**
+   * Split a group with separate calls, for databases without the split_merchant_group
+   * function. A failure after the new group is created can leave it empty.
+   * @param {Object} split - `{ groupId, merchantIds, group, reason, performedBy }`.
+   * @returns {Promise<Object>} `{ split, reason, groupId }`.
+   * @throws {Error} If reading or writing fails.
+   */
+  async splitSequentially({ groupId, merchantIds, group, reason, performedBy }) {
+    const uniqueMerchantIds = [...new Set(merchantIds)];
+    const groupMerchantIds = new Set((await this.listMerchants(groupId)).map((merchant) => merchant.id));
+    if (!uniqueMerchantIds.every((merchantId) => groupMerchantIds.has(merchantId))) {
+      return { split: false, reason: "Some merchants are not in this group", groupId: null };
+    }
+    if (uniqueMerchantIds.length >= groupMerchantIds.size) {
+      return { split: false, reason: "At least one merchant must stay in the group", groupId: null };
+    }
+
+    const newGroup = await this.create(group);
+    await this.assignMerchants(uniqueMerchantIds, newGroup.id);
+    await this.addHistory({
+      action: "split",
+      group_id: newGroup.id,
+      source_group_id: groupId,
+      merchant_ids: uniqueMerchantIds,
+      score: null,
+      reason,
+      performed_by: performedBy,
+    });
+    return { split: true, reason: null, groupId: newGroup.id };
+  }
+
+  async split(split) {
+    if (this.splitRpcAvailable) {
+      try {
+        return await this.splitAtomically(split);
+      } catch (error) {
+        if (!MISSING_FUNCTION_ERROR_CODES.has(error.code)) {
+          throw error;
+        }
+        this.splitRpcAvailable = false;
+        logger.warn(
+          { err: error },
+          "split_merchant_group database function not found. Splitting merchant groups with separate calls until restart; apply the migrations to split them atomically.",
+        );
+      }
+    }
+    return this.splitSequentially(split);
+  }
+
+  async getMerchant(merchantId) {
+    const { data, error } = await this.client
+      .from("merchants")
+      .select("id, merchant_group_id")
+      .eq("id", merchantId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, merchantId }, "Error fetching merchant for group resolution.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async listMerchants(groupId) {
+    const { data, error } = await this.client
+      .from("merchants")
+      .select("id, descriptor, city, state, country, mcc, mcc_description, acceptor_id")
+      .eq("merchant_group_id", groupId);
+
+    if (error) {
+      logger.error({ err: error, groupId }, "Error listing merchants of merchant group.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async assignMerchants(merchantIds, groupId) {
+    const { error } = await this.client
+      .from("merchants")
+      .update({ merchant_group_id: groupId })
+      .in("id", merchantIds);
+
+    if (error) {
+      logger.error({ err: error, groupId, count: merchantIds.length }, "Error assigning merchants to group.");
+      throw error;
+    }
+  }
+
+  async assignMerchantIfUngrouped(merchantId, groupId) {
+    const { data, error } = await this.client
+      .from("merchants")
+      .update({ merchant_group_id: groupId })
+      .eq("id", merchantId)
+      .is("merchant_group_id", null)
+      .select("merchant_group_id");
+
+    if (error) {
+      logger.error({ err: error, merchantId, groupId }, "Error assigning merchant to group.");
+      throw error;
+    }
+    if (data?.length) {
+      return groupId;
+    }
+    // Another resolution grouped the merchant first, or the merchant does not exist
+    const merchant = await this.getMerchant(merchantId);
+    return merchant?.merchant_group_id ?? null;
+  }
+
+  async getTransactionGroupId(transactionToken) {
+    const { data: link, error } = await this.client
+      .from("transaction_merchants")
+      .select("merchant_id")
+      .eq("transaction_token", transactionToken)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, transactionToken }, "Error fetching transaction merchant link.");
+      throw error;
+    }
+    if (!link) {
+      return null;
+    }
+
+    const { data: merchant, error: merchantError } = await this.client
+      .from("merchants")
+      .select("merchant_group_id")
+      .eq("id", link.merchant_id)
+      .maybeSingle();
+
+    if (merchantError) {
+      logger.error({ err: merchantError, transactionToken }, "Error fetching merchant of transaction.");
+      throw merchantError;
+    }
+    return merchant?.merchant_group_id || null;
+  }
+
+  async listTransactionTokens(merchantIds) {
+    const { data, error } = await this.client
+      .from("transaction_merchants")
+      .select("transaction_token")
+      .in("merchant_id", merchantIds);
+
+    if (error) {
+      logger.error({ err: error, count: merchantIds.length }, "Error listing merchant group transactions.");
+      throw error;
+    }
+    return [...new Set((data || []).map((link) => link.transaction_token))];
+  }
+
+  async addHistory(entry) {
+    const { error } = await this.client
+      .from("merchant_group_history")
+      .insert([{ ...entry, created_at: new Date().toISOString() }]);
+
+    if (error) {
+      logger.error({ err: error, action: entry.action, groupId: entry.group_id }, "Error recording merchant group history.");
+      throw error;
+    }
+  }
+
+  async listHistory(groupId, limit = 50) {
+    const { data, error } = await this.client
+      .from("merchant_group_history")
+      .select("*")
+      .or(`group_id.eq."${groupId}",source_group_id.eq."${groupId}"`)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, groupId }, "Error fetching merchant group history.");
+      throw error;
+    }
+    return data || [];
+  }
+}
@@ -0,0 +1,39 @@
+import logger from "../../utils/logger.js";
+
+/**
+ * Merchants in Supabase.
+ */
+export class SupabaseMerchantRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async listMissingMccDetails() {
+    const { data, error } = await this.client
+      .from("merchants")
+      .select("id, mcc, descriptor")
+      .is("mcc_description", null)
+      .not("mcc", "is", null);
+
+    if (error) {
+      logger.error({ err: error }, "Error fetching merchants without MCC details.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async updateMccDetails(merchantId, { mcc_description, mcc_category }) {
+    const { error } = await this.client
+      .from("merchants")
+      .update({ mcc_description, mcc_category })
+      .eq("id", merchantId);
+
+    if (error) {
+      logger.error({ err: error, merchantId }, "Error updating merchant MCC details.");
+      throw error;
+    }
+  }
+}
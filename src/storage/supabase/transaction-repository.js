@@ -0,0 +1,792 @@
+import { areMerchantDetailsDifferent } from "../../utils/merchant-resolution.js";
+import { isRedactedPayload } from "../../utils/retention.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Database function that saves a transaction, its events, its merchant and the
+ * merchant link in one database transaction (migrations/0005_ingest_transaction.sql,
+ * replaced by migrations/0009_raw_payload_retention.sql to keep redacted payloads).
+ */
+const INGEST_TRANSACTION_RPC = "ingest_transaction";
+
+/**
+ * Error codes meaning the ingest function is not installed: PostgREST cannot find
+ * it in its schema cache, or Postgres does not know it.
+ */
+const MISSING_FUNCTION_ERROR_CODES = new Set(["PGRST202", "42883"]);
+
+/**
+ * Number of tokens per `in` filter when looking up stored transactions in bulk.
+ */
+const TRANSACTION_LOOKUP_BATCH_SIZE = 100;
+
+/**
+ * Rows per page when reading many stored transactions.
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Transactions, their events and merchant links in Supabase.
+ */
+export class SupabaseTransactionRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+    this.rpcAvailable = true;
+  }
+
+  /**
+   * Read every page of a query.
+   * @param {function(number, number): Object} buildQuery - Builds the query for a row range.
+   * @param {string} errorMessage - Logged when a page fails.
+   * @returns {Promise<Array>} All rows.
+   * @throws {Error} If a page fails.
+   */
+  async selectAllPages(buildQuery, errorMessage) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await buildQuery(from, from + PAGE_SIZE - 1);
+      if (error) {
+        logger.error({ err: error }, errorMessage);
+        throw error;
+      }
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) {
+        return rows;
+      }
+    }
+  }
+
+  /**
+   * Find the merchant of a transaction by acceptor_id or by its exact details,
+   * updating it when its details changed, or create it.
+   * @param {string} transactionToken - Transaction token, for logging.
+   * @param {Object} merchantInfo - Parsed merchant details, enriched with MCC details.
+   * @returns {Promise<Object>} `{ merchantId, created }`; merchantId is null if no merchant could be identified.
+   * @throws {Error} If reading or writing Supabase fails.
+   */
+  async findOrSaveMerchant(transactionToken, merchantInfo) {
+    let merchantId = null;
+    let existingMerchantFullDetails = null;
+    let created = false;
+
+    // Try to find merchant by acceptor_id if available
+    if (merchantInfo.acceptor_id) {
+      logger.debug(
+        { transactionToken, acceptorId: merchantInfo.acceptor_id },
+        "Attempting to find merchant by acceptor_id.",
+      );
+      const { data, error } = await this.client
+        .from("merchants")
+        .select("*") // Fetch all fields for comparison and potential update
+        .eq("acceptor_id", merchantInfo.acceptor_id)
+        .maybeSingle(); // Handles 0 or 1 row without erroring on 0
+
+      if (error) {
+        logger.error(
+          { err: error, transactionToken, acceptorId: merchantInfo.acceptor_id },
+          "Error selecting merchant by acceptor_id.",
+        );
+        throw error;
+      }
+      if (data) {
+        existingMerchantFullDetails = data;
+        merchantId = existingMerchantFullDetails.id;
+        logger.debug({ transactionToken, merchantId }, "Merchant found by acceptor_id.");
+      }
+    }
+
+    // If not found by acceptor_id (or acceptor_id was null), AND descriptor is present, try by combination
+    if (!merchantId && merchantInfo.descriptor) {
+      logger.debug(
+        { transactionToken, details: merchantInfo },
+        "Acceptor_id match failed or N/A. Attempting to find merchant by combination (descriptor, city, state, mcc).",
+      );
+
+      let query = this.client.from("merchants").select("*");
+      query = query.eq("descriptor", merchantInfo.descriptor);
+
+      // Handle potentially null city, state, country, mcc for precise matching
+      for (const field of ["city", "state", "country", "mcc"]) {
+        query = merchantInfo[field] ? query.eq(field, merchantInfo[field]) : query.is(field, null);
+      }
+
+      const { data: matchedMerchants, error: comboSelectError } = await query;
+
+      if (comboSelectError) {
+        logger.error(
+          { err: comboSelectError, transactionToken, details: merchantInfo },
+          "Error selecting merchant by combination.",
+        );
+        throw comboSelectError;
+      }
+
+      if (matchedMerchants && matchedMerchants.length === 1) {
+        existingMerchantFullDetails = matchedMerchants[0];
+        merchantId = existingMerchantFullDetails.id;
+        logger.debug({ transactionToken, merchantId }, "Unique merchant found by combination.");
+      } else if (matchedMerchants && matchedMerchants.length > 1) {
+        logger.warn(
+          { transactionToken, count: matchedMerchants.length, details: merchantInfo },
+          "Multiple merchants found by combination. Will proceed to create a new merchant if descriptor is present.",
+        );
+      } else {
+        logger.debug({ transactionToken, details: merchantInfo }, "No merchant found by combination.");
+      }
+    }
+
+    // If an existing merchant was identified (by acceptor_id or combination), update if details changed
+    if (merchantId && existingMerchantFullDetails) {
+      if (areMerchantDetailsDifferent(existingMerchantFullDetails, merchantInfo)) {
+        logger.info({ transactionToken, merchantId }, "Merchant details differ, attempting update.");
+
+        const detailsToUpdate = {
+          descriptor: merchantInfo.descriptor,
+          city: merchantInfo.city || null,
+          state: merchantInfo.state || null,
+          country: merchantInfo.country || null,
+          mcc: merchantInfo.mcc || null,
+          mcc_description: merchantInfo.mcc_description,
+          mcc_category: merchantInfo.mcc_category,
+        };
+
+        if (merchantInfo.acceptor_id) {
+          detailsToUpdate.acceptor_id = merchantInfo.acceptor_id;
+        }
+
+        const { error: updateError } = await this.client
+          .from("merchants")
+          .update(detailsToUpdate)
+          .eq("id", merchantId);
+
+        if (updateError) {
+          logger.error(
+            { err: updateError, transactionToken, merchantId, detailsToUpdate },
+            "Could not update existing merchant details.",
+          );
+        } else {
+          logger.info({ transactionToken, merchantId }, "Merchant details updated successfully.");
+        }
+      } else {
+        logger.debug({ transactionToken, merchantId }, "Existing merchant details match. No update needed.");
+      }
+    }
+    // If no existing merchant was conclusively identified, and we have a descriptor, create a new one.
+    else if (!merchantId && merchantInfo.descriptor) {
+      logger.info(
+        { transactionToken, merchantInfo },
+        "Creating new merchant as no definitive existing match was found.",
+      );
+
+      const { data: newMerchant, error: insertError } = await this.client
+        .from("merchants")
+        .insert([merchantInfo])
+        .select("id")
+        .single();
+
+      if (insertError) {
+        logger.error(
+          { err: insertError, transactionToken, merchantInfo },
+          "Error inserting new merchant.",
+        );
+        throw insertError;
+      }
+      merchantId = newMerchant.id;
+      created = true;
+      logger.info({ transactionToken, newMerchantId: merchantId }, "New merchant created successfully.");
+    }
+    // If still no merchantId
+    else if (!merchantId) {
+      logger.warn(
+        { transactionToken, merchantInfo },
+        "Could not identify or create a merchant (e.g., missing descriptor for new, or ambiguous match without acceptor_id). Transaction will not be linked to a specific merchant record by this process.",
+      );
+    }
+
+    return { merchantId, created };
+  }
+
+  /**
+   * Delete a merchant created by a failed save, unless a transaction was linked to it meanwhile.
+   * @param {string} transactionToken - Transaction token, for logging.
+   * @param {string} merchantId - Merchant created by the failed save.
+   * @returns {Promise<void>}
+   */
+  async deleteUnlinkedMerchant(transactionToken, merchantId) {
+    try {
+      const { count, error } = await this.client
+        .from("transaction_merchants")
+        .select("merchant_id", { count: "exact", head: true })
+        .eq("merchant_id", merchantId);
+
+      if (error) {
+        throw error;
+      }
+      if (count > 0) {
+        return;
+      }
+
+      const { error: deleteError } = await this.client
+        .from("merchants")
+        .delete()
+        .eq("id", merchantId);
+
+      if (deleteError) {
+        throw deleteError;
+      }
+      logger.info({ transactionToken, merchantId }, "Deleted merchant created by a failed transaction save.");
+    } catch (error) {
+      logger.error(
+        { err: error, transactionToken, merchantId },
+        "Could not delete merchant created by a failed transaction save.",
+      );
+    }
+  }
+
+  /**
+   * Save a transaction with separate Supabase calls, for databases without the
+   * ingest_transaction function. Every step is an idempotent upsert and any failure is
+   * thrown, so the caller's retry completes a partial save; a merchant created by the
+   * failed save is deleted so it is not left orphaned.
+   * @param {Object} records - `{ transaction, events, merchant }`.
+   * @returns {Promise<string|null>} Merchant id, or null if no merchant could be identified.
+   * @throws {Error} If any step fails.
+   */
+  async ingestSequentially({ transaction, events, merchant }) {
+    const transactionToken = transaction.token;
+    const { merchantId, created } = await this.findOrSaveMerchant(transactionToken, merchant);
+
+    try {
+      // A payload redacted or pruned by retention stays that way when the transaction is ingested again
+      const { data: existing, error: existingError } = await this.client
+        .from("transactions")
+        .select("raw_data")
+        .eq("token", transactionToken)
+        .maybeSingle();
+
+      if (existingError) {
+        logger.error({ err: existingError, transactionToken }, "Error fetching stored transaction payload.");
+        throw existingError;
+      }
+      const row =
+        existing && (existing.raw_data === null || isRedactedPayload(existing.raw_data))
+          ? { ...transaction, raw_data: existing.raw_data }
+          : transaction;
+
+      logger.debug({ transactionToken }, "Upserting transaction details.");
+      const { error: transactionError } = await this.client
+        .from("transactions")
+        .upsert([row], { onConflict: "token" });
+
+      if (transactionError) {
+        logger.error(
+          { err: transactionError, transactionToken, details: transaction },
+          "Error upserting transaction.",
+        );
+        throw transactionError;
+      }
+
+      // Keep every event (authorization, clearing, reversal, return) of the transaction
+      if (events.length > 0) {
+        const { error: eventsError } = await this.client
+          .from("transaction_events")
+          .upsert(events, { onConflict: "event_token" });
+
+        if (eventsError) {
+          logger.error(
+            { err: eventsError, transactionToken, eventCount: events.length },
+            "Error upserting transaction events.",
+          );
+          throw eventsError;
+        }
+      }
+
+      if (merchantId) {
+        const { error: linkError } = await this.client
+          .from("transaction_merchants")
+          .upsert(
+            { transaction_token: transactionToken, merchant_id: merchantId },
+            { onConflict: "transaction_token,merchant_id" },
+          );
+
+        if (linkError) {
+          logger.error(
+            { err: linkError, transactionToken, merchantId },
+            "Error linking transaction to merchant.",
+          );
+          throw linkError;
+        }
+        logger.debug({ transactionToken, merchantId }, "Transaction linked to merchant successfully.");
+      } else {
+        logger.info({ transactionToken }, "No merchantId available to link transaction.");
+      }
+    } catch (error) {
+      if (created) {
+        await this.deleteUnlinkedMerchant(transactionToken, merchantId);
+      }
+      throw error;
+    }
+
+    return merchantId;
+  }
+
+  /**
+   * Save a transaction, its events, its merchant and the merchant link in one
+   * database transaction through the ingest_transaction function.
+   * @param {Object} records - `{ transaction, events, merchant }`.
+   * @returns {Promise<string|null>} Merchant id, or null if no merchant could be identified.
+   * @throws {Error} If the function fails; nothing is saved in that case.
+   */
+  async ingestAtomically({ transaction, events, merchant }) {
+    const transactionToken = transaction.token;
+    const { data, error } = await this.client.rpc(INGEST_TRANSACTION_RPC, {
+      p_transaction: transaction,
+      p_events: events,
+      p_merchant: merchant,
+    });
+
+    if (error) {
+      logger.error({ err: error, transactionToken }, "Error ingesting transaction.");
+      throw error;
+    }
+
+    logger.debug(
+      { transactionToken, merchantId: data?.merchant_id, merchantAction: data?.merchant_action },
+      "Transaction ingested atomically.",
+    );
+    return data?.merchant_id ?? null;
+  }
+
+  /**
+   * Save a transaction and everything that belongs to it. Uses the atomic
+   * ingest_transaction function, and separate calls when the function is not installed.
+   * @param {Object} records - `{ transaction, events, merchant }`.
+   * @returns {Promise<string|null>} Merchant id, or null if no merchant could be identified.
+   * @throws {Error} If saving fails.
+   */
+  async ingest(records) {
+    if (this.rpcAvailable) {
+      try {
+        return await this.ingestAtomically(records);
+      } catch (error) {
+        if (!MISSING_FUNCTION_ERROR_CODES.has(error.code)) {
+          throw error;
+        }
+        this.rpcAvailable = false;
+        logger.warn(
+          { err: error },
+          "ingest_transaction database function not found. Saving transactions with separate calls until restart; apply the migrations to save them atomically.",
+        );
+      }
+    }
+    return this.ingestSequentially(records);
+  }
+
+  async exists(transactionToken) {
+    const { data, error } = await this.client
+      .from("transactions")
+      .select("token")
+      .eq("token", transactionToken)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, transactionToken }, "Error checking if transaction exists.");
+      throw error;
+    }
+    return !!data;
+  }
+
+  async getDetails(transactionToken) {
+    const { data, error } = await this.client
+      .from("transaction_details")
+      .select("*")
+      .eq("token", transactionToken)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, transactionToken }, "Error fetching transaction details.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async listDetails({ tokens, declinedOnly = false, foreignCurrencyOnly = false, limit } = {}) {
+    if (tokens && tokens.length === 0) {
+      return [];
+    }
+
+    const buildQuery = (from, to) => {
+      let query = this.client.from("transaction_details").select("*");
+      if (tokens) query = query.in("token", tokens);
+      if (declinedOnly) query = query.neq("result", "APPROVED");
+      query = query.order("created_at", { ascending: false });
+      return to === undefined ? query : query.range(from, to);
+    };
+
+    // PostgREST cannot compare two columns, so foreign currency rows are filtered here
+    if (foreignCurrencyOnly) {
+      const rows = await this.selectAllPages(buildQuery, "Error listing transaction details.");
+      const foreignRows = rows.filter((row) => row.cardholder_currency !== row.merchant_currency);
+      return limit ? foreignRows.slice(0, limit) : foreignRows;
+    }
+
+    if (!limit) {
+      return this.selectAllPages(buildQuery, "Error listing transaction details.");
+    }
+    const { data, error } = await buildQuery().limit(limit);
+    if (error) {
+      logger.error({ err: error }, "Error listing transaction details.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async listEvents(transactionToken) {
+    const { data, error } = await this.client
+      .from("transaction_events")
+      .select("*")
+      .eq("transaction_token", transactionToken)
+      .order("created_at", { ascending: true });
+
+    if (error) {
+      logger.error({ err: error, transactionToken }, "Error fetching transaction events.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async getLatestTimestamp() {
+    const { data, error } = await this.client
+      .from("transactions")
+      .select("created_at")
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error }, "Error fetching latest transaction timestamp.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async getStatuses(transactionTokens) {
+    const statuses = new Map();
+    for (let i = 0; i < transactionTokens.length; i += TRANSACTION_LOOKUP_BATCH_SIZE) {
+      const batch = transactionTokens.slice(i, i + TRANSACTION_LOOKUP_BATCH_SIZE);
+      const { data, error } = await this.client
+        .from("transactions")
+        .select("token, status, result")
+        .in("token", batch);
+
+      if (error) {
+        logger.error({ err: error, count: batch.length }, "Error fetching transaction statuses.");
+        throw error;
+      }
+      const eventCounts = await this.countEvents(batch);
+      for (const row of data || []) {
+        statuses.set(row.token, {
+          status: row.status,
+          result: row.result,
+          eventCount: eventCounts.get(row.token) || 0,
+        });
+      }
+    }
+    return statuses;
+  }
+
+  /**
+   * Number of stored events per transaction.
+   * @param {Array<string>} transactionTokens - At most TRANSACTION_LOOKUP_BATCH_SIZE tokens
+   * @returns {Promise<Map<string, number>>} Event count by transaction token
+   */
+  async countEvents(transactionTokens) {
+    const counts = new Map();
+    if (transactionTokens.length === 0) return counts;
+
+    const { data, error } = await this.client
+      .from("transaction_events")
+      .select("transaction_token")
+      .in("transaction_token", transactionTokens);
+
+    if (error) {
+      logger.error({ err: error, count: transactionTokens.length }, "Error counting transaction events.");
+      throw error;
+    }
+    for (const row of data || []) {
+      counts.set(row.transaction_token, (counts.get(row.transaction_token) || 0) + 1);
+    }
+    return counts;
+  }
+
+  async listPending({ before, limit = 50 } = {}) {
+    let query = this.client
+      .from("transactions")
+      .select("token, status, result, created_at")
+      .eq("status", "PENDING")
+      .order("created_at", { ascending: true })
+      .limit(limit);
+
+    if (before) query = query.lt("created_at", before);
+
+    const { data, error } = await query;
+    if (error) {
+      logger.error({ err: error }, "Error listing pending transactions.");
+      throw error;
+    }
+
+    const transactions = data || [];
+    const eventCounts = await this.countEvents(transactions.map((transaction) => transaction.token));
+    return transactions.map((transaction) => ({
+      ...transaction,
+      eventCount: eventCounts.get(transaction.token) || 0,
+    }));
+  }
+
+  async listInRange({ begin, end }) {
+    return this.selectAllPages(
+      (from, to) =>
+        this.client
+          .from("transactions")
+          .select("token, card_token, status, result, cardholder_amount, created_at")
+          .gte("created_at", begin)
+          .lt("created_at", end)
+          .order("created_at", { ascending: true })
+          .range(from, to),
+      "Error listing transactions in range.",
+    );
+  }
+
+  async getCardToken(transactionToken) {
+    const { data, error } = await this.client
+      .from("transactions")
+      .select("card_token")
+      .eq("token", transactionToken)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, transactionToken }, "Error fetching transaction card token.");
+      throw error;
+    }
+    return data?.card_token || null;
+  }
+
+  async listCardTransactionsAtMerchants({ cardToken, merchantIds, excludeToken, limit = 5 }) {
+    if (merchantIds.length === 0) {
+      return [];
+    }
+
+    const { data: links, error: linkError } = await this.client
+      .from("transaction_merchants")
+      .select("transaction_token")
+      .in("merchant_id", merchantIds);
+
+    if (linkError) {
+      logger.error({ err: linkError, merchantIds }, "Error fetching merchant transactions.");
+      throw linkError;
+    }
+
+    const transactionTokens = (links || [])
+      .map((link) => link.transaction_token)
+      .filter((token) => token !== excludeToken);
+    if (transactionTokens.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await this.client
+      .from("transactions")
+      .select("token, card_token, created_at")
+      .eq("card_token", cardToken)
+      .in("token", transactionTokens)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, cardToken }, "Error fetching card transactions at merchants.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async getSummary() {
+    const { data, error } = await this.client
+      .from("transaction_summary")
+      .select("*")
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error }, "Error fetching transaction summary.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async listAmounts() {
+    return this.selectAllPages(
+      (from, to) =>
+        this.client
+          .from("transactions")
+          .select("cardholder_amount, cardholder_currency")
+          .range(from, to),
+      "Error fetching transaction amounts.",
+    );
+  }
+
+  async getNetworkCounts() {
+    const rows = await this.selectAllPages(
+      (from, to) =>
+        this.client
+          .from("transactions")
+          .select("network_type")
+          .not("network_type", "is", null)
+          .range(from, to),
+      "Error fetching network stats.",
+    );
+
+    return rows.reduce((counts, row) => {
+      counts[row.network_type] = (counts[row.network_type] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  async listRawDataBefore({ before, limit = 500 }) {
+    const { data, error } = await this.client
+      .from("transactions")
+      .select("token, raw_data, created_at")
+      .lt("created_at", before)
+      .not("raw_data", "is", null)
+      .is("raw_data->>_redacted", null)
+      .order("created_at", { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, before }, "Error listing raw transaction payloads.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async updateRawData(transactionToken, rawData) {
+    const { error } = await this.client
+      .from("transactions")
+      .update({ raw_data: rawData })
+      .eq("token", transactionToken);
+
+    if (error) {
+      logger.error({ err: error, transactionToken }, "Error updating raw transaction payload.");
+      throw error;
+    }
+  }
+
+  async listArchiveRecords({ before, limit = 500 }) {
+    const { data: transactions, error } = await this.client
+      .from("transactions")
+      .select("*")
+      .lt("created_at", before)
+      .is("restored_at", null)
+      .order("created_at", { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, before }, "Error listing transactions to archive.");
+      throw error;
+    }
+    if (!transactions || transactions.length === 0) {
+      return [];
+    }
+
+    const tokens = transactions.map((transaction) => transaction.token);
+    const [{ data: events, error: eventsError }, { data: links, error: linksError }] = await Promise.all([
+      this.client.from("transaction_events").select("*").in("transaction_token", tokens),
+      this.client.from("transaction_merchants").select("transaction_token, merchant_id").in("transaction_token", tokens),
+    ]);
+
+    if (eventsError || linksError) {
+      logger.error({ err: eventsError || linksError, count: tokens.length }, "Error reading transactions to archive.");
+      throw eventsError || linksError;
+    }
+
+    return transactions.map((transaction) => ({
+      transaction,
+      events: (events || []).filter((event) => event.transaction_token === transaction.token),
+      merchant_ids: (links || [])
+        .filter((link) => link.transaction_token === transaction.token)
+        .map((link) => link.merchant_id),
+    }));
+  }
+
+  async deleteMany(transactionTokens) {
+    for (let i = 0; i < transactionTokens.length; i += TRANSACTION_LOOKUP_BATCH_SIZE) {
+      const batch = transactionTokens.slice(i, i + TRANSACTION_LOOKUP_BATCH_SIZE);
+      // Events and merchant links are deleted by their foreign keys
+      const { error } = await this.client.from("transactions").delete().in("token", batch);
+
+      if (error) {
+        logger.error({ err: error, count: batch.length }, "Error deleting transactions.");
+        throw error;
+      }
+    }
+  }
+
+  async restore(records) {
+    if (records.length === 0) {
+      return 0;
+    }
+
+    const restoredAt = new Date().toISOString();
+    const { error: transactionError } = await this.client
+      .from("transactions")
+      .upsert(
+        records.map((record) => ({ ...record.transaction, restored_at: restoredAt })),
+        { onConflict: "token" },
+      );
+    if (transactionError) {
+      logger.error({ err: transactionError, count: records.length }, "Error restoring transactions.");
+      throw transactionError;
+    }
+
+    const events = records.flatMap((record) => record.events);
+    if (events.length > 0) {
+      const { error: eventsError } = await this.client
+        .from("transaction_events")
+        .upsert(events, { onConflict: "event_token" });
+      if (eventsError) {
+        logger.error({ err: eventsError, count: events.length }, "Error restoring transaction events.");
+        throw eventsError;
+      }
+    }
+
+    // Merchants are never archived; links to merchants deleted since are dropped
+    const merchantIds = [...new Set(records.flatMap((record) => record.merchant_ids))];
+    if (merchantIds.length > 0) {
+      const { data: merchants, error: merchantsError } = await this.client
+        .from("merchants")
+        .select("id")
+        .in("id", merchantIds);
+      if (merchantsError) {
+        logger.error({ err: merchantsError }, "Error reading merchants of restored transactions.");
+        throw merchantsError;
+      }
+
+      const existingIds = new Set((merchants || []).map((merchant) => merchant.id));
+      const links = records.flatMap((record) =>
+        record.merchant_ids
+          .filter((merchantId) => existingIds.has(merchantId))
+          .map((merchantId) => ({ transaction_token: record.transaction.token, merchant_id: merchantId })),
+      );
+      if (links.length > 0) {
+        const { error: linkError } = await this.client
+          .from("transaction_merchants")
+          .upsert(links, { onConflict: "transaction_token,merchant_id" });
+        if (linkError) {
+          logger.error({ err: linkError, count: links.length }, "Error restoring merchant links.");
+          throw linkError;
+        }
+      }
+    }
+
+    return records.length;
+  }
+}
@@ -0,0 +1,136 @@
+import logger from "../../utils/logger.js";
+
+/**
+ * Durable log of Lithic webhook deliveries in Supabase.
+ */
+export class SupabaseWebhookEventRepository {
+  /**
+   * @param {Object} client - Supabase client.
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async insert(event) {
+    const { data, error } = await this.client
+      .from("webhook_events")
+      .insert([event])
+      .select("*")
+      .single();
+
+    if (error) {
+      // Unique violation: a concurrent delivery of the same webhook won the insert
+      if (error.code === "23505") {
+        return { event: await this.get(event.webhook_id), inserted: false };
+      }
+      logger.error({ err: error, webhookId: event.webhook_id }, "Error recording webhook event.");
+      throw error;
+    }
+    return { event: data, inserted: true };
+  }
+
+  async get(webhookId) {
+    const { data, error } = await this.client
+      .from("webhook_events")
+      .select("*")
+      .eq("webhook_id", webhookId)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, webhookId }, "Error fetching webhook event.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async update(webhookId, fields) {
+    const { error } = await this.client
+      .from("webhook_events")
+      .update(fields)
+      .eq("webhook_id", webhookId);
+
+    if (error) {
+      logger.error({ err: error, webhookId, status: fields.status }, "Error updating webhook event.");
+      throw error;
+    }
+  }
+
+  async claim(webhookId, { statuses, updatedBefore }, fields) {
+    let query = this.client
+      .from("webhook_events")
+      .update(fields)
+      .eq("webhook_id", webhookId)
+      .in("status", statuses);
+    if (updatedBefore) query = query.lt("updated_at", updatedBefore);
+
+    const { data, error } = await query.select("*").maybeSingle();
+
+    if (error) {
+      logger.error({ err: error, webhookId, status: fields.status }, "Error claiming webhook event.");
+      throw error;
+    }
+    return data || null;
+  }
+
+  async list({ status, eventType, updatedBefore, maxAttempts, limit = 50 } = {}) {
+    let query = this.client.from("webhook_events").select("*");
+    if (status) query = query.eq("status", status);
+    if (eventType) query = query.eq("event_type", eventType);
+    if (updatedBefore) query = query.lt("updated_at", updatedBefore);
+    if (maxAttempts) query = query.lt("attempts", maxAttempts);
+
+    const { data, error } = await query
+      .order("received_at", { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, status, eventType }, "Error listing webhook events.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async getLatestReceivedAt() {
+    const { data, error } = await this.client
+      .from("webhook_events")
+      .select("received_at")
+      .order("received_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      logger.error({ err: error }, "Error fetching latest webhook event.");
+      throw error;
+    }
+    return data?.received_at || null;
+  }
+
+  async listPayloadsBefore({ before, limit = 500 }) {
+    const { data, error } = await this.client
+      .from("webhook_events")
+      .select("webhook_id, payload, received_at")
+      .lt("received_at", before)
+      .not("payload", "is", null)
+      .is("payload->>_redacted", null)
+      .order("received_at", { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error({ err: error, before }, "Error listing webhook event payloads.");
+      throw error;
+    }
+    return data || [];
+  }
+
+  async updatePayload(webhookId, payload) {
+    const { error } = await this.client
+      .from("webhook_events")
+      .update({ payload })
+      .eq("webhook_id", webhookId);
+
+    if (error) {
+      logger.error({ err: error, webhookId }, "Error updating webhook event payload.");
+      throw error;
+    }
+  }
+}
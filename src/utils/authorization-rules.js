@@ -0,0 +1,169 @@
+/**
+ * Authorization rule engine for Auth Stream Access (ASA) requests.
+ *
+ * A rule set is evaluated top to bottom; the first rule whose conditions all
+ * match decides the authorization. When no rule matches, `defaultDecision` applies.
+ *
+ * @example
+ * // Approve the first $1 probe on a card, decline everything after it
+ * {
+ *   defaultDecision: 'DECLINE',
+ *   rules: [
+ *     { id: 'one-probe-only', decision: 'DECLINE',
+ *       conditions: { velocity: { windowMinutes: 1440, minCount: 1, decision: 'APPROVE' } } },
+ *     { id: 'allow-probe', decision: 'APPROVE', conditions: { amount: { lte: 100 } } }
+ *   ]
+ * }
+ */
+
+export const DECISIONS = ['APPROVE', 'DECLINE'];
+
+export const DEFAULT_RULE_SET = {
+  defaultDecision: 'APPROVE',
+  rules: []
+};
+
+/**
+ * Check a value against an include/exclude list condition.
+ * @param {string|null} value - Value from the authorization request
+ * @param {Object} condition - `{ in?: string[], notIn?: string[] }`
+ * @returns {boolean} True if the condition matches
+ */
+function matchesList(value, condition) {
+  const normalized = value ? String(value).toUpperCase() : null;
+  const normalize = list => list.map(item => String(item).toUpperCase());
+
+  if (condition.in && !(normalized && normalize(condition.in).includes(normalized))) {
+    return false;
+  }
+  if (condition.notIn && normalized && normalize(condition.notIn).includes(normalized)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check an amount (minor units) against a range condition.
+ * @param {number} amount - Amount from the authorization request
+ * @param {Object} condition - `{ gt?, gte?, lt?, lte? }` in minor units
+ * @returns {boolean} True if the condition matches
+ */
+function matchesAmount(amount, condition) {
+  if (condition.gt !== undefined && !(amount > condition.gt)) return false;
+  if (condition.gte !== undefined && !(amount >= condition.gte)) return false;
+  if (condition.lt !== undefined && !(amount < condition.lt)) return false;
+  if (condition.lte !== undefined && !(amount <= condition.lte)) return false;
+  return true;
+}
+
+/**
+ * Count previous decisions for the card inside the velocity window.
+ * @param {Array} history - Previous decisions `{ decision, decided_at }`
+ * @param {Object} condition - `{ windowMinutes, minCount, decision? }`
+ * @param {Date} now - Evaluation time
+ * @returns {boolean} True if at least `minCount` matching decisions fall inside the window
+ */
+function matchesVelocity(history, condition, now) {
+  const windowStart = now.getTime() - condition.windowMinutes * 60 * 1000;
+  const count = history.filter(entry =>
+    new Date(entry.decided_at).getTime() >= windowStart &&
+    (!condition.decision || condition.decision === 'ANY' || entry.decision === condition.decision)
+  ).length;
+
+  return count >= condition.minCount;
+}
+
+/**
+ * Convert "HH:MM" to minutes after midnight.
+ * @param {string} time - Time of day
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check the evaluation time against a time-of-day window.
+ * Windows that end before they start wrap around midnight (e.g. 22:00-06:00).
+ * @param {Object} condition - `{ start: 'HH:MM', end: 'HH:MM', timezone?: string }`
+ * @param {Date} now - Evaluation time
+ * @returns {boolean} True if `now` falls inside the window
+ */
+function matchesTimeOfDay(condition, now) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: condition.timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+
+  const hour = Number(parts.find(part => part.type === 'hour').value);
+  const minute = Number(parts.find(part => part.type === 'minute').value);
+  const current = hour * 60 + minute;
+  const start = toMinutes(condition.start);
+  const end = toMinutes(condition.end);
+
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Evaluate every condition of a rule against an authorization request.
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} request - Parsed authorization request
+ * @param {Array} history - Previous decisions for the card
+ * @param {Date} now - Evaluation time
+ * @returns {boolean} True if all present conditions match
+ */
+function matchesConditions(conditions = {}, request, history, now) {
+  if (conditions.mcc && !matchesList(request.merchant?.mcc, conditions.mcc)) return false;
+  if (conditions.country && !matchesList(request.merchant?.country, conditions.country)) return false;
+  if (conditions.amount && !matchesAmount(request.amount, conditions.amount)) return false;
+  if (conditions.velocity && !matchesVelocity(history, conditions.velocity, now)) return false;
+  if (conditions.timeOfDay && !matchesTimeOfDay(conditions.timeOfDay, now)) return false;
+  return true;
+}
+
+/**
+ * Evaluate a rule set against an authorization request.
+ * @param {Object} ruleSet - `{ defaultDecision, rules: [{ id, decision, conditions, declineCode? }] }`
+ * @param {Object} request - Parsed authorization request (see parseAuthorizationRequest)
+ * @param {Array} [history=[]] - Previous decisions for the same card, `{ decision, decided_at }`
+ * @param {Date} [now=new Date()] - Evaluation time
+ * @returns {Object} `{ decision, ruleId, reason, declineCode }`
+ */
+export function evaluateAuthorization(ruleSet, request, history = [], now = new Date()) {
+  const rules = ruleSet?.rules || [];
+
+  for (const rule of rules) {
+    if (matchesConditions(rule.conditions, request, history, now)) {
+      return {
+        decision: rule.decision,
+        ruleId: rule.id,
+        reason: rule.description || `Matched rule ${rule.id}`,
+        declineCode: rule.decision === 'DECLINE' ? rule.declineCode || null : null
+      };
+    }
+  }
+
+  return {
+    decision: ruleSet?.defaultDecision || DEFAULT_RULE_SET.defaultDecision,
+    ruleId: null,
+    reason: 'No rule matched, default decision applied',
+    declineCode: null
+  };
+}
+
+/**
+ * Longest velocity window used by a rule set, so callers know how much history to load.
+ * @param {Object} ruleSet - Rule set
+ * @returns {number} Window length in minutes (0 if no rule uses velocity)
+ */
+export function getMaxVelocityWindow(ruleSet) {
+  return (ruleSet?.rules || []).reduce(
+    (max, rule) => Math.max(max, rule.conditions?.velocity?.windowMinutes || 0),
+    0
+  );
+}
@@ -0,0 +1,90 @@
+/**
+ * Helpers for scammer cases.
+ *
+ * A case is an investigation of one scammer. It links everything known about them:
+ * - card: honeypot card tokens they were given or used
+ * - transaction: transaction tokens they made
+ * - session: MCP session ids of the calls the voice agent had with them
+ * - conversation: conversation ids of those calls (`metadata.conversationId`)
+ */
+
+/**
+ * Case statuses; closed cases keep their links and notes.
+ */
+export const CASE_STATUSES = ['open', 'investigating', 'closed'];
+
+/**
+ * Link types, with the field that holds their values in requests and case details.
+ */
+export const CASE_LINK_FIELDS = {
+  card: 'cardTokens',
+  transaction: 'transactionTokens',
+  session: 'sessionIds',
+  conversation: 'conversationIds'
+};
+
+export const CASE_LINK_TYPES = Object.keys(CASE_LINK_FIELDS);
+
+/**
+ * Normalize tags: trimmed, lower case, without duplicates or empty tags.
+ * @param {Array<string>} [tags=[]] - Tags as entered
+ * @returns {Array<string>} Tags in their original order
+ */
+export function normalizeCaseTags(tags = []) {
+  const normalized = tags
+    .map((tag) => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(normalized)];
+}
+
+/**
+ * Turn `{ cardTokens, transactionTokens, sessionIds, conversationIds }` into links.
+ * @param {Object} [values={}] - Link values by field; missing fields are skipped
+ * @returns {Array<Object>} Unique `{ link_type, value }` links
+ */
+export function createCaseLinks(values = {}) {
+  const links = [];
+  const seen = new Set();
+
+  for (const [linkType, field] of Object.entries(CASE_LINK_FIELDS)) {
+    for (const value of values[field] || []) {
+      const key = `${linkType}:${value}`;
+      if (!value || seen.has(key)) continue;
+      seen.add(key);
+      links.push({ link_type: linkType, value });
+    }
+  }
+  return links;
+}
+
+/**
+ * Group stored links by type, the inverse of createCaseLinks.
+ * @param {Array<Object>} links - Stored `{ link_type, value }` links
+ * @returns {Object} `{ cardTokens, transactionTokens, sessionIds, conversationIds }`
+ */
+export function groupCaseLinks(links) {
+  const grouped = Object.fromEntries(Object.values(CASE_LINK_FIELDS).map((field) => [field, []]));
+  for (const link of links) {
+    const field = CASE_LINK_FIELDS[link.link_type];
+    if (field) grouped[field].push(link.value);
+  }
+  return grouped;
+}
+
+/**
+ * Columns to store when a case changes status.
+ * Closing records the close time; reopening clears it.
+ * @param {Object} current - Stored case
+ * @param {string} status - New status
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} `{ status, closed_at }`, or an empty object if the status is unchanged
+ */
+export function getCaseStatusChanges(current, status, now = new Date()) {
+  if (!status || status === current.status) {
+    return {};
+  }
+  return {
+    status,
+    closed_at: status === 'closed' ? now.toISOString() : null
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Merchant entity resolution.
+ *
+ * Card networks send the same merchant under many descriptors: "AMZN MKTP US*2K3",
+ * "AMZN Mktp US*7Y1", "SQ *BLUE BOTTLE 0423". Descriptors are normalized (case,
+ * reference suffixes, store numbers, payment-facilitator prefixes) and scored for
+ * similarity, so every variant of a merchant is resolved to one canonical merchant group.
+ */
+
+/**
+ * Minimum score for a merchant to join an existing group.
+ */
+export const MATCH_THRESHOLD = 0.82;
+
+/**
+ * Payment facilitators that put the real merchant name after their prefix, e.g. "SQ *COFFEE".
+ */
+const FACILITATOR_PREFIXES = new Set(['SQ', 'SQU', 'TST', 'PAYPAL', 'PP', 'SP', 'GOOGLE', 'GGL', 'IN', 'PY', 'WPY', 'CKO']);
+
+/**
+ * Words that carry no identity (legal forms and filler).
+ */
+const NOISE_WORDS = new Set(['INC', 'LLC', 'LTD', 'CO', 'CORP', 'THE', 'COM', 'WWW', 'STORE']);
+
+/**
+ * Normalize a card descriptor to the part that identifies the merchant.
+ * @param {string} descriptor - Raw descriptor
+ * @returns {string} Normalized descriptor, e.g. "AMZN MKTP US" for "AMZN Mktp US*7Y1"
+ */
+export function normalizeDescriptor(descriptor) {
+  if (!descriptor || typeof descriptor !== 'string') {
+    return '';
+  }
+
+  let value = descriptor.toUpperCase().trim();
+
+  // "SQ *NAME" → "NAME"; "NAME*REF123" → "NAME"
+  const starIndex = value.indexOf('*');
+  if (starIndex !== -1) {
+    const prefix = value.slice(0, starIndex).trim();
+    value = FACILITATOR_PREFIXES.has(prefix) ? value.slice(starIndex + 1) : prefix;
+  }
+
+  return value
+    .replace(/\.(COM|NET|ORG)\b/g, ' $1')
+    .replace(/#\s*\w+/g, ' ')
+    .replace(/[^A-Z0-9 ]+/g, ' ')
+    .split(/\s+/)
+    // Store numbers, phone numbers and reference codes mixing letters and digits
+    .filter(word => word && !/\d/.test(word) && !NOISE_WORDS.has(word))
+    .join(' ');
+}
+
+/**
+ * Whether incoming merchant details differ from a stored merchant, so the stored
+ * merchant should be updated. Missing incoming values compare as null.
+ * @param {Object|null} existingDetails - Stored merchant
+ * @param {Object} incomingDetails - Merchant parsed from a transaction
+ * @returns {boolean} True if the details differ
+ */
+export function areMerchantDetailsDifferent(existingDetails, incomingDetails) {
+  if (!existingDetails) return true;
+
+  return (
+    existingDetails.descriptor !== incomingDetails.descriptor ||
+    existingDetails.city !== (incomingDetails.city || null) ||
+    existingDetails.state !== (incomingDetails.state || null) ||
+    existingDetails.country !== (incomingDetails.country || null) ||
+    existingDetails.mcc !== (incomingDetails.mcc || null)
+  );
+}
+
+/**
+ * Character bigrams of a string, ignoring spaces.
+ * @param {string} value - String
+ * @returns {Map<string, number>} Bigram counts
+ */
+function getBigrams(value) {
+  const compact = value.replace(/ /g, '');
+  const bigrams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const bigram = compact.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+/**
+ * Score given when every word of the shorter descriptor appears in the longer one
+ * ("BLUE BOTTLE" and "BLUE BOTTLE COFFEE"), provided the shared words are distinctive.
+ */
+const CONTAINMENT_SCORE = 0.85;
+
+/**
+ * Similarity of two normalized descriptors: the best of the token overlap, word
+ * containment and bigram (Dice) similarity, so reordered words, extra words and
+ * small spelling changes all score high.
+ * @param {string} a - Normalized descriptor
+ * @param {string} b - Normalized descriptor
+ * @returns {number} Similarity from 0 to 1
+ */
+export function descriptorSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const tokensA = new Set(a.split(' '));
+  const tokensB = new Set(b.split(' '));
+  const sharedTokens = [...tokensA].filter(token => tokensB.has(token)).length;
+  const tokenScore = sharedTokens / new Set([...tokensA, ...tokensB]).size;
+  const shorter = tokensA.size <= tokensB.size ? tokensA : tokensB;
+  const containmentScore = sharedTokens === shorter.size && (sharedTokens > 1 || [...shorter][0].length >= 5)
+    ? CONTAINMENT_SCORE
+    : 0;
+
+  const bigramsA = getBigrams(a);
+  const bigramsB = getBigrams(b);
+  let sharedBigrams = 0;
+  let totalBigrams = 0;
+  for (const [bigram, count] of bigramsA) {
+    sharedBigrams += Math.min(count, bigramsB.get(bigram) || 0);
+    totalBigrams += count;
+  }
+  for (const count of bigramsB.values()) totalBigrams += count;
+  const bigramScore = totalBigrams > 0 ? (2 * sharedBigrams) / totalBigrams : 0;
+
+  return Math.max(tokenScore, containmentScore, bigramScore);
+}
+
+/**
+ * Score how likely a merchant belongs to a merchant group.
+ * A different MCC or country lowers the score.
+ * @param {Object} merchant - `{ descriptor, mcc, country }`
+ * @param {Object} group - `{ normalized_descriptor, mcc, country }`
+ * @returns {number} Score from 0 to 1
+ */
+export function scoreMerchantMatch(merchant, group) {
+  let score = descriptorSimilarity(normalizeDescriptor(merchant.descriptor), group.normalized_descriptor);
+  if (merchant.mcc && group.mcc && merchant.mcc !== group.mcc) {
+    score *= 0.85;
+  }
+  if (merchant.country && group.country && merchant.country !== group.country) {
+    score *= 0.9;
+  }
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Pick the merchant group a merchant should join.
+ * @param {Object} merchant - `{ descriptor, mcc, country }`
+ * @param {Array<Object>} groups - Candidate merchant groups
+ * @param {number} [threshold=MATCH_THRESHOLD] - Minimum score
+ * @returns {Object|null} `{ group, score }` for the best group at or above the threshold
+ */
+export function findBestMerchantGroup(merchant, groups, threshold = MATCH_THRESHOLD) {
+  let best = null;
+  for (const group of groups) {
+    const score = scoreMerchantMatch(merchant, group);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { group, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Search key used to fetch candidate groups: the first word of the normalized descriptor.
+ * @param {string} descriptor - Raw or normalized descriptor
+ * @returns {string} First normalized word, or an empty string
+ */
+export function getDescriptorSearchKey(descriptor) {
+  return normalizeDescriptor(descriptor).split(' ')[0] || '';
+}
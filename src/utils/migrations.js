@@ -0,0 +1,69 @@
+/**
+ * Schema migration planning.
+ *
+ * Migrations are SQL files named `<version>_<name>.sql` (e.g. `0004_merchant_groups.sql`)
+ * and are applied in version order. Each applied migration is recorded with a checksum
+ * of its SQL, so a migration edited after it was applied is detected instead of being
+ * silently skipped.
+ */
+
+import { createHash } from 'crypto';
+
+export const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+
+/**
+ * Parse a migration file name.
+ * @param {string} fileName - File name, e.g. "0001_initial_schema.sql"
+ * @returns {Object|null} `{ version, name }`, or null if the file is not a migration
+ */
+export function parseMigrationFileName(fileName) {
+  const match = MIGRATION_FILE_PATTERN.exec(fileName);
+  return match ? { version: match[1], name: match[2] } : null;
+}
+
+/**
+ * Checksum of a migration's SQL. Line endings are normalized so a checkout with
+ * CRLF line endings does not look like an edited migration.
+ * @param {string} sql - Migration SQL
+ * @returns {string} SHA-256 hex digest
+ */
+export function getMigrationChecksum(sql) {
+  return createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Compare the migration files with the migrations recorded in the database.
+ * @param {Array<Object>} migrations - Migration files `{ version, name, checksum }`
+ * @param {Array<Object>} appliedMigrations - Rows of schema_migrations `{ version, name, checksum, applied_at }`
+ * @returns {Object} `{ applied, pending, changed, unknown }`: applied and pending files in
+ *   version order, applied files whose checksum changed, and recorded versions without a file
+ * @throws {Error} If two files share a version
+ */
+export function planMigrations(migrations, appliedMigrations) {
+  const sorted = [...migrations].sort((a, b) => a.version.localeCompare(b.version));
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].version === sorted[i - 1].version) {
+      throw new Error(`Duplicate migration version ${sorted[i].version}: ${sorted[i - 1].name} and ${sorted[i].name}`);
+    }
+  }
+
+  const appliedByVersion = new Map(appliedMigrations.map(row => [row.version, row]));
+  const plan = { applied: [], pending: [], changed: [], unknown: [] };
+
+  for (const migration of sorted) {
+    const row = appliedByVersion.get(migration.version);
+    if (!row) {
+      plan.pending.push(migration);
+      continue;
+    }
+    plan.applied.push({ ...migration, applied_at: row.applied_at });
+    if (row.checksum !== migration.checksum) {
+      plan.changed.push(migration);
+    }
+  }
+
+  const versions = new Set(sorted.map(migration => migration.version));
+  plan.unknown = appliedMigrations.filter(row => !versions.has(row.version));
+
+  return plan;
+}
@@ -0,0 +1,191 @@
+/**
+ * Money helpers for amounts in ISO 4217 minor units.
+ *
+ * Lithic reports every amount as an integer in the currency's minor unit, and the
+ * number of minor units per major unit depends on the currency (100 cents per dollar,
+ * but 1 per yen and 1000 fils per dinar). A money value is `{ amount, currency }` with
+ * `amount` in minor units; amounts in different currencies are never added together.
+ */
+
+import { config } from '../config/index.js';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * ISO 4217 currencies whose minor unit is not 1/100. Everything else uses 2 decimals.
+ */
+const CURRENCY_EXPONENTS = {
+  BHD: 3, BIF: 0, CLF: 4, CLP: 0, DJF: 0, GNF: 0, IQD: 3, ISK: 0, JOD: 3, JPY: 0,
+  KMF: 0, KRW: 0, KWD: 3, LYD: 3, OMR: 3, PYG: 0, RWF: 0, TND: 3, UGX: 0, UYI: 0,
+  UYW: 4, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0
+};
+
+const DEFAULT_EXPONENT = 2;
+
+/**
+ * Normalize a currency code, falling back to USD when it is missing or malformed.
+ * @param {string} currency - ISO 4217 alphabetic code
+ * @returns {string} Upper-case currency code
+ */
+export function normalizeCurrency(currency) {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : '';
+  return /^[A-Z]{3}$/.test(code) ? code : DEFAULT_CURRENCY;
+}
+
+/**
+ * Number of decimal places of a currency's minor unit.
+ * @param {string} currency - ISO 4217 alphabetic code
+ * @returns {number} Exponent (0, 2, 3 or 4)
+ */
+export function getCurrencyExponent(currency) {
+  return CURRENCY_EXPONENTS[normalizeCurrency(currency)] ?? DEFAULT_EXPONENT;
+}
+
+/**
+ * Create a money value.
+ * @param {number} amount - Amount in minor units
+ * @param {string} [currency='USD'] - ISO 4217 alphabetic code
+ * @returns {Object} `{ amount, currency }`
+ */
+export function createMoney(amount, currency = DEFAULT_CURRENCY) {
+  const value = Number(amount);
+  return {
+    amount: Number.isFinite(value) ? Math.round(value) : 0,
+    currency: normalizeCurrency(currency)
+  };
+}
+
+/**
+ * Convert minor units to major units (e.g. cents to dollars).
+ * @param {Object} money - `{ amount, currency }`
+ * @returns {number} Amount in major units
+ */
+export function toMajorUnits({ amount, currency }) {
+  return amount / 10 ** getCurrencyExponent(currency);
+}
+
+/**
+ * Create a money value from an amount in major units (e.g. dollars).
+ * @param {number} majorAmount - Amount in major units
+ * @param {string} [currency='USD'] - ISO 4217 alphabetic code
+ * @returns {Object} `{ amount, currency }`
+ */
+export function fromMajorUnits(majorAmount, currency = DEFAULT_CURRENCY) {
+  return createMoney(Number(majorAmount) * 10 ** getCurrencyExponent(currency), currency);
+}
+
+/**
+ * Format a money value for display, e.g. "$12.50", "¥1,500" or "KWD 1.250".
+ * @param {Object} money - `{ amount, currency }`
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale] - BCP 47 locale, defaults to DISPLAY_LOCALE
+ * @returns {string} Formatted amount
+ */
+export function formatMoney(money, { locale = config.display?.locale || 'en-US' } = {}) {
+  const { amount, currency } = createMoney(money?.amount, money?.currency);
+  const exponent = getCurrencyExponent(currency);
+  const major = amount / 10 ** exponent;
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: exponent,
+      maximumFractionDigits: exponent
+    }).format(major);
+  } catch {
+    // Unknown locale or a currency code the runtime does not support
+    return `${currency} ${major.toFixed(exponent)}`;
+  }
+}
+
+/**
+ * Read the cardholder and merchant amounts of a transaction in any of the shapes used
+ * in this app: raw Lithic transactions, parsed transaction details and stored rows.
+ * @param {Object} transaction - Transaction
+ * @returns {Object} `{ cardholder, merchant, conversion_rate, is_foreign_currency }`
+ *   where cardholder and merchant are money values
+ */
+export function getTransactionAmounts(transaction = {}) {
+  const eventAmounts = transaction.events?.[0]?.amounts || transaction.amounts || {};
+
+  const cardholderCurrency = transaction.cardholder_currency || eventAmounts.cardholder?.currency;
+  const cardholder = createMoney(
+    readMinorAmount(transaction, 'cardholder') ?? eventAmounts.cardholder?.amount ?? transaction.amount,
+    cardholderCurrency
+  );
+
+  const merchantCurrency = transaction.merchant_currency || eventAmounts.merchant?.currency || cardholder.currency;
+  const merchantAmount = readMinorAmount(transaction, 'merchant') ?? eventAmounts.merchant?.amount;
+  const merchant = merchantAmount === undefined
+    ? { ...cardholder }
+    : createMoney(merchantAmount, merchantCurrency);
+
+  return {
+    cardholder,
+    merchant,
+    conversion_rate: Number(transaction.conversion_rate || eventAmounts.cardholder?.conversion_rate) || 1,
+    is_foreign_currency: merchant.currency !== cardholder.currency
+  };
+}
+
+/**
+ * Read a stored amount in minor units. Rows from the reporting views only carry
+ * `<side>_amount_usd`, which the views compute as the minor amount divided by 100.
+ * @param {Object} row - Transaction or view row
+ * @param {string} side - "cardholder" or "merchant"
+ * @returns {number|undefined} Amount in minor units
+ */
+function readMinorAmount(row, side) {
+  if (typeof row[`${side}_amount`] === 'number') {
+    return row[`${side}_amount`];
+  }
+  const viewAmount = row[`${side}_amount_usd`];
+  if (viewAmount !== undefined && viewAmount !== null && !isNaN(Number(viewAmount))) {
+    return Math.round(Number(viewAmount) * 100);
+  }
+  return undefined;
+}
+
+/**
+ * Total money values per currency.
+ * @param {Array<Object>} moneys - Money values
+ * @returns {Array<Object>} One `{ amount, currency, count }` per currency, in first-seen order
+ */
+export function sumByCurrency(moneys) {
+  const totals = new Map();
+  for (const money of moneys) {
+    if (!money) continue;
+    const { amount, currency } = createMoney(money.amount, money.currency);
+    const total = totals.get(currency) || { amount: 0, currency, count: 0 };
+    total.amount += amount;
+    total.count++;
+    totals.set(currency, total);
+  }
+  return [...totals.values()];
+}
+
+/**
+ * Average money values per currency.
+ * @param {Array<Object>} moneys - Money values
+ * @returns {Array<Object>} One `{ amount, currency, count }` per currency, amount rounded to a minor unit
+ */
+export function averageByCurrency(moneys) {
+  return sumByCurrency(moneys).map(total => ({
+    ...total,
+    amount: Math.round(total.amount / total.count)
+  }));
+}
+
+/**
+ * Format per-currency totals as one string, e.g. "$40.00 + €12.00".
+ * @param {Array<Object>} moneys - Money values, at most one per currency
+ * @param {Object} [options] - Options passed to formatMoney
+ * @returns {string} Formatted amounts, or a formatted zero when empty
+ */
+export function formatMoneyList(moneys, options) {
+  if (!moneys || moneys.length === 0) {
+    return formatMoney(createMoney(0), options);
+  }
+  return moneys.map(money => formatMoney(money, options)).join(' + ');
+}
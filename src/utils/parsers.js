@@ -83,6 +83,31 @@ export function parseTransactionDetails(transaction) {
   };
 }
 
+/**
+ * Parse every event of a Lithic transaction (authorization, clearing, reversal, return...).
+ * @param {Object} transaction - Lithic transaction object.
+ * @returns {Array<Object>} Parsed transaction events.
+ */
+export function parseTransactionEvents(transaction) {
+  const events = Array.isArray(transaction.events) ? transaction.events : [];
+
+  return events.map((event, index) => {
+    const cardholderAmounts = event.amounts?.cardholder || {};
+
+    return {
+      event_token: event.token || `${transaction.token}_event_${index}`,
+      transaction_token: transaction.token,
+      card_token: transaction.card_token,
+      event_type: event.type || "UNKNOWN",
+      amount: cardholderAmounts.amount ?? event.amount ?? 0,
+      currency: cardholderAmounts.currency || transaction.currency || "USD",
+      result: event.result || "UNKNOWN",
+      detailed_results: event.detailed_results || [],
+      created_at: event.created || transaction.created,
+    };
+  });
+}
+
 /**
  * Parse merchant information from a Lithic transaction object.
  * @param {Object} transaction - Lithic transaction object.
@@ -99,4 +124,178 @@ export function parseMerchantInfo(transaction) {
     country: merchant.country || null,
     mcc: merchant.mcc || null,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Parse card registry fields from a Lithic card object.
+ * The PAN and CVV are deliberately dropped so they are never persisted.
+ * @param {Object} card - Lithic card object (or the simplified card from card-service).
+ * @returns {Object} Parsed card data.
+ */
+export function parseCardDetails(card) {
+  return {
+    token: card.token,
+    last_four: card.last_four || null,
+    state: card.state || "UNKNOWN",
+    type: card.type || null,
+    spend_limit: typeof card.spend_limit === "number" ? card.spend_limit : null,
+    spend_limit_duration: card.spend_limit_duration || null,
+    memo: card.memo || null,
+    created_at: card.created || null,
+  };
+}
+
+/**
+ * Card fields whose changes are recorded in the card state history.
+ */
+export const TRACKED_CARD_FIELDS = ["state", "spend_limit", "spend_limit_duration", "memo"];
+
+/**
+ * Collect the tracked fields that changed between a stored card and parsed card details.
+ * @param {Object|null} existingCard - The stored card row, if any.
+ * @param {Object} incomingCard - Parsed card details (parseCardDetails).
+ * @returns {Object} Map of field name to { from, to } for every changed field.
+ */
+export function getCardChanges(existingCard, incomingCard) {
+  const changes = {};
+
+  for (const field of TRACKED_CARD_FIELDS) {
+    const previousValue = existingCard ? existingCard[field] ?? null : null;
+    const newValue = incomingCard[field] ?? null;
+
+    if (previousValue !== newValue) {
+      changes[field] = { from: previousValue, to: newValue };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Parse an Auth Stream Access (ASA) authorization request from Lithic.
+ * @param {Object} asaRequest - ASA request body.
+ * @returns {Object} Parsed authorization request.
+ */
+export function parseAuthorizationRequest(asaRequest) {
+  const merchant = asaRequest.merchant || {};
+
+  return {
+    token: asaRequest.token,
+    card_token: asaRequest.card?.token || asaRequest.card_token || null,
+    status: asaRequest.status || "AUTHORIZATION",
+    amount: asaRequest.amount || 0,
+    currency: asaRequest.cardholder_currency || asaRequest.currency || "USD",
+    merchant_amount: asaRequest.merchant_amount ?? asaRequest.amount ?? 0,
+    merchant_currency: asaRequest.merchant_currency || null,
+    merchant: {
+      acceptor_id: merchant.acceptor_id || null,
+      descriptor: merchant.descriptor || "Unknown Merchant",
+      city: merchant.city || null,
+      state: merchant.state || null,
+      country: merchant.country || null,
+      mcc: merchant.mcc || null,
+    },
+    created_at: asaRequest.created || new Date().toISOString(),
+  };
+}
+
+/**
+ * Parse a Lithic dispute object from a dispute.updated event.
+ * @param {Object} dispute - Lithic dispute object.
+ * @returns {Object} Parsed dispute data.
+ */
+export function parseDisputeDetails(dispute) {
+  return {
+    token: dispute.token,
+    transaction_token: dispute.transaction_token || null,
+    status: dispute.status || "UNKNOWN",
+    reason: dispute.reason || null,
+    amount: dispute.amount ?? null,
+    resolution_reason: dispute.resolution_reason || null,
+    customer_filed_date: dispute.customer_filed_date || null,
+    created_at: dispute.created || null,
+    updated_at: dispute.updated || new Date().toISOString(),
+    raw_data: dispute,
+  };
+}
+
+/**
+ * Parse a digital_wallet.tokenization_* event payload.
+ * The one-time activation code of two-factor events is never kept.
+ * @param {string} eventType - Lithic event type.
+ * @param {Object} payload - Event payload.
+ * @returns {Object} Parsed tokenization event data.
+ */
+export function parseTokenizationEvent(eventType, payload) {
+  const tokenization = payload.tokenization || {};
+  const { authentication_code, activation_code, ...safePayload } = payload;
+
+  return {
+    event_type: eventType,
+    tokenization_token:
+      payload.tokenization_token || tokenization.token || null,
+    card_token: payload.card_token || tokenization.card_token || null,
+    account_token: payload.account_token || tokenization.account_token || null,
+    token_requestor:
+      tokenization.token_requestor_name ||
+      payload.wallet_decisioning_info?.token_requestor_name ||
+      payload.digital_wallet_token_metadata?.token_requestor_name ||
+      null,
+    status:
+      tokenization.status ||
+      payload.tokenization_result_details?.issuer_decision ||
+      payload.issuer_decision ||
+      payload.customer_tokenization_decision?.outcome ||
+      null,
+    device_type:
+      payload.device?.type || payload.digital_wallet_token_metadata?.device_type || null,
+    created_at: payload.created || tokenization.created_at || new Date().toISOString(),
+    raw_data: safePayload,
+  };
+}
+
+/**
+ * Parse a three_ds_authentication.* event payload.
+ * @param {Object} authentication - Lithic 3DS authentication object.
+ * @returns {Object} Parsed 3DS authentication data.
+ */
+export function parseThreeDSAuthentication(authentication) {
+  const merchant = authentication.merchant || {};
+  const transaction = authentication.transaction || {};
+
+  return {
+    token: authentication.token,
+    card_token: authentication.card_token || null,
+    authentication_result: authentication.authentication_result || "PENDING",
+    decision_made_by: authentication.decision_made_by || null,
+    channel: authentication.channel || null,
+    merchant_name: merchant.name || null,
+    merchant_country: merchant.country || null,
+    merchant_mcc: merchant.mcc || null,
+    amount: transaction.amount ?? null,
+    currency: transaction.currency || null,
+    created_at: authentication.created || new Date().toISOString(),
+    raw_data: authentication,
+  };
+}
+
+/**
+ * Parse a balance.updated event payload into one row per financial account balance.
+ * @param {Object} payload - Event payload (either `{ data: [...] }` or a single balance).
+ * @returns {Array<Object>} Parsed balance snapshots.
+ */
+export function parseBalanceUpdate(payload) {
+  const balances = Array.isArray(payload.data) ? payload.data : [payload];
+
+  return balances.map((balance) => ({
+    financial_account_token:
+      balance.financial_account_token || balance.token || null,
+    financial_account_type: balance.financial_account_type || balance.type || null,
+    currency: balance.currency || "USD",
+    available_amount: balance.available_amount ?? null,
+    pending_amount: balance.pending_amount ?? null,
+    total_amount: balance.total_amount ?? null,
+    last_transaction_token: balance.last_transaction_token || null,
+    updated_at: balance.updated || new Date().toISOString(),
+  }));
+}
@@ -0,0 +1,66 @@
+/**
+ * Adaptive transaction polling schedule.
+ *
+ * Polling is the safety net behind webhooks. It runs at the fastest interval when
+ * webhooks look unhealthy or a card was just used (a scammer is likely active), at the
+ * base interval normally, and backs off to the slowest interval when nothing has
+ * happened for a long time.
+ */
+
+export const SCHEDULE_REASONS = {
+  WEBHOOK_FAILURES: 'webhook_failures',
+  WEBHOOKS_MISSING: 'webhooks_missing',
+  RECENT_CARD_ACTIVITY: 'recent_card_activity',
+  QUIET: 'quiet',
+  NORMAL: 'normal'
+};
+
+/**
+ * Decide how long to wait before the next polling cycle.
+ * Webhooks count as missing when a stored transaction is newer than the last webhook by
+ * more than the grace period, or when no webhook was ever received while transactions
+ * kept arriving (e.g. a misconfigured webhook URL).
+ * @param {Object} params - Schedule input
+ * @param {Object} params.webhookHealth - `{ lastReceivedAt, lastFailureAt, lastProcessedAt, consecutiveFailures }` of this process
+ * @param {string|null} [params.lastWebhookAt] - When any instance last received a webhook;
+ *   the newer of it and `webhookHealth.lastReceivedAt` is used
+ * @param {string|null} params.lastActivityAt - Creation time of the newest stored transaction
+ * @param {Object} params.settings - `{ minIntervalMs, baseIntervalMs, maxIntervalMs, activityWindowMs,
+ *   quietAfterMs, webhookFailureThreshold, webhookGraceMs }`
+ * @param {number} [params.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} `{ intervalMs, reason }`
+ */
+export function getPollingSchedule({ webhookHealth = {}, lastWebhookAt, lastActivityAt, settings, now = Date.now() }) {
+  const fast = { intervalMs: settings.minIntervalMs };
+  const activityTime = lastActivityAt ? new Date(lastActivityAt).getTime() : null;
+  const webhookTimes = [lastWebhookAt, webhookHealth.lastReceivedAt]
+    .filter(Boolean)
+    .map((time) => new Date(time).getTime());
+  const webhookTime = webhookTimes.length > 0 ? Math.max(...webhookTimes) : null;
+
+  if (webhookHealth.consecutiveFailures >= settings.webhookFailureThreshold) {
+    return { ...fast, reason: SCHEDULE_REASONS.WEBHOOK_FAILURES };
+  }
+
+  if (activityTime) {
+    // A stored transaction newer than the last webhook means polling, not a webhook, found it
+    const missedSinceWebhook = webhookTime !== null && activityTime - webhookTime > settings.webhookGraceMs;
+    // No webhook ever, although a transaction recent enough to still be arriving had time to send one
+    const neverReceived = webhookTime === null &&
+      now - activityTime > settings.webhookGraceMs &&
+      now - activityTime <= settings.activityWindowMs;
+    if (missedSinceWebhook || neverReceived) {
+      return { ...fast, reason: SCHEDULE_REASONS.WEBHOOKS_MISSING };
+    }
+  }
+
+  if (activityTime && now - activityTime <= settings.activityWindowMs) {
+    return { ...fast, reason: SCHEDULE_REASONS.RECENT_CARD_ACTIVITY };
+  }
+
+  if (!activityTime || now - activityTime >= settings.quietAfterMs) {
+    return { intervalMs: settings.maxIntervalMs, reason: SCHEDULE_REASONS.QUIET };
+  }
+
+  return { intervalMs: settings.baseIntervalMs, reason: SCHEDULE_REASONS.NORMAL };
+}
@@ -0,0 +1,127 @@
+/**
+ * Pure comparison helpers for reconciling Lithic records against the database.
+ *
+ * Each comparison sorts records into:
+ * - missing: in Lithic but not stored
+ * - stale: stored, but Lithic has moved on (status, result, card state...)
+ * - mismatched: stored with values that should never change but differ (amounts)
+ * - orphaned: stored but not returned by Lithic for the same range
+ */
+
+import { parseTransactionDetails, parseCardDetails } from './parsers.js';
+
+/**
+ * Transaction fields that legitimately change over a transaction's life.
+ */
+const STALE_TRANSACTION_FIELDS = ['status', 'result'];
+
+/**
+ * Transaction fields that must match once stored.
+ */
+const MISMATCH_TRANSACTION_FIELDS = ['cardholder_amount', 'card_token'];
+
+/**
+ * Card registry fields compared against Lithic.
+ */
+const CARD_FIELDS = ['state', 'spend_limit', 'spend_limit_duration', 'memo'];
+
+/**
+ * Collect the fields whose values differ between two records.
+ * @param {Array<string>} fields - Field names to compare
+ * @param {Object} expected - Values from Lithic
+ * @param {Object} stored - Values from the database
+ * @returns {Object} Map of field to `{ lithic, stored }`
+ */
+function diffFields(fields, expected, stored) {
+  const differences = {};
+  for (const field of fields) {
+    const expectedValue = expected[field] ?? null;
+    const storedValue = stored[field] ?? null;
+    if (expectedValue !== storedValue) {
+      differences[field] = { lithic: expectedValue, stored: storedValue };
+    }
+  }
+  return differences;
+}
+
+/**
+ * Compare Lithic transactions with stored transaction rows for the same time range.
+ * @param {Array<Object>} lithicTransactions - Transactions from Lithic
+ * @param {Array<Object>} storedTransactions - Rows `{ token, status, result, cardholder_amount, card_token }`
+ * @returns {Object} `{ missing, stale, mismatched, orphaned }`; missing/orphaned hold tokens,
+ *   stale/mismatched hold `{ token, differences }`
+ */
+export function compareTransactions(lithicTransactions, storedTransactions) {
+  const storedByToken = new Map(storedTransactions.map(row => [row.token, row]));
+  const lithicTokens = new Set();
+  const result = { missing: [], stale: [], mismatched: [], orphaned: [] };
+
+  for (const transaction of lithicTransactions) {
+    lithicTokens.add(transaction.token);
+    const stored = storedByToken.get(transaction.token);
+    if (!stored) {
+      result.missing.push(transaction.token);
+      continue;
+    }
+
+    const expected = parseTransactionDetails(transaction);
+    const mismatches = diffFields(MISMATCH_TRANSACTION_FIELDS, expected, stored);
+    if (Object.keys(mismatches).length > 0) {
+      result.mismatched.push({ token: transaction.token, differences: mismatches });
+      continue;
+    }
+
+    const staleFields = diffFields(STALE_TRANSACTION_FIELDS, expected, stored);
+    if (Object.keys(staleFields).length > 0) {
+      result.stale.push({ token: transaction.token, differences: staleFields });
+    }
+  }
+
+  result.orphaned = storedTransactions
+    .filter(row => !lithicTokens.has(row.token))
+    .map(row => row.token);
+
+  return result;
+}
+
+/**
+ * Compare Lithic cards with the card registry.
+ * @param {Array<Object>} lithicCards - Cards from Lithic
+ * @param {Array<Object>} storedCards - Rows from the `cards` table
+ * @returns {Object} `{ missing, stale, orphaned }`; missing/orphaned hold tokens,
+ *   stale holds `{ token, differences }`
+ */
+export function compareCards(lithicCards, storedCards) {
+  const storedByToken = new Map(storedCards.map(row => [row.token, row]));
+  const lithicTokens = new Set();
+  const result = { missing: [], stale: [], orphaned: [] };
+
+  for (const card of lithicCards) {
+    lithicTokens.add(card.token);
+    const stored = storedByToken.get(card.token);
+    if (!stored) {
+      result.missing.push(card.token);
+      continue;
+    }
+
+    const differences = diffFields(CARD_FIELDS, parseCardDetails(card), stored);
+    if (Object.keys(differences).length > 0) {
+      result.stale.push({ token: card.token, differences });
+    }
+  }
+
+  result.orphaned = storedCards
+    .filter(row => !lithicTokens.has(row.token))
+    .map(row => row.token);
+
+  return result;
+}
+
+/**
+ * Whether a comparison found any drift.
+ * @param {Object} comparison - Result of compareTransactions or compareCards
+ * @returns {boolean} True if any list is non-empty
+ */
+export function hasDrift(comparison) {
+  return Object.values(comparison).some(list => Array.isArray(list) && list.length > 0);
+}
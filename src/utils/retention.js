@@ -0,0 +1,248 @@
+/**
+ * Data retention helpers.
+ *
+ * Raw Lithic payloads are kept in `transactions.raw_data` for a limited time. After
+ * that they are redacted to the fields the app reads (amounts, merchant, events) with
+ * every card number removed, or pruned entirely; old transactions are archived to
+ * compressed JSONL files described by a manifest. The other copies of Lithic data
+ * (webhook event payloads, ASA request payloads, and dispute, tokenization and 3DS
+ * payloads) follow the same policy.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * What happens to raw payloads older than the retention period.
+ */
+export const RAW_DATA_ACTIONS = ['redact', 'prune'];
+
+/**
+ * Version of the archive file and manifest format.
+ */
+export const ARCHIVE_FORMAT_VERSION = 1;
+
+/**
+ * Keys whose values are card secrets and never kept, at any depth.
+ */
+const SENSITIVE_KEYS = new Set([
+  'pan', 'cvv', 'cvv2', 'cvc', 'cvc2', 'pin', 'pin_block', 'exp_month', 'exp_year',
+  'expiration', 'expiration_date', 'track', 'track_data', 'track1', 'track2', 'magnetic_stripe', 'emv_data'
+]);
+
+/**
+ * Transaction fields kept in a redacted payload.
+ */
+const TRANSACTION_FIELDS = [
+  'token', 'card_token', 'account_token', 'status', 'result', 'created', 'updated', 'network',
+  'amount', 'settled_amount', 'authorization_amount', 'merchant_amount', 'merchant_currency',
+  'currency', 'authorization_code', 'amounts'
+];
+
+const MERCHANT_FIELDS = ['acceptor_id', 'descriptor', 'city', 'state', 'country', 'mcc'];
+
+const EVENT_FIELDS = ['token', 'type', 'result', 'created', 'amount', 'amounts', 'detailed_results'];
+
+/**
+ * Digit runs of card number length, optionally split by spaces or dashes.
+ */
+const CARD_NUMBER_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+
+/**
+ * Luhn check of a card number.
+ * @param {string} digits - Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Replace card numbers in a string.
+ * @param {string} value - String
+ * @returns {string} String with every Luhn-valid 13 to 19 digit number replaced by "[REDACTED]"
+ */
+export function maskCardNumbers(value) {
+  return value.replace(CARD_NUMBER_PATTERN, (match) => {
+    const digits = match.replace(/[ -]/g, '');
+    return passesLuhn(digits) ? '[REDACTED]' : match;
+  });
+}
+
+/**
+ * Copy a value without card secrets: sensitive keys are dropped and card numbers masked.
+ * @param {*} value - Any JSON value
+ * @returns {*} Copy without card data
+ */
+export function stripCardData(value) {
+  if (typeof value === 'string') {
+    return maskCardNumbers(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(stripCardData);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (!SENSITIVE_KEYS.has(key.toLowerCase())) {
+        copy[key] = stripCardData(entry);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Pick the listed fields that are present.
+ * @param {Object} source - Object
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object} Object with the present fields
+ */
+function pickFields(source, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Whether a raw payload was already redacted.
+ * @param {Object|null} rawData - Stored raw payload
+ * @returns {boolean} True for a redacted payload
+ */
+export function isRedactedPayload(rawData) {
+  return Boolean(rawData && rawData._redacted === true);
+}
+
+/**
+ * Reduce a raw Lithic transaction to the fields the app reads, without card data.
+ * The result still parses with parseTransactionEvents.
+ * @param {Object} rawData - Raw Lithic transaction
+ * @param {Date} [redactedAt=new Date()] - Redaction time
+ * @returns {Object} Redacted payload marked with `_redacted` and `redacted_at`
+ */
+export function redactTransactionPayload(rawData, redactedAt = new Date()) {
+  if (isRedactedPayload(rawData)) {
+    return rawData;
+  }
+
+  const source = rawData || {};
+  const redacted = pickFields(source, TRANSACTION_FIELDS);
+  if (source.merchant) {
+    redacted.merchant = pickFields(source.merchant, MERCHANT_FIELDS);
+  }
+  if (Array.isArray(source.events)) {
+    redacted.events = source.events.map((event) => pickFields(event, EVENT_FIELDS));
+  }
+
+  return {
+    _redacted: true,
+    redacted_at: redactedAt.toISOString(),
+    ...stripCardData(redacted)
+  };
+}
+
+/**
+ * Redact a stored webhook delivery. Transaction payloads are reduced like
+ * `transactions.raw_data`; other payloads keep their fields without card data,
+ * so a redacted event can still be replayed.
+ * @param {Object} body - Stored webhook body `{ type, payload, ... }`
+ * @param {Date} [redactedAt=new Date()] - Redaction time
+ * @returns {Object} Redacted body marked with `_redacted` and `redacted_at`
+ */
+export function redactWebhookPayload(body, redactedAt = new Date()) {
+  if (isRedactedPayload(body)) {
+    return body;
+  }
+
+  const { payload, ...envelope } = body || {};
+  const isTransaction = typeof envelope.type === 'string' && envelope.type.startsWith('transaction.');
+  return {
+    _redacted: true,
+    redacted_at: redactedAt.toISOString(),
+    ...stripCardData(envelope),
+    payload: isTransaction && payload ? redactTransactionPayload(payload, redactedAt) : stripCardData(payload ?? null)
+  };
+}
+
+/**
+ * Redact a stored dispute, tokenization or 3DS payload: its fields are kept without card data.
+ * @param {Object} rawData - Raw Lithic payload
+ * @param {Date} [redactedAt=new Date()] - Redaction time
+ * @returns {Object} Redacted payload marked with `_redacted` and `redacted_at`
+ */
+export function redactEventPayload(rawData, redactedAt = new Date()) {
+  if (isRedactedPayload(rawData)) {
+    return rawData;
+  }
+  return {
+    _redacted: true,
+    redacted_at: redactedAt.toISOString(),
+    ...stripCardData(rawData || {})
+  };
+}
+
+/**
+ * Cutoff dates of a retention policy. A period of 0 days disables that step.
+ * @param {Object} policy - `{ rawDataDays, archiveDays }`
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} `{ rawDataBefore, archiveBefore }` as ISO timestamps or null
+ */
+export function getRetentionCutoffs({ rawDataDays, archiveDays }, now = new Date()) {
+  const daysAgo = (days) => (days > 0 ? new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString() : null);
+  return {
+    rawDataBefore: daysAgo(rawDataDays),
+    archiveBefore: daysAgo(archiveDays)
+  };
+}
+
+/**
+ * SHA-256 of archive content.
+ * @param {Buffer} content - Compressed archive
+ * @returns {string} Hex checksum
+ */
+export function getArchiveChecksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Build the manifest describing an archive file.
+ * @param {Object} archive - Archive details
+ * @param {string} archive.id - Archive id
+ * @param {string} archive.fileName - Compressed JSONL file name
+ * @param {Array<Object>} archive.records - Archived `{ transaction, events, merchant_ids }` records
+ * @param {Buffer} archive.content - Compressed file content
+ * @param {string} archive.before - Cutoff the records were archived with
+ * @param {Date} [archive.createdAt=new Date()] - Archive time
+ * @returns {Object} Manifest
+ */
+export function createArchiveManifest({ id, fileName, records, content, before, createdAt = new Date() }) {
+  const createdDates = records.map((record) => record.transaction.created_at).filter(Boolean).sort();
+  return {
+    version: ARCHIVE_FORMAT_VERSION,
+    id,
+    file: fileName,
+    format: 'jsonl.gz',
+    created_at: createdAt.toISOString(),
+    archived_before: before,
+    transaction_count: records.length,
+    event_count: records.reduce((count, record) => count + record.events.length, 0),
+    first_transaction_at: createdDates[0] || null,
+    last_transaction_at: createdDates[createdDates.length - 1] || null,
+    bytes: content.length,
+    sha256: getArchiveChecksum(content),
+    restored_at: null
+  };
+}
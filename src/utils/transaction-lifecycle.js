@@ -0,0 +1,110 @@
+/**
+ * Transaction lifecycle derived from the events Lithic records on a transaction.
+ *
+ * A card charge normally moves AUTHORIZED → CLEARED. Scammers often authorize and then
+ * void the charge, which shows up as an AUTHORIZATION_REVERSAL (or an expiry when the
+ * merchant never captures it). Refunds arrive as RETURN events.
+ */
+
+export const LIFECYCLE_STAGES = {
+  PENDING: 'PENDING',
+  DECLINED: 'DECLINED',
+  AUTHORIZED: 'AUTHORIZED',
+  PARTIALLY_REVERSED: 'PARTIALLY_REVERSED',
+  REVERSED: 'REVERSED',
+  EXPIRED: 'EXPIRED',
+  CLEARED: 'CLEARED',
+  RETURNED: 'RETURNED'
+};
+
+/**
+ * Which running total each approved Lithic event type adds its amount to.
+ */
+const AMOUNT_BUCKET_BY_EVENT_TYPE = {
+  AUTHORIZATION: 'authorized',
+  AUTHORIZATION_ADVICE: 'authorized',
+  CREDIT_AUTHORIZATION: 'authorized',
+  CREDIT_AUTHORIZATION_ADVICE: 'authorized',
+  FINANCIAL_AUTHORIZATION: 'settled',
+  FINANCIAL_CREDIT_AUTHORIZATION: 'settled',
+  CLEARING: 'settled',
+  AUTHORIZATION_REVERSAL: 'reversed',
+  AUTHORIZATION_EXPIRY: 'expired',
+  RETURN: 'returned',
+  RETURN_REVERSAL: 'returned'
+};
+
+/**
+ * Work out the stage a transaction is in from its events.
+ * @param {Array<Object>} events - Events `{ event_type, result, amount, created_at }` (parsed or stored rows)
+ * @returns {Object} `{ stage, is_voided, event_count, last_event_type, last_event_at, amounts }`
+ *   where amounts holds the authorized, reversed, settled and returned totals in minor units
+ */
+export function getTransactionLifecycle(events = []) {
+  const ordered = [...events].sort(
+    (a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime()
+  );
+  const amounts = { authorized: 0, reversed: 0, settled: 0, returned: 0 };
+  let stage = null;
+  let sawDecline = false;
+
+  for (const event of ordered) {
+    if (event.result && event.result !== 'APPROVED') {
+      sawDecline = true;
+      continue;
+    }
+
+    const bucket = AMOUNT_BUCKET_BY_EVENT_TYPE[event.event_type];
+    const amount = Math.abs(event.amount || 0);
+
+    switch (bucket) {
+      case 'authorized':
+        amounts.authorized += amount;
+        if (stage !== LIFECYCLE_STAGES.CLEARED) stage = LIFECYCLE_STAGES.AUTHORIZED;
+        break;
+      case 'reversed':
+        amounts.reversed += amount;
+        if (stage !== LIFECYCLE_STAGES.CLEARED) {
+          // A reversal without an amount voids the whole authorization
+          stage = amount > 0 && amounts.reversed < amounts.authorized
+            ? LIFECYCLE_STAGES.PARTIALLY_REVERSED
+            : LIFECYCLE_STAGES.REVERSED;
+        }
+        break;
+      case 'expired':
+        if (stage !== LIFECYCLE_STAGES.CLEARED) stage = LIFECYCLE_STAGES.EXPIRED;
+        break;
+      case 'settled':
+        amounts.settled += amount;
+        stage = LIFECYCLE_STAGES.CLEARED;
+        break;
+      case 'returned':
+        if (event.event_type === 'RETURN_REVERSAL') {
+          amounts.returned = Math.max(0, amounts.returned - amount);
+          stage = LIFECYCLE_STAGES.CLEARED;
+        } else {
+          amounts.returned += amount;
+          stage = LIFECYCLE_STAGES.RETURNED;
+        }
+        break;
+      default:
+        // Corrections, balance inquiries and unknown types do not move the stage
+        break;
+    }
+  }
+
+  if (!stage) {
+    stage = sawDecline ? LIFECYCLE_STAGES.DECLINED : LIFECYCLE_STAGES.PENDING;
+  }
+
+  const lastEvent = ordered[ordered.length - 1] || null;
+
+  return {
+    stage,
+    is_voided: stage === LIFECYCLE_STAGES.REVERSED || stage === LIFECYCLE_STAGES.EXPIRED,
+    event_count: ordered.length,
+    last_event_type: lastEvent?.event_type || null,
+    last_event_at: lastEvent?.created_at || null,
+    amounts
+  };
+}
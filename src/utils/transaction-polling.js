@@ -0,0 +1,108 @@
+/**
+ * Cursor helpers for transaction polling and backfills.
+ *
+ * The poller keeps a checkpoint (`cursor_at`, the newest `created` it has fully processed)
+ * and always re-reads an overlap window before it, so transactions that become visible
+ * late, or change status shortly after creation, are still picked up.
+ */
+
+/**
+ * Start of the next polling window.
+ * @param {string|null} cursorAt - Checkpoint cursor (ISO timestamp) or null before the first run
+ * @param {number} overlapMs - How far before the cursor to start reading again
+ * @returns {string|null} ISO timestamp to pass as `begin`, or null to fetch without a start
+ */
+export function getPollingWindowStart(cursorAt, overlapMs) {
+  if (!cursorAt) {
+    return null;
+  }
+  return new Date(new Date(cursorAt).getTime() - overlapMs).toISOString();
+}
+
+/**
+ * Decide what to do with a fetched transaction given what is already stored.
+ * @param {Object} transaction - Lithic transaction
+ * @param {Object|undefined} stored - Stored `{ status, result, eventCount }` or undefined if not stored
+ * @returns {string} "insert", "update" when status, result or events changed, otherwise "skip"
+ */
+export function classifyPolledTransaction(transaction, stored) {
+  if (!stored) {
+    return 'insert';
+  }
+
+  // Same source as parseTransactionDetails, so unchanged transactions compare equal
+  const result = transaction.events?.[0]?.result || 'UNKNOWN';
+  if (stored.status !== transaction.status || stored.result !== result) {
+    return 'update';
+  }
+
+  // A clearing or return can arrive without a status change; keep transaction_events current
+  const eventCount = transaction.events?.length || 0;
+  if (stored.eventCount !== undefined && stored.eventCount !== eventCount) {
+    return 'update';
+  }
+  return 'skip';
+}
+
+/**
+ * Advance the cursor to the newest transaction seen, never moving it backwards.
+ * @param {string|null} previousCursor - Current cursor (ISO timestamp)
+ * @param {Array<Object>} transactions - Fetched Lithic transactions
+ * @returns {string|null} New cursor (ISO timestamp)
+ */
+export function getNextCursor(previousCursor, transactions) {
+  return transactions.reduce((cursor, transaction) => {
+    if (!transaction.created) {
+      return cursor;
+    }
+    const created = new Date(transaction.created).toISOString();
+    return !cursor || created > cursor ? created : cursor;
+  }, previousCursor ? new Date(previousCursor).toISOString() : null);
+}
+
+/**
+ * Count the cycles in a row in which each transaction failed to save. A transaction that
+ * failed maxFailures cycles in a row is given up on, so it no longer holds the cursor back.
+ * @param {Object} previousFailures - `{ [token]: failedCycles }` carried from the previous cycle
+ * @param {Array<string>} failedTokens - Tokens of the transactions that failed to save in this cycle
+ * @param {number} maxFailures - Failed cycles after which a transaction is given up on
+ * @returns {Object} `{ failures, abandoned }`: counts to carry to the next cycle, and the
+ *   tokens given up on in this cycle
+ */
+export function countSaveFailures(previousFailures, failedTokens, maxFailures) {
+  const failures = {};
+  const abandoned = [];
+  for (const token of new Set(failedTokens)) {
+    const failedCycles = (previousFailures?.[token] || 0) + 1;
+    if (failedCycles >= maxFailures) {
+      abandoned.push(token);
+    } else {
+      failures[token] = failedCycles;
+    }
+  }
+  return { failures, abandoned };
+}
+
+/**
+ * Split a time range into consecutive windows, used to backfill history in resumable steps.
+ * @param {string} begin - Range start (ISO timestamp, inclusive)
+ * @param {string} end - Range end (ISO timestamp, exclusive)
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Array<Object>} Windows `{ begin, end }` as ISO timestamps, oldest first
+ * @throws {RangeError} If the window length is not a positive number
+ */
+export function splitTimeRange(begin, end, windowMs) {
+  if (!(windowMs > 0)) {
+    throw new RangeError(`Window length must be positive, got ${windowMs}`);
+  }
+  const windows = [];
+  const endTime = new Date(end).getTime();
+
+  for (let start = new Date(begin).getTime(); start < endTime; start += windowMs) {
+    windows.push({
+      begin: new Date(start).toISOString(),
+      end: new Date(Math.min(start + windowMs, endTime)).toISOString()
+    });
+  }
+  return windows;
+}
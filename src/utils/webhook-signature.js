@@ -0,0 +1,221 @@
+/**
+ * Webhook signature verification for Lithic deliveries.
+ *
+ * Lithic signs webhooks with the Standard Webhooks scheme: the signed content is
+ * `${webhook-id}.${webhook-timestamp}.${raw body}`, signed with HMAC-SHA256 using the
+ * base64 secret after its `whsec_` prefix, and sent as `v1,<base64 signature>` entries
+ * (space separated) in the `webhook-signature` header.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Compute the v1 signature of a webhook delivery.
+ * @param {string} secret - Webhook secret (`whsec_...`)
+ * @param {string} webhookId - Value of the webhook-id header
+ * @param {string|number} timestamp - Value of the webhook-timestamp header (Unix seconds)
+ * @param {Buffer|string} payload - Raw request body
+ * @returns {string} Base64 signature
+ */
+export function computeSignature(secret, webhookId, timestamp, payload) {
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  return crypto
+    .createHmac('sha256', key)
+    .update(`${webhookId}.${timestamp}.${payload.toString()}`)
+    .digest('base64');
+}
+
+/**
+ * Compare two signatures in constant time.
+ * @param {string} expected - Computed signature
+ * @param {string} received - Signature from the header
+ * @returns {boolean} True if they are equal
+ */
+function signaturesMatch(expected, received) {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Verify the signature and timestamp of a webhook delivery.
+ * @param {Object} params - Verification input
+ * @param {Buffer|string} params.payload - Raw request body
+ * @param {string} params.webhookId - Value of the webhook-id header
+ * @param {string} params.timestamp - Value of the webhook-timestamp header (Unix seconds)
+ * @param {string} params.signatureHeader - Value of the webhook-signature header
+ * @param {Array<Object>} params.secrets - Active secrets `{ id, secret }`; any of them may match
+ * @param {number} params.toleranceSeconds - Maximum clock distance between the timestamp and now
+ * @param {number} [params.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} `{ valid, reason, secretId }` where secretId names the matching secret
+ *   and reason explains a failed verification
+ */
+export function verifyWebhookSignature({
+  payload,
+  webhookId,
+  timestamp,
+  signatureHeader,
+  secrets,
+  toleranceSeconds,
+  now = Date.now()
+}) {
+  if (!webhookId || !timestamp || !signatureHeader) {
+    return { valid: false, reason: 'missing_headers', secretId: null };
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isInteger(timestampSeconds)) {
+    return { valid: false, reason: 'invalid_timestamp', secretId: null };
+  }
+
+  // Reject deliveries signed too long ago, and ones from too far in the future (clock skew)
+  const ageSeconds = Math.floor(now / 1000) - timestampSeconds;
+  if (ageSeconds > toleranceSeconds) {
+    return { valid: false, reason: 'timestamp_too_old', secretId: null };
+  }
+  if (ageSeconds < -toleranceSeconds) {
+    return { valid: false, reason: 'timestamp_too_new', secretId: null };
+  }
+
+  const received = signatureHeader
+    .split(' ')
+    .map(entry => entry.split(','))
+    .filter(([version, signature]) => version === 'v1' && signature)
+    .map(([, signature]) => signature);
+
+  for (const { id, secret } of secrets) {
+    const expected = computeSignature(secret, webhookId, timestamp, payload);
+    if (received.some(signature => signaturesMatch(expected, signature))) {
+      return { valid: true, reason: null, secretId: id };
+    }
+  }
+
+  return { valid: false, reason: 'invalid_signature', secretId: null };
+}
+
+/**
+ * ISO 8601 date, optionally with a time and zone (`2024-07-01` or `2024-07-01T00:00:00Z`).
+ */
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Check the rotation secrets configured in LITHIC_WEBHOOK_SECRETS.
+ * @param {*} secrets - Parsed value; must be an array of `{ id?, secret, expiresAt? }`
+ * @returns {Array<Object>} The same secrets
+ * @throws {Error} Naming the first invalid entry, so a misconfiguration stops startup instead of
+ *   failing every delivery or silently expiring a secret with an unreadable date
+ */
+export function validateWebhookSecrets(secrets) {
+  if (!Array.isArray(secrets)) {
+    throw new Error('LITHIC_WEBHOOK_SECRETS must be a JSON array of { "secret", "expiresAt" } entries');
+  }
+
+  secrets.forEach((entry, index) => {
+    const name = `LITHIC_WEBHOOK_SECRETS[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`${name} must be an object`);
+    }
+    if (typeof entry.secret !== 'string' || entry.secret.length === 0) {
+      throw new Error(`${name}.secret must be a non-empty string`);
+    }
+    if (entry.id !== undefined && typeof entry.id !== 'string') {
+      throw new Error(`${name}.id must be a string`);
+    }
+    if (entry.expiresAt !== undefined && entry.expiresAt !== null && (
+      typeof entry.expiresAt !== 'string' ||
+      !ISO_DATE_PATTERN.test(entry.expiresAt) ||
+      Number.isNaN(Date.parse(entry.expiresAt))
+    )) {
+      throw new Error(`${name}.expiresAt must be an ISO 8601 date, got ${JSON.stringify(entry.expiresAt)}`);
+    }
+  });
+
+  return secrets;
+}
+
+/**
+ * Build the list of webhook secrets that may currently sign deliveries.
+ * During a rotation both the old and the new secret are listed; the old one
+ * gets an expiry so it stops verifying without another deploy.
+ * @param {Array<Object>} secrets - Configured secrets `{ id?, secret, expiresAt? }`
+ * @param {string} [legacySecret] - Single secret from LITHIC_WEBHOOK_SECRET, used as id "default"
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Array<Object>} Active secrets `{ id, secret, expiresAt }`
+ */
+export function getActiveSecrets(secrets = [], legacySecret = null, now = Date.now()) {
+  const configured = secrets.map((entry, index) => ({
+    id: entry.id || `secret_${index + 1}`,
+    secret: entry.secret,
+    expiresAt: entry.expiresAt || null
+  }));
+
+  if (legacySecret && !configured.some(entry => entry.secret === legacySecret)) {
+    configured.push({ id: 'default', secret: legacySecret, expiresAt: null });
+  }
+
+  return configured.filter(entry =>
+    entry.secret && (!entry.expiresAt || Date.parse(entry.expiresAt) > now)
+  );
+}
+
+/**
+ * Short-lived memory of verified deliveries, used to reject a captured request
+ * that is sent again while its timestamp is still inside the tolerance window.
+ */
+export class ReplayCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttlMs - How long a delivery is remembered
+   * @param {number} [options.maxEntries=10000] - Upper bound on remembered deliveries
+   */
+  constructor({ ttlMs, maxEntries = 10000 }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+
+    // Map<key, expiresAt>, in insertion order so the oldest entry is evicted first
+    this.entries = new Map();
+  }
+
+  /**
+   * Remember a delivery and report whether it was already seen.
+   * @param {string} key - Delivery key
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {boolean} True if the key was seen before and has not expired
+   */
+  checkAndRemember(key, now = Date.now()) {
+    this.prune(now);
+
+    if (this.entries.has(key)) {
+      return true;
+    }
+
+    this.entries.set(key, now + this.ttlMs);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return false;
+  }
+
+  /**
+   * Drop expired entries.
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt > now) {
+        // Entries share one TTL, so everything after the first live entry is live too
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Number of remembered deliveries.
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
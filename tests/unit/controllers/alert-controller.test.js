@@ -18,8 +18,10 @@ import {
   authenticateAgent,
   handleConnectionError,
   healthCheck,
-  getConnectionStats
+  getConnectionStats,
+  requireSessionOwner
 } from '../../../src/api/controllers/alert-controller.js';
+import connectionManager from '../../../src/services/connection-manager.js';
 
 // Helper to create mock SSE response
 function createMockSSEResponse() {
@@ -233,6 +235,49 @@ const tests = [
       const errorEvent = chunks.find(chunk => chunk.includes('event: error'));
       assert(errorEvent, 'Should send error event through SSE');
     }
+  },
+  
+  {
+    name: 'should only let the stream owner change or acknowledge a session',
+    testFn: async () => {
+      const res = createMockSSEResponse();
+      const connection = await connectionManager.createConnection(createMockAuthenticatedRequest(), res, ['card_123'], {}, {
+        ownerToken: 'valid_token_123'
+      });
+      
+      try {
+        const request = (authorization) => {
+          const req = createMockAuthenticatedRequest();
+          req.params = { sessionId: connection.sessionId };
+          req.query = {};
+          req.get = (header) => header === 'authorization' ? authorization : null;
+          return req;
+        };
+        const attempt = async (req) => {
+          const response = createMockSSEResponse();
+          let passed = false;
+          await requireSessionOwner(req, response, () => { passed = true; });
+          return { passed, response };
+        };
+        
+        const owner = await attempt(request('Bearer valid_token_123'));
+        assert(owner.passed, 'The owner should pass');
+        
+        const other = await attempt(request('Bearer someone_else'));
+        assert(!other.passed && other.response.statusCode === 403, 'Another token should be refused');
+        assert(other.response.body.reason === 'session_not_owned', 'Should report the session is not owned');
+        
+        const anonymous = await attempt(request(null));
+        assert(!anonymous.passed && anonymous.response.statusCode === 401, 'Requests without a token should be refused');
+        
+        const unknownRequest = request('Bearer valid_token_123');
+        unknownRequest.params.sessionId = 'unknown_session';
+        const unknown = await attempt(unknownRequest);
+        assert(!unknown.passed && unknown.response.statusCode === 403, 'Unknown sessions should be refused');
+      } finally {
+        connectionManager.handleDisconnection(connection.sessionId, 'test_cleanup');
+      }
+    }
   }
 ];
 
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the admin authentication middleware
+ * Run this file with: node tests/unit/middleware/admin-auth.test.js
+ */
+
+import { runTestSuite, assert, createMockContext } from '../../helpers/test-helpers.js';
+import { authenticateAdmin, requireAdmin } from '../../../src/middleware/admin-auth.js';
+
+/**
+ * Mock request carrying an Authorization header
+ * @param {string|null} authorization - Header value
+ */
+function createAdminContext(authorization) {
+  const context = createMockContext({}, {}, 'PUT');
+  context.req.get = (header) => (header === 'authorization' ? authorization : null);
+  return context;
+}
+
+const tests = [
+  {
+    name: 'should accept the configured admin token',
+    testFn: async () => {
+      const { req } = createAdminContext('Bearer admin-secret');
+      assert(authenticateAdmin(req, 'admin-secret').success, 'Matching token should pass');
+    }
+  },
+  {
+    name: 'should reject missing and wrong tokens',
+    testFn: async () => {
+      assert(authenticateAdmin(createAdminContext(null).req, 'admin-secret').reason === 'missing_authentication', 'Missing header');
+      assert(authenticateAdmin(createAdminContext('Bearer ').req, 'admin-secret').reason === 'missing_authentication', 'Empty token');
+      assert(authenticateAdmin(createAdminContext('Bearer wrong').req, 'admin-secret').reason === 'invalid_token', 'Wrong token');
+    }
+  },
+  {
+    name: 'should refuse every request when no admin token is configured',
+    testFn: async () => {
+      const { req } = createAdminContext('Bearer anything');
+      assert(authenticateAdmin(req, undefined).reason === 'admin_auth_not_configured', 'Admin routes fail closed');
+    }
+  },
+  {
+    name: 'should stop unauthenticated requests in the middleware',
+    testFn: async () => {
+      const { req, res, getResponse } = createAdminContext(null);
+      let nextCalled = false;
+      requireAdmin(req, res, () => { nextCalled = true; });
+
+      const { statusCode, responseData } = getResponse();
+      assert(!nextCalled, 'Handler should not run');
+      assert([401, 503].includes(statusCode) && responseData.reason, `Unexpected response ${statusCode}`);
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Admin Auth Middleware', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Admin Auth Middleware tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
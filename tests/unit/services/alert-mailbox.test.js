@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the Alert Mailbox
+ * Tests pull delivery, long polling, acknowledgement, redelivery and expiry
+ */
+
+import { runTestSuite, assert, sleep, generators } from '../../helpers/test-helpers.js';
+import { sampleTransaction } from '../../fixtures/transactions/sample-transaction.fixture.js';
+import alertService from '../../../src/services/alert-service.js';
+import alertMailbox, { AlertMailbox } from '../../../src/services/alert-mailbox.js';
+
+const tests = [
+  {
+    name: 'should hand out alerts once and remove them when acknowledged',
+    testFn: async () => {
+      const mailbox = new AlertMailbox();
+      const sessionId = generators.sessionId();
+      const connection = mailbox.open(sessionId, { agentId: 'agent_1' });
+
+      connection.deliver({ alertType: 'NEW_TRANSACTION', transactionId: 'txn_1' });
+      connection.deliver({ alertType: 'NEW_TRANSACTION', transactionId: 'txn_2' });
+
+      const first = mailbox.fetch(sessionId, { limit: 1 });
+      assert(first.alerts.length === 1 && first.remaining === 1, 'Limit should be respected');
+      assert(first.alerts[0].alert.transactionId === 'txn_1', 'Oldest alert comes first');
+      assert(first.alerts[0].deliveryCount === 1, 'First delivery');
+
+      const second = mailbox.fetch(sessionId);
+      assert(second.alerts.length === 1 && second.alerts[0].alert.transactionId === 'txn_2', 'Fetched alerts are not handed out again right away');
+
+      const result = mailbox.acknowledge(sessionId, [first.alerts[0].alertId, 'unknown-id']);
+      assert(result.acknowledged.length === 1 && result.unknown[0] === 'unknown-id', 'Unknown ids are reported');
+
+      const status = mailbox.getStatus(sessionId);
+      assert(status.pending === 0 && status.awaitingAck === 1 && status.acknowledged === 1, `Unexpected status ${JSON.stringify(status)}`);
+
+      mailbox.shutdown();
+    }
+  },
+  {
+    name: 'should redeliver unacknowledged alerts and expire them',
+    testFn: async () => {
+      const mailbox = new AlertMailbox({ redeliveryMs: 20, ttlMs: 80 });
+      const sessionId = generators.sessionId();
+      mailbox.open(sessionId).deliver({ alertType: 'NEW_TRANSACTION' });
+
+      const first = mailbox.fetch(sessionId);
+      await sleep(30);
+      const again = mailbox.fetch(sessionId);
+      assert(again.alerts.length === 1 && again.alerts[0].alertId === first.alerts[0].alertId, 'Alert should be redelivered');
+      assert(again.alerts[0].deliveryCount === 2, 'Delivery count increases');
+
+      await sleep(60);
+      assert(mailbox.fetch(sessionId).alerts.length === 0, 'Expired alert is not handed out');
+      assert(mailbox.getStatus(sessionId).expired === 1, 'Expiry is counted');
+      assert(mailbox.getMetrics().redelivered === 1, 'Redelivery is counted');
+
+      mailbox.shutdown();
+    }
+  },
+  {
+    name: 'should drop the oldest alert when the mailbox is full',
+    testFn: async () => {
+      const mailbox = new AlertMailbox({ maxAlerts: 2 });
+      const sessionId = generators.sessionId();
+      const connection = mailbox.open(sessionId);
+
+      connection.deliver({ id: 1 });
+      connection.deliver({ id: 2 });
+      connection.deliver({ id: 3 });
+
+      const { alerts } = mailbox.fetch(sessionId);
+      assert(alerts.length === 2 && alerts[0].alert.id === 2, 'Oldest alert should be dropped');
+      assert(mailbox.getStatus(sessionId).dropped === 1, 'Drop is counted');
+
+      mailbox.shutdown();
+    }
+  },
+  {
+    name: 'should wait for the next alert when long polling',
+    testFn: async () => {
+      const mailbox = new AlertMailbox();
+      const sessionId = generators.sessionId();
+      const connection = mailbox.open(sessionId);
+
+      setTimeout(() => connection.deliver({ alertType: 'NEW_TRANSACTION' }), 20);
+      const started = Date.now();
+      const result = await mailbox.waitForAlerts(sessionId, { waitMs: 1000 });
+      assert(result.alerts.length === 1, 'Alert arriving during the wait is returned');
+      assert(Date.now() - started < 500, 'Wait ends as soon as the alert arrives');
+
+      const empty = await mailbox.waitForAlerts(sessionId, { waitMs: 20 });
+      assert(empty.alerts.length === 0, 'Wait times out with no alerts');
+
+      mailbox.close(sessionId);
+      assert(mailbox.fetch(sessionId) === null, 'Closed mailbox');
+      assert(await mailbox.waitForAlerts(sessionId, { waitMs: 20 }) === null, 'Closed mailbox');
+
+      mailbox.shutdown();
+    }
+  },
+  {
+    name: 'should receive alert service broadcasts and close with the session',
+    testFn: async () => {
+      const sessionId = generators.sessionId();
+      const cardToken = generators.cardToken();
+
+      alertService.registerConnection(sessionId, cardToken, alertMailbox.open(sessionId, { agentId: 'agent_1' }));
+      const result = await alertService.broadcastAlert(cardToken, sampleTransaction);
+      assert(result.successful === 1, `Alert should be delivered to the mailbox, got ${result.successful}`);
+
+      const { alerts } = alertMailbox.fetch(sessionId);
+      assert(alerts.length === 1 && alerts[0].alert.alertType === 'NEW_TRANSACTION', 'Mailbox holds the formatted alert');
+
+      assert(result.awaitingAck === 0, 'Mailbox alerts are not tracked by the alert service');
+      alertMailbox.acknowledge(sessionId, [alerts[0].alertId]);
+      const session = alertService.getAckMetrics().sessions.find(entry => entry.sessionId === sessionId);
+      assert(session.acknowledged === 1 && session.latency.count === 1, 'Mailbox ack latency is recorded');
+
+      alertService.removeConnection(sessionId);
+      assert(!alertMailbox.has(sessionId), 'Mailbox is closed when the session is removed');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Alert Mailbox', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Alert Mailbox tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -16,7 +16,7 @@ import { sampleTransaction, scammerTransaction } from '../../fixtures/transactio
 import { sampleAlert, scammerAlert } from '../../fixtures/alerts/sample-alert.fixture.js';
 
 // Import the AlertService class directly for testing
-import alertService from '../../../src/services/alert-service.js';
+import alertService, { ALERT_TYPES } from '../../../src/services/alert-service.js';
 
 const tests = [
   {
@@ -116,6 +116,23 @@ const tests = [
     }
   },
   
+  {
+    name: 'should show the merchant amount for foreign currency charges',
+    testFn: async () => {
+      const formattedAlert = alertService.formatTransactionAlert({
+        ...sampleTransaction,
+        cardholder_amount: 1087,
+        cardholder_currency: 'USD',
+        merchant_amount: 1500,
+        merchant_currency: 'JPY'
+      });
+      
+      assert(formattedAlert.immediate.amount === '$10.87', 'Should format cardholder amount in USD');
+      assert(formattedAlert.immediate.merchantAmount === '¥1,500', 'Should format merchant amount in yen');
+      assert(formattedAlert.immediate.currency === 'USD', 'Should include the cardholder currency');
+    }
+  },
+  
   {
     name: 'should handle WebSocket connections',
     testFn: async () => {
@@ -228,6 +245,273 @@ const tests = [
       alertService.removeConnection(sessionId1);
       alertService.removeConnection(sessionId2);
     }
+  },
+  
+  {
+    name: 'should format event alerts with the common alert structure',
+    testFn: async () => {
+      const cardToken = generators.cardToken();
+      const alert = alertService.formatEventAlert(ALERT_TYPES.TOKENIZATION_ATTEMPT, {
+        cardToken,
+        eventType: 'digital_wallet.tokenization_approval_request',
+        eventToken: 'tok_test_123',
+        immediate: { tokenRequestor: 'APPLE_PAY' },
+        intelligence: { riskLevel: 'HIGH' }
+      });
+      
+      assert(alert.alertType === 'TOKENIZATION_ATTEMPT', 'Alert type should be set');
+      assert(alert.cardToken === cardToken, 'Card token should be set');
+      assert(alert.eventToken === 'tok_test_123', 'Event token should be set');
+      assert(typeof alert.verification === 'object', 'Verification should default to an object');
+      
+      // Pre-formatted event alerts are delivered as-is
+      const sessionId = generators.sessionId();
+      const connection = createMockSSEConnection(sessionId);
+      alertService.registerConnection(sessionId, cardToken, connection);
+      const result = await alertService.broadcastAlert(cardToken, alert);
+      assert(result.successful === 1, 'Event alert should be delivered');
+      
+      // Cleanup
+      alertService.removeConnection(sessionId);
+    }
+  },
+  
+  {
+    name: 'should broadcast account alerts to every session',
+    testFn: async () => {
+      const sessionId1 = generators.sessionId();
+      const sessionId2 = generators.sessionId();
+      const connection1 = createMockSSEConnection(sessionId1);
+      const connection2 = createMockSSEConnection(sessionId2);
+      
+      alertService.registerConnection(sessionId1, generators.cardToken(), connection1);
+      alertService.registerConnection(sessionId2, generators.cardToken(), connection2);
+      
+      const alert = alertService.formatEventAlert(ALERT_TYPES.BALANCE_UPDATE, {
+        eventType: 'balance.updated',
+        immediate: { balances: [] }
+      });
+      const result = await alertService.broadcastAccountAlert(alert);
+      
+      assert(result.successful === 2, `Should deliver to 2 sessions, got ${result.successful}`);
+      assert(connection1.writeCount === 1 && connection2.writeCount === 1, 'Both sessions should receive the alert');
+      
+      // Cleanup
+      alertService.removeConnection(sessionId1);
+      alertService.removeConnection(sessionId2);
+    }
+  },
+  
+  {
+    name: 'should monitor several cards on one session',
+    testFn: async () => {
+      const sessionId = generators.sessionId();
+      const cardToken1 = generators.cardToken();
+      const cardToken2 = generators.cardToken();
+      const cardToken3 = generators.cardToken();
+      const connection = createMockSSEConnection(sessionId);
+      
+      alertService.registerConnection(sessionId, [cardToken1, cardToken2], connection);
+      
+      let stats = alertService.getActiveConnections();
+      assert(stats.byCard[cardToken1] === 1 && stats.byCard[cardToken2] === 1, 'Both cards should map to the session');
+      
+      const result = await alertService.broadcastAlert(cardToken2, sampleTransaction);
+      assert(result.successful === 1 && connection.writeCount === 1, 'Alerts for either card reach the stream');
+      
+      const added = alertService.addCardsToSession(sessionId, [cardToken2, cardToken3]);
+      assert(added.length === 1 && added[0] === cardToken3, 'Only new cards are added');
+      
+      const removed = alertService.removeCardsFromSession(sessionId, [cardToken1]);
+      assert(removed.length === 1 && removed[0] === cardToken1, 'Card should be removed');
+      
+      stats = alertService.getActiveConnections();
+      assert(!stats.byCard[cardToken1], 'Removed card should no longer map to the session');
+      assert(alertService.getSessionCards(sessionId).length === 2, 'Session should monitor two cards');
+      assert(alertService.addCardsToSession(generators.sessionId(), [cardToken1]) === null, 'Unknown session');
+      
+      alertService.removeConnection(sessionId);
+      
+      stats = alertService.getActiveConnections();
+      assert(!stats.byCard[cardToken2] && !stats.byCard[cardToken3], 'Every card is released with the session');
+    }
+  },
+  
+  {
+    name: 'should replay missed alerts after the last event id',
+    testFn: async () => {
+      const cardToken = generators.cardToken();
+      const lastSeenEventId = alertService.lastEventId;
+      
+      // Alerts broadcast while the client is disconnected are journaled with increasing ids
+      const first = await alertService.broadcastAlert(cardToken, sampleTransaction);
+      const second = await alertService.broadcastAccountAlert(alertService.formatEventAlert(ALERT_TYPES.BALANCE_UPDATE, {
+        eventType: 'balance.updated',
+        immediate: { balances: [] }
+      }));
+      const third = await alertService.broadcastAlert(generators.cardToken(), sampleTransaction);
+      assert(first.eventId < second.eventId && second.eventId < third.eventId, 'Event ids should increase');
+      
+      const sessionId = generators.sessionId();
+      const connection = createMockSSEConnection(sessionId);
+      alertService.registerConnection(sessionId, cardToken, connection);
+      
+      const replay = await alertService.replayAlerts(sessionId, lastSeenEventId);
+      assert(replay.replayed === 2 && replay.complete, `Should replay the card and account alerts, got ${JSON.stringify(replay)}`);
+      assert(connection.writeCount === 2, 'Replayed alerts are written to the stream');
+      assert(connection.lastData.startsWith(`id: ${second.eventId}\n`), 'Alerts are replayed oldest first with their event id');
+      
+      const caughtUp = await alertService.replayAlerts(sessionId, second.eventId);
+      assert(caughtUp.replayed === 0, 'Nothing to replay for an up-to-date client');
+      assert(await alertService.replayAlerts(generators.sessionId(), lastSeenEventId) === null, 'Unknown session');
+      
+      alertService.removeConnection(sessionId);
+    }
+  },
+  
+  {
+    name: 'should report an incomplete replay when missed alerts were evicted',
+    testFn: async () => {
+      const cardToken = generators.cardToken();
+      const journalSize = alertService.journalSize;
+      alertService.journalSize = 2;
+      
+      try {
+        const lastSeenEventId = alertService.lastEventId;
+        for (let i = 0; i < 3; i++) {
+          await alertService.broadcastAlert(cardToken, sampleTransaction);
+        }
+        
+        const { alerts, complete } = alertService.getAlertsSince([cardToken], lastSeenEventId);
+        assert(alerts.length === 2 && !complete, 'Only the newest alerts are kept');
+        assert(!alertService.getAlertsSince([cardToken], alertService.firstEventId - 100).complete, 'Ids from before a restart cannot be replayed');
+      } finally {
+        alertService.journalSize = journalSize;
+      }
+    }
+  },
+  
+  {
+    name: 'should drop expired journals of cards no session monitors',
+    testFn: async () => {
+      const unmonitoredCard = generators.cardToken();
+      const monitoredCard = generators.cardToken();
+      const sessionId = generators.sessionId();
+      alertService.registerConnection(sessionId, monitoredCard, createMockSSEConnection(sessionId));
+      
+      try {
+        const lastSeenEventId = alertService.lastEventId;
+        await alertService.broadcastAlert(unmonitoredCard, sampleTransaction);
+        await alertService.broadcastAlert(monitoredCard, sampleTransaction);
+        
+        alertService.pruneJournals();
+        assert(alertService.journal.has(unmonitoredCard), 'Journals within the maximum age are kept for reconnecting clients');
+        
+        alertService.pruneJournals(Date.now() + alertService.journalMaxAgeMs + 1);
+        assert(!alertService.journal.has(unmonitoredCard), 'Expired journal of an unmonitored card is dropped');
+        assert(alertService.journal.has(monitoredCard), 'Journal of a monitored card is kept');
+        assert(!alertService.getAlertsSince([unmonitoredCard], lastSeenEventId).complete, 'Replay from before the drop is incomplete');
+        assert(alertService.getAlertsSince([unmonitoredCard], alertService.lastEventId).complete, 'Later replays are complete');
+      } finally {
+        alertService.removeConnection(sessionId);
+      }
+    }
+  },
+  
+  {
+    name: 'should push alerts without alert ids when acknowledgements are off',
+    testFn: async () => {
+      const sessionId = generators.sessionId();
+      const cardToken = generators.cardToken();
+      const connection = createMockSSEConnection(sessionId);
+      alertService.registerConnection(sessionId, cardToken, connection);
+      
+      try {
+        assert(alertService.ackRequired === false, 'Acknowledgements should be off by default');
+        const result = await alertService.broadcastAlert(cardToken, sampleTransaction);
+        const streamed = JSON.parse(connection.lastData.split('data: ')[1]);
+        assert(streamed.alertId === undefined, 'Streamed alert should not carry an alert id');
+        assert(result.awaitingAck === 0, 'Delivery should not await an acknowledgement');
+        
+        await alertService.redeliverUnacknowledged();
+        assert(connection.writeCount === 1, 'Alert should be delivered once');
+      } finally {
+        alertService.removeConnection(sessionId);
+      }
+    }
+  },
+  
+  {
+    name: 'should track pushed alerts until they are acknowledged',
+    testFn: async () => {
+      const sessionId = generators.sessionId();
+      const cardToken = generators.cardToken();
+      const connection = createMockSSEConnection(sessionId);
+      alertService.ackRequired = true;
+      alertService.registerConnection(sessionId, cardToken, connection);
+      
+      try {
+        const result = await alertService.broadcastAlert(cardToken, sampleTransaction);
+        const { alertId } = JSON.parse(connection.lastData.split('data: ')[1]);
+        assert(alertId && result.sessions[0].alertId === alertId, 'Streamed alert should carry its alert id');
+        assert(result.awaitingAck === 1, 'Delivery should await an acknowledgement');
+        
+        const ack = alertService.acknowledgeAlerts(sessionId, [alertId, alertId]);
+        assert(ack.acknowledged.length === 1 && ack.unknown.length === 0, 'Alert should be acknowledged once');
+        assert(alertService.acknowledgeAlerts(sessionId, [alertId]).unknown[0] === alertId, 'Second ack is unknown');
+        assert(alertService.acknowledgeAlerts(generators.sessionId(), [alertId]) === null, 'Unknown session');
+        
+        const session = alertService.getAckMetrics().sessions.find(entry => entry.sessionId === sessionId);
+        assert(session.pending === 0 && session.acknowledged === 1, `Unexpected session acks ${JSON.stringify(session)}`);
+        assert(session.latency.count === 1 && session.latency.averageMs >= 0, 'Ack latency should be recorded');
+      } finally {
+        alertService.ackRequired = false;
+        alertService.removeConnection(sessionId);
+      }
+    }
+  },
+  
+  {
+    name: 'should redeliver unacknowledged alerts with backoff and then abandon them',
+    testFn: async () => {
+      const { ackRedeliveryBaseMs, ackMaxAttempts } = alertService;
+      alertService.ackRequired = true;
+      alertService.ackRedeliveryBaseMs = 50;
+      alertService.ackMaxAttempts = 2;
+      
+      const sessionId = generators.sessionId();
+      const cardToken = generators.cardToken();
+      const connection = createMockSSEConnection(sessionId);
+      alertService.registerConnection(sessionId, cardToken, connection);
+      
+      try {
+        await alertService.broadcastAlert(cardToken, sampleTransaction);
+        const firstData = connection.lastData;
+        
+        await alertService.redeliverUnacknowledged();
+        assert(connection.writeCount === 1, 'Redelivery waits for the backoff delay');
+        
+        await sleep(60);
+        await alertService.redeliverUnacknowledged();
+        assert(connection.writeCount === 2, 'Alert should be redelivered after the backoff delay');
+        assert(connection.lastData === firstData.replace(/^id: \d+\n/, ''), 'Alert should be redelivered with the same alert id and no event id');
+        
+        // The second delay is doubled
+        await sleep(30);
+        await alertService.redeliverUnacknowledged();
+        assert(connection.writeCount === 2, 'Backoff should double');
+        
+        await sleep(80);
+        await alertService.redeliverUnacknowledged();
+        const session = alertService.getAckMetrics().sessions.find(entry => entry.sessionId === sessionId);
+        assert(session.pending === 0 && session.redelivered === 1 && session.abandoned === 1, `Unexpected session acks ${JSON.stringify(session)}`);
+      } finally {
+        alertService.ackRequired = false;
+        alertService.ackRedeliveryBaseMs = ackRedeliveryBaseMs;
+        alertService.ackMaxAttempts = ackMaxAttempts;
+        alertService.removeConnection(sessionId);
+      }
+    }
   }
 ];
 
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the Authorization Service on the local storage adapter
+ * Tests rule evaluation, the fallback decision for hanging rule lookups,
+ * and persisting decisions separately from deciding them
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runTestSuite, assert, generators } from '../../helpers/test-helpers.js';
+
+// The storage singleton and config are created from the environment when the services are first imported
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'authorization-service-test-'));
+process.env.STORAGE_ADAPTER = 'local';
+process.env.LOCAL_DB_PATH = path.join(directory, 'db.json');
+process.env.ASA_EVALUATION_TIMEOUT_MS = '50';
+process.env.ASA_FALLBACK_DECISION = 'DECLINE';
+
+const { storage } = await import('../../../src/storage/index.js');
+const authorization_service = await import('../../../src/services/authorization-service.js');
+
+function createRequest(cardToken, token = generators.transactionId()) {
+  return {
+    token,
+    card_token: cardToken,
+    amount: 5000,
+    merchant: { descriptor: 'BLUE BOTTLE #12', mcc: '5814', country: 'USA' }
+  };
+}
+
+const tests = [
+  {
+    name: 'should decide by the card rules without storing the decision',
+    testFn: async () => {
+      const cardToken = generators.cardToken();
+      await storage.authorization.saveRules(cardToken, {
+        defaultDecision: 'APPROVE',
+        rules: [{ id: 'no-food', decision: 'DECLINE', conditions: { mcc: { in: ['5814'] } } }]
+      });
+
+      const request = createRequest(cardToken);
+      const decision = await authorization_service.decideAuthorization(request);
+      assert(decision.decision === 'DECLINE' && decision.ruleId === 'no-food' && !decision.fallback, `Unexpected decision ${JSON.stringify(decision)}`);
+      assert(await storage.authorization.getDecision(request.token) === null, 'Deciding should not store the decision');
+
+      assert(await authorization_service.recordAuthorizationDecision(request, decision), 'Decision should be stored');
+      const stored = await storage.authorization.getDecision(request.token);
+      assert(stored.rule_id === 'no-food' && stored.rule_source === 'card' && stored.decided_at === decision.decidedAt, 'Stored decision should match');
+    }
+  },
+  {
+    name: 'should answer with the fallback decision when rule lookups hang',
+    testFn: async () => {
+      const getRules = storage.authorization.getRules;
+      storage.authorization.getRules = () => new Promise(() => {});
+      try {
+        const startTime = Date.now();
+        const decision = await authorization_service.decideAuthorization(createRequest(generators.cardToken()));
+        assert(decision.fallback && decision.decision === 'DECLINE', `Expected the fallback decision, got ${JSON.stringify(decision)}`);
+        assert(Date.now() - startTime < 1000, 'Fallback should not wait for the lookup');
+      } finally {
+        storage.authorization.getRules = getRules;
+      }
+    }
+  },
+  {
+    name: 'should count unsaved approvals against a velocity limit for concurrent requests',
+    testFn: async () => {
+      const cardToken = generators.cardToken();
+      await storage.authorization.saveRules(cardToken, {
+        defaultDecision: 'APPROVE',
+        rules: [{ id: 'two-per-hour', decision: 'DECLINE', conditions: { velocity: { windowMinutes: 60, minCount: 2, decision: 'APPROVE' } } }]
+      });
+
+      // Saves land only after every request of the burst has been answered
+      const saveDecision = storage.authorization.saveDecision;
+      storage.authorization.saveDecision = async (decision) => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return saveDecision.call(storage.authorization, decision);
+      };
+      try {
+        // Each request is answered first and saved afterwards, as the ASA controller does
+        const decisions = await Promise.all(Array.from({ length: 5 }, async () => {
+          const request = createRequest(cardToken);
+          const decision = await authorization_service.decideAuthorization(request);
+          await authorization_service.recordAuthorizationDecision(request, decision);
+          return decision;
+        }));
+
+        const approved = decisions.filter((decision) => decision.decision === 'APPROVE').length;
+        assert(approved === 2, `Expected 2 approvals within the limit, got ${approved}`);
+      } finally {
+        storage.authorization.saveDecision = saveDecision;
+      }
+
+      const next = await authorization_service.decideAuthorization(createRequest(cardToken));
+      assert(next.decision === 'DECLINE' && next.ruleId === 'two-per-hour', 'Stored approvals should keep counting once saved');
+    }
+  },
+  {
+    name: 'should report a failed save without throwing',
+    testFn: async () => {
+      const saveDecision = storage.authorization.saveDecision;
+      storage.authorization.saveDecision = async () => { throw new Error('database unavailable'); };
+      try {
+        const request = createRequest(generators.cardToken());
+        const decision = await authorization_service.decideAuthorization(request);
+        assert(await authorization_service.recordAuthorizationDecision(request, decision) === false, 'Failed save should resolve to false');
+      } finally {
+        storage.authorization.saveDecision = saveDecision;
+      }
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Authorization Service', tests);
+  await fs.rm(directory, { recursive: true, force: true });
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Authorization Service tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
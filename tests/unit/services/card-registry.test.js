@@ -0,0 +1,94 @@
+/**
+ * Unit tests for the card registry on the local storage adapter
+ * Tests that concurrent saves of one card record a consistent state history and that
+ * a card change is never stored without its history entry
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runTestSuite, assert, generators } from '../../helpers/test-helpers.js';
+
+// The storage singleton is created from the environment when the service is first imported
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'card-registry-test-'));
+process.env.STORAGE_ADAPTER = 'local';
+process.env.LOCAL_DB_PATH = path.join(directory, 'db.json');
+
+const { storage } = await import('../../../src/storage/index.js');
+const supabase_service = await import('../../../src/services/supabase-service.js');
+
+function createCard(token, state) {
+  return { token, last_four: '4242', state, type: 'VIRTUAL', spend_limit: 10000, spend_limit_duration: 'MONTHLY' };
+}
+
+const tests = [
+  {
+    name: 'should diff concurrent saves of one card against the previous save',
+    testFn: async () => {
+      const cardToken = generators.cardToken();
+      await supabase_service.saveCard(createCard(cardToken, 'OPEN'));
+
+      await Promise.all([
+        supabase_service.saveCard(createCard(cardToken, 'PAUSED'), { eventType: 'card.updated' }),
+        supabase_service.saveCard(createCard(cardToken, 'CLOSED'), { eventType: 'card.updated' })
+      ]);
+
+      const transitions = (await storage.cards.listHistory(cardToken))
+        .map((entry) => `${entry.previous_state}->${entry.new_state}`)
+        .reverse();
+      assert(
+        transitions.join(',') === 'null->OPEN,OPEN->PAUSED,PAUSED->CLOSED',
+        `Each save should start from the previous one, got ${transitions.join(',')}`
+      );
+      assert((await storage.cards.get(cardToken)).state === 'CLOSED', 'Last save should win');
+    }
+  },
+  {
+    name: 'should not store a card change whose history entry fails',
+    testFn: async () => {
+      const cardToken = generators.cardToken();
+      await supabase_service.saveCard(createCard(cardToken, 'OPEN'));
+
+      // Fail the history insert inside the save
+      const put = storage.database.put;
+      storage.database.put = function (table, ...args) {
+        if (table === 'card_state_history') {
+          throw new Error('database unavailable');
+        }
+        return put.call(this, table, ...args);
+      };
+      let failed = false;
+      try {
+        await supabase_service.saveCard(createCard(cardToken, 'PAUSED'), { eventType: 'card.updated' });
+      } catch {
+        failed = true;
+      } finally {
+        storage.database.put = put;
+      }
+      assert(failed, 'Failed save should reject');
+      assert((await storage.cards.get(cardToken)).state === 'OPEN', 'Card should keep its state when its history fails');
+
+      const retry = await supabase_service.saveCard(createCard(cardToken, 'PAUSED'), { eventType: 'card.updated' });
+      assert(retry.changes.state?.from === 'OPEN' && retry.changes.state?.to === 'PAUSED', 'Retry should see the change');
+      const [latest] = await storage.cards.listHistory(cardToken);
+      assert(latest.previous_state === 'OPEN' && latest.new_state === 'PAUSED', 'Retry should record the transition');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Card Registry', tests);
+  await fs.rm(directory, { recursive: true, force: true });
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Card Registry tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -112,6 +112,27 @@ const tests = [
     }
   },
   
+  {
+    name: 'should only recognise the token a session was opened with',
+    testFn: async () => {
+      const req = createMockRequest();
+      const res = createMockSSEResponse();
+      const connection = await connectionManager.createConnection(req, res, generators.cardToken(), {}, {
+        ownerToken: 'owner_token_123'
+      });
+      
+      try {
+        assert(connectionManager.isSessionOwner(connection.sessionId, 'owner_token_123'), 'Owner token should match');
+        assert(!connectionManager.isSessionOwner(connection.sessionId, 'other_token'), 'Other tokens should not match');
+        assert(!connectionManager.isSessionOwner('unknown_session', 'owner_token_123'), 'Unknown sessions have no owner');
+        const listed = connectionManager.getAllConnections().find(entry => entry.sessionId === connection.sessionId);
+        assert(!JSON.stringify(listed).includes('owner_token_123'), 'Connection listings should not expose the token');
+      } finally {
+        connectionManager.handleDisconnection(connection.sessionId, 'test_cleanup');
+      }
+    }
+  },
+  
   {
     name: 'should authenticate valid Bearer token',
     testFn: async () => {
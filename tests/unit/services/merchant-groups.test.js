@@ -0,0 +1,67 @@
+/**
+ * Unit tests for merchant group resolution on the local storage adapter
+ * Tests that concurrent resolutions of one merchant agree on a single group
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+
+// The storage singleton is created from the environment when the service is first imported
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'merchant-groups-test-'));
+process.env.STORAGE_ADAPTER = 'local';
+process.env.LOCAL_DB_PATH = path.join(directory, 'db.json');
+
+const { storage } = await import('../../../src/storage/index.js');
+const supabase_service = await import('../../../src/services/supabase-service.js');
+
+const merchantInfo = { acceptor_id: 'ACC123', descriptor: 'BLUE BOTTLE #12', mcc: '5814', country: 'USA' };
+
+function createRecords(token) {
+  return {
+    transaction: { token, card_token: 'card_1', result: 'APPROVED', status: 'SETTLED', created_at: new Date().toISOString() },
+    events: [],
+    merchant: merchantInfo
+  };
+}
+
+const tests = [
+  {
+    name: 'should put a merchant resolved by concurrent transactions into one group',
+    testFn: async () => {
+      const merchantId = await storage.transactions.ingest(createRecords('txn_1'));
+
+      const groupIds = await Promise.all([
+        supabase_service.resolveMerchantGroup(merchantId, merchantInfo),
+        supabase_service.resolveMerchantGroup(merchantId, merchantInfo)
+      ]);
+
+      const merchant = await storage.merchantGroups.getMerchant(merchantId);
+      assert(groupIds[0] === groupIds[1], `Both resolutions should agree, got ${groupIds.join(' and ')}`);
+      assert(merchant.merchant_group_id === groupIds[0], 'Merchant should be in the group both resolutions returned');
+
+      const activeGroups = await storage.merchantGroups.listActive();
+      assert(activeGroups.length === 1, `Only one group should stay active, found ${activeGroups.length}`);
+      const history = await storage.merchantGroups.listHistory(groupIds[0]);
+      assert(history.length === 1 && history[0].action === 'create', 'Only the winning assignment should be recorded');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Merchant Groups', tests);
+  await fs.rm(directory, { recursive: true, force: true });
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Merchant Groups tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
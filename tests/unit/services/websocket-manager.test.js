@@ -0,0 +1,191 @@
+/**
+ * Unit tests for the WebSocket Manager
+ * Tests card subscriptions, alert envelopes, acknowledgements and heartbeats
+ */
+
+import EventEmitter from 'events';
+import { runTestSuite, assert, sleep, generators } from '../../helpers/test-helpers.js';
+import { sampleTransaction } from '../../fixtures/transactions/sample-transaction.fixture.js';
+import alertService from '../../../src/services/alert-service.js';
+import { WebSocketManager } from '../../../src/services/websocket-manager.js';
+
+/**
+ * Minimal stand-in for a `ws` socket that records what is sent to it
+ */
+function createMockSocket() {
+  const socket = new EventEmitter();
+  socket.readyState = 1;
+  socket.messages = [];
+  socket.pings = 0;
+  socket.send = (data) => socket.messages.push(JSON.parse(data));
+  socket.ping = () => { socket.pings++; };
+  socket.close = () => { socket.readyState = 3; socket.emit('close', 1000); };
+  socket.terminate = () => { socket.readyState = 3; };
+  socket.lastMessage = (type) => socket.messages.filter(message => message.type === type).pop();
+  return socket;
+}
+
+const tests = [
+  {
+    name: 'should register the socket and send a welcome message',
+    testFn: async () => {
+      const manager = new WebSocketManager();
+      const socket = createMockSocket();
+      const cardToken = generators.cardToken();
+
+      const sessionId = manager.handleConnection(socket, { agentId: 'agent_1', cardTokens: [cardToken] });
+
+      const welcome = socket.lastMessage('welcome');
+      assert(welcome && welcome.sessionId === sessionId, 'Welcome message should carry the session id');
+      assert(welcome.cardTokens[0] === cardToken, 'Welcome message should list the cards');
+      assert(alertService.getActiveConnections().byCard[cardToken] === 1, 'Card should map to the socket');
+
+      manager.shutdown();
+      assert(!alertService.getSessionCards(sessionId), 'Shutdown removes the session');
+    }
+  },
+  {
+    name: 'should subscribe and unsubscribe cards on an open socket',
+    testFn: async () => {
+      const manager = new WebSocketManager();
+      const socket = createMockSocket();
+      const cardToken1 = generators.cardToken();
+      const cardToken2 = generators.cardToken();
+
+      const sessionId = manager.handleConnection(socket, { agentId: 'agent_1', cardTokens: [cardToken1] });
+
+      const subscribed = manager.subscribe(sessionId, [cardToken2]);
+      assert(subscribed.added[0] === cardToken2 && subscribed.cardTokens.length === 2, 'Card should be added');
+
+      const unsubscribed = manager.unsubscribe(sessionId, [cardToken1]);
+      assert(unsubscribed.removed[0] === cardToken1 && unsubscribed.cardTokens.length === 1, 'Card should be removed');
+      assert(manager.subscribe(generators.sessionId(), [cardToken1]) === null, 'Unknown session');
+
+      manager.shutdown();
+    }
+  },
+  {
+    name: 'should send alerts in envelopes that can be acknowledged',
+    testFn: async () => {
+      const manager = new WebSocketManager();
+      const socket = createMockSocket();
+      const cardToken = generators.cardToken();
+
+      const sessionId = manager.handleConnection(socket, { agentId: 'agent_1', cardTokens: [cardToken] });
+      const result = await alertService.broadcastAlert(cardToken, sampleTransaction);
+      assert(result.successful === 1, `Alert should be delivered, got ${result.successful}`);
+
+      const envelope = socket.lastMessage('alert');
+      assert(envelope.alertId && envelope.alert.alertType === 'NEW_TRANSACTION', 'Alert envelope');
+
+      const ack = manager.acknowledge(sessionId, [envelope.alertId, envelope.alertId]);
+      assert(ack.acknowledged.length === 1 && ack.unknown.length === 0, 'Alert should be acknowledged once');
+      assert(manager.acknowledge(sessionId, [envelope.alertId]).unknown.length === 1, 'Second ack is unknown');
+      assert(manager.getMetrics().alertsAcknowledged === 1, 'Ack is counted');
+
+      manager.shutdown();
+    }
+  },
+  {
+    name: 'should redeliver unacknowledged alerts under the same alert id',
+    testFn: async () => {
+      const manager = new WebSocketManager();
+      const socket = createMockSocket();
+      const cardToken = generators.cardToken();
+      const ackRedeliveryBaseMs = alertService.ackRedeliveryBaseMs;
+      alertService.ackRequired = true;
+      alertService.ackRedeliveryBaseMs = 10;
+
+      try {
+        const sessionId = manager.handleConnection(socket, { agentId: 'agent_1', cardTokens: [cardToken] });
+        await alertService.broadcastAlert(cardToken, sampleTransaction);
+        const { alertId } = socket.lastMessage('alert');
+
+        await sleep(20);
+        await alertService.redeliverUnacknowledged();
+        const alerts = socket.messages.filter(message => message.type === 'alert');
+        assert(alerts.length === 2 && alerts[1].alertId === alertId, 'Alert should be redelivered with the same id');
+        assert(alerts[0].eventId !== undefined && alerts[1].eventId === undefined, 'Redelivery should not move the resume position');
+
+        const ack = manager.acknowledge(sessionId, [alertId]);
+        assert(ack.acknowledged[0] === alertId, 'Redelivered alert is acknowledged');
+        const session = alertService.getAckMetrics().sessions.find(entry => entry.sessionId === sessionId);
+        assert(session.pending === 0 && session.latency.count === 1, 'Ack should reach the alert service');
+      } finally {
+        alertService.ackRequired = false;
+        alertService.ackRedeliveryBaseMs = ackRedeliveryBaseMs;
+        manager.shutdown();
+      }
+    }
+  },
+  {
+    name: 'should fail delivery to a closed socket',
+    testFn: async () => {
+      const manager = new WebSocketManager();
+      const socket = createMockSocket();
+      const cardToken = generators.cardToken();
+
+      manager.handleConnection(socket, { agentId: 'agent_1', cardTokens: [cardToken] });
+      socket.readyState = 3;
+
+      const result = await alertService.broadcastAlert(cardToken, sampleTransaction);
+      assert(result.failed === 1, 'Delivery to a closed socket should fail');
+
+      manager.shutdown();
+    }
+  },
+  {
+    name: 'should ping sockets and terminate those that miss a pong',
+    testFn: async () => {
+      const manager = new WebSocketManager();
+      const responsive = createMockSocket();
+      const silent = createMockSocket();
+
+      const responsiveId = manager.handleConnection(responsive, { agentId: 'agent_1', cardTokens: [generators.cardToken()] });
+      const silentId = manager.handleConnection(silent, { agentId: 'agent_2', cardTokens: [generators.cardToken()] });
+
+      manager.heartbeat();
+      assert(responsive.pings === 1 && responsive.lastMessage('heartbeat'), 'Ping and heartbeat message');
+      responsive.emit('pong');
+
+      manager.heartbeat();
+      assert(manager.connections.has(responsiveId), 'Responsive socket stays');
+      assert(!manager.connections.has(silentId) && silent.readyState === 3, 'Silent socket is terminated');
+      assert(manager.getMetrics().terminatedConnections === 1, 'Termination is counted');
+
+      manager.shutdown();
+    }
+  },
+  {
+    name: 'should close the socket when the client disconnects',
+    testFn: async () => {
+      const manager = new WebSocketManager();
+      const socket = createMockSocket();
+
+      const sessionId = manager.handleConnection(socket, { agentId: 'agent_1', cardTokens: [generators.cardToken()] });
+      socket.close();
+
+      assert(!manager.connections.has(sessionId), 'Socket should be removed');
+      assert(alertService.getSessionCards(sessionId) === null, 'Session should be removed from the alert service');
+      assert(manager.getMetrics().activeConnections === 0, 'No active sockets');
+
+      manager.shutdown();
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('WebSocket Manager', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All WebSocket Manager tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,219 @@
+/**
+ * Unit tests for Work Queue
+ * Tests concurrency limits, retries with backoff and the dead-letter store
+ */
+
+import { runTestSuite, assert, sleep } from '../../helpers/test-helpers.js';
+import { WorkQueue } from '../../../src/services/work-queue.js';
+
+/**
+ * Wait until the queue has no running or pending jobs
+ * @param {WorkQueue} queue - Queue to wait on
+ * @param {number} timeoutMs - Maximum wait
+ */
+async function waitForIdle(queue, timeoutMs = 2000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const stats = queue.getStats();
+    if (stats.running === 0 && stats.pending === 0 && stats.retrying === 0) {
+      return;
+    }
+    await sleep(5);
+  }
+  throw new Error('Queue did not become idle in time');
+}
+
+const tests = [
+  {
+    name: 'should process enqueued jobs',
+    testFn: async () => {
+      const processed = [];
+      const queue = new WorkQueue({
+        name: 'test',
+        handler: async (data) => { processed.push(data.value); }
+      });
+
+      queue.enqueue('job-1', { value: 1 });
+      queue.enqueue('job-2', { value: 2 });
+      await waitForIdle(queue);
+
+      assert(processed.length === 2, 'Both jobs should be processed');
+      assert(queue.getStats().completed === 2, 'Completed counter should be 2');
+    }
+  },
+  {
+    name: 'should never exceed the concurrency limit',
+    testFn: async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const queue = new WorkQueue({
+        name: 'test',
+        concurrency: 2,
+        handler: async () => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await sleep(10);
+          inFlight--;
+        }
+      });
+
+      for (let i = 0; i < 6; i++) {
+        queue.enqueue(`job-${i}`, {});
+      }
+      await waitForIdle(queue);
+
+      assert(maxInFlight === 2, `Expected at most 2 jobs in flight, saw ${maxInFlight}`);
+      assert(queue.getStats().completed === 6, 'All jobs should complete');
+    }
+  },
+  {
+    name: 'should not queue the same job id twice',
+    testFn: async () => {
+      let calls = 0;
+      const queue = new WorkQueue({
+        name: 'test',
+        concurrency: 1,
+        handler: async () => { calls++; await sleep(5); }
+      });
+
+      queue.enqueue('job-1', {});
+      queue.enqueue('job-1', {});
+      await waitForIdle(queue);
+
+      assert(calls === 1, `Handler should run once, ran ${calls} times`);
+    }
+  },
+  {
+    name: 'should retry failed jobs until they succeed',
+    testFn: async () => {
+      let calls = 0;
+      const queue = new WorkQueue({
+        name: 'test',
+        maxAttempts: 3,
+        baseDelayMs: 5,
+        handler: async () => {
+          calls++;
+          if (calls < 3) throw new Error('temporary failure');
+        }
+      });
+
+      queue.enqueue('job-1', {});
+      await waitForIdle(queue);
+
+      assert(calls === 3, `Handler should run 3 times, ran ${calls}`);
+      assert(queue.getStats().retried === 2, 'Two retries should be counted');
+      assert(queue.getDeadLetters().length === 0, 'No dead letters expected');
+    }
+  },
+  {
+    name: 'should back off exponentially up to the maximum delay',
+    testFn: async () => {
+      const queue = new WorkQueue({ name: 'test', handler: async () => {}, baseDelayMs: 100, maxDelayMs: 500 });
+
+      assert(queue.getRetryDelay(1) === 100, 'First retry uses the base delay');
+      assert(queue.getRetryDelay(2) === 200, 'Second retry doubles the delay');
+      assert(queue.getRetryDelay(3) === 400, 'Third retry doubles again');
+      assert(queue.getRetryDelay(4) === 500, 'Delay is capped at maxDelayMs');
+    }
+  },
+  {
+    name: 'should dead-letter jobs that exhaust their attempts',
+    testFn: async () => {
+      let deadLetterEvent = null;
+      const queue = new WorkQueue({
+        name: 'test',
+        maxAttempts: 2,
+        baseDelayMs: 5,
+        handler: async () => { throw new Error('permanent failure'); }
+      });
+      queue.on('dead-letter', (deadLetter) => { deadLetterEvent = deadLetter; });
+
+      queue.enqueue('job-1', { value: 'payload' });
+      await waitForIdle(queue);
+
+      const deadLetters = queue.getDeadLetters();
+      assert(deadLetters.length === 1, 'One dead letter expected');
+      assert(deadLetters[0].attempts === 2, 'Dead letter should record attempts');
+      assert(deadLetters[0].lastError === 'permanent failure', 'Dead letter should record the last error');
+      assert(deadLetterEvent && deadLetterEvent.id === 'job-1', 'dead-letter event should be emitted');
+    }
+  },
+  {
+    name: 'should dead-letter a job after its own attempt budget',
+    testFn: async () => {
+      let calls = 0;
+      const queue = new WorkQueue({
+        name: 'test',
+        maxAttempts: 5,
+        baseDelayMs: 5,
+        handler: async () => { calls++; throw new Error('permanent failure'); }
+      });
+
+      queue.enqueue('job-1', {}, { maxAttempts: 2 });
+      await waitForIdle(queue);
+
+      assert(calls === 2, `Job should run twice, ran ${calls} times`);
+      assert(queue.getDeadLetter('job-1')?.attempts === 2, 'Job should be dead-lettered after its budget');
+    }
+  },
+  {
+    name: 'should retry a dead letter with a fresh attempt budget',
+    testFn: async () => {
+      let shouldFail = true;
+      const queue = new WorkQueue({
+        name: 'test',
+        maxAttempts: 1,
+        handler: async () => { if (shouldFail) throw new Error('down'); }
+      });
+
+      queue.enqueue('job-1', {});
+      await waitForIdle(queue);
+      assert(queue.getDeadLetter('job-1'), 'Job should be dead-lettered');
+
+      shouldFail = false;
+      const job = queue.retryDeadLetter('job-1');
+      assert(job, 'Retry should return the queued job');
+      await waitForIdle(queue);
+
+      assert(queue.getDeadLetter('job-1') === null, 'Dead letter should be removed after retry');
+      assert(queue.getStats().completed === 1, 'Retried job should complete');
+      assert(queue.retryDeadLetter('missing') === null, 'Unknown dead letters cannot be retried');
+    }
+  },
+  {
+    name: 'should keep the dead-letter store bounded',
+    testFn: async () => {
+      const queue = new WorkQueue({
+        name: 'test',
+        maxAttempts: 1,
+        deadLetterLimit: 2,
+        handler: async () => { throw new Error('fail'); }
+      });
+
+      queue.enqueue('job-1', {});
+      queue.enqueue('job-2', {});
+      queue.enqueue('job-3', {});
+      await waitForIdle(queue);
+
+      const ids = queue.getDeadLetters().map(d => d.id);
+      assert(ids.length === 2, 'Only 2 dead letters should be kept');
+      assert(!ids.includes('job-1'), 'The oldest dead letter should be dropped');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Work Queue', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Work Queue tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,416 @@
+/**
+ * Unit tests for the local storage adapter
+ * Tests merchant matching on ingest, the transaction details shape, status queries,
+ * the card registry, MCC codes, archival, raw payload retention, cases, merchant groups, job leases,
+ * rollback and persistence to the database file
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runTestSuite, assert, sleep } from '../../helpers/test-helpers.js';
+import { createLocalStorage } from '../../../src/storage/local/index.js';
+
+function createRecords({ token = 'txn_1', status = 'SETTLED', result = 'APPROVED', createdAt = '2026-01-10T10:00:00.000Z', merchant = {} } = {}) {
+  return {
+    transaction: {
+      token,
+      card_token: 'card_1',
+      cardholder_amount: 1250,
+      cardholder_currency: 'USD',
+      merchant_amount: 1250,
+      merchant_currency: 'USD',
+      result,
+      status,
+      network_type: 'VISA',
+      created_at: createdAt
+    },
+    events: [{
+      event_token: `${token}_evt_1`,
+      transaction_token: token,
+      event_type: 'AUTHORIZATION',
+      amount: 1250,
+      created_at: createdAt
+    }],
+    merchant: {
+      acceptor_id: 'ACC123',
+      descriptor: 'BLUE BOTTLE #12',
+      city: 'Oakland',
+      state: 'CA',
+      country: 'USA',
+      mcc: '5814',
+      mcc_description: 'Fast Food Restaurants',
+      mcc_category: 'Food & Dining',
+      ...merchant
+    }
+  };
+}
+
+const tests = [
+  {
+    name: 'should create and link a merchant when ingesting a transaction',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      const merchantId = await storage.transactions.ingest(createRecords());
+
+      assert(typeof merchantId === 'string', 'Ingest should return the merchant id');
+      assert(await storage.transactions.exists('txn_1'), 'Transaction should be stored');
+      const events = await storage.transactions.listEvents('txn_1');
+      assert(events.length === 1 && events[0].event_type === 'AUTHORIZATION', 'Events should be stored');
+    }
+  },
+  {
+    name: 'should reuse the merchant with the same acceptor_id and update its details',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      const firstId = await storage.transactions.ingest(createRecords());
+      const secondId = await storage.transactions.ingest(createRecords({
+        token: 'txn_2',
+        merchant: { descriptor: 'BLUE BOTTLE COFFEE #12' }
+      }));
+
+      assert(firstId === secondId, 'Same acceptor_id should resolve to the same merchant');
+      const details = await storage.transactions.getDetails('txn_1');
+      assert(details.merchant_name === 'BLUE BOTTLE COFFEE #12', `Merchant should be updated, got ${details.merchant_name}`);
+
+      const thirdId = await storage.transactions.ingest(createRecords({
+        token: 'txn_3',
+        merchant: { acceptor_id: null, descriptor: 'SQ *TARTINE' }
+      }));
+      assert(thirdId !== firstId, 'Different merchants should not be merged');
+    }
+  },
+  {
+    name: 'should return transactions in the transaction_details view shape',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      await storage.transactions.ingest(createRecords());
+      const details = await storage.transactions.getDetails('txn_1');
+
+      assert(details.cardholder_amount_usd === 12.5, 'Amount in major units should be derived');
+      assert(details.merchant_city === 'Oakland' && details.merchant_mcc_code === '5814', 'Merchant columns should be joined');
+      assert(details.mcc_category === 'Food & Dining', 'MCC details should be joined');
+      assert(details.merchant_group_id === null, 'Merchant group should default to null');
+      assert(await storage.transactions.getDetails('txn_missing') === null, 'Unknown transaction should be null');
+    }
+  },
+  {
+    name: 'should list pending transactions, statuses and declined details',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      await storage.transactions.ingest(createRecords({ token: 'txn_old', status: 'PENDING', createdAt: '2026-01-01T00:00:00.000Z' }));
+      await storage.transactions.ingest(createRecords({ token: 'txn_new', status: 'PENDING', createdAt: '2026-01-05T00:00:00.000Z' }));
+      await storage.transactions.ingest(createRecords({ token: 'txn_declined', result: 'DECLINED', createdAt: '2026-01-03T00:00:00.000Z' }));
+
+      const pending = await storage.transactions.listPending({ before: '2026-01-04T00:00:00.000Z' });
+      assert(pending.length === 1 && pending[0].token === 'txn_old', 'Only pending transactions before the cutoff');
+
+      const statuses = await storage.transactions.getStatuses(['txn_new', 'txn_declined', 'txn_missing']);
+      assert(statuses.size === 2, 'Unknown tokens should be skipped');
+      assert(statuses.get('txn_declined').result === 'DECLINED', 'Status should include the result');
+      assert(statuses.get('txn_declined').eventCount === 1, 'Status should include the stored event count');
+
+      const declined = await storage.transactions.listDetails({ declinedOnly: true });
+      assert(declined.length === 1 && declined[0].token === 'txn_declined', 'Only declined transactions');
+
+      const latest = await storage.transactions.getLatestTimestamp();
+      assert(latest.created_at === '2026-01-05T00:00:00.000Z', 'Latest timestamp should be the newest transaction');
+
+      const summary = await storage.transactions.getSummary();
+      assert(summary.total_transactions === 3 && summary.declined_count === 1, 'Summary counts');
+    }
+  },
+  {
+    name: 'should keep the card registry and its state history',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      await storage.cards.upsert({ token: 'card_1', state: 'OPEN', created_at: '2026-01-01T00:00:00.000Z' });
+      await storage.cards.upsert({ token: 'card_1', state: 'PAUSED' });
+      await storage.cards.addHistory({ card_token: 'card_1', event_type: 'card.updated', previous_state: 'OPEN', new_state: 'PAUSED', changes: {} });
+
+      const card = await storage.cards.get('card_1');
+      assert(card.state === 'PAUSED' && card.created_at === '2026-01-01T00:00:00.000Z', 'Upsert should merge the card');
+      assert((await storage.cards.list({ state: 'OPEN' })).length === 0, 'State filter');
+      const history = await storage.cards.listHistory('card_1');
+      assert(history.length === 1 && history[0].id === 1, 'History entries get an id');
+    }
+  },
+  {
+    name: 'should look up MCC codes',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      await storage.database.transaction(() => {
+        storage.database.put('mcc_codes', '5814', { mcc_code: '5814', description: 'Fast Food Restaurants', category: 'Food & Dining' });
+      });
+
+      const mcc = await storage.mccCodes.get('5814');
+      assert(mcc.description === 'Fast Food Restaurants', 'MCC should be found');
+      assert(await storage.mccCodes.get('0000') === null, 'Unknown MCC should be null');
+      const many = await storage.mccCodes.getMany(['5814', '0000']);
+      assert(many.length === 1 && many[0].mcc_code === '5814', 'Only known codes are returned');
+    }
+  },
+  {
+    name: 'should keep cases with their links and notes',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      const created = await storage.cases.create({ title: 'Gift card caller', tags: ['gift-cards'] });
+      await storage.cases.create({ title: 'IRS impersonator', status: 'closed' });
+
+      assert(created.status === 'open' && created.closed_at === null, 'New cases are open');
+      await storage.cases.addLinks(created.id, [
+        { link_type: 'card', value: 'card_1' },
+        { link_type: 'conversation', value: 'conv_1' }
+      ], { addedBy: 'agent_1' });
+      await storage.cases.addLinks(created.id, [{ link_type: 'card', value: 'card_1' }]);
+      const links = await storage.cases.listLinks(created.id);
+      assert(links.length === 2 && links[0].added_by === 'agent_1', 'Existing links are kept as they are');
+
+      const byCard = await storage.cases.list({ link: { link_type: 'card', value: 'card_1' } });
+      assert(byCard.length === 1 && byCard[0].id === created.id, 'Cases are found by link');
+      assert((await storage.cases.list({ tag: 'gift-cards' })).length === 1, 'Tag filter');
+      assert((await storage.cases.list({ status: 'closed' }))[0].title === 'IRS impersonator', 'Status filter');
+      assert((await storage.cases.list({ search: 'irs' })).length === 1, 'Title search');
+
+      assert(await storage.cases.removeLink(created.id, { link_type: 'card', value: 'card_1' }), 'Link should be removed');
+      assert(!(await storage.cases.removeLink(created.id, { link_type: 'card', value: 'card_1' })), 'Missing link');
+
+      await storage.cases.addNote(created.id, { author: 'analyst', body: 'Asked for gift cards' });
+      const updated = await storage.cases.update(created.id, { status: 'investigating' });
+      assert(updated.status === 'investigating' && updated.title === 'Gift card caller', 'Update keeps other columns');
+      assert(await storage.cases.update('missing', {}) === null, 'Unknown case cannot be updated');
+
+      assert(await storage.cases.delete(created.id), 'Case should be deleted');
+      assert(await storage.cases.get(created.id) === null, 'Deleted case is gone');
+      assert((await storage.cases.listNotes(created.id)).length === 0, 'Its notes are deleted');
+      assert((await storage.cases.listLinks(created.id)).length === 0, 'Its links are deleted');
+    }
+  },
+  {
+    name: 'should roll back a failed transaction',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      let failed = false;
+      try {
+        await storage.database.transaction(() => {
+          storage.database.put('cards', 'card_1', { token: 'card_1', state: 'OPEN' });
+          throw new Error('boom');
+        });
+      } catch (error) {
+        failed = error.message === 'boom';
+      }
+
+      assert(failed, 'Transaction error should be thrown');
+      assert(await storage.cards.get('card_1') === null, 'Writes of the failed transaction should be discarded');
+    }
+  },
+  {
+    name: 'should group merchants and merge groups',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      const first = await storage.transactions.ingest(createRecords({ token: 'txn_1' }));
+      const second = await storage.transactions.ingest(createRecords({ token: 'txn_2', merchant: { acceptor_id: 'ACC456', descriptor: 'BLUE BOTTLE #40' } }));
+
+      const group = await storage.merchantGroups.create({ canonical_name: 'Blue Bottle', normalized_descriptor: 'blue bottle' });
+      const other = await storage.merchantGroups.create({ canonical_name: 'Blue Bottle Coffee', normalized_descriptor: 'blue bottle coffee' });
+      await storage.merchantGroups.assignMerchants([first], group.id);
+      await storage.merchantGroups.assignMerchants([second], other.id);
+      assert(await storage.merchantGroups.getTransactionGroupId('txn_2') === other.id, 'Transaction should resolve to its group');
+
+      const active = await storage.merchantGroups.listActive({ prefix: 'BLUE' });
+      assert(active.length === 2, 'Prefix matching should ignore case');
+
+      await storage.merchantGroups.assignMerchants([second], group.id);
+      await storage.merchantGroups.markMerged([other.id], group.id);
+      await storage.merchantGroups.addHistory({ action: 'merge', group_id: group.id, source_group_id: other.id, merchant_ids: [second] });
+
+      const merchants = await storage.merchantGroups.listMerchants(group.id);
+      assert(merchants.length === 2, 'Merged group should hold both merchants');
+      const remaining = await storage.merchantGroups.listActive({ contains: 'bottle' });
+      assert(remaining.length === 1 && remaining[0].id === group.id, 'Merged groups are not active');
+      const tokens = await storage.merchantGroups.listTransactionTokens([first, second]);
+      assert(tokens.sort().join(',') === 'txn_1,txn_2', 'Group transactions should be listed');
+      const history = await storage.merchantGroups.listHistory(other.id);
+      assert(history.length === 1 && history[0].action === 'merge', 'History should be found by source group');
+    }
+  },
+  {
+    name: 'should merge groups in one step with the merchants of each source',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      const first = await storage.transactions.ingest(createRecords({ token: 'txn_1' }));
+      const second = await storage.transactions.ingest(createRecords({ token: 'txn_2', merchant: { acceptor_id: 'ACC456', descriptor: 'BLUE BOTTLE #40' } }));
+
+      const target = await storage.merchantGroups.create({ canonical_name: 'Blue Bottle', normalized_descriptor: 'blue bottle' });
+      const one = await storage.merchantGroups.create({ canonical_name: 'Blue Bottle #12', normalized_descriptor: 'blue bottle 12' });
+      const two = await storage.merchantGroups.create({ canonical_name: 'Blue Bottle #40', normalized_descriptor: 'blue bottle 40' });
+      await storage.merchantGroups.assignMerchants([first], one.id);
+      await storage.merchantGroups.assignMerchants([second], two.id);
+
+      const result = await storage.merchantGroups.merge({ targetGroupId: target.id, sourceGroupIds: [one.id, two.id], reason: 'same shop', performedBy: 'admin' });
+      assert(result.merged && result.sources.length === 2, 'Both sources should be merged');
+      assert((await storage.merchantGroups.listMerchants(target.id)).length === 2, 'Target should hold the merchants of both sources');
+      assert((await storage.merchantGroups.listActive()).length === 1, 'Only the target should stay active');
+
+      const [firstHistory] = await storage.merchantGroups.listHistory(one.id);
+      const [secondHistory] = await storage.merchantGroups.listHistory(two.id);
+      assert(firstHistory.merchant_ids.join(',') === first && secondHistory.merchant_ids.join(',') === second, 'Each history entry should list only the merchants of its source');
+
+      const repeated = await storage.merchantGroups.merge({ targetGroupId: target.id, sourceGroupIds: [one.id] });
+      assert(!repeated.merged && (await storage.merchantGroups.listHistory(one.id)).length === 1, 'Merging an already merged group should change nothing');
+    }
+  },
+  {
+    name: 'should split a group in one step or not at all',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      const first = await storage.transactions.ingest(createRecords({ token: 'txn_1' }));
+      const second = await storage.transactions.ingest(createRecords({ token: 'txn_2', merchant: { acceptor_id: 'ACC456', descriptor: 'BLUE BOTTLE #40' } }));
+      const group = await storage.merchantGroups.create({ canonical_name: 'Blue Bottle', normalized_descriptor: 'blue bottle' });
+      await storage.merchantGroups.assignMerchants([first, second], group.id);
+      const newGroup = { canonical_name: 'Blue Bottle #40', normalized_descriptor: 'blue bottle 40' };
+
+      const emptied = await storage.merchantGroups.split({ groupId: group.id, merchantIds: [first, second], group: newGroup });
+      assert(!emptied.split && (await storage.merchantGroups.listActive()).length === 1, 'A split that empties the group should change nothing');
+
+      // Fail the history insert inside the split
+      const put = storage.database.put;
+      storage.database.put = function (table, ...args) {
+        if (table === 'merchant_group_history') {
+          throw new Error('database unavailable');
+        }
+        return put.call(this, table, ...args);
+      };
+      let failed = false;
+      try {
+        await storage.merchantGroups.split({ groupId: group.id, merchantIds: [second], group: newGroup });
+      } catch {
+        failed = true;
+      } finally {
+        storage.database.put = put;
+      }
+      assert(failed, 'Failed split should reject');
+      assert((await storage.merchantGroups.listActive()).length === 1, 'Failed split should not leave a new group');
+      assert((await storage.merchantGroups.listMerchants(group.id)).length === 2, 'Failed split should not move merchants');
+
+      const result = await storage.merchantGroups.split({ groupId: group.id, merchantIds: [second], group: newGroup, reason: 'different shop', performedBy: 'admin' });
+      assert(result.split && result.groupId, 'Split should create the new group');
+      const moved = await storage.merchantGroups.listMerchants(result.groupId);
+      assert(moved.length === 1 && moved[0].id === second, 'New group should hold the split merchant');
+      const [history] = await storage.merchantGroups.listHistory(result.groupId);
+      assert(history.action === 'split' && history.source_group_id === group.id && history.merchant_ids.join(',') === second, 'Split should be recorded');
+    }
+  },
+  {
+    name: 'should hand a job lease to one holder at a time',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      const first = await storage.jobs.acquireLease('retention', 'instance_a', 60000);
+      assert(first.acquired, 'Free lease should be acquired');
+      const renewed = await storage.jobs.acquireLease('retention', 'instance_a', 60000);
+      assert(renewed.acquired, 'Holder should renew its lease');
+      const taken = await storage.jobs.acquireLease('retention', 'instance_b', 60000);
+      assert(!taken.acquired && taken.lease.holder_id === 'instance_a', 'Held lease should not be taken');
+
+      assert(!(await storage.jobs.releaseLease('retention', 'instance_b')), 'Only the holder may release');
+      assert(await storage.jobs.releaseLease('retention', 'instance_a'), 'Holder should release its lease');
+      // A released lease expires now, so it is free from the next millisecond
+      await sleep(5);
+      const next = await storage.jobs.acquireLease('retention', 'instance_b', 60000);
+      assert(next.acquired, 'Released lease should be acquired by another holder');
+
+      await storage.jobs.saveCheckpoint({ name: 'transactions', last_polled_at: '2026-01-10T10:00:00.000Z' });
+      await storage.jobs.saveCheckpoint({ name: 'transactions', last_seen_token: 'txn_1' });
+      const checkpoint = await storage.jobs.getCheckpoint('transactions');
+      assert(checkpoint.last_polled_at && checkpoint.last_seen_token === 'txn_1', 'Checkpoint fields should be merged');
+    }
+  },
+  {
+    name: 'should list archive records, delete them and restore them',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      await storage.transactions.ingest(createRecords({ token: 'txn_old', createdAt: '2025-01-01T00:00:00.000Z' }));
+      await storage.transactions.ingest(createRecords({ token: 'txn_new', createdAt: '2026-01-01T00:00:00.000Z' }));
+
+      const records = await storage.transactions.listArchiveRecords({ before: '2025-06-01T00:00:00.000Z' });
+      assert(records.length === 1 && records[0].transaction.token === 'txn_old', 'Only old transactions are archived');
+      assert(records[0].events.length === 1 && records[0].merchant_ids.length === 1, 'Records carry events and merchant links');
+
+      await storage.transactions.deleteMany(['txn_old']);
+      assert(!(await storage.transactions.exists('txn_old')), 'Archived transaction should be deleted');
+      assert((await storage.transactions.listEvents('txn_old')).length === 0, 'Its events should be deleted');
+
+      assert(await storage.transactions.restore(records) === 1, 'Restore should report the restored count');
+      const details = await storage.transactions.getDetails('txn_old');
+      assert(details && details.merchant_name === 'BLUE BOTTLE #12', 'Restored transaction keeps its merchant');
+      const again = await storage.transactions.listArchiveRecords({ before: '2025-06-01T00:00:00.000Z' });
+      assert(again.length === 0, 'Restored transactions are not archived again');
+    }
+  },
+  {
+    name: 'should list unredacted raw payloads of every source and keep redacted payloads on re-ingest',
+    testFn: async () => {
+      const storage = createLocalStorage();
+      const before = '2025-06-01T00:00:00.000Z';
+      const old = '2025-01-01T00:00:00.000Z';
+      const records = createRecords({ token: 'txn_old', createdAt: old });
+      await storage.transactions.ingest({ ...records, transaction: { ...records.transaction, raw_data: { token: 'txn_old', pan: '4111111111111111' } } });
+      await storage.webhookEvents.insert({ webhook_id: 'wh_old', event_type: 'transaction.created', payload: { type: 'transaction.created' }, received_at: old });
+      await storage.authorization.saveDecision({ transaction_token: 'txn_old', decision: 'APPROVED', request_payload: { token: 'txn_old' }, decided_at: old });
+      await storage.accountEvents.upsertDispute({ token: 'dsp_old', status: 'SUBMITTED', raw_data: { token: 'dsp_old' }, updated_at: old });
+      await storage.accountEvents.addTokenizationEvent({ event_type: 'digital_wallet.tokenization_result', raw_data: { token: 'tok_old' }, created_at: old });
+
+      assert((await storage.webhookEvents.listPayloadsBefore({ before })).length === 1, 'Old webhook payload should be listed');
+      assert((await storage.authorization.listRequestPayloadsBefore({ before })).length === 1, 'Old ASA request payload should be listed');
+      const [dispute] = await storage.accountEvents.listRawDataBefore({ table: 'disputes', before });
+      assert(dispute && dispute.key === 'dsp_old', 'Old dispute payload should be listed by its key');
+      const [tokenization] = await storage.accountEvents.listRawDataBefore({ table: 'tokenization_events', before });
+      assert(tokenization && tokenization.key === 1, 'Old tokenization payload should be listed by its id');
+
+      await storage.webhookEvents.updatePayload('wh_old', { _redacted: true });
+      await storage.authorization.updateRequestPayload('txn_old', null);
+      await storage.accountEvents.updateRawData('tokenization_events', tokenization.key, { _redacted: true });
+      assert((await storage.webhookEvents.listPayloadsBefore({ before })).length === 0, 'Redacted webhook payloads are not listed');
+      assert((await storage.authorization.listRequestPayloadsBefore({ before })).length === 0, 'Pruned request payloads are not listed');
+      assert((await storage.accountEvents.listRawDataBefore({ table: 'tokenization_events', before })).length === 0, 'Redacted payloads are not listed');
+
+      await storage.transactions.updateRawData('txn_old', { _redacted: true, token: 'txn_old' });
+      await storage.transactions.ingest({ ...records, transaction: { ...records.transaction, status: 'VOIDED', raw_data: { token: 'txn_old', pan: '4111111111111111' } } });
+      const stored = storage.database.get('transactions', 'txn_old');
+      assert(stored.status === 'VOIDED' && stored.raw_data._redacted === true, 'Re-ingest should update the row but keep the redacted payload');
+    }
+  },
+  {
+    name: 'should persist to the database file and reload it',
+    testFn: async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-test-'));
+      const filePath = path.join(directory, 'db.json');
+      try {
+        const storage = createLocalStorage({ filePath });
+        await storage.transactions.ingest(createRecords());
+
+        const reloaded = createLocalStorage({ filePath });
+        const details = await reloaded.transactions.getDetails('txn_1');
+        assert(details && details.merchant_name === 'BLUE BOTTLE #12', 'Transaction should survive a reload');
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Local Storage', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Local Storage tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
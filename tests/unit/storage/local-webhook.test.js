@@ -0,0 +1,238 @@
+/**
+ * End-to-end test of webhook processing on the local storage adapter
+ * Tests recording, processing and de-duplicating a delivery, alerting the card's agents,
+ * lease-guarded recovery of stale unfinished and failed events, claiming an event on one attempt only,
+ * and persistence of the webhook log to the database file
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runTestSuite, assert, createMockSSEConnection, generators, sleep } from '../../helpers/test-helpers.js';
+
+// The storage singleton is created from the environment when the services are first imported
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'local-webhook-test-'));
+const filePath = path.join(directory, 'db.json');
+process.env.STORAGE_ADAPTER = 'local';
+process.env.LOCAL_DB_PATH = filePath;
+// The Lithic client is created on import and needs a key; these tests never call Lithic
+process.env.LITHIC_API_KEY ||= 'test_lithic_api_key';
+
+const { storage } = await import('../../../src/storage/index.js');
+const { createLocalStorage } = await import('../../../src/storage/local/index.js');
+const supabase_service = await import('../../../src/services/supabase-service.js');
+const webhook_service = await import('../../../src/services/webhook-service.js');
+const { default: alertService } = await import('../../../src/services/alert-service.js');
+
+const cardToken = generators.cardToken();
+
+function createTransaction(token) {
+  const created = new Date().toISOString();
+  return {
+    token,
+    card_token: cardToken,
+    status: 'SETTLED',
+    result: 'APPROVED',
+    created,
+    amount: 4200,
+    cardholder_amount: 4200,
+    merchant_amount: 4200,
+    network: 'VISA',
+    merchant: {
+      descriptor: 'BLUE BOTTLE #12',
+      acceptor_id: 'acc_blue_bottle',
+      mcc: '5814',
+      city: 'Oakland',
+      state: 'CA',
+      country: 'USA'
+    },
+    events: [{ token: `${token}_auth`, type: 'AUTHORIZATION', result: 'APPROVED', amount: 4200, created }]
+  };
+}
+
+function createDisputeEvent(transactionToken) {
+  return {
+    type: 'dispute.updated',
+    payload: {
+      token: `dsp_${transactionToken}`,
+      transaction_token: transactionToken,
+      status: 'SUBMITTED',
+      reason: 'FRAUD_CARD_NOT_PRESENT',
+      amount: 4200,
+      currency: 'USD',
+      created: new Date().toISOString()
+    }
+  };
+}
+
+async function waitForStatus(webhookId, status, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const event = await storage.webhookEvents.get(webhookId);
+    if (event?.status === status) {
+      return event;
+    }
+    await sleep(20);
+  }
+  return storage.webhookEvents.get(webhookId);
+}
+
+const tests = [
+  {
+    name: 'should use the local adapter',
+    testFn: async () => {
+      assert(storage.name === 'local', `Unexpected storage adapter ${storage.name}`);
+    }
+  },
+  {
+    name: 'should record, process and de-duplicate a webhook delivery',
+    testFn: async () => {
+      await supabase_service.saveTransaction(createTransaction('txn_disputed'), { broadcast: false });
+
+      const sessionId = generators.sessionId();
+      const connection = createMockSSEConnection(sessionId);
+      alertService.registerConnection(sessionId, cardToken, connection);
+
+      try {
+        const eventPayload = createDisputeEvent('txn_disputed');
+        const recorded = await webhook_service.recordIncomingEvent(eventPayload, 'wh_dispute_1');
+        assert(!recorded.isDuplicate && recorded.shouldProcess, 'First delivery should be processed');
+        assert(recorded.event.status === 'received', 'Event should be recorded as received');
+
+        const result = await webhook_service.processWebhookEvent(eventPayload, 'wh_dispute_1');
+        assert(result.status === 'processed' && result.attempts === 1, `Unexpected result ${JSON.stringify(result)}`);
+
+        const stored = await storage.webhookEvents.get('wh_dispute_1');
+        assert(stored.status === 'processed' && stored.processed_at, 'Event should be marked processed');
+        assert(stored.event_type === 'dispute.updated' && stored.event_token === 'dsp_txn_disputed', 'Event details should be kept');
+
+        const dispute = storage.database.get('disputes', 'dsp_txn_disputed');
+        assert(dispute && dispute.status === 'SUBMITTED', 'Dispute should be stored');
+        assert(connection.writeCount === 1 && connection.lastData.includes('dsp_txn_disputed'), 'Card agents should be alerted');
+        assert(connection.lastData.includes('$42.00'), 'Dispute alert should show the formatted amount');
+
+        const repeated = await webhook_service.recordIncomingEvent(eventPayload, 'wh_dispute_1');
+        assert(repeated.isDuplicate && !repeated.shouldProcess, 'Repeated delivery should not be processed again');
+
+        const again = await webhook_service.processWebhookEvent(eventPayload, 'wh_dispute_1');
+        assert(again.status === 'skipped', 'A processed event should not be claimed again');
+        assert(connection.writeCount === 1, 'Card agents should not be alerted twice');
+      } finally {
+        alertService.removeConnection(sessionId);
+      }
+    }
+  },
+  {
+    name: 'should recover unfinished events on the instance holding the recovery lease',
+    testFn: async () => {
+      const stale = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      for (const [webhookId, updatedAt] of [['wh_unfinished', stale], ['wh_received_live', new Date().toISOString()]]) {
+        const eventPayload = createDisputeEvent(`txn_${webhookId}`);
+        await storage.webhookEvents.insert({
+          webhook_id: webhookId,
+          event_type: eventPayload.type,
+          event_token: eventPayload.payload.token,
+          payload: eventPayload,
+          updated_at: updatedAt
+        });
+      }
+
+      const recovered = await webhook_service.recoverPendingWebhookEvents();
+      assert(recovered === 1, `Expected one recovered event, got ${recovered}`);
+      const live = await storage.webhookEvents.get('wh_received_live');
+      assert(live.status === 'received', 'A received event another instance may have queued should not be recovered');
+      const processed = await waitForStatus('wh_unfinished', 'processed');
+      assert(processed?.status === 'processed', `Recovered event should be processed, got ${processed?.status}`);
+
+      const lease = await storage.jobs.getLease('webhook-recovery');
+      assert(lease && new Date(lease.expires_at) > new Date(), 'Recovery lease should be held');
+      const other = await storage.jobs.acquireLease('webhook-recovery', 'other-instance', 1000);
+      assert(!other.acquired && other.lease.holder_id === lease.holder_id, 'Another instance cannot take the lease');
+    }
+  },
+  {
+    name: 'should recover stale processing events and failed events with attempts left, and dead-letter spent ones',
+    testFn: async () => {
+      const stale = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const fresh = new Date().toISOString();
+      const rows = [
+        { webhook_id: 'wh_failed_stale', status: 'failed', attempts: 1, updated_at: stale },
+        { webhook_id: 'wh_failed_spent', status: 'failed', attempts: 5, updated_at: stale },
+        { webhook_id: 'wh_failed_waiting', status: 'failed', attempts: 1, updated_at: fresh },
+        { webhook_id: 'wh_processing_stale', status: 'processing', attempts: 1, updated_at: stale },
+        { webhook_id: 'wh_processing_live', status: 'processing', attempts: 1, updated_at: fresh },
+        { webhook_id: 'wh_processing_spent', status: 'processing', attempts: 5, updated_at: stale },
+        { webhook_id: 'wh_received_spent', status: 'received', attempts: 5, updated_at: stale }
+      ];
+      for (const row of rows) {
+        const eventPayload = createDisputeEvent(`txn_${row.webhook_id}`);
+        await storage.webhookEvents.insert({
+          ...row,
+          event_type: eventPayload.type,
+          event_token: eventPayload.payload.token,
+          payload: eventPayload
+        });
+      }
+
+      const recovered = await webhook_service.recoverPendingWebhookEvents();
+      assert(recovered === 2, `Expected two recovered events, got ${recovered}`);
+      for (const webhookId of ['wh_failed_stale', 'wh_processing_stale']) {
+        const processed = await waitForStatus(webhookId, 'processed');
+        assert(processed?.status === 'processed' && processed.attempts === 2, `${webhookId} should be processed on its second attempt`);
+      }
+      for (const [webhookId, status] of [['wh_failed_spent', 'failed'], ['wh_failed_waiting', 'failed'], ['wh_processing_live', 'processing']]) {
+        const untouched = await storage.webhookEvents.get(webhookId);
+        assert(untouched.status === status, `${webhookId} should not be recovered`);
+      }
+      for (const webhookId of ['wh_processing_spent', 'wh_received_spent']) {
+        const spent = await storage.webhookEvents.get(webhookId);
+        assert(spent.status === 'dead_letter' && spent.attempts === 5, `${webhookId} has no attempts left and should be dead-lettered`);
+        assert(!webhook_service.webhookQueue.jobs.has(webhookId), `${webhookId} should not be queued`);
+      }
+    }
+  },
+  {
+    name: 'should let only one of two concurrent attempts claim an event',
+    testFn: async () => {
+      const eventPayload = createDisputeEvent('txn_contended');
+      await webhook_service.recordIncomingEvent(eventPayload, 'wh_contended');
+
+      const results = await Promise.all([
+        webhook_service.processWebhookEvent(eventPayload, 'wh_contended'),
+        webhook_service.processWebhookEvent(eventPayload, 'wh_contended')
+      ]);
+      const statuses = results.map(result => result.status).sort().join(',');
+      assert(statuses === 'processed,skipped', `Expected one processed and one skipped attempt, got ${statuses}`);
+    }
+  },
+  {
+    name: 'should keep the webhook log in the database file',
+    testFn: async () => {
+      const reloaded = createLocalStorage({ filePath });
+      const events = await reloaded.webhookEvents.list({ status: 'processed' });
+      assert(
+        events.map(event => event.webhook_id).join(',') === 'wh_dispute_1,wh_unfinished,wh_failed_stale,wh_processing_stale,wh_contended',
+        `Unexpected events ${events.map(event => event.webhook_id)}`
+      );
+      const latest = await reloaded.webhookEvents.getLatestReceivedAt();
+      assert(latest === (await reloaded.webhookEvents.get('wh_contended')).received_at, 'Latest delivery time should be the newest event');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Local Webhook Processing', tests);
+  await fs.rm(directory, { recursive: true, force: true });
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Local Webhook Processing tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for the ASA authorization rule engine
+ * Tests rule matching for MCC, amount, country, velocity and time of day
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import {
+  evaluateAuthorization,
+  getMaxVelocityWindow,
+  DEFAULT_RULE_SET
+} from '../../../src/utils/authorization-rules.js';
+import { schemas } from '../../../src/middleware/validation.js';
+
+const NOW = new Date('2024-01-15T14:30:00Z');
+
+function createRequest(overrides = {}) {
+  return {
+    token: 'txn_test_123',
+    card_token: 'card_test_123',
+    amount: 100,
+    currency: 'USD',
+    merchant: {
+      descriptor: 'AMZN MKTP US',
+      mcc: '5999',
+      country: 'USA'
+    },
+    ...overrides
+  };
+}
+
+const probeThenDecline = {
+  defaultDecision: 'DECLINE',
+  rules: [
+    {
+      id: 'one-probe-only',
+      decision: 'DECLINE',
+      conditions: { velocity: { windowMinutes: 1440, minCount: 1, decision: 'APPROVE' } }
+    },
+    {
+      id: 'allow-probe',
+      decision: 'APPROVE',
+      conditions: { amount: { lte: 100 } }
+    }
+  ]
+};
+
+const tests = [
+  {
+    name: 'should apply the default decision when no rule matches',
+    testFn: async () => {
+      const result = evaluateAuthorization(DEFAULT_RULE_SET, createRequest(), [], NOW);
+      assert(result.decision === 'APPROVE', 'Default rule set should approve');
+      assert(result.ruleId === null, 'No rule id expected');
+    }
+  },
+  {
+    name: 'should approve the first $1 probe and decline the next charge',
+    testFn: async () => {
+      const first = evaluateAuthorization(probeThenDecline, createRequest(), [], NOW);
+      assert(first.decision === 'APPROVE', 'First $1 probe should be approved');
+      assert(first.ruleId === 'allow-probe', 'Probe rule should match');
+
+      const history = [{ decision: 'APPROVE', decided_at: '2024-01-15T14:00:00Z' }];
+      const second = evaluateAuthorization(probeThenDecline, createRequest({ amount: 5000 }), history, NOW);
+      assert(second.decision === 'DECLINE', 'Follow-up charge should be declined');
+      assert(second.ruleId === 'one-probe-only', 'Velocity rule should match');
+    }
+  },
+  {
+    name: 'should ignore history outside the velocity window',
+    testFn: async () => {
+      const history = [{ decision: 'APPROVE', decided_at: '2024-01-13T14:00:00Z' }];
+      const result = evaluateAuthorization(probeThenDecline, createRequest(), history, NOW);
+      assert(result.decision === 'APPROVE', 'Old approvals should not count');
+    }
+  },
+  {
+    name: 'should only count history with the requested decision',
+    testFn: async () => {
+      const history = [{ decision: 'DECLINE', decided_at: '2024-01-15T14:00:00Z' }];
+      const result = evaluateAuthorization(probeThenDecline, createRequest(), history, NOW);
+      assert(result.decision === 'APPROVE', 'Declines should not count toward an APPROVE velocity');
+    }
+  },
+  {
+    name: 'should match MCC include and exclude lists',
+    testFn: async () => {
+      const ruleSet = {
+        defaultDecision: 'APPROVE',
+        rules: [{ id: 'block-crypto', decision: 'DECLINE', declineCode: 'UNAUTHORIZED_MERCHANT', conditions: { mcc: { in: ['6051', '4829'] } } }]
+      };
+
+      const blocked = evaluateAuthorization(ruleSet, createRequest({ merchant: { mcc: '6051' } }), [], NOW);
+      assert(blocked.decision === 'DECLINE', 'Listed MCC should be declined');
+      assert(blocked.declineCode === 'UNAUTHORIZED_MERCHANT', 'Decline code should be returned');
+
+      const allowed = evaluateAuthorization(ruleSet, createRequest(), [], NOW);
+      assert(allowed.decision === 'APPROVE', 'Other MCCs should fall through');
+
+      const notInRuleSet = {
+        defaultDecision: 'APPROVE',
+        rules: [{ id: 'only-retail', decision: 'DECLINE', conditions: { mcc: { notIn: ['5999'] } } }]
+      };
+      assert(evaluateAuthorization(notInRuleSet, createRequest(), [], NOW).decision === 'APPROVE', 'Excluded MCC should not match');
+    }
+  },
+  {
+    name: 'should match country case-insensitively',
+    testFn: async () => {
+      const ruleSet = {
+        defaultDecision: 'APPROVE',
+        rules: [{ id: 'foreign', decision: 'DECLINE', conditions: { country: { notIn: ['usa'] } } }]
+      };
+
+      assert(evaluateAuthorization(ruleSet, createRequest(), [], NOW).decision === 'APPROVE', 'Domestic charge should pass');
+      const foreign = createRequest({ merchant: { mcc: '5999', country: 'NGA' } });
+      assert(evaluateAuthorization(ruleSet, foreign, [], NOW).decision === 'DECLINE', 'Foreign charge should be declined');
+    }
+  },
+  {
+    name: 'should require every condition of a rule to match',
+    testFn: async () => {
+      const ruleSet = {
+        defaultDecision: 'APPROVE',
+        rules: [{ id: 'large-foreign', decision: 'DECLINE', conditions: { amount: { gt: 1000 }, country: { notIn: ['USA'] } } }]
+      };
+
+      const smallForeign = createRequest({ merchant: { country: 'GBR' }, amount: 500 });
+      const largeForeign = createRequest({ merchant: { country: 'GBR' }, amount: 5000 });
+      assert(evaluateAuthorization(ruleSet, smallForeign, [], NOW).decision === 'APPROVE', 'Only one condition matches');
+      assert(evaluateAuthorization(ruleSet, largeForeign, [], NOW).decision === 'DECLINE', 'Both conditions match');
+    }
+  },
+  {
+    name: 'should match time-of-day windows including overnight windows',
+    testFn: async () => {
+      const overnight = {
+        defaultDecision: 'APPROVE',
+        rules: [{ id: 'night', decision: 'DECLINE', conditions: { timeOfDay: { start: '22:00', end: '06:00', timezone: 'UTC' } } }]
+      };
+
+      assert(evaluateAuthorization(overnight, createRequest(), [], NOW).decision === 'APPROVE', '14:30 UTC is outside the night window');
+      assert(evaluateAuthorization(overnight, createRequest(), [], new Date('2024-01-15T23:15:00Z')).decision === 'DECLINE', '23:15 UTC is inside');
+      assert(evaluateAuthorization(overnight, createRequest(), [], new Date('2024-01-15T05:59:00Z')).decision === 'DECLINE', '05:59 UTC is inside');
+
+      const newYorkDaytime = {
+        defaultDecision: 'DECLINE',
+        rules: [{ id: 'office-hours', decision: 'APPROVE', conditions: { timeOfDay: { start: '09:00', end: '17:00', timezone: 'America/New_York' } } }]
+      };
+      // 14:30 UTC is 09:30 in New York in January
+      assert(evaluateAuthorization(newYorkDaytime, createRequest(), [], NOW).decision === 'APPROVE', 'Timezone should be honoured');
+    }
+  },
+  {
+    name: 'should report the longest velocity window of a rule set',
+    testFn: async () => {
+      assert(getMaxVelocityWindow(probeThenDecline) === 1440, 'Longest window should be 1440 minutes');
+      assert(getMaxVelocityWindow(DEFAULT_RULE_SET) === 0, 'No velocity rules means no window');
+    }
+  },
+  {
+    name: 'should reject rule sets with an unknown timezone',
+    testFn: async () => {
+      const withTimezone = (timezone) => ({
+        rules: [{ id: 'night', decision: 'DECLINE', conditions: { timeOfDay: { start: '22:00', end: '06:00', timezone } } }]
+      });
+
+      assert(!schemas.authorizationRuleSet.validate(withTimezone('Europe/Paris')).error, 'IANA zone should be accepted');
+      const { error } = schemas.authorizationRuleSet.validate(withTimezone('Mars/Olympus_Mons'));
+      assert(error && error.message.includes('IANA timezone'), `Unknown zone should be rejected, got ${error?.message}`);
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Authorization Rules', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Authorization Rules tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for scammer case helpers
+ * Tests tag normalization, link conversion, status changes and note text validation
+ */
+
+import { runTestSuite, assert, createMockContext } from '../../helpers/test-helpers.js';
+import { validateCaseNote } from '../../../src/middleware/validation.js';
+import { createLocalStorage } from '../../../src/storage/local/index.js';
+import {
+  normalizeCaseTags,
+  createCaseLinks,
+  groupCaseLinks,
+  getCaseStatusChanges
+} from '../../../src/utils/cases.js';
+
+const tests = [
+  {
+    name: 'should normalize tags',
+    testFn: async () => {
+      const tags = normalizeCaseTags([' Gift-Cards ', 'gift-cards', '', 'IRS']);
+      assert(tags.length === 2 && tags[0] === 'gift-cards' && tags[1] === 'irs', `Unexpected tags ${tags}`);
+      assert(normalizeCaseTags().length === 0, 'Missing tags should be empty');
+    }
+  },
+  {
+    name: 'should convert link values to unique links and back',
+    testFn: async () => {
+      const links = createCaseLinks({
+        cardTokens: ['card_1', 'card_1'],
+        sessionIds: ['session_1'],
+        conversationIds: ['conv_1', null]
+      });
+
+      assert(links.length === 3, `Duplicates and empty values should be skipped, got ${links.length}`);
+      assert(links[0].link_type === 'card' && links[0].value === 'card_1', 'Card link');
+
+      const grouped = groupCaseLinks([...links, { link_type: 'unknown', value: 'x' }]);
+      assert(grouped.cardTokens.length === 1 && grouped.sessionIds[0] === 'session_1', 'Links are grouped by type');
+      assert(grouped.transactionTokens.length === 0, 'Every type is present');
+      assert(grouped.conversationIds[0] === 'conv_1', 'Conversation link');
+    }
+  },
+  {
+    name: 'should record the close time and clear it when reopening',
+    testFn: async () => {
+      const now = new Date('2026-04-10T00:00:00Z');
+
+      const closed = getCaseStatusChanges({ status: 'open' }, 'closed', now);
+      assert(closed.status === 'closed' && closed.closed_at === '2026-04-10T00:00:00.000Z', 'Closing sets closed_at');
+
+      const reopened = getCaseStatusChanges({ status: 'closed' }, 'investigating', now);
+      assert(reopened.status === 'investigating' && reopened.closed_at === null, 'Reopening clears closed_at');
+
+      assert(Object.keys(getCaseStatusChanges({ status: 'open' }, 'open', now)).length === 0, 'Same status changes nothing');
+      assert(Object.keys(getCaseStatusChanges({ status: 'open' }, undefined, now)).length === 0, 'No status changes nothing');
+    }
+  },
+  {
+    name: 'should keep quotes and semicolons in notes unchanged',
+    testFn: async () => {
+      const body = `Caller said "it's the IRS"; asked for $500 in gift cards -- twice /* again */`;
+      const { req, res, getResponse } = createMockContext({ body, author: "O'Brien" });
+      let passed = false;
+      await validateCaseNote(req, res, () => { passed = true; });
+
+      assert(passed, `Note should be valid: ${JSON.stringify(getResponse().responseData)}`);
+      assert(req.validatedData.body === body, `Note body was changed: ${req.validatedData.body}`);
+      assert(req.validatedData.author === "O'Brien", 'Author was changed');
+
+      const storage = createLocalStorage();
+      const created = await storage.cases.create({ title: 'Gift card caller' });
+      await storage.cases.addNote(created.id, req.validatedData);
+      const [note] = await storage.cases.listNotes(created.id);
+      assert(note.body === body && note.author === "O'Brien", 'Stored note should round-trip unchanged');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Cases', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Cases tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for merchant entity resolution
+ * Tests descriptor normalization, similarity scoring and merchant group matching
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import {
+  MATCH_THRESHOLD,
+  normalizeDescriptor,
+  descriptorSimilarity,
+  scoreMerchantMatch,
+  findBestMerchantGroup,
+  getDescriptorSearchKey
+} from '../../../src/utils/merchant-resolution.js';
+
+function createGroup(overrides = {}) {
+  return {
+    id: 'group_test_123',
+    canonical_name: 'AMZN MKTP US',
+    normalized_descriptor: 'AMZN MKTP US',
+    mcc: '5942',
+    country: 'USA',
+    ...overrides
+  };
+}
+
+const tests = [
+  {
+    name: 'should strip reference codes, store numbers and noise words',
+    testFn: async () => {
+      assert(normalizeDescriptor('AMZN Mktp US*7Y1') === 'AMZN MKTP US', `Got ${normalizeDescriptor('AMZN Mktp US*7Y1')}`);
+      assert(normalizeDescriptor('AMZN MKTP US*2K3LM0') === 'AMZN MKTP US', 'Reference suffix is removed');
+      assert(normalizeDescriptor('STARBUCKS STORE #12345') === 'STARBUCKS', `Got ${normalizeDescriptor('STARBUCKS STORE #12345')}`);
+      assert(normalizeDescriptor('Netflix.com') === 'NETFLIX', `Got ${normalizeDescriptor('Netflix.com')}`);
+      assert(normalizeDescriptor(null) === '', 'Missing descriptor normalizes to empty');
+    }
+  },
+  {
+    name: 'should drop payment facilitator prefixes',
+    testFn: async () => {
+      assert(normalizeDescriptor('SQ *BLUE BOTTLE 0423') === 'BLUE BOTTLE', `Got ${normalizeDescriptor('SQ *BLUE BOTTLE 0423')}`);
+      assert(normalizeDescriptor('PAYPAL *SPOTIFY') === 'SPOTIFY', 'PayPal prefix is removed');
+      assert(getDescriptorSearchKey('SQ *BLUE BOTTLE 0423') === 'BLUE', 'Search key is the first normalized word');
+    }
+  },
+  {
+    name: 'should score descriptor variants as similar',
+    testFn: async () => {
+      assert(descriptorSimilarity('AMZN MKTP US', 'AMZN MKTP US') === 1, 'Identical descriptors score 1');
+      assert(descriptorSimilarity('BLUE BOTTLE', 'BLUE BOTTLE COFFEE') >= MATCH_THRESHOLD, 'Extra words still match');
+      assert(descriptorSimilarity('UBER TRIP', 'UBER EATS') < MATCH_THRESHOLD, 'Different products of a brand do not match');
+      assert(descriptorSimilarity('SHELL', 'SHELL OIL') >= MATCH_THRESHOLD, 'Distinctive single word is contained');
+      assert(descriptorSimilarity('', 'SHELL') === 0, 'Empty descriptor never matches');
+    }
+  },
+  {
+    name: 'should match a merchant to the best group above the threshold',
+    testFn: async () => {
+      const groups = [
+        createGroup({ id: 'group_books', normalized_descriptor: 'AMZN BOOKS' }),
+        createGroup({ id: 'group_mktp' })
+      ];
+      const match = findBestMerchantGroup({ descriptor: 'AMZN Mktp US*7Y1', mcc: '5942', country: 'USA' }, groups);
+      assert(match && match.group.id === 'group_mktp', `Expected group_mktp, got ${JSON.stringify(match)}`);
+      assert(match.score === 1, `Expected a perfect score, got ${match.score}`);
+
+      const noMatch = findBestMerchantGroup({ descriptor: 'WALGREENS #1234', mcc: '5912', country: 'USA' }, groups);
+      assert(noMatch === null, 'Unrelated merchant should start a new group');
+    }
+  },
+  {
+    name: 'should lower the score when MCC or country differ',
+    testFn: async () => {
+      const merchant = { descriptor: 'AMZN MKTP US*7Y1', mcc: '5942', country: 'USA' };
+      assert(scoreMerchantMatch(merchant, createGroup()) === 1, 'Same MCC and country keep the score');
+      assert(scoreMerchantMatch(merchant, createGroup({ mcc: '5411' })) === 0.85, 'Different MCC lowers the score');
+      assert(scoreMerchantMatch(merchant, createGroup({ mcc: '5411', country: 'CAN' })) === 0.765, 'Penalties multiply');
+      assert(findBestMerchantGroup(merchant, [createGroup({ mcc: '5411', country: 'CAN' })]) === null, 'Penalized score falls below the threshold');
+      assert(scoreMerchantMatch({ descriptor: 'AMZN MKTP US' }, createGroup()) === 1, 'Missing MCC and country are not penalized');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Merchant Resolution', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Merchant Resolution tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
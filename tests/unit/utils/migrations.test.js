@@ -0,0 +1,87 @@
+/**
+ * Unit tests for schema migration planning
+ * Tests file name parsing, checksums and pending/changed/unknown detection
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import {
+  parseMigrationFileName,
+  getMigrationChecksum,
+  planMigrations
+} from '../../../src/utils/migrations.js';
+
+function createMigration(version, name, sql = `-- ${name}`) {
+  return { version, name, checksum: getMigrationChecksum(sql) };
+}
+
+const tests = [
+  {
+    name: 'should parse migration file names',
+    testFn: async () => {
+      const parsed = parseMigrationFileName('0004_merchant_groups.sql');
+      assert(parsed && parsed.version === '0004' && parsed.name === 'merchant_groups', `Unexpected ${JSON.stringify(parsed)}`);
+      assert(parseMigrationFileName('README.md') === null, 'Non-SQL files are not migrations');
+      assert(parseMigrationFileName('4_short_version.sql') === null, 'Versions have four digits');
+      assert(parseMigrationFileName('0001_Initial-Schema.sql') === null, 'Names are lower snake case');
+    }
+  },
+  {
+    name: 'should ignore line endings in checksums',
+    testFn: async () => {
+      assert(getMigrationChecksum('select 1;\nselect 2;') === getMigrationChecksum('select 1;\r\nselect 2;'), 'CRLF and LF give the same checksum');
+      assert(getMigrationChecksum('select 1;') !== getMigrationChecksum('select 2;'), 'Different SQL gives a different checksum');
+    }
+  },
+  {
+    name: 'should list pending migrations in version order',
+    testFn: async () => {
+      const migrations = [createMigration('0003', 'jobs'), createMigration('0001', 'initial'), createMigration('0002', 'cards')];
+      const plan = planMigrations(migrations, [{ ...createMigration('0001', 'initial'), applied_at: '2024-01-01T00:00:00Z' }]);
+      assert(plan.applied.length === 1 && plan.applied[0].version === '0001', 'First migration is applied');
+      assert(plan.pending.map(migration => migration.version).join(',') === '0002,0003', 'Pending migrations are sorted');
+      assert(plan.changed.length === 0 && plan.unknown.length === 0, 'Nothing changed or unknown');
+    }
+  },
+  {
+    name: 'should detect edited and unknown migrations',
+    testFn: async () => {
+      const plan = planMigrations(
+        [createMigration('0001', 'initial', 'create table a ();')],
+        [
+          { ...createMigration('0001', 'initial', 'create table b ();'), applied_at: '2024-01-01T00:00:00Z' },
+          { ...createMigration('0009', 'removed'), applied_at: '2024-01-02T00:00:00Z' }
+        ]
+      );
+      assert(plan.changed.length === 1 && plan.changed[0].version === '0001', 'Edited migration is detected');
+      assert(plan.unknown.length === 1 && plan.unknown[0].version === '0009', 'Recorded migration without a file is unknown');
+    }
+  },
+  {
+    name: 'should reject duplicate versions',
+    testFn: async () => {
+      let error = null;
+      try {
+        planMigrations([createMigration('0002', 'cards'), createMigration('0002', 'webhooks')], []);
+      } catch (caught) {
+        error = caught;
+      }
+      assert(error && error.message.includes('0002'), 'Duplicate versions should throw');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Migrations', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Migrations tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for money helpers
+ * Tests ISO 4217 exponents, formatting, transaction amount extraction and per-currency totals
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import {
+  normalizeCurrency,
+  getCurrencyExponent,
+  createMoney,
+  toMajorUnits,
+  fromMajorUnits,
+  formatMoney,
+  getTransactionAmounts,
+  sumByCurrency,
+  averageByCurrency,
+  formatMoneyList
+} from '../../../src/utils/money.js';
+
+const tests = [
+  {
+    name: 'should use ISO 4217 exponents',
+    testFn: async () => {
+      assert(getCurrencyExponent('USD') === 2, 'USD has 2 decimals');
+      assert(getCurrencyExponent('jpy') === 0, 'JPY has no decimals');
+      assert(getCurrencyExponent('KWD') === 3, 'KWD has 3 decimals');
+      assert(normalizeCurrency(undefined) === 'USD', 'Missing currency defaults to USD');
+      assert(normalizeCurrency('eur') === 'EUR', 'Currency codes are upper-cased');
+    }
+  },
+  {
+    name: 'should convert between minor and major units',
+    testFn: async () => {
+      assert(toMajorUnits({ amount: 1250, currency: 'USD' }) === 12.5, 'Cents to dollars');
+      assert(toMajorUnits({ amount: 1500, currency: 'JPY' }) === 1500, 'Yen have no minor unit');
+      assert(toMajorUnits({ amount: 1250, currency: 'BHD' }) === 1.25, 'Fils to dinars');
+      const money = fromMajorUnits(12.34, 'USD');
+      assert(money.amount === 1234 && money.currency === 'USD', `Unexpected money ${JSON.stringify(money)}`);
+    }
+  },
+  {
+    name: 'should format amounts with the currency exponent',
+    testFn: async () => {
+      assert(formatMoney(createMoney(1250, 'USD')) === '$12.50', 'USD formatting');
+      assert(formatMoney(createMoney(1500, 'JPY')) === '¥1,500', `JPY formatting: ${formatMoney(createMoney(1500, 'JPY'))}`);
+      assert(formatMoney(createMoney(1250, 'KWD')).endsWith('1.250'), 'KWD keeps three decimals');
+      assert(formatMoney(createMoney(1250, 'EUR'), { locale: 'de-DE' }).includes('12,50'), 'Locale-aware formatting');
+    }
+  },
+  {
+    name: 'should read cardholder and merchant amounts from a raw Lithic transaction',
+    testFn: async () => {
+      const amounts = getTransactionAmounts({
+        events: [{
+          amounts: {
+            cardholder: { amount: 1087, currency: 'USD', conversion_rate: '0.0072' },
+            merchant: { amount: 150000, currency: 'JPY' }
+          }
+        }]
+      });
+      assert(amounts.cardholder.amount === 1087 && amounts.cardholder.currency === 'USD', 'Cardholder amount in USD');
+      assert(amounts.merchant.amount === 150000 && amounts.merchant.currency === 'JPY', 'Merchant amount in JPY');
+      assert(amounts.is_foreign_currency === true, 'Different currencies are foreign');
+      assert(amounts.conversion_rate === 0.0072, 'Conversion rate should be parsed');
+    }
+  },
+  {
+    name: 'should read amounts from parsed details and view rows',
+    testFn: async () => {
+      const parsed = getTransactionAmounts({
+        cardholder_amount: 500,
+        cardholder_currency: 'USD',
+        merchant_amount: 500,
+        merchant_currency: 'USD'
+      });
+      assert(parsed.cardholder.amount === 500 && !parsed.is_foreign_currency, 'Parsed details in USD');
+
+      const viewRow = getTransactionAmounts({ cardholder_amount_usd: 12.45, cardholder_currency: 'USD' });
+      assert(viewRow.cardholder.amount === 1245, `View amount should be in minor units, got ${viewRow.cardholder.amount}`);
+      assert(viewRow.merchant.amount === 1245, 'Merchant amount falls back to the cardholder amount');
+    }
+  },
+  {
+    name: 'should total and average per currency',
+    testFn: async () => {
+      const moneys = [createMoney(1000, 'USD'), createMoney(3000, 'USD'), createMoney(1500, 'EUR')];
+      const totals = sumByCurrency(moneys);
+      assert(totals.length === 2, 'One total per currency');
+      assert(totals[0].currency === 'USD' && totals[0].amount === 4000 && totals[0].count === 2, 'USD total');
+      assert(totals[1].currency === 'EUR' && totals[1].amount === 1500, 'EUR total');
+
+      const averages = averageByCurrency(moneys);
+      assert(averages[0].amount === 2000, 'USD average');
+      assert(formatMoneyList(averages) === '$20.00 + €15.00', `Unexpected list ${formatMoneyList(averages)}`);
+      assert(formatMoneyList([]) === '$0.00', 'Empty list formats as zero');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Money', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Money tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
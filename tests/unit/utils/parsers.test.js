@@ -0,0 +1,215 @@
+/**
+ * Unit tests for Lithic payload parsers
+ * Tests the pure parsing helpers in src/utils/parsers.js
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import {
+  parseCardDetails,
+  parseAuthorizationRequest,
+  parseTransactionEvents,
+  parseTokenizationEvent,
+  parseThreeDSAuthentication,
+  parseBalanceUpdate
+} from '../../../src/utils/parsers.js';
+
+const sampleLithicCard = {
+  token: 'card_test_1234567890',
+  pan: '4111111111111111',
+  cvv: '123',
+  exp_month: '12',
+  exp_year: '2030',
+  last_four: '1111',
+  state: 'OPEN',
+  type: 'VIRTUAL',
+  spend_limit: 100,
+  spend_limit_duration: 'TRANSACTION',
+  memo: 'Honeypot Card',
+  created: '2024-01-15T10:30:00Z'
+};
+
+const tests = [
+  {
+    name: 'parseCardDetails should map registry fields',
+    testFn: async () => {
+      const parsed = parseCardDetails(sampleLithicCard);
+
+      assert(parsed.token === sampleLithicCard.token, 'Token should be preserved');
+      assert(parsed.last_four === '1111', 'Last four should be preserved');
+      assert(parsed.state === 'OPEN', 'State should be preserved');
+      assert(parsed.type === 'VIRTUAL', 'Type should be preserved');
+      assert(parsed.spend_limit === 100, 'Spend limit should be preserved');
+      assert(parsed.spend_limit_duration === 'TRANSACTION', 'Spend limit duration should be preserved');
+      assert(parsed.memo === 'Honeypot Card', 'Memo should be preserved');
+      assert(parsed.created_at === '2024-01-15T10:30:00Z', 'Created timestamp should map to created_at');
+    }
+  },
+  {
+    name: 'parseCardDetails should never include PAN or CVV',
+    testFn: async () => {
+      const parsed = parseCardDetails(sampleLithicCard);
+      const serialized = JSON.stringify(parsed);
+
+      assert(!('pan' in parsed), 'Parsed card must not contain pan');
+      assert(!('cvv' in parsed), 'Parsed card must not contain cvv');
+      assert(!serialized.includes('4111111111111111'), 'Serialized card must not contain the PAN');
+    }
+  },
+  {
+    name: 'parseCardDetails should default missing fields',
+    testFn: async () => {
+      const parsed = parseCardDetails({ token: 'card_minimal_123' });
+
+      assert(parsed.state === 'UNKNOWN', 'Missing state should default to UNKNOWN');
+      assert(parsed.last_four === null, 'Missing last four should be null');
+      assert(parsed.spend_limit === null, 'Missing spend limit should be null');
+      assert(parsed.memo === null, 'Missing memo should be null');
+      assert(parsed.created_at === null, 'Missing created should be null');
+    }
+  },
+  {
+    name: 'parseCardDetails should keep a zero spend limit',
+    testFn: async () => {
+      const parsed = parseCardDetails({ ...sampleLithicCard, spend_limit: 0 });
+      assert(parsed.spend_limit === 0, 'A zero spend limit is meaningful and must be kept');
+    }
+  },
+  {
+    name: 'parseAuthorizationRequest should read card token and merchant fields',
+    testFn: async () => {
+      const parsed = parseAuthorizationRequest({
+        token: 'txn_asa_123',
+        card: { token: 'card_test_1234567890' },
+        amount: 100,
+        merchant_amount: 85,
+        merchant_currency: 'EUR',
+        status: 'AUTHORIZATION',
+        merchant: { descriptor: 'AMZN MKTP US', mcc: '5999', country: 'USA', acceptor_id: '123' },
+        created: '2024-01-15T10:30:00Z'
+      });
+
+      assert(parsed.token === 'txn_asa_123', 'Token should be preserved');
+      assert(parsed.card_token === 'card_test_1234567890', 'Card token should come from card.token');
+      assert(parsed.amount === 100, 'Amount should be preserved');
+      assert(parsed.merchant_currency === 'EUR', 'Merchant currency should be preserved');
+      assert(parsed.merchant.mcc === '5999', 'MCC should be preserved');
+      assert(parsed.merchant.country === 'USA', 'Country should be preserved');
+    }
+  },
+  {
+    name: 'parseAuthorizationRequest should default missing fields',
+    testFn: async () => {
+      const parsed = parseAuthorizationRequest({ token: 'txn_asa_456', card_token: 'card_flat_123' });
+
+      assert(parsed.card_token === 'card_flat_123', 'Flat card_token should be accepted');
+      assert(parsed.amount === 0, 'Missing amount should default to 0');
+      assert(parsed.merchant.descriptor === 'Unknown Merchant', 'Missing descriptor should default');
+      assert(parsed.merchant.mcc === null, 'Missing MCC should be null');
+    }
+  },
+  {
+    name: 'parseTransactionEvents should keep every event of a transaction',
+    testFn: async () => {
+      const events = parseTransactionEvents({
+        token: 'txn_test_123',
+        card_token: 'card_test_123',
+        created: '2024-01-15T14:00:00Z',
+        events: [
+          { token: 'evt_1', type: 'AUTHORIZATION', result: 'APPROVED', amounts: { cardholder: { amount: 2500, currency: 'USD' } }, created: '2024-01-15T14:00:00Z' },
+          { token: 'evt_2', type: 'AUTHORIZATION_REVERSAL', result: 'APPROVED', amount: -2500, created: '2024-01-15T14:05:00Z' }
+        ]
+      });
+
+      assert(events.length === 2, 'Both events should be parsed');
+      assert(events[0].amount === 2500 && events[0].currency === 'USD', 'Cardholder amount should be read');
+      assert(events[1].event_type === 'AUTHORIZATION_REVERSAL', 'Event type should be read');
+      assert(events[1].amount === -2500, 'Legacy amount field should be used as fallback');
+      assert(events[1].transaction_token === 'txn_test_123', 'Events should reference the transaction');
+      assert(parseTransactionEvents({ token: 'txn_empty' }).length === 0, 'Missing events should give an empty list');
+    }
+  },
+  {
+    name: 'parseTokenizationEvent should never keep activation codes',
+    testFn: async () => {
+      const parsed = parseTokenizationEvent('digital_wallet.tokenization_two_factor_authentication_code', {
+        card_token: 'card_test_123',
+        tokenization_token: 'tok_test_123',
+        activation_code: '123456',
+        authentication_code: '654321',
+        device: { type: 'MOBILE_PHONE' }
+      });
+
+      assert(parsed.card_token === 'card_test_123', 'Card token should be read');
+      assert(parsed.tokenization_token === 'tok_test_123', 'Tokenization token should be read');
+      assert(parsed.device_type === 'MOBILE_PHONE', 'Device type should be read');
+      assert(!('activation_code' in parsed.raw_data), 'Activation code must be stripped');
+      assert(!('authentication_code' in parsed.raw_data), 'Authentication code must be stripped');
+    }
+  },
+  {
+    name: 'parseTokenizationEvent should read nested tokenization fields',
+    testFn: async () => {
+      const parsed = parseTokenizationEvent('digital_wallet.tokenization_updated', {
+        tokenization: {
+          token: 'tok_nested_123',
+          card_token: 'card_nested_123',
+          token_requestor_name: 'APPLE_PAY',
+          status: 'ACTIVE'
+        }
+      });
+
+      assert(parsed.tokenization_token === 'tok_nested_123', 'Nested token should be read');
+      assert(parsed.card_token === 'card_nested_123', 'Nested card token should be read');
+      assert(parsed.token_requestor === 'APPLE_PAY', 'Token requestor should be read');
+      assert(parsed.status === 'ACTIVE', 'Status should be read');
+    }
+  },
+  {
+    name: 'parseThreeDSAuthentication should map merchant and transaction fields',
+    testFn: async () => {
+      const parsed = parseThreeDSAuthentication({
+        token: '3ds_test_123',
+        card_token: 'card_test_123',
+        authentication_result: 'SUCCESS',
+        merchant: { name: 'AMAZON', country: 'USA', mcc: '5999' },
+        transaction: { amount: 2500, currency: 'USD' }
+      });
+
+      assert(parsed.merchant_name === 'AMAZON', 'Merchant name should be read');
+      assert(parsed.merchant_mcc === '5999', 'MCC should be read');
+      assert(parsed.amount === 2500, 'Amount should be read');
+      assert(parseThreeDSAuthentication({ token: 'x' }).authentication_result === 'PENDING', 'Missing result should default to PENDING');
+    }
+  },
+  {
+    name: 'parseBalanceUpdate should return one snapshot per balance',
+    testFn: async () => {
+      const snapshots = parseBalanceUpdate({
+        data: [
+          { financial_account_token: 'fa_1', financial_account_type: 'ISSUING', available_amount: 1000 },
+          { financial_account_token: 'fa_2', financial_account_type: 'RESERVE', available_amount: 0 }
+        ]
+      });
+
+      assert(snapshots.length === 2, 'Two snapshots expected');
+      assert(snapshots[1].available_amount === 0, 'Zero balances should be kept');
+      assert(parseBalanceUpdate({ financial_account_token: 'fa_3' }).length === 1, 'A single balance should be wrapped');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Parsers', tests);
+  
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Parsers tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
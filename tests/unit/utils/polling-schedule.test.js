@@ -0,0 +1,147 @@
+/**
+ * Unit tests for the adaptive polling schedule
+ * Tests how webhook health, the latest webhook delivery to any instance and card activity change the polling interval
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import { getPollingSchedule, SCHEDULE_REASONS } from '../../../src/utils/polling-schedule.js';
+
+const NOW = Date.parse('2024-01-15T14:30:00Z');
+const MINUTE = 60 * 1000;
+
+const settings = {
+  minIntervalMs: 10000,
+  baseIntervalMs: 30000,
+  maxIntervalMs: 300000,
+  activityWindowMs: 30 * MINUTE,
+  quietAfterMs: 24 * 60 * MINUTE,
+  webhookFailureThreshold: 3,
+  webhookGraceMs: 2 * MINUTE
+};
+
+function minutesAgo(minutes) {
+  return new Date(NOW - minutes * MINUTE).toISOString();
+}
+
+const tests = [
+  {
+    name: 'should poll fast when webhook processing keeps failing',
+    testFn: async () => {
+      const schedule = getPollingSchedule({
+        webhookHealth: { consecutiveFailures: 3 },
+        lastActivityAt: minutesAgo(600),
+        settings,
+        now: NOW
+      });
+      assert(schedule.intervalMs === 10000, `Expected min interval, got ${schedule.intervalMs}`);
+      assert(schedule.reason === SCHEDULE_REASONS.WEBHOOK_FAILURES, `Unexpected reason ${schedule.reason}`);
+    }
+  },
+  {
+    name: 'should poll fast when a transaction arrived without a webhook',
+    testFn: async () => {
+      const schedule = getPollingSchedule({
+        webhookHealth: { lastReceivedAt: minutesAgo(120), consecutiveFailures: 0 },
+        lastActivityAt: minutesAgo(60),
+        settings,
+        now: NOW
+      });
+      assert(schedule.reason === SCHEDULE_REASONS.WEBHOOKS_MISSING, `Unexpected reason ${schedule.reason}`);
+    }
+  },
+  {
+    name: 'should use the latest webhook received by any instance',
+    testFn: async () => {
+      const elsewhere = getPollingSchedule({
+        webhookHealth: { lastReceivedAt: null, consecutiveFailures: 0 },
+        lastWebhookAt: minutesAgo(61),
+        lastActivityAt: minutesAgo(60),
+        settings,
+        now: NOW
+      });
+      assert(elsewhere.reason === SCHEDULE_REASONS.NORMAL, `Webhooks received by another instance are not missing, got ${elsewhere.reason}`);
+
+      const stale = getPollingSchedule({
+        webhookHealth: { lastReceivedAt: minutesAgo(61), consecutiveFailures: 0 },
+        lastWebhookAt: minutesAgo(300),
+        lastActivityAt: minutesAgo(60),
+        settings,
+        now: NOW
+      });
+      assert(stale.reason === SCHEDULE_REASONS.NORMAL, `The newer delivery time is used, got ${stale.reason}`);
+    }
+  },
+  {
+    name: 'should poll fast when no webhook was ever received while transactions arrive',
+    testFn: async () => {
+      const missing = getPollingSchedule({
+        webhookHealth: { lastReceivedAt: null, consecutiveFailures: 0 },
+        lastWebhookAt: null,
+        lastActivityAt: minutesAgo(10),
+        settings,
+        now: NOW
+      });
+      assert(missing.intervalMs === 10000, `Expected min interval, got ${missing.intervalMs}`);
+      assert(missing.reason === SCHEDULE_REASONS.WEBHOOKS_MISSING, `Unexpected reason ${missing.reason}`);
+
+      const inFlight = getPollingSchedule({ lastWebhookAt: null, lastActivityAt: minutesAgo(1), settings, now: NOW });
+      assert(inFlight.reason === SCHEDULE_REASONS.RECENT_CARD_ACTIVITY, 'A webhook still within the grace period is not missing');
+
+      const old = getPollingSchedule({ lastWebhookAt: null, lastActivityAt: minutesAgo(120), settings, now: NOW });
+      assert(old.reason === SCHEDULE_REASONS.NORMAL, 'Old transactions alone do not mean webhooks are missing');
+    }
+  },
+  {
+    name: 'should poll fast right after card activity',
+    testFn: async () => {
+      const schedule = getPollingSchedule({
+        webhookHealth: { lastReceivedAt: minutesAgo(5), consecutiveFailures: 0 },
+        lastActivityAt: minutesAgo(5),
+        settings,
+        now: NOW
+      });
+      assert(schedule.intervalMs === 10000, 'Recent activity should use the min interval');
+      assert(schedule.reason === SCHEDULE_REASONS.RECENT_CARD_ACTIVITY, `Unexpected reason ${schedule.reason}`);
+    }
+  },
+  {
+    name: 'should use the base interval in between',
+    testFn: async () => {
+      const schedule = getPollingSchedule({
+        webhookHealth: { lastReceivedAt: minutesAgo(120), consecutiveFailures: 1 },
+        lastActivityAt: minutesAgo(120),
+        settings,
+        now: NOW
+      });
+      assert(schedule.intervalMs === 30000, `Expected base interval, got ${schedule.intervalMs}`);
+      assert(schedule.reason === SCHEDULE_REASONS.NORMAL, `Unexpected reason ${schedule.reason}`);
+    }
+  },
+  {
+    name: 'should back off when nothing has happened for a long time',
+    testFn: async () => {
+      const quiet = getPollingSchedule({ lastActivityAt: minutesAgo(3 * 24 * 60), settings, now: NOW });
+      assert(quiet.intervalMs === 300000, `Expected max interval, got ${quiet.intervalMs}`);
+      assert(quiet.reason === SCHEDULE_REASONS.QUIET, `Unexpected reason ${quiet.reason}`);
+
+      const empty = getPollingSchedule({ lastActivityAt: null, settings, now: NOW });
+      assert(empty.reason === SCHEDULE_REASONS.QUIET, 'An empty database counts as quiet');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Polling Schedule', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Polling Schedule tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for reconciliation comparisons
+ * Tests missing, stale, mismatched and orphaned detection for transactions and cards
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import { compareTransactions, compareCards, hasDrift } from '../../../src/utils/reconciliation.js';
+
+function createTransaction(overrides = {}) {
+  return {
+    token: 'txn_test_123',
+    card_token: 'card_test_123',
+    status: 'SETTLED',
+    created: '2024-01-15T14:00:00Z',
+    events: [{ result: 'APPROVED', amounts: { cardholder: { amount: 1500, currency: 'USD' } } }],
+    ...overrides
+  };
+}
+
+function createStoredTransaction(overrides = {}) {
+  return {
+    token: 'txn_test_123',
+    card_token: 'card_test_123',
+    status: 'SETTLED',
+    result: 'APPROVED',
+    cardholder_amount: 1500,
+    ...overrides
+  };
+}
+
+function createCard(overrides = {}) {
+  return {
+    token: 'card_test_123',
+    last_four: '1234',
+    state: 'OPEN',
+    type: 'VIRTUAL',
+    spend_limit: 100,
+    spend_limit_duration: 'TRANSACTION',
+    memo: 'Honeypot',
+    created: '2024-01-01T00:00:00Z',
+    ...overrides
+  };
+}
+
+function createStoredCard(overrides = {}) {
+  return {
+    token: 'card_test_123',
+    state: 'OPEN',
+    spend_limit: 100,
+    spend_limit_duration: 'TRANSACTION',
+    memo: 'Honeypot',
+    ...overrides
+  };
+}
+
+const tests = [
+  {
+    name: 'should report no drift when transactions match',
+    testFn: async () => {
+      const comparison = compareTransactions([createTransaction()], [createStoredTransaction()]);
+      assert(!hasDrift(comparison), `Expected no drift, got ${JSON.stringify(comparison)}`);
+    }
+  },
+  {
+    name: 'should find missing and orphaned transactions',
+    testFn: async () => {
+      const comparison = compareTransactions(
+        [createTransaction({ token: 'txn_lithic_only' })],
+        [createStoredTransaction({ token: 'txn_db_only' })]
+      );
+      assert(comparison.missing.length === 1 && comparison.missing[0] === 'txn_lithic_only', 'Lithic-only transaction is missing');
+      assert(comparison.orphaned.length === 1 && comparison.orphaned[0] === 'txn_db_only', 'Stored-only transaction is orphaned');
+      assert(hasDrift(comparison), 'Missing transactions are drift');
+    }
+  },
+  {
+    name: 'should flag stale status and result',
+    testFn: async () => {
+      const comparison = compareTransactions(
+        [createTransaction({ status: 'VOIDED' })],
+        [createStoredTransaction({ status: 'PENDING' })]
+      );
+      assert(comparison.stale.length === 1, 'Status change should be stale');
+      const { differences } = comparison.stale[0];
+      assert(differences.status.lithic === 'VOIDED' && differences.status.stored === 'PENDING', 'Difference should show both values');
+      assert(!differences.result, 'Unchanged result should not be listed');
+    }
+  },
+  {
+    name: 'should flag mismatched amounts before staleness',
+    testFn: async () => {
+      const comparison = compareTransactions(
+        [createTransaction({ status: 'VOIDED' })],
+        [createStoredTransaction({ status: 'PENDING', cardholder_amount: 999 })]
+      );
+      assert(comparison.mismatched.length === 1, 'Amount difference should be a mismatch');
+      assert(comparison.stale.length === 0, 'A mismatched transaction is not also stale');
+      assert(comparison.mismatched[0].differences.cardholder_amount.lithic === 1500, 'Lithic amount should be reported');
+    }
+  },
+  {
+    name: 'should compare card registry fields',
+    testFn: async () => {
+      const comparison = compareCards(
+        [createCard({ state: 'PAUSED' }), createCard({ token: 'card_new' })],
+        [createStoredCard(), createStoredCard({ token: 'card_closed_elsewhere' })]
+      );
+      assert(comparison.missing.length === 1 && comparison.missing[0] === 'card_new', 'New card is missing');
+      assert(comparison.orphaned.length === 1 && comparison.orphaned[0] === 'card_closed_elsewhere', 'Unknown stored card is orphaned');
+      assert(comparison.stale.length === 1, 'Changed state should be stale');
+      assert(comparison.stale[0].differences.state.lithic === 'PAUSED', 'Stale card should show the Lithic state');
+    }
+  },
+  {
+    name: 'should treat absent and null card fields as equal',
+    testFn: async () => {
+      const comparison = compareCards(
+        [createCard({ memo: undefined, spend_limit: undefined })],
+        [createStoredCard({ memo: null, spend_limit: null })]
+      );
+      assert(!hasDrift(comparison), `Expected no drift, got ${JSON.stringify(comparison)}`);
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Reconciliation', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Reconciliation tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for data retention helpers
+ * Tests card data stripping, raw transaction, webhook and account event payload redaction,
+ * retention cutoffs and archive manifests
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import { parseTransactionEvents } from '../../../src/utils/parsers.js';
+import {
+  maskCardNumbers,
+  stripCardData,
+  isRedactedPayload,
+  redactTransactionPayload,
+  redactWebhookPayload,
+  redactEventPayload,
+  getRetentionCutoffs,
+  getArchiveChecksum,
+  createArchiveManifest
+} from '../../../src/utils/retention.js';
+
+const rawTransaction = {
+  token: 'txn_1',
+  card_token: 'card_1',
+  status: 'SETTLED',
+  result: 'APPROVED',
+  created: '2026-01-10T10:00:00Z',
+  amount: 1250,
+  card: { pan: '4111111111111111', cvv: '123', exp_month: '12', last_four: '1111' },
+  merchant: { descriptor: 'BLUE BOTTLE', acceptor_id: 'ACC1', mcc: '5814', city: 'Oakland', phone: '555' },
+  pos: { terminal: { type: 'ECOMMERCE' } },
+  events: [{
+    token: 'evt_1',
+    type: 'AUTHORIZATION',
+    result: 'APPROVED',
+    created: '2026-01-10T10:00:00Z',
+    amounts: { cardholder: { amount: 1250, currency: 'USD' } },
+    network_info: { visa: { transaction_id: '123456789012345' } }
+  }]
+};
+
+const tests = [
+  {
+    name: 'should mask Luhn-valid card numbers only',
+    testFn: async () => {
+      assert(maskCardNumbers('card 4111 1111 1111 1111 used') === 'card [REDACTED] used', 'Spaced PAN should be masked');
+      assert(maskCardNumbers('4111-1111-1111-1111') === '[REDACTED]', 'Dashed PAN should be masked');
+      assert(maskCardNumbers('ref 4111111111111112') === 'ref 4111111111111112', 'Luhn-invalid numbers are kept');
+      assert(maskCardNumbers('2026-01-10T10:00:00Z') === '2026-01-10T10:00:00Z', 'Timestamps are kept');
+    }
+  },
+  {
+    name: 'should drop card secrets at any depth',
+    testFn: async () => {
+      const stripped = stripCardData({ card: { PAN: '4111111111111111', last_four: '1111' }, list: [{ cvv: '1' }] });
+      assert(stripped.card.PAN === undefined && stripped.card.last_four === '1111', 'PAN key should be dropped');
+      assert(Object.keys(stripped.list[0]).length === 0, 'Nested CVV should be dropped');
+    }
+  },
+  {
+    name: 'should redact a raw transaction to the fields the app reads',
+    testFn: async () => {
+      const redacted = redactTransactionPayload(rawTransaction, new Date('2026-04-10T00:00:00Z'));
+
+      assert(isRedactedPayload(redacted), 'Payload should be marked as redacted');
+      assert(redacted.redacted_at === '2026-04-10T00:00:00.000Z', 'Redaction time should be recorded');
+      assert(redacted.card === undefined && redacted.pos === undefined, 'Card and POS data should be removed');
+      assert(redacted.merchant.phone === undefined && redacted.merchant.mcc === '5814', 'Merchant keeps only known fields');
+      assert(redacted.events[0].network_info === undefined, 'Network data should be removed from events');
+      assert(!JSON.stringify(redacted).includes('4111111111111111'), 'No PAN may remain');
+
+      const events = parseTransactionEvents(redacted);
+      assert(events.length === 1 && events[0].amount === 1250, 'Redacted payload should still parse into events');
+      assert(redactTransactionPayload(redacted) === redacted, 'Redacting twice is a no-op');
+    }
+  },
+  {
+    name: 'should redact webhook deliveries and keep them replayable',
+    testFn: async () => {
+      const redactedAt = new Date('2026-04-10T00:00:00Z');
+      const transactionEvent = redactWebhookPayload({ type: 'transaction.created', payload: rawTransaction }, redactedAt);
+      assert(isRedactedPayload(transactionEvent) && transactionEvent.type === 'transaction.created', 'Event type should be kept');
+      assert(transactionEvent.payload.token === 'txn_1' && transactionEvent.payload.card === undefined, 'Transaction payload is reduced');
+      assert(!JSON.stringify(transactionEvent).includes('4111111111111111'), 'No PAN may remain');
+
+      const disputeEvent = redactWebhookPayload({ type: 'dispute.updated', payload: { token: 'dsp_1', note: 'card 4111 1111 1111 1111' } }, redactedAt);
+      assert(disputeEvent.payload.token === 'dsp_1' && disputeEvent.payload.note === 'card [REDACTED]', 'Other payloads keep their fields');
+      assert(redactWebhookPayload(disputeEvent) === disputeEvent, 'Redacting twice is a no-op');
+    }
+  },
+  {
+    name: 'should redact dispute, tokenization and 3DS payloads',
+    testFn: async () => {
+      const redacted = redactEventPayload({ token: 'tds_1', card: { pan: '4111111111111111', last_four: '1111' } }, new Date('2026-04-10T00:00:00Z'));
+      assert(isRedactedPayload(redacted) && redacted.redacted_at === '2026-04-10T00:00:00.000Z', 'Payload should be marked as redacted');
+      assert(redacted.token === 'tds_1' && redacted.card.pan === undefined && redacted.card.last_four === '1111', 'Card secrets are dropped');
+      assert(redactEventPayload(redacted) === redacted, 'Redacting twice is a no-op');
+    }
+  },
+  {
+    name: 'should compute retention cutoffs and disable steps at 0 days',
+    testFn: async () => {
+      const now = new Date('2026-04-10T00:00:00Z');
+      const cutoffs = getRetentionCutoffs({ rawDataDays: 30, archiveDays: 0 }, now);
+      assert(cutoffs.rawDataBefore === '2026-03-11T00:00:00.000Z', `Unexpected raw data cutoff ${cutoffs.rawDataBefore}`);
+      assert(cutoffs.archiveBefore === null, 'Archival should be disabled');
+    }
+  },
+  {
+    name: 'should describe an archive in its manifest',
+    testFn: async () => {
+      const content = Buffer.from('compressed');
+      const manifest = createArchiveManifest({
+        id: 'archive_1',
+        fileName: 'transactions-1.jsonl.gz',
+        records: [
+          { transaction: { token: 'b', created_at: '2025-02-01T00:00:00Z' }, events: [{}, {}], merchant_ids: [] },
+          { transaction: { token: 'a', created_at: '2025-01-01T00:00:00Z' }, events: [{}], merchant_ids: [] }
+        ],
+        content,
+        before: '2025-06-01T00:00:00Z',
+        createdAt: new Date('2026-04-10T00:00:00Z')
+      });
+
+      assert(manifest.transaction_count === 2 && manifest.event_count === 3, 'Counts should cover every record');
+      assert(manifest.first_transaction_at === '2025-01-01T00:00:00Z', 'First transaction date');
+      assert(manifest.last_transaction_at === '2025-02-01T00:00:00Z', 'Last transaction date');
+      assert(manifest.sha256 === getArchiveChecksum(content) && manifest.bytes === content.length, 'Checksum and size');
+      assert(manifest.restored_at === null, 'New archives are not restored');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Retention', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Retention tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for transaction lifecycle tracking
+ * Tests how authorization, clearing, reversal and return events map to a stage
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import { getTransactionLifecycle, LIFECYCLE_STAGES } from '../../../src/utils/transaction-lifecycle.js';
+
+function createEvent(eventType, amount, minute, result = 'APPROVED') {
+  return {
+    event_type: eventType,
+    amount,
+    result,
+    created_at: `2024-01-15T14:${String(minute).padStart(2, '0')}:00Z`
+  };
+}
+
+const tests = [
+  {
+    name: 'should report an approved authorization as AUTHORIZED',
+    testFn: async () => {
+      const lifecycle = getTransactionLifecycle([createEvent('AUTHORIZATION', 2500, 0)]);
+      assert(lifecycle.stage === LIFECYCLE_STAGES.AUTHORIZED, `Expected AUTHORIZED, got ${lifecycle.stage}`);
+      assert(lifecycle.is_voided === false, 'Authorization is not voided');
+      assert(lifecycle.amounts.authorized === 2500, 'Authorized amount should be tracked');
+    }
+  },
+  {
+    name: 'should flag an authorization followed by a full reversal as voided',
+    testFn: async () => {
+      const lifecycle = getTransactionLifecycle([
+        createEvent('AUTHORIZATION_REVERSAL', -2500, 5),
+        createEvent('AUTHORIZATION', 2500, 0)
+      ]);
+      assert(lifecycle.stage === LIFECYCLE_STAGES.REVERSED, `Expected REVERSED, got ${lifecycle.stage}`);
+      assert(lifecycle.is_voided === true, 'Reversed charge should be voided');
+      assert(lifecycle.last_event_type === 'AUTHORIZATION_REVERSAL', 'Events should be ordered by time');
+    }
+  },
+  {
+    name: 'should detect partial reversals',
+    testFn: async () => {
+      const lifecycle = getTransactionLifecycle([
+        createEvent('AUTHORIZATION', 10000, 0),
+        createEvent('AUTHORIZATION_REVERSAL', 4000, 5)
+      ]);
+      assert(lifecycle.stage === LIFECYCLE_STAGES.PARTIALLY_REVERSED, `Expected PARTIALLY_REVERSED, got ${lifecycle.stage}`);
+      assert(lifecycle.is_voided === false, 'Partial reversal is not a void');
+    }
+  },
+  {
+    name: 'should move cleared and returned transactions forward',
+    testFn: async () => {
+      const cleared = getTransactionLifecycle([
+        createEvent('AUTHORIZATION', 2500, 0),
+        createEvent('CLEARING', 2500, 30)
+      ]);
+      assert(cleared.stage === LIFECYCLE_STAGES.CLEARED, `Expected CLEARED, got ${cleared.stage}`);
+
+      const returned = getTransactionLifecycle([
+        createEvent('AUTHORIZATION', 2500, 0),
+        createEvent('CLEARING', 2500, 30),
+        createEvent('RETURN', 2500, 45)
+      ]);
+      assert(returned.stage === LIFECYCLE_STAGES.RETURNED, `Expected RETURNED, got ${returned.stage}`);
+      assert(returned.amounts.returned === 2500, 'Returned amount should be tracked');
+    }
+  },
+  {
+    name: 'should report expired authorizations as voided',
+    testFn: async () => {
+      const lifecycle = getTransactionLifecycle([
+        createEvent('AUTHORIZATION', 100, 0),
+        createEvent('AUTHORIZATION_EXPIRY', 100, 59)
+      ]);
+      assert(lifecycle.stage === LIFECYCLE_STAGES.EXPIRED, `Expected EXPIRED, got ${lifecycle.stage}`);
+      assert(lifecycle.is_voided === true, 'Expired authorization should be voided');
+    }
+  },
+  {
+    name: 'should report declined and empty histories',
+    testFn: async () => {
+      const declined = getTransactionLifecycle([createEvent('AUTHORIZATION', 2500, 0, 'DECLINED')]);
+      assert(declined.stage === LIFECYCLE_STAGES.DECLINED, `Expected DECLINED, got ${declined.stage}`);
+
+      const empty = getTransactionLifecycle([]);
+      assert(empty.stage === LIFECYCLE_STAGES.PENDING, 'No events means PENDING');
+      assert(empty.event_count === 0 && empty.last_event_type === null, 'Empty history has no last event');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Transaction Lifecycle', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Transaction Lifecycle tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for transaction polling cursor helpers
+ * Tests the overlap window, insert/update/skip decisions and cursor advancement
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import {
+  getPollingWindowStart,
+  classifyPolledTransaction,
+  getNextCursor,
+  countSaveFailures,
+  splitTimeRange
+} from '../../../src/utils/transaction-polling.js';
+
+function createTransaction(overrides = {}) {
+  return {
+    token: 'txn_test_123',
+    status: 'SETTLED',
+    created: '2024-01-15T14:00:00Z',
+    events: [{ result: 'APPROVED' }],
+    ...overrides
+  };
+}
+
+const tests = [
+  {
+    name: 'should start the window one overlap before the cursor',
+    testFn: async () => {
+      const start = getPollingWindowStart('2024-01-15T14:10:00.000Z', 10 * 60 * 1000);
+      assert(start === '2024-01-15T14:00:00.000Z', `Unexpected window start ${start}`);
+      assert(getPollingWindowStart(null, 1000) === null, 'No cursor means no window start');
+    }
+  },
+  {
+    name: 'should insert unknown transactions and skip unchanged ones',
+    testFn: async () => {
+      const transaction = createTransaction();
+      assert(classifyPolledTransaction(transaction, undefined) === 'insert', 'Unknown transaction should be inserted');
+      assert(
+        classifyPolledTransaction(transaction, { status: 'SETTLED', result: 'APPROVED' }) === 'skip',
+        'Unchanged transaction should be skipped'
+      );
+    }
+  },
+  {
+    name: 'should update transactions whose status or result changed',
+    testFn: async () => {
+      const voided = createTransaction({ status: 'VOIDED' });
+      assert(
+        classifyPolledTransaction(voided, { status: 'PENDING', result: 'APPROVED' }) === 'update',
+        'Status change should be an update'
+      );
+
+      const declined = createTransaction({ events: [{ result: 'DECLINED' }] });
+      assert(
+        classifyPolledTransaction(declined, { status: 'SETTLED', result: 'APPROVED' }) === 'update',
+        'Result change should be an update'
+      );
+    }
+  },
+  {
+    name: 'should update transactions that gained events without a status change',
+    testFn: async () => {
+      const cleared = createTransaction({
+        events: [
+          { token: 'evt_auth', type: 'AUTHORIZATION', result: 'APPROVED' },
+          { token: 'evt_clearing', type: 'CLEARING', result: 'APPROVED' }
+        ]
+      });
+      assert(
+        classifyPolledTransaction(cleared, { status: 'SETTLED', result: 'APPROVED', eventCount: 1 }) === 'update',
+        'New event should be an update'
+      );
+      assert(
+        classifyPolledTransaction(cleared, { status: 'SETTLED', result: 'APPROVED', eventCount: 2 }) === 'skip',
+        'Known events should be skipped'
+      );
+    }
+  },
+  {
+    name: 'should advance the cursor to the newest transaction only',
+    testFn: async () => {
+      const transactions = [
+        createTransaction({ created: '2024-01-15T14:05:00Z' }),
+        createTransaction({ created: '2024-01-15T14:20:00Z' }),
+        createTransaction({ created: null })
+      ];
+
+      assert(getNextCursor('2024-01-15T14:00:00Z', transactions) === '2024-01-15T14:20:00.000Z', 'Cursor should move to the newest transaction');
+      assert(getNextCursor('2024-01-15T15:00:00Z', transactions) === '2024-01-15T15:00:00.000Z', 'Cursor should never move backwards');
+      assert(getNextCursor(null, []) === null, 'No cursor and no transactions stays null');
+    }
+  },
+  {
+    name: 'should give up on a transaction after it failed to save too many cycles in a row',
+    testFn: async () => {
+      let result = countSaveFailures({}, ['txn_bad', 'txn_flaky'], 3);
+      assert(result.failures.txn_bad === 1 && result.abandoned.length === 0, 'First failure should be counted');
+
+      // txn_flaky saved in the second cycle, so its count is not carried over
+      result = countSaveFailures(result.failures, ['txn_bad'], 3);
+      assert(result.failures.txn_bad === 2 && !('txn_flaky' in result.failures), 'Saved transactions should be forgotten');
+
+      result = countSaveFailures(result.failures, ['txn_bad'], 3);
+      assert(result.abandoned.join(',') === 'txn_bad', 'Third failure in a row should give up on the transaction');
+      assert(Object.keys(result.failures).length === 0, 'An abandoned transaction should not hold the cursor back');
+    }
+  },
+  {
+    name: 'should split a backfill range into consecutive windows',
+    testFn: async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const windows = splitTimeRange('2024-01-01T00:00:00Z', '2024-01-03T12:00:00Z', day);
+
+      assert(windows.length === 3, `Expected 3 windows, got ${windows.length}`);
+      assert(windows[0].begin === '2024-01-01T00:00:00.000Z', 'First window starts at begin');
+      assert(windows[1].begin === windows[0].end, 'Windows should be consecutive');
+      assert(windows[2].end === '2024-01-03T12:00:00.000Z', 'Last window is cut at end');
+      assert(splitTimeRange('2024-01-02T00:00:00Z', '2024-01-01T00:00:00Z', day).length === 0, 'Empty range has no windows');
+
+      for (const windowMs of [0, -day, NaN]) {
+        let error = null;
+        try {
+          splitTimeRange('2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z', windowMs);
+        } catch (err) {
+          error = err;
+        }
+        assert(error instanceof RangeError, `Window length ${windowMs} should be rejected`);
+      }
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Transaction Polling', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Transaction Polling tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for webhook signature verification
+ * Tests Standard Webhooks signatures, timestamp tolerance, secret configuration and the replay cache
+ */
+
+import { runTestSuite, assert } from '../../helpers/test-helpers.js';
+import {
+  computeSignature,
+  verifyWebhookSignature,
+  getActiveSecrets,
+  validateWebhookSecrets,
+  ReplayCache
+} from '../../../src/utils/webhook-signature.js';
+
+const SECRET = `whsec_${Buffer.from('honeypot-test-secret').toString('base64')}`;
+const OLD_SECRET = `whsec_${Buffer.from('honeypot-old-secret').toString('base64')}`;
+const NOW = Date.parse('2024-01-15T14:30:00Z');
+const NOW_SECONDS = String(Math.floor(NOW / 1000));
+const PAYLOAD = Buffer.from(JSON.stringify({ type: 'transaction.created', payload: { token: 'txn_test_123' } }));
+
+function createDelivery(overrides = {}) {
+  const delivery = {
+    payload: PAYLOAD,
+    webhookId: 'msg_test_123',
+    timestamp: NOW_SECONDS,
+    secrets: [{ id: 'current', secret: SECRET }],
+    toleranceSeconds: 300,
+    now: NOW,
+    ...overrides
+  };
+  delivery.signatureHeader = overrides.signatureHeader ||
+    `v1,${computeSignature(SECRET, delivery.webhookId, delivery.timestamp, delivery.payload)}`;
+  return delivery;
+}
+
+const tests = [
+  {
+    name: 'should accept a correctly signed delivery',
+    testFn: async () => {
+      const result = verifyWebhookSignature(createDelivery());
+      assert(result.valid === true, `Expected valid signature, got ${result.reason}`);
+    }
+  },
+  {
+    name: 'should accept any matching entry of a multi-signature header',
+    testFn: async () => {
+      const delivery = createDelivery();
+      delivery.signatureHeader = `v1,bm90LXRoZS1zaWduYXR1cmU= ${delivery.signatureHeader}`;
+      assert(verifyWebhookSignature(delivery).valid === true, 'Second signature entry should match');
+    }
+  },
+  {
+    name: 'should reject a tampered payload',
+    testFn: async () => {
+      const delivery = createDelivery();
+      delivery.payload = Buffer.from(PAYLOAD.toString().replace('txn_test_123', 'txn_fake_999'));
+      const result = verifyWebhookSignature(delivery);
+      assert(result.valid === false, 'Tampered payload should fail');
+      assert(result.reason === 'invalid_signature', `Unexpected reason ${result.reason}`);
+    }
+  },
+  {
+    name: 'should reject timestamps outside the tolerance window',
+    testFn: async () => {
+      const old = createDelivery({ timestamp: String(Number(NOW_SECONDS) - 301) });
+      assert(verifyWebhookSignature(old).reason === 'timestamp_too_old', 'Old delivery should be rejected');
+
+      const future = createDelivery({ timestamp: String(Number(NOW_SECONDS) + 301) });
+      assert(verifyWebhookSignature(future).reason === 'timestamp_too_new', 'Future delivery should be rejected');
+
+      const edge = createDelivery({ timestamp: String(Number(NOW_SECONDS) - 300) });
+      assert(verifyWebhookSignature(edge).valid === true, 'Delivery at the edge of the window should pass');
+    }
+  },
+  {
+    name: 'should reject missing headers and invalid timestamps',
+    testFn: async () => {
+      assert(verifyWebhookSignature(createDelivery({ webhookId: undefined })).reason === 'missing_headers', 'Missing webhook-id should fail');
+      assert(verifyWebhookSignature(createDelivery({ timestamp: 'yesterday' })).reason === 'invalid_timestamp', 'Non-numeric timestamp should fail');
+    }
+  },
+  {
+    name: 'should report which of several secrets matched',
+    testFn: async () => {
+      const secrets = [{ id: 'new', secret: SECRET }, { id: 'old', secret: OLD_SECRET }];
+      const signedWithOld = createDelivery({
+        secrets,
+        signatureHeader: `v1,${computeSignature(OLD_SECRET, 'msg_test_123', NOW_SECONDS, PAYLOAD)}`
+      });
+      const oldResult = verifyWebhookSignature(signedWithOld);
+      assert(oldResult.valid === true, 'Old secret should still verify');
+      assert(oldResult.secretId === 'old', `Expected old secret to match, got ${oldResult.secretId}`);
+
+      const newResult = verifyWebhookSignature(createDelivery({ secrets }));
+      assert(newResult.secretId === 'new', `Expected new secret to match, got ${newResult.secretId}`);
+    }
+  },
+  {
+    name: 'should drop expired secrets and add the legacy secret',
+    testFn: async () => {
+      const active = getActiveSecrets(
+        [
+          { id: 'old', secret: OLD_SECRET, expiresAt: '2024-01-01T00:00:00Z' },
+          { secret: SECRET }
+        ],
+        'whsec_legacy',
+        NOW
+      );
+
+      const ids = active.map(entry => entry.id);
+      assert(!ids.includes('old'), 'Expired secret should be dropped');
+      assert(ids.includes('secret_2'), 'Secrets without id get a positional id');
+      assert(ids.includes('default'), 'Legacy secret should be added');
+      assert(getActiveSecrets([{ id: 'x', secret: SECRET }], SECRET, NOW).length === 1, 'Legacy secret should not be listed twice');
+    }
+  },
+  {
+    name: 'should accept well-formed rotation secrets',
+    testFn: async () => {
+      const secrets = [
+        { id: 'old', secret: OLD_SECRET, expiresAt: '2024-07-01T00:00:00Z' },
+        { secret: SECRET, expiresAt: '2024-07-01' },
+        { secret: SECRET, expiresAt: null }
+      ];
+      assert(validateWebhookSecrets(secrets) === secrets, 'Valid secrets should be returned unchanged');
+      assert(validateWebhookSecrets([]).length === 0, 'An empty list is valid');
+    }
+  },
+  {
+    name: 'should reject malformed rotation secrets',
+    testFn: async () => {
+      const invalid = [
+        [{ secret: SECRET }, /must be a JSON array/],
+        ['whsec_abc', /must be a JSON array/],
+        [[null], /\[0\] must be an object/],
+        [[{ id: 'a' }], /\[0\]\.secret must be a non-empty string/],
+        [[{ secret: SECRET }, { secret: SECRET, id: 7 }], /\[1\]\.id must be a string/],
+        [[{ secret: SECRET, expiresAt: 'next tuesday' }], /\[0\]\.expiresAt must be an ISO 8601 date/],
+        [[{ secret: SECRET, expiresAt: 1719792000000 }], /\[0\]\.expiresAt must be an ISO 8601 date/],
+        [[{ secret: SECRET, expiresAt: '2024-13-45' }], /\[0\]\.expiresAt must be an ISO 8601 date/]
+      ];
+
+      for (const [secrets, message] of invalid) {
+        let error = null;
+        try {
+          validateWebhookSecrets(secrets);
+        } catch (caught) {
+          error = caught;
+        }
+        assert(error && message.test(error.message), `Expected ${message} for ${JSON.stringify(secrets)}, got ${error?.message}`);
+      }
+    }
+  },
+  {
+    name: 'should remember deliveries until they expire',
+    testFn: async () => {
+      const cache = new ReplayCache({ ttlMs: 1000 });
+
+      assert(cache.checkAndRemember('msg_1.100', 0) === false, 'First delivery is new');
+      assert(cache.checkAndRemember('msg_1.100', 500) === true, 'Replay inside the TTL is detected');
+      assert(cache.checkAndRemember('msg_1.160', 500) === false, 'A re-signed retry is not a replay');
+      assert(cache.checkAndRemember('msg_1.100', 1500) === false, 'Expired entries are forgotten');
+    }
+  },
+  {
+    name: 'should keep the replay cache bounded',
+    testFn: async () => {
+      const cache = new ReplayCache({ ttlMs: 1000, maxEntries: 2 });
+
+      cache.checkAndRemember('a', 0);
+      cache.checkAndRemember('b', 0);
+      cache.checkAndRemember('c', 0);
+
+      assert(cache.size === 2, `Cache should hold 2 entries, holds ${cache.size}`);
+      assert(cache.checkAndRemember('c', 0) === true, 'Newest entry should be kept');
+    }
+  }
+];
+
+try {
+  const results = await runTestSuite('Webhook Signature', tests);
+
+  const summary = results.summary();
+  if (summary.failed === 0) {
+    console.log('\n🎉 All Webhook Signature tests passed!');
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${summary.failed} test(s) failed`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('💥 Test suite failed:', error);
+  process.exit(1);
+}